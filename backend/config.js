@@ -17,19 +17,156 @@ module.exports = {
     name: process.env.APP_NAME || 'Career Profiling Platform',
     debug: process.env.DEBUG === 'true',
     port: parseInt(process.env.PORT || '8001', 10),
-    frontendUrl: process.env.FRONTEND_URL || '*'
+    frontendUrl: process.env.FRONTEND_URL || '*',
+    // Express "trust proxy": number of proxy hops in front of the app, so req.ip is the client's address
+    trustProxy: parseInt(process.env.TRUST_PROXY_HOPS || '0', 10)
   },
   
   // JWT
   jwt: {
     secretKey: process.env.JWT_SECRET_KEY || 'your-secret-key-change-in-production',
     algorithm: 'HS256',
-    expiresIn: parseInt(process.env.JWT_ACCESS_TOKEN_EXPIRE_MINUTES || '1440', 10) * 60 // Convert to seconds
+    expiresIn: parseInt(process.env.JWT_ACCESS_TOKEN_EXPIRE_MINUTES || '15', 10) * 60, // Convert to seconds
+    // Refresh tokens rotate on every use; a session ends when one goes unused this long
+    refreshExpiresIn: parseInt(process.env.JWT_REFRESH_TOKEN_EXPIRE_DAYS || '30', 10) * 24 * 60 * 60 // Convert to seconds
+  },
+  
+  // Password hashing
+  password: {
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10', 10),
+    // Re-hash on login when a stored hash used a different cost than bcryptRounds
+    rehashOnCostChange: process.env.PASSWORD_REHASH_ON_COST_CHANGE !== 'false',
+    // Local development only: accept password_hash values stored as plain text
+    allowPlaintext: process.env.ALLOW_PLAINTEXT_PASSWORDS === 'true'
+  },
+
+  // Failed-login throttling ('postgres' shares counters across instances, 'memory' is per process)
+  loginThrottle: {
+    store: process.env.LOGIN_THROTTLE_STORE || 'postgres',
+    // Failures older than this no longer count
+    windowMinutes: parseInt(process.env.LOGIN_THROTTLE_WINDOW_MINUTES || '15', 10),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+    // Each failure past freeAttempts doubles the wait (baseDelayMs, 2x, 4x, ... up to maxDelayMs);
+    // lockoutThreshold failures lock for lockoutMinutes
+    account: {
+      freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS || '3', 10),
+      lockoutThreshold: parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD || '5', 10)
+    },
+    ip: {
+      freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '10', 10),
+      lockoutThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || '30', 10)
+    },
+    baseDelayMs: parseInt(process.env.LOGIN_THROTTLE_BASE_DELAY_MS || '1000', 10),
+    maxDelayMs: parseInt(process.env.LOGIN_THROTTLE_MAX_DELAY_MS || '30000', 10)
+  },
+
+  // Student phone (OTP) login
+  otp: {
+    // 'whatsapp' (services/whatsappService.js) or 'sms' (services/smsService.js)
+    channel: process.env.OTP_CHANNEL || 'whatsapp',
+    // SMS provider: 'twilio', or 'console' to only log the message (development)
+    smsProvider: process.env.SMS_PROVIDER || 'twilio',
+    // Prepended to the 10-digit contact number when sending
+    countryCode: process.env.OTP_COUNTRY_CODE || '+91',
+    codeLength: parseInt(process.env.OTP_CODE_LENGTH || '6', 10),
+    expiresMinutes: parseInt(process.env.OTP_EXPIRE_MINUTES || '5', 10),
+    // Wrong guesses allowed per code before it is burned
+    maxVerifyAttempts: parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS || '5', 10),
+    // Codes sent per number within the window
+    maxRequestsPerWindow: parseInt(process.env.OTP_MAX_REQUESTS || '3', 10),
+    windowMinutes: parseInt(process.env.OTP_WINDOW_MINUTES || '15', 10)
+  },
+
+  // Appointment slots and booking rules
+  appointments: {
+    // Availability templates are in this timezone's local time
+    timezone: process.env.APPOINTMENT_TIMEZONE || 'Asia/Kolkata',
+    defaultSlotMinutes: parseInt(process.env.APPOINTMENT_SLOT_MINUTES || '30', 10),
+    // How far ahead slots are offered, and the minimum notice for a new booking
+    bookingHorizonDays: parseInt(process.env.APPOINTMENT_BOOKING_HORIZON_DAYS || '30', 10),
+    minNoticeHours: parseInt(process.env.APPOINTMENT_MIN_NOTICE_HOURS || '2', 10),
+    // Students can cancel / reschedule up to this many hours before the start (staff any time)
+    cancelWindowHours: parseInt(process.env.APPOINTMENT_CANCEL_WINDOW_HOURS || '24', 10),
+    rescheduleWindowHours: parseInt(process.env.APPOINTMENT_RESCHEDULE_WINDOW_HOURS || '24', 10),
+    maxReschedules: parseInt(process.env.APPOINTMENT_MAX_RESCHEDULES || '2', 10),
+    // Reminders go out this many minutes before the start (comma-separated)
+    reminderMinutes: (process.env.APPOINTMENT_REMINDER_MINUTES || '1440,60')
+      .split(',')
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0),
+    // Also send notifications to the student's contact number over WhatsApp
+    sendWhatsApp: process.env.APPOINTMENT_WHATSAPP !== 'false',
+    // Public base URL of this API for iCal feed links; defaults to the request's host
+    publicApiUrl: process.env.PUBLIC_API_URL || ''
+  },
+
+  // Parent/guardian portal
+  guardians: {
+    inviteExpiresHours: parseInt(process.env.GUARDIAN_INVITE_EXPIRE_HOURS || '72', 10),
+    // Linked plus pending guardians per student
+    maxPerStudent: parseInt(process.env.GUARDIAN_MAX_PER_STUDENT || '4', 10)
+  },
+
+  // Schools and colleges
+  institutions: {
+    // Data rows accepted in one bulk student import
+    maxImportRows: parseInt(process.env.INSTITUTION_IMPORT_MAX_ROWS || '1000', 10)
+  },
+
+  // Forgot-password flow
+  passwordReset: {
+    tokenExpiresMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRE_MINUTES || '30', 10),
+    // Reset requests allowed per account within the window; extra requests get the same response but send nothing
+    maxRequestsPerWindow: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS || '3', 10),
+    windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES || '60', 10),
+    // Also send the reset link to the student's contact number over WhatsApp
+    sendWhatsApp: process.env.PASSWORD_RESET_WHATSAPP === 'true'
   },
   
   // AI
   gemini: {
-    apiKey: process.env.GEMINI_API_KEY || ''
+    apiKey: process.env.GEMINI_API_KEY || '',
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+  },
+
+  // LLM provider used for interpretations and RIASEC reports:
+  // 'gemini', 'openai' (any OpenAI-compatible server) or 'mock' (deterministic, offline)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    // Empty means the provider's own default model
+    model: process.env.LLM_MODEL || '',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+    retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '2000', 10),
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY || '',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    }
+  },
+
+  // Norms
+  norms: {
+    // Segments (education / stream) smaller than this fall back to a broader table
+    minSampleSize: parseInt(process.env.NORM_MIN_SAMPLE_SIZE || '30', 10)
+  },
+
+  // Background jobs (scoring, interpretation and RIASEC report generation)
+  jobs: {
+    // Set JOB_WORKER_ENABLED=false on API instances when a separate `npm run worker` process is used
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS || '5000', 10),
+    // RUNNING jobs locked longer than this are assumed to belong to a crashed worker
+    lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '600000', 10)
+  },
+
+  // PDF reports
+  report: {
+    brandName: process.env.REPORT_BRAND_NAME || process.env.APP_NAME || 'Career Profiling Platform',
+    brandColor: process.env.REPORT_BRAND_COLOR || '#1E3A8A',
+    footerText: process.env.REPORT_FOOTER_TEXT || 'Confidential - prepared for the student and their counsellor'
   }
 };
 
@@ -1,12 +1,13 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const { User } = require('../models');
+const { User, Session } = require('../models');
+const { isKnownPermission, getUserPermissions } = require('../services/permissions');
 
-// Create JWT token
+// Create JWT token (sid ties it to a row in sessions so it can be revoked)
 function createAccessToken(data) {
   const expiresIn = config.jwt.expiresIn; // Already in seconds
   return jwt.sign(
-    { sub: String(data.sub), role: data.role },
+    { sub: String(data.sub), role: data.role, sid: data.sid },
     config.jwt.secretKey,
     { expiresIn, algorithm: config.jwt.algorithm }
   );
@@ -45,12 +46,20 @@ async function getCurrentUser(req, res, next) {
     }
 
     const userId = payload.sub;
-    if (!userId) {
+    if (!userId || !payload.sid) {
       return res.status(401).json({
         detail: 'Could not validate credentials'
       });
     }
 
+    // Logout and revocation take effect immediately, not when the token expires
+    const session = await Session.findByPk(payload.sid);
+    if (!session || session.revoked_at || String(session.user_id) !== String(userId)) {
+      return res.status(401).json({
+        detail: 'Session has been revoked'
+      });
+    }
+
     const user = await User.findByPk(parseInt(userId, 10));
     if (!user) {
       return res.status(401).json({
@@ -59,6 +68,7 @@ async function getCurrentUser(req, res, next) {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('❌ Auth middleware error:', error);
@@ -89,6 +99,45 @@ function requireRole(allowedRoles) {
   };
 }
 
+// Effective permission keys for the request's user, loaded once per request
+async function loadPermissions(req) {
+  if (!req.permissions) {
+    req.permissions = await getUserPermissions(req.user);
+  }
+  return req.permissions;
+}
+
+// Middleware to require a permission (see services/permissions.js for the catalog)
+function requirePermission(permission) {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return async (req, res, next) => {
+    try {
+      const check = async () => {
+        const permissions = await loadPermissions(req);
+        if (!permissions.has(permission)) {
+          return res.status(403).json({
+            detail: 'Not enough permissions'
+          });
+        }
+        next();
+      };
+      // Routes usually run getCurrentUser first; don't authenticate twice
+      if (req.user) {
+        await check();
+      } else {
+        await getCurrentUser(req, res, check);
+      }
+    } catch (error) {
+      console.error('❌ Permission check error:', error);
+      return res.status(500).json({
+        detail: 'Failed to check permissions'
+      });
+    }
+  };
+}
+
 // Middleware to require admin
 function requireAdmin(req, res, next) {
   return requireRole(['ADMIN'])(req, res, next);
@@ -99,6 +148,8 @@ module.exports = {
   verifyToken,
   getCurrentUser,
   requireRole,
-  requireAdmin
+  requireAdmin,
+  requirePermission,
+  loadPermissions
 };
 
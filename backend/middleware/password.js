@@ -1,24 +1,73 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+
+// Bcrypt hashes look like $2a$10$ / $2b$10$ followed by 53 characters
+const BCRYPT_HASH = /^\$2[ab]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+function isBcryptHash(hash) {
+  return typeof hash === 'string' && BCRYPT_HASH.test(hash);
+}
 
 // Hash password using bcryptjs (avoids 72-byte limit issue)
 async function getPasswordHash(password) {
-  return await bcrypt.hash(password, 10);
+  return await bcrypt.hash(password, config.password.bcryptRounds);
 }
 
-// Verify password (supports plain text for dev mode)
+// Verify password. Non-bcrypt (plain text) hashes only match when
+// ALLOW_PLAINTEXT_PASSWORDS=true; otherwise those accounts need a reset.
 async function verifyPassword(plainPassword, hashedPassword) {
-  // TEMP DEV MODE: Check if password_hash is plain text (not bcrypt format)
-  // Bcrypt hashes start with $2b$ or $2a$ and are 60 chars long
-  if (!hashedPassword.startsWith('$2') || hashedPassword.length < 60) {
-    // Plain text comparison for dev mode
-    return plainPassword === hashedPassword;
+  if (!plainPassword || !hashedPassword) {
+    return false;
+  }
+  if (!isBcryptHash(hashedPassword)) {
+    if (!config.password.allowPlaintext) {
+      return false;
+    }
+    console.warn('⚠️ Accepting a plain text password (ALLOW_PLAINTEXT_PASSWORDS=true)');
+    const given = Buffer.from(plainPassword);
+    const stored = Buffer.from(hashedPassword);
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
   }
-  // Normal bcrypt verification for production
   return await bcrypt.compare(plainPassword, hashedPassword);
 }
 
+// Whether a hash that just verified should be replaced on this login
+function needsRehash(hashedPassword) {
+  if (!isBcryptHash(hashedPassword)) {
+    return true;
+  }
+  return config.password.rehashOnCostChange && bcrypt.getRounds(hashedPassword) !== config.password.bcryptRounds;
+}
+
+// Temporary password for a new account: 8 characters with at least one
+// uppercase letter, lowercase letter, digit and special character
+function generateTemporaryPassword() {
+  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
+  const numbers = '0123456789';
+  const special = '@#$%';
+  const pick = chars => chars[crypto.randomInt(chars.length)];
+
+  const characters = [pick(uppercase), pick(lowercase), pick(numbers), pick(special)];
+  const allChars = uppercase + lowercase + numbers + special;
+  while (characters.length < 8) {
+    characters.push(pick(allChars));
+  }
+
+  // Fisher-Yates shuffle so the required characters are not always first
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+  return characters.join('');
+}
+
 module.exports = {
+  BCRYPT_HASH,
+  isBcryptHash,
   getPasswordHash,
-  verifyPassword
+  verifyPassword,
+  needsRehash,
+  generateTemporaryPassword
 };
-
@@ -0,0 +1,243 @@
+// Core tables as they were first created by sequelize.sync, before any of the
+// columns added by later migrations.
+const { createTableIfMissing, dropTableIfExists, dropEnumIfExists, addIndexIfMissing } = require('./helpers');
+
+function primaryKey(DataTypes) {
+  return {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  };
+}
+
+function foreignKey(DataTypes, table, options = {}) {
+  return {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: { model: table, key: 'id' },
+    ...options
+  };
+}
+
+function timestamps(DataTypes, { updatedAt = true } = {}) {
+  const columns = {
+    created_at: { type: DataTypes.DATE, allowNull: false }
+  };
+  if (updatedAt) {
+    columns.updated_at = { type: DataTypes.DATE, allowNull: true };
+  }
+  return columns;
+}
+
+// Created in this order, dropped in reverse
+const TABLES = [
+  'users',
+  'students',
+  'counsellors',
+  'sections',
+  'questions',
+  'test_attempts',
+  'answers',
+  'scores',
+  'interpreted_results',
+  'careers',
+  'counsellor_notes',
+  'section_progresses',
+  'question_approvals',
+  'appointments'
+];
+
+const ENUM_COLUMNS = [
+  ['users', 'role'],
+  ['questions', 'question_type'],
+  ['questions', 'difficulty_level'],
+  ['test_attempts', 'status'],
+  ['section_progresses', 'status'],
+  ['question_approvals', 'approval_status'],
+  ['appointments', 'status']
+];
+
+function tableDefinitions(DataTypes) {
+  return {
+    users: {
+      id: primaryKey(DataTypes),
+      email: { type: DataTypes.STRING(255), allowNull: false, unique: true },
+      password_hash: { type: DataTypes.STRING(255), allowNull: false },
+      full_name: { type: DataTypes.STRING(255), allowNull: false },
+      role: {
+        type: DataTypes.ENUM('STUDENT', 'COUNSELLOR', 'ADMIN'),
+        allowNull: false,
+        defaultValue: 'STUDENT'
+      },
+      ...timestamps(DataTypes)
+    },
+    students: {
+      id: primaryKey(DataTypes),
+      user_id: foreignKey(DataTypes, 'users', { unique: true, onDelete: 'CASCADE' }),
+      date_of_birth: { type: DataTypes.DATE, allowNull: true },
+      bio: { type: DataTypes.TEXT, allowNull: true },
+      mobile_number: { type: DataTypes.STRING(15), allowNull: true, unique: true },
+      education: { type: DataTypes.STRING(100), allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    counsellors: {
+      id: primaryKey(DataTypes),
+      user_id: foreignKey(DataTypes, 'users', { unique: true, onDelete: 'CASCADE' }),
+      specialization: { type: DataTypes.STRING(255), allowNull: true },
+      bio: { type: DataTypes.TEXT, allowNull: true },
+      license_number: { type: DataTypes.STRING(100), allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    sections: {
+      id: primaryKey(DataTypes),
+      name: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      order_index: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(DataTypes)
+    },
+    questions: {
+      id: primaryKey(DataTypes),
+      question_text: { type: DataTypes.TEXT, allowNull: false },
+      question_type: { type: DataTypes.ENUM('MULTIPLE_CHOICE', 'LIKERT_SCALE'), allowNull: false },
+      options: { type: DataTypes.TEXT, allowNull: true },
+      correct_answer: { type: DataTypes.STRING(10), allowNull: true },
+      category: { type: DataTypes.STRING(100), allowNull: true },
+      difficulty_level: {
+        type: DataTypes.ENUM('Easy', 'Medium', 'Hard'),
+        allowNull: true,
+        defaultValue: 'Medium'
+      },
+      created_by: foreignKey(DataTypes, 'users', { allowNull: true }),
+      section_id: foreignKey(DataTypes, 'sections', { allowNull: true, onDelete: 'SET NULL' }),
+      ...timestamps(DataTypes)
+    },
+    test_attempts: {
+      id: primaryKey(DataTypes),
+      student_id: foreignKey(DataTypes, 'users', { onDelete: 'CASCADE' }),
+      status: {
+        type: DataTypes.ENUM('IN_PROGRESS', 'COMPLETED', 'ABANDONED'),
+        allowNull: false,
+        defaultValue: 'IN_PROGRESS'
+      },
+      started_at: { type: DataTypes.DATE, allowNull: false },
+      completed_at: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    answers: {
+      id: primaryKey(DataTypes),
+      test_attempt_id: foreignKey(DataTypes, 'test_attempts', { onDelete: 'CASCADE' }),
+      question_id: foreignKey(DataTypes, 'questions', { onDelete: 'CASCADE' }),
+      answer_text: { type: DataTypes.TEXT, allowNull: false },
+      ...timestamps(DataTypes)
+    },
+    scores: {
+      id: primaryKey(DataTypes),
+      test_attempt_id: foreignKey(DataTypes, 'test_attempts', { onDelete: 'CASCADE' }),
+      dimension: { type: DataTypes.STRING(100), allowNull: false },
+      score_value: { type: DataTypes.FLOAT, allowNull: false },
+      percentile: { type: DataTypes.FLOAT, allowNull: true },
+      ...timestamps(DataTypes, { updatedAt: false })
+    },
+    interpreted_results: {
+      id: primaryKey(DataTypes),
+      test_attempt_id: foreignKey(DataTypes, 'test_attempts', { unique: true, onDelete: 'CASCADE' }),
+      interpretation_text: { type: DataTypes.TEXT, allowNull: false },
+      strengths: { type: DataTypes.TEXT, allowNull: true },
+      areas_for_improvement: { type: DataTypes.TEXT, allowNull: true },
+      is_ai_generated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      readiness_status: { type: DataTypes.STRING(50), allowNull: true },
+      readiness_explanation: { type: DataTypes.TEXT, allowNull: true },
+      risk_level: { type: DataTypes.STRING(20), allowNull: true },
+      risk_explanation: { type: DataTypes.TEXT, allowNull: true },
+      career_direction: { type: DataTypes.STRING(255), allowNull: true },
+      career_direction_reason: { type: DataTypes.TEXT, allowNull: true },
+      roadmap: { type: DataTypes.TEXT, allowNull: true },
+      counsellor_summary: { type: DataTypes.TEXT, allowNull: true },
+      readiness_action_guidance: { type: DataTypes.TEXT, allowNull: true },
+      career_confidence_level: { type: DataTypes.STRING(20), allowNull: true },
+      career_confidence_explanation: { type: DataTypes.TEXT, allowNull: true },
+      do_now_actions: { type: DataTypes.TEXT, allowNull: true },
+      do_later_actions: { type: DataTypes.TEXT, allowNull: true },
+      risk_explanation_human: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    careers: {
+      id: primaryKey(DataTypes),
+      interpreted_result_id: foreignKey(DataTypes, 'interpreted_results', { onDelete: 'CASCADE' }),
+      career_name: { type: DataTypes.STRING(255), allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      match_score: { type: DataTypes.FLOAT, allowNull: true },
+      category: { type: DataTypes.STRING(100), allowNull: true },
+      order_index: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      ...timestamps(DataTypes, { updatedAt: false })
+    },
+    counsellor_notes: {
+      id: primaryKey(DataTypes),
+      counsellor_id: foreignKey(DataTypes, 'users', { onDelete: 'CASCADE' }),
+      student_id: foreignKey(DataTypes, 'users', { onDelete: 'CASCADE' }),
+      test_attempt_id: foreignKey(DataTypes, 'test_attempts', { onDelete: 'CASCADE' }),
+      notes: { type: DataTypes.TEXT, allowNull: false },
+      ...timestamps(DataTypes)
+    },
+    section_progresses: {
+      id: primaryKey(DataTypes),
+      test_attempt_id: foreignKey(DataTypes, 'test_attempts', { onDelete: 'CASCADE' }),
+      section_id: foreignKey(DataTypes, 'sections', { onDelete: 'CASCADE' }),
+      status: {
+        type: DataTypes.ENUM('NOT_STARTED', 'IN_PROGRESS', 'COMPLETED'),
+        allowNull: false,
+        defaultValue: 'NOT_STARTED'
+      },
+      section_start_time: { type: DataTypes.DATE, allowNull: true },
+      total_time_spent: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      paused_at: { type: DataTypes.DATE, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    question_approvals: {
+      id: primaryKey(DataTypes),
+      question_id: foreignKey(DataTypes, 'questions', { onDelete: 'CASCADE' }),
+      approved_by: foreignKey(DataTypes, 'users'),
+      approval_status: { type: DataTypes.ENUM('approved', 'rejected'), allowNull: false },
+      admin_comment: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    },
+    appointments: {
+      id: primaryKey(DataTypes),
+      student_id: foreignKey(DataTypes, 'users', { onDelete: 'CASCADE' }),
+      appointment_date: { type: DataTypes.DATE, allowNull: false },
+      appointment_time: { type: DataTypes.TIME, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED'),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      notes: { type: DataTypes.TEXT, allowNull: true },
+      ...timestamps(DataTypes)
+    }
+  };
+}
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    const definitions = tableDefinitions(DataTypes);
+    for (const table of TABLES) {
+      await createTableIfMissing(queryInterface, table, definitions[table], transaction);
+    }
+
+    await addIndexIfMissing(queryInterface, 'question_approvals', ['question_id'], { name: 'idx_question_approvals_question_id' }, transaction);
+    await addIndexIfMissing(queryInterface, 'question_approvals', ['approved_by'], { name: 'idx_question_approvals_approved_by' }, transaction);
+    await addIndexIfMissing(queryInterface, 'question_approvals', ['approval_status'], { name: 'idx_question_approvals_status' }, transaction);
+    await addIndexIfMissing(queryInterface, 'questions', ['section_id'], { name: 'idx_questions_section_id' }, transaction);
+    await addIndexIfMissing(queryInterface, 'questions', ['created_at', 'id'], { name: 'idx_questions_created_id' }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const table of [...TABLES].reverse()) {
+      await dropTableIfExists(queryInterface, table, transaction);
+    }
+    for (const [table, column] of ENUM_COLUMNS) {
+      await dropEnumIfExists(queryInterface, table, column, transaction);
+    }
+  }
+};
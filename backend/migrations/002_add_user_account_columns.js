@@ -0,0 +1,24 @@
+// First-login password change flag and counsellor center.
+// Replaces add_is_first_login.sql and the users part of add_missing_columns.sql.
+const { addColumnIfMissing, removeColumnIfExists, dropEnumIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await addColumnIfMissing(queryInterface, 'users', 'is_first_login', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'users', 'center', {
+      type: DataTypes.ENUM('CG', 'SG', 'Maninagar', 'Surat', 'Rajkot'),
+      allowNull: true,
+      comment: 'Center location for counselors'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'users', 'center', transaction);
+    await dropEnumIfExists(queryInterface, 'users', 'center', transaction);
+    await removeColumnIfExists(queryInterface, 'users', 'is_first_login', transaction);
+  }
+};
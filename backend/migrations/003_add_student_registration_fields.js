@@ -0,0 +1,83 @@
+// Fields collected by the student registration form.
+// Replaces add_student_fields.sql, run_student_migration.js and
+// check_student_migration_prerequisites.sql.
+const { columnExists, addColumnIfMissing, removeColumnIfExists } = require('./helpers');
+
+// Existing rows get these values; new registrations always provide them
+const REGISTRATION_FIELDS = {
+  first_name: { length: 100, default: '' },
+  last_name: { length: 100, default: '' },
+  parent_contact_number: { length: 10, default: '' },
+  school_institute_name: { length: 200, default: '' },
+  current_education: { length: 50, default: '10th' },
+  stream: { length: 50, default: 'Science' },
+  family_annual_income: { length: 50, default: '<4 Lacs' }
+};
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    for (const [column, field] of Object.entries(REGISTRATION_FIELDS)) {
+      await addColumnIfMissing(queryInterface, 'students', column, {
+        type: DataTypes.STRING(field.length),
+        allowNull: false,
+        defaultValue: field.default
+      }, transaction);
+    }
+
+    if (await columnExists(queryInterface, 'students', 'contact_number', transaction)) {
+      console.log('ℹ️ Column students.contact_number already exists');
+      return;
+    }
+
+    // contact_number is unique, so existing students are backfilled from
+    // mobile_number (last 10 digits) and left NULL when that is not possible
+    await queryInterface.addColumn('students', 'contact_number', {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    }, { transaction });
+    await sequelize.query(
+      `UPDATE students
+       SET contact_number = RIGHT(REGEXP_REPLACE(mobile_number, '[^0-9]', '', 'g'), 10)
+       WHERE LENGTH(REGEXP_REPLACE(COALESCE(mobile_number, ''), '[^0-9]', '', 'g')) >= 10`,
+      { transaction }
+    );
+
+    const [duplicates] = await sequelize.query(
+      `SELECT contact_number, COUNT(*) AS count
+       FROM students
+       WHERE contact_number IS NOT NULL
+       GROUP BY contact_number
+       HAVING COUNT(*) > 1`,
+      { transaction }
+    );
+    if (duplicates.length > 0) {
+      const listed = duplicates.slice(0, 10).map(row => `${row.contact_number} (${row.count})`).join(', ');
+      throw new Error(`Students share mobile numbers, resolve them before migrating: ${listed}`);
+    }
+
+    await queryInterface.addConstraint('students', {
+      fields: ['contact_number'],
+      type: 'unique',
+      name: 'students_contact_number_key',
+      transaction
+    });
+
+    const [[{ missing }]] = await sequelize.query(
+      'SELECT COUNT(*)::int AS missing FROM students WHERE contact_number IS NULL',
+      { transaction }
+    );
+    if (missing === 0) {
+      await sequelize.query('ALTER TABLE students ALTER COLUMN contact_number SET NOT NULL', { transaction });
+    } else {
+      console.warn(`⚠️ ${missing} student(s) have no usable mobile number; students.contact_number stays nullable until they are updated`);
+    }
+    console.log('✅ Added column students.contact_number');
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'students', 'contact_number', transaction);
+    for (const column of Object.keys(REGISTRATION_FIELDS).reverse()) {
+      await removeColumnIfExists(queryInterface, 'students', column, transaction);
+    }
+  }
+};
@@ -0,0 +1,63 @@
+// Question approval workflow (status, source, activation, ordering) and Likert
+// scale values. Replaces add_question_columns.sql, unify_question_flow.sql,
+// remove_text_question_type.sql and the questions / question_approvals parts of
+// add_missing_columns.sql. The MySQL-only steps of those scripts (is_approved,
+// dropping TEXT from the question_type enum) are already reflected in the
+// initial schema and have no Postgres equivalent to run.
+const { addColumnIfMissing, removeColumnIfExists, addIndexIfMissing, removeIndexIfExists, dropEnumIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    const statusAdded = await addColumnIfMissing(queryInterface, 'questions', 'status', {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'inactive'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'pending: awaiting approval, approved: can be used in tests, rejected: cannot be used, inactive: deactivated'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'questions', 'source', {
+      type: DataTypes.ENUM('ADMIN', 'AI'),
+      allowNull: false,
+      defaultValue: 'ADMIN',
+      comment: 'ADMIN: created by admin, AI: generated by AI'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'questions', 'is_active', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'questions', 'order_index', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'questions', 'scale_value', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'For LIKERT_SCALE questions'
+    }, transaction);
+
+    // Questions written before the approval workflow were already in use in tests
+    if (statusAdded) {
+      await sequelize.query("UPDATE questions SET status = 'approved'", { transaction });
+    }
+
+    await addIndexIfMissing(queryInterface, 'questions', ['status', 'is_active'], { name: 'idx_questions_status_active' }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'question_approvals', 'approved_at', {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: sequelize.literal('CURRENT_TIMESTAMP'),
+      comment: 'Timestamp when approval decision was made'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'question_approvals', 'approved_at', transaction);
+    await removeIndexIfExists(queryInterface, 'idx_questions_status_active', transaction);
+    for (const column of ['scale_value', 'order_index', 'is_active', 'source', 'status']) {
+      await removeColumnIfExists(queryInterface, 'questions', column, transaction);
+    }
+    await dropEnumIfExists(queryInterface, 'questions', 'source', transaction);
+    await dropEnumIfExists(queryInterface, 'questions', 'status', transaction);
+  }
+};
@@ -0,0 +1,34 @@
+// Resume state for in-progress attempts, previously added by initializeDatabase
+// in server.js, and the legacy selected_question_ids list from add_missing_columns.sql.
+const { addColumnIfMissing, removeColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'current_section_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'sections', key: 'id' }
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'current_question_index', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 0
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'remaining_time_seconds', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 420
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'selected_question_ids', {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of question IDs randomly selected for this test attempt'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const column of ['selected_question_ids', 'remaining_time_seconds', 'current_question_index', 'current_section_id']) {
+      await removeColumnIfExists(queryInterface, 'test_attempts', column, transaction);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Cached RIASEC report and interpretation cache key.
+// Replaces add_riasec_report_column.js/.sql and add_interpretation_cache_columns.js.
+const { addColumnIfMissing, removeColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await addColumnIfMissing(queryInterface, 'interpreted_results', 'riasec_report', {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Cached RIASEC report with scores and report text'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'interpreted_results', 'interpretation_cache_key', {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Cache key for interpretation lookups'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'interpreted_results', 'cached_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Timestamp when interpretation was cached'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const column of ['cached_at', 'interpretation_cache_key', 'riasec_report']) {
+      await removeColumnIfExists(queryInterface, 'interpreted_results', column, transaction);
+    }
+  }
+};
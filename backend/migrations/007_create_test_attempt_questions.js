@@ -0,0 +1,33 @@
+// Questions drawn for each attempt (replaces test_attempts.selected_question_ids)
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'test_attempt_questions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      test_attempt_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'test_attempts', key: 'id' },
+        onDelete: 'CASCADE',
+        comment: 'Foreign key to test_attempts table'
+      },
+      question_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'questions', key: 'id' },
+        onDelete: 'CASCADE',
+        comment: 'Foreign key to questions table'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'test_attempt_questions', ['test_attempt_id', 'question_id'], { name: 'unique_attempt_question', unique: true }, transaction);
+    await addIndexIfMissing(queryInterface, 'test_attempt_questions', ['test_attempt_id'], { name: 'idx_attempt_questions_attempt_id' }, transaction);
+    await addIndexIfMissing(queryInterface, 'test_attempt_questions', ['question_id'], { name: 'idx_attempt_questions_question_id' }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'test_attempt_questions', transaction);
+  }
+};
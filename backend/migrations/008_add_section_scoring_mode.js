@@ -0,0 +1,30 @@
+// Per-section scoring mode (ability vs Likert) and the method recorded on each score
+const { addColumnIfMissing, removeColumnIfExists, dropEnumIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await addColumnIfMissing(queryInterface, 'sections', 'scoring_mode', {
+      type: DataTypes.ENUM('ABILITY', 'LIKERT'),
+      allowNull: true,
+      comment: 'NULL falls back to ABILITY for sections 1-2 and LIKERT for the rest'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'sections', 'partial_credit', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'ABILITY only: honour weighted alternatives in correct_answer (e.g. "B,D:0.5")'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'scores', 'scoring_method', {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'ABILITY, LIKERT or COMPOSITE (overall)'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'scores', 'scoring_method', transaction);
+    await removeColumnIfExists(queryInterface, 'sections', 'partial_credit', transaction);
+    await removeColumnIfExists(queryInterface, 'sections', 'scoring_mode', transaction);
+    await dropEnumIfExists(queryInterface, 'sections', 'scoring_mode', transaction);
+  }
+};
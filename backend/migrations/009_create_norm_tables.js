@@ -0,0 +1,67 @@
+// Versioned percentile norms and the norm version each score was ranked against
+const {
+  createTableIfMissing, dropTableIfExists, addColumnIfMissing, removeColumnIfExists,
+  addIndexIfMissing, dropEnumIfExists
+} = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'norm_versions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      label: { type: DataTypes.STRING(100), allowNull: false },
+      status: {
+        type: DataTypes.ENUM('DRAFT', 'ACTIVE', 'RETIRED'),
+        allowNull: false,
+        defaultValue: 'DRAFT',
+        comment: 'Only one version is ACTIVE at a time; new scores are percentiled against it'
+      },
+      sample_size: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of completed test attempts the tables were built from'
+      },
+      built_at: { type: DataTypes.DATE, allowNull: true },
+      frozen_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Set when an admin freezes the version; frozen tables are never rebuilt'
+      },
+      created_by: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'users', key: 'id' } },
+      frozen_by: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'users', key: 'id' } },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'norm_tables', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      norm_version_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'norm_versions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      dimension: { type: DataTypes.STRING(100), allowNull: false, comment: 'section_N, R/I/A/S/E/C or overall' },
+      current_education: { type: DataTypes.STRING(100), allowNull: true, comment: 'NULL means all education levels' },
+      stream: { type: DataTypes.STRING(100), allowNull: true, comment: 'NULL means all streams' },
+      sample_size: { type: DataTypes.INTEGER, allowNull: false },
+      quantiles: { type: DataTypes.JSON, allowNull: false, comment: '101 score values at percentiles 0..100' },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'norm_tables', ['norm_version_id', 'dimension'], { name: 'norm_tables_norm_version_id_dimension' }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'scores', 'norm_version_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'norm_versions', key: 'id' },
+      comment: 'Norm version the percentile was computed against'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'scores', 'norm_version_id', transaction);
+    await dropTableIfExists(queryInterface, 'norm_tables', transaction);
+    await dropTableIfExists(queryInterface, 'norm_versions', transaction);
+    await dropEnumIfExists(queryInterface, 'norm_versions', 'status', transaction);
+  }
+};
@@ -0,0 +1,52 @@
+// Per-section timing, question draw, shuffling and unlock configuration
+const { addColumnIfMissing, removeColumnIfExists, dropEnumIfExists } = require('./helpers');
+
+function sectionConfigColumns(DataTypes) {
+  return {
+    time_limit_seconds: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 420 },
+    questions_to_draw: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 7,
+      comment: 'Questions randomly drawn per attempt; also the minimum approved pool size'
+    },
+    shuffle_questions: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Present drawn questions in a per-attempt random order instead of by id'
+    },
+    shuffle_options: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Present options in a per-attempt random order (option keys are unchanged)'
+    },
+    is_mandatory: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Optional sections can be skipped and are not required to complete the test'
+    },
+    unlock_rule: {
+      type: DataTypes.ENUM('SEQUENTIAL', 'PREVIOUS_SECTION', 'ALWAYS'),
+      allowNull: false,
+      defaultValue: 'SEQUENTIAL'
+    }
+  };
+}
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    for (const [column, definition] of Object.entries(sectionConfigColumns(DataTypes))) {
+      await addColumnIfMissing(queryInterface, 'sections', column, definition, transaction);
+    }
+  },
+
+  async down({ queryInterface, DataTypes, transaction }) {
+    for (const column of Object.keys(sectionConfigColumns(DataTypes)).reverse()) {
+      await removeColumnIfExists(queryInterface, 'sections', column, transaction);
+    }
+    await dropEnumIfExists(queryInterface, 'sections', 'unlock_rule', transaction);
+  }
+};
@@ -0,0 +1,69 @@
+// Retake entitlements and attempt history (attempt numbers, archiving)
+const { createTableIfMissing, dropTableIfExists, addColumnIfMissing, removeColumnIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'retake_entitlements', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      granted_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      retakes_allowed: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      retakes_used: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      cooldown_days: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Days to wait after the last completed attempt before a retake can start'
+      },
+      notes: { type: DataTypes.TEXT, allowNull: true },
+      is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Only one active entitlement per student; older grants are deactivated'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'attempt_number', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'is_archived', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Set on earlier attempts when a retake starts; archived attempts are kept as history'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'archived_at', {
+      type: DataTypes.DATE,
+      allowNull: true
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'test_attempts', 'retake_entitlement_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'retake_entitlements', key: 'id' },
+      onDelete: 'SET NULL',
+      comment: 'Entitlement consumed to start this attempt (NULL for the first attempt)'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const column of ['retake_entitlement_id', 'archived_at', 'is_archived', 'attempt_number']) {
+      await removeColumnIfExists(queryInterface, 'test_attempts', column, transaction);
+    }
+    await dropTableIfExists(queryInterface, 'retake_entitlements', transaction);
+  }
+};
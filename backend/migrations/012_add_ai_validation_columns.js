@@ -0,0 +1,21 @@
+// Schema validation outcome of the AI output behind each interpretation payload
+const { addColumnIfMissing, removeColumnIfExists } = require('./helpers');
+
+const COLUMNS = ['interpretation_validation', 'riasec_report_validation'];
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    for (const column of COLUMNS) {
+      await addColumnIfMissing(queryInterface, 'interpreted_results', column, {
+        type: DataTypes.JSON,
+        allowNull: true
+      }, transaction);
+    }
+  },
+
+  async down({ queryInterface, transaction }) {
+    for (const column of [...COLUMNS].reverse()) {
+      await removeColumnIfExists(queryInterface, 'interpreted_results', column, transaction);
+    }
+  }
+};
@@ -0,0 +1,51 @@
+// Background job queue (scoring, interpretation and RIASEC report generation)
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing, dropEnumIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'jobs', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      type: { type: DataTypes.STRING(100), allowNull: false, comment: 'Handler name, e.g. SCORE_ATTEMPT' },
+      payload: { type: DataTypes.JSON, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('PENDING', 'RUNNING', 'COMPLETED', 'DEAD'),
+        allowNull: false,
+        defaultValue: 'PENDING',
+        comment: 'DEAD jobs exhausted their attempts and are kept for inspection and manual retry'
+      },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      max_attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 5 },
+      run_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Earliest time the job may be picked up; pushed forward on each failed attempt'
+      },
+      locked_at: { type: DataTypes.DATE, allowNull: true },
+      locked_by: { type: DataTypes.STRING(100), allowNull: true, comment: 'Worker id holding the job while RUNNING' },
+      last_error: { type: DataTypes.TEXT, allowNull: true },
+      completed_at: { type: DataTypes.DATE, allowNull: true },
+      test_attempt_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'test_attempts', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'jobs', ['status', 'run_at'], { name: 'jobs_status_run_at' }, transaction);
+    await addIndexIfMissing(queryInterface, 'jobs', ['test_attempt_id', 'type'], { name: 'jobs_test_attempt_id_type' }, transaction);
+    // At most one live job per (type, test attempt); enqueueJob relies on it when two requests race
+    await addIndexIfMissing(queryInterface, 'jobs', ['type', 'test_attempt_id'], {
+      name: 'jobs_test_attempt_type_active',
+      unique: true,
+      where: { status: ['PENDING', 'RUNNING', 'COMPLETED'] }
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'jobs', transaction);
+    await dropEnumIfExists(queryInterface, 'jobs', 'status', transaction);
+  }
+};
@@ -0,0 +1,42 @@
+// Login sessions backing refresh tokens, logout and revocation
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'sessions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      refresh_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the current refresh token; the token itself is never stored'
+      },
+      previous_refresh_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Token replaced by the last rotation; presenting it again revokes the session'
+      },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      last_used_at: { type: DataTypes.DATE, allowNull: true },
+      revoked_at: { type: DataTypes.DATE, allowNull: true },
+      revoked_reason: { type: DataTypes.STRING(50), allowNull: true },
+      user_agent: { type: DataTypes.STRING(500), allowNull: true },
+      ip_address: { type: DataTypes.STRING(100), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'sessions', ['user_id'], { name: 'sessions_user_id' }, transaction);
+    await addIndexIfMissing(queryInterface, 'sessions', ['previous_refresh_token_hash'], { name: 'sessions_previous_refresh_token_hash' }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'sessions', transaction);
+  }
+};
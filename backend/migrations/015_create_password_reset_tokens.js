@@ -0,0 +1,39 @@
+// Single-use tokens for the forgot-password / reset-password flow
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'password_reset_tokens', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the emailed token; the token itself is never stored'
+      },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Set when the token is redeemed or superseded by a newer request'
+      },
+      requested_ip: { type: DataTypes.STRING(100), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'password_reset_tokens', ['user_id', 'created_at'], {
+      name: 'password_reset_tokens_user_id_created_at'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'password_reset_tokens', transaction);
+  }
+};
@@ -0,0 +1,53 @@
+// Login throttling counters and the login audit trail
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing, dropEnumIfExists } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'login_throttles', {
+      key: { type: DataTypes.STRING(300), primaryKey: true, comment: 'account:<email> or ip:<address>' },
+      failures: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      first_failure_at: { type: DataTypes.DATE, allowNull: false },
+      last_failure_at: { type: DataTypes.DATE, allowNull: false },
+      blocked_until: { type: DataTypes.DATE, allowNull: true },
+      locked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'true for a lockout, false for a short progressive delay'
+      }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'login_events', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      event: { type: DataTypes.ENUM('SUCCESS', 'FAILURE', 'BLOCKED', 'LOCKED', 'UNLOCKED'), allowNull: false },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      email: { type: DataTypes.STRING(255), allowNull: true, comment: 'Identifier as typed, kept even when no account matches' },
+      ip_address: { type: DataTypes.STRING(100), allowNull: true },
+      user_agent: { type: DataTypes.STRING(500), allowNull: true },
+      reason: { type: DataTypes.STRING(100), allowNull: true },
+      actor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+        comment: 'Admin who cleared a lockout'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'login_events', ['created_at'], { name: 'login_events_created_at' }, transaction);
+    await addIndexIfMissing(queryInterface, 'login_events', ['user_id', 'created_at'], { name: 'login_events_user_id_created_at' }, transaction);
+    await addIndexIfMissing(queryInterface, 'login_events', ['ip_address', 'created_at'], { name: 'login_events_ip_address_created_at' }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'login_events', transaction);
+    await dropEnumIfExists(queryInterface, 'login_events', 'event', transaction);
+    await dropTableIfExists(queryInterface, 'login_throttles', transaction);
+  }
+};
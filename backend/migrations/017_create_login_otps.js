@@ -0,0 +1,37 @@
+// One-time codes for student phone login
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'login_otps', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      contact_number: { type: DataTypes.STRING(10), allowNull: false },
+      code_hash: { type: DataTypes.STRING(64), allowNull: false, comment: 'HMAC of the code; the code itself is never stored' },
+      channel: { type: DataTypes.STRING(20), allowNull: false, comment: 'whatsapp or sms' },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0, comment: 'Wrong codes entered against this OTP' },
+      consumed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Set when the code is used, superseded or burned by too many wrong guesses'
+      },
+      requested_ip: { type: DataTypes.STRING(100), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'login_otps', ['contact_number', 'created_at'], {
+      name: 'login_otps_contact_number_created_at'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'login_otps', transaction);
+  }
+};
@@ -0,0 +1,77 @@
+// Database-backed roles and permissions. The permission catalog and the three
+// system roles are seeded at startup from services/permissions.js.
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'permissions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      key: { type: DataTypes.STRING(100), allowNull: false, unique: true, comment: 'e.g. questions.approve' },
+      description: { type: DataTypes.STRING(255), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'roles', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: DataTypes.STRING(100), allowNull: false, unique: true },
+      description: { type: DataTypes.STRING(255), allowNull: true },
+      is_system: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'ADMIN, COUNSELLOR and STUDENT: every user implicitly holds the one matching users.role; cannot be deleted'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'role_permissions', {
+      role_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      permission_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'permissions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'user_role_assignments', {
+      user_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      role_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      assigned_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'role_permissions', ['permission_id'], { name: 'role_permissions_permission_id' }, transaction);
+    await addIndexIfMissing(queryInterface, 'user_role_assignments', ['role_id'], { name: 'user_role_assignments_role_id' }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'user_role_assignments', transaction);
+    await dropTableIfExists(queryInterface, 'role_permissions', transaction);
+    await dropTableIfExists(queryInterface, 'roles', transaction);
+    await dropTableIfExists(queryInterface, 'permissions', transaction);
+  }
+};
@@ -0,0 +1,100 @@
+// Centers become a table. Students pick one at registration (students.center_id);
+// staff are linked to one or more through user_centers, which replaces the
+// users.center enum. Existing counsellors keep their center. Existing students
+// have no center until an admin sets one, so center-scoped staff won't see
+// them until then.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  columnExists,
+  dropEnumIfExists
+} = require('./helpers');
+
+// Values of the old users.center enum (Nikol was accepted by the API but never added to it)
+const LEGACY_CENTERS = ['CG', 'SG', 'Nikol', 'Maninagar', 'Surat', 'Rajkot'];
+const LEGACY_ENUM = ['CG', 'SG', 'Maninagar', 'Surat', 'Rajkot'];
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'centers', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+      name: { type: DataTypes.STRING(150), allowNull: false },
+      address: { type: DataTypes.TEXT, allowNull: true },
+      contact_number: { type: DataTypes.STRING(15), allowNull: true },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'user_centers', {
+      user_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      center_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'centers', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'user_centers', ['center_id'], { name: 'user_centers_center_id' }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'students', 'center_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'centers', key: 'id' },
+      onDelete: 'SET NULL'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'students', ['center_id'], { name: 'students_center_id' }, transaction);
+
+    await sequelize.query(
+      `INSERT INTO centers (code, name, is_active, created_at, updated_at)
+       SELECT code, code, true, NOW(), NOW() FROM unnest(ARRAY[:codes]::varchar[]) AS code
+       ON CONFLICT (code) DO NOTHING`,
+      { replacements: { codes: LEGACY_CENTERS }, transaction }
+    );
+
+    if (await columnExists(queryInterface, 'users', 'center', transaction)) {
+      await sequelize.query(
+        `INSERT INTO user_centers (user_id, center_id, created_at)
+         SELECT u.id, c.id, NOW() FROM users u JOIN centers c ON c.code = u.center::text
+         ON CONFLICT DO NOTHING`,
+        { transaction }
+      );
+      await removeColumnIfExists(queryInterface, 'users', 'center', transaction);
+      await dropEnumIfExists(queryInterface, 'users', 'center', transaction);
+    }
+  },
+
+  async down({ queryInterface, sequelize, DataTypes, transaction }) {
+    await addColumnIfMissing(queryInterface, 'users', 'center', {
+      type: DataTypes.ENUM(...LEGACY_ENUM),
+      allowNull: true,
+      comment: 'Center location for counselors'
+    }, transaction);
+    // A user in several centers keeps the one with the lowest id
+    await sequelize.query(
+      `UPDATE users u SET center = c.code::"enum_users_center"
+       FROM (
+         SELECT DISTINCT ON (uc.user_id) uc.user_id, ce.code
+         FROM user_centers uc JOIN centers ce ON ce.id = uc.center_id
+         WHERE ce.code IN (:codes)
+         ORDER BY uc.user_id, ce.id
+       ) c
+       WHERE u.id = c.user_id`,
+      { replacements: { codes: LEGACY_ENUM }, transaction }
+    );
+
+    await removeColumnIfExists(queryInterface, 'students', 'center_id', transaction);
+    await dropTableIfExists(queryInterface, 'user_centers', transaction);
+    await dropTableIfExists(queryInterface, 'centers', transaction);
+  }
+};
@@ -0,0 +1,79 @@
+// Primary counsellor per student with assignment history, and the counsellor
+// an appointment is with. The partial unique index allows one current
+// assignment per student. Existing students start unassigned, so counsellors
+// see nobody until POST /admin/assignments/auto (or a manual assignment) runs.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  dropEnumIfExists
+} = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'counsellor_assignments', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      counsellor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      method: { type: DataTypes.ENUM('AUTO', 'MANUAL'), allowNull: false, defaultValue: 'MANUAL' },
+      assigned_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      reason: { type: DataTypes.TEXT, allowNull: true },
+      ended_at: { type: DataTypes.DATE, allowNull: true },
+      ended_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      end_reason: { type: DataTypes.TEXT, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'counsellor_assignments', ['student_id'], {
+      name: 'counsellor_assignments_active_student',
+      unique: true,
+      where: { ended_at: null }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'counsellor_assignments', ['counsellor_id'], {
+      name: 'counsellor_assignments_active_counsellor',
+      where: { ended_at: null }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'counsellor_assignments', ['student_id', 'created_at'], {
+      name: 'counsellor_assignments_student_id_created_at'
+    }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'appointments', 'counsellor_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'appointments', ['counsellor_id'], {
+      name: 'appointments_counsellor_id'
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'appointments', 'counsellor_id', transaction);
+    await dropTableIfExists(queryInterface, 'counsellor_assignments', transaction);
+    await dropEnumIfExists(queryInterface, 'counsellor_assignments', 'method', transaction);
+  }
+};
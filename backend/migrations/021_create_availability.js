@@ -0,0 +1,100 @@
+// Counsellor weekly availability and exceptions, and slot-based appointments.
+// The partial unique index on (counsellor_id, slot_start) is the database-level
+// guard against two live bookings of the same slot.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  removeIndexIfExists,
+  dropEnumIfExists
+} = require('./helpers');
+
+const APPOINTMENT_COLUMNS = ['slot_start', 'slot_end', 'reschedule_count', 'cancelled_at', 'cancelled_by', 'cancel_reason'];
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'availability_templates', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      counsellor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      weekday: { type: DataTypes.SMALLINT, allowNull: false, comment: '0 = Sunday ... 6 = Saturday' },
+      start_time: { type: DataTypes.TIME, allowNull: false },
+      end_time: { type: DataTypes.TIME, allowNull: false },
+      slot_minutes: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 30 },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'availability_templates', ['counsellor_id', 'weekday'], {
+      name: 'availability_templates_counsellor_id_weekday'
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'availability_exceptions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      counsellor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        comment: 'Null for a holiday that applies to every counsellor'
+      },
+      date: { type: DataTypes.DATEONLY, allowNull: false },
+      start_time: { type: DataTypes.TIME, allowNull: true },
+      end_time: { type: DataTypes.TIME, allowNull: true },
+      type: { type: DataTypes.ENUM('LEAVE', 'HOLIDAY', 'UNAVAILABLE'), allowNull: false, defaultValue: 'UNAVAILABLE' },
+      reason: { type: DataTypes.STRING(255), allowNull: true },
+      created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'availability_exceptions', ['counsellor_id', 'date'], {
+      name: 'availability_exceptions_counsellor_id_date'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'availability_exceptions', ['date'], {
+      name: 'availability_exceptions_global_date',
+      where: { counsellor_id: null }
+    }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'appointments', 'slot_start', { type: DataTypes.DATE, allowNull: true }, transaction);
+    await addColumnIfMissing(queryInterface, 'appointments', 'slot_end', { type: DataTypes.DATE, allowNull: true }, transaction);
+    await addColumnIfMissing(queryInterface, 'appointments', 'reschedule_count', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'appointments', 'cancelled_at', { type: DataTypes.DATE, allowNull: true }, transaction);
+    await addColumnIfMissing(queryInterface, 'appointments', 'cancelled_by', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'appointments', 'cancel_reason', { type: DataTypes.TEXT, allowNull: true }, transaction);
+
+    await addIndexIfMissing(queryInterface, 'appointments', ['counsellor_id', 'slot_start'], {
+      name: 'appointments_counsellor_slot_active',
+      unique: true,
+      where: { status: ['PENDING', 'CONFIRMED'] }
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await removeIndexIfExists(queryInterface, 'appointments_counsellor_slot_active', transaction);
+    for (const column of APPOINTMENT_COLUMNS) {
+      await removeColumnIfExists(queryInterface, 'appointments', column, transaction);
+    }
+    await dropTableIfExists(queryInterface, 'availability_exceptions', transaction);
+    await dropEnumIfExists(queryInterface, 'availability_exceptions', 'type', transaction);
+    await dropTableIfExists(queryInterface, 'availability_templates', transaction);
+  }
+};
@@ -0,0 +1,68 @@
+// Log of appointment emails/WhatsApp messages, and private iCal feed tokens
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addIndexIfMissing,
+  dropEnumIfExists
+} = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'appointment_notifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      appointment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'appointments', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      recipient_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      job_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'jobs', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      event: { type: DataTypes.ENUM('CONFIRMED', 'CANCELLED', 'RESCHEDULED', 'REMINDER'), allowNull: false },
+      minutes_before: { type: DataTypes.INTEGER, allowNull: true },
+      channel: { type: DataTypes.ENUM('EMAIL', 'WHATSAPP'), allowNull: false },
+      status: { type: DataTypes.ENUM('SENT', 'FAILED', 'SKIPPED'), allowNull: false },
+      detail: { type: DataTypes.STRING(255), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'appointment_notifications', ['appointment_id'], {
+      name: 'appointment_notifications_appointment_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'appointment_notifications', ['job_id'], {
+      name: 'appointment_notifications_job_id'
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'calendar_feeds', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      token_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      last_accessed_at: { type: DataTypes.DATE, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'calendar_feeds', transaction);
+    await dropTableIfExists(queryInterface, 'appointment_notifications', transaction);
+    for (const column of ['event', 'channel', 'status']) {
+      await dropEnumIfExists(queryInterface, 'appointment_notifications', column, transaction);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+// Structured session records for completed appointments
+const { createTableIfMissing, dropTableIfExists, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, DataTypes, transaction }) {
+    await createTableIfMissing(queryInterface, 'session_outcomes', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      appointment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'appointments', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      counsellor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      recorded_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      attendees: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+      topics: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+      summary: { type: DataTypes.TEXT, allowNull: true },
+      recommended_direction: { type: DataTypes.TEXT, allowNull: true },
+      next_steps: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+      follow_up_required: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      follow_up_date: { type: DataTypes.DATEONLY, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'session_outcomes', ['student_id'], {
+      name: 'session_outcomes_student_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'session_outcomes', ['counsellor_id'], {
+      name: 'session_outcomes_counsellor_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'session_outcomes', ['follow_up_date'], {
+      name: 'session_outcomes_follow_up',
+      where: { follow_up_required: true }
+    }, transaction);
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'session_outcomes', transaction);
+  }
+};
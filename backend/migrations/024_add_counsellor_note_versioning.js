@@ -0,0 +1,125 @@
+// Multiple notes per attempt with categories, visibility, pinning, soft delete
+// and an append-only revision history. Existing notes were readable by the
+// student (note endpoint and PDF report), so they are backfilled as SHARED.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  removeIndexIfExists,
+  dropEnumIfExists
+} = require('./helpers');
+
+const NOTE_COLUMNS = [
+  'parent_note_id',
+  'category',
+  'visibility',
+  'revision',
+  'is_pinned',
+  'pinned_at',
+  'pinned_by',
+  'deleted_at',
+  'deleted_by',
+  'delete_reason'
+];
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    const userReference = {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'parent_note_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'counsellor_notes', key: 'id' },
+      onDelete: 'CASCADE'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'category', {
+      type: DataTypes.ENUM('OBSERVATION', 'RECOMMENDATION', 'PARENT_COMMUNICATION'),
+      allowNull: false,
+      defaultValue: 'OBSERVATION'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'visibility', {
+      type: DataTypes.ENUM('INTERNAL', 'SHARED'),
+      allowNull: false,
+      defaultValue: 'INTERNAL'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'revision', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'is_pinned', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'pinned_at', { type: DataTypes.DATE, allowNull: true }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'pinned_by', userReference, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'deleted_at', { type: DataTypes.DATE, allowNull: true }, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'deleted_by', userReference, transaction);
+    await addColumnIfMissing(queryInterface, 'counsellor_notes', 'delete_reason', { type: DataTypes.STRING(255), allowNull: true }, transaction);
+    await addIndexIfMissing(queryInterface, 'counsellor_notes', ['test_attempt_id'], {
+      name: 'counsellor_notes_test_attempt_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'counsellor_notes', ['parent_note_id'], {
+      name: 'counsellor_notes_parent_note_id'
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'counsellor_note_revisions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      note_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'counsellor_notes', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      revision: { type: DataTypes.INTEGER, allowNull: false },
+      action: { type: DataTypes.ENUM('CREATED', 'EDITED', 'DELETED'), allowNull: false },
+      notes: { type: DataTypes.TEXT, allowNull: false },
+      category: { type: DataTypes.ENUM('OBSERVATION', 'RECOMMENDATION', 'PARENT_COMMUNICATION'), allowNull: false },
+      visibility: { type: DataTypes.ENUM('INTERNAL', 'SHARED'), allowNull: false },
+      actor_id: userReference,
+      reason: { type: DataTypes.STRING(255), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'counsellor_note_revisions', ['note_id', 'revision'], {
+      name: 'counsellor_note_revisions_note_revision',
+      unique: true
+    }, transaction);
+
+    // Existing notes become revision 1 of themselves
+    await sequelize.query(
+      `UPDATE counsellor_notes SET visibility = 'SHARED'
+       WHERE id NOT IN (SELECT note_id FROM counsellor_note_revisions)`,
+      { transaction }
+    );
+    await sequelize.query(
+      `INSERT INTO counsellor_note_revisions (note_id, revision, action, notes, category, visibility, actor_id, created_at)
+       SELECT n.id, 1, 'CREATED', n.notes, n.category::text::"enum_counsellor_note_revisions_category",
+              n.visibility::text::"enum_counsellor_note_revisions_visibility", n.counsellor_id, COALESCE(n.updated_at, n.created_at)
+       FROM counsellor_notes n
+       WHERE NOT EXISTS (SELECT 1 FROM counsellor_note_revisions r WHERE r.note_id = n.id)`,
+      { transaction }
+    );
+  },
+
+  async down({ queryInterface, transaction }) {
+    await dropTableIfExists(queryInterface, 'counsellor_note_revisions', transaction);
+    for (const column of ['action', 'category', 'visibility']) {
+      await dropEnumIfExists(queryInterface, 'counsellor_note_revisions', column, transaction);
+    }
+    await removeIndexIfExists(queryInterface, 'counsellor_notes_parent_note_id', transaction);
+    await removeIndexIfExists(queryInterface, 'counsellor_notes_test_attempt_id', transaction);
+    for (const column of NOTE_COLUMNS) {
+      await removeColumnIfExists(queryInterface, 'counsellor_notes', column, transaction);
+    }
+    await dropEnumIfExists(queryInterface, 'counsellor_notes', 'category', transaction);
+    await dropEnumIfExists(queryInterface, 'counsellor_notes', 'visibility', transaction);
+  }
+};
@@ -0,0 +1,97 @@
+// Parent/guardian accounts: the GUARDIAN user role, invitation-and-consent
+// links to students, guardians attending appointments, and who booked an
+// appointment when it was not the student.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  dropEnumIfExists
+} = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    await sequelize.query(`ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'GUARDIAN'`, { transaction });
+
+    const userReference = {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+
+    await createTableIfMissing(queryInterface, 'guardian_links', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      guardian_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      relationship: { type: DataTypes.STRING(50), allowNull: true },
+      status: { type: DataTypes.ENUM('PENDING', 'ACTIVE', 'REVOKED'), allowNull: false, defaultValue: 'PENDING' },
+      invited_by: userReference,
+      invite_channel: { type: DataTypes.ENUM('EMAIL', 'WHATSAPP'), allowNull: false },
+      invite_contact: { type: DataTypes.STRING(255), allowNull: false },
+      invite_token_hash: { type: DataTypes.STRING(64), allowNull: true, unique: true },
+      invite_expires_at: { type: DataTypes.DATE, allowNull: false },
+      accepted_at: { type: DataTypes.DATE, allowNull: true },
+      consent_version: { type: DataTypes.STRING(20), allowNull: true },
+      consent_given_at: { type: DataTypes.DATE, allowNull: true },
+      consent_ip: { type: DataTypes.STRING(45), allowNull: true },
+      revoked_at: { type: DataTypes.DATE, allowNull: true },
+      revoked_by: userReference,
+      revoke_reason: { type: DataTypes.STRING(255), allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'guardian_links', ['student_id'], {
+      name: 'guardian_links_student_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'guardian_links', ['guardian_id'], {
+      name: 'guardian_links_guardian_id'
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'guardian_links', ['student_id', 'guardian_id'], {
+      name: 'guardian_links_student_guardian_active',
+      unique: true,
+      where: { status: 'ACTIVE' }
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'appointment_guardians', {
+      appointment_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'appointments', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      guardian_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'appointment_guardians', ['guardian_id'], {
+      name: 'appointment_guardians_guardian_id'
+    }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'appointments', 'booked_by', userReference, transaction);
+  },
+
+  // Postgres cannot drop an enum value, so GUARDIAN stays in enum_users_role
+  async down({ queryInterface, transaction }) {
+    await removeColumnIfExists(queryInterface, 'appointments', 'booked_by', transaction);
+    await dropTableIfExists(queryInterface, 'appointment_guardians', transaction);
+    await dropTableIfExists(queryInterface, 'guardian_links', transaction);
+    await dropEnumIfExists(queryInterface, 'guardian_links', 'status', transaction);
+    await dropEnumIfExists(queryInterface, 'guardian_links', 'invite_channel', transaction);
+  }
+};
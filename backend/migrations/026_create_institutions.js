@@ -0,0 +1,109 @@
+// Schools and colleges: the COORDINATOR user role, institutions and their
+// coordinators, bulk student imports with their row reports, and the
+// institution and class of each imported student.
+const {
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  removeIndexIfExists,
+  dropEnumIfExists
+} = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, sequelize, DataTypes, transaction }) {
+    await sequelize.query(`ALTER TYPE "enum_users_role" ADD VALUE IF NOT EXISTS 'COORDINATOR'`, { transaction });
+
+    await createTableIfMissing(queryInterface, 'institutions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      code: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+      name: { type: DataTypes.STRING(200), allowNull: false },
+      center_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'centers', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      city: { type: DataTypes.STRING(100), allowNull: true },
+      contact_email: { type: DataTypes.STRING(255), allowNull: true },
+      contact_number: { type: DataTypes.STRING(15), allowNull: true },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      created_at: { type: DataTypes.DATE, allowNull: false },
+      updated_at: { type: DataTypes.DATE, allowNull: true }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'institutions', ['center_id'], {
+      name: 'institutions_center_id'
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'institution_coordinators', {
+      user_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      institution_id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        references: { model: 'institutions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'institution_coordinators', ['institution_id'], {
+      name: 'institution_coordinators_institution_id'
+    }, transaction);
+
+    await createTableIfMissing(queryInterface, 'student_imports', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+      institution_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'institutions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      uploaded_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      file_name: { type: DataTypes.STRING(255), allowNull: true },
+      credential_channel: { type: DataTypes.ENUM('EMAIL', 'WHATSAPP'), allowNull: false },
+      total_rows: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      created_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      failed_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      report: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'student_imports', ['institution_id', 'created_at'], {
+      name: 'student_imports_institution_created'
+    }, transaction);
+
+    await addColumnIfMissing(queryInterface, 'students', 'institution_id', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'institutions', key: 'id' },
+      onDelete: 'SET NULL'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'students', 'class_name', {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    }, transaction);
+    await addIndexIfMissing(queryInterface, 'students', ['institution_id', 'class_name'], {
+      name: 'students_institution_class'
+    }, transaction);
+  },
+
+  // Postgres cannot drop an enum value, so COORDINATOR stays in enum_users_role
+  async down({ queryInterface, transaction }) {
+    await removeIndexIfExists(queryInterface, 'students_institution_class', transaction);
+    await removeColumnIfExists(queryInterface, 'students', 'class_name', transaction);
+    await removeColumnIfExists(queryInterface, 'students', 'institution_id', transaction);
+    await dropTableIfExists(queryInterface, 'student_imports', transaction);
+    await dropEnumIfExists(queryInterface, 'student_imports', 'credential_channel', transaction);
+    await dropTableIfExists(queryInterface, 'institution_coordinators', transaction);
+    await dropTableIfExists(queryInterface, 'institutions', transaction);
+  }
+};
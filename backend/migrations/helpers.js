@@ -0,0 +1,84 @@
+// Guards shared by the numbered migrations. Databases created before the
+// migration runner existed already have some of these tables and columns
+// (from sequelize.sync and the old startup patching), so every change checks
+// first and becomes a no-op when the object is already there.
+
+async function tableExists(queryInterface, tableName, transaction) {
+  return queryInterface.tableExists(tableName, { transaction });
+}
+
+async function columnExists(queryInterface, tableName, columnName, transaction) {
+  if (!(await tableExists(queryInterface, tableName, transaction))) {
+    return false;
+  }
+  const description = await queryInterface.describeTable(tableName, { transaction });
+  return !!description[columnName];
+}
+
+async function createTableIfMissing(queryInterface, tableName, attributes, transaction) {
+  if (await tableExists(queryInterface, tableName, transaction)) {
+    console.log(`ℹ️ Table ${tableName} already exists`);
+    return false;
+  }
+  await queryInterface.createTable(tableName, attributes, { transaction });
+  console.log(`✅ Created table ${tableName}`);
+  return true;
+}
+
+async function dropTableIfExists(queryInterface, tableName, transaction) {
+  await queryInterface.dropTable(tableName, { transaction });
+  console.log(`✅ Dropped table ${tableName}`);
+}
+
+async function addColumnIfMissing(queryInterface, tableName, columnName, definition, transaction) {
+  if (await columnExists(queryInterface, tableName, columnName, transaction)) {
+    console.log(`ℹ️ Column ${tableName}.${columnName} already exists`);
+    return false;
+  }
+  await queryInterface.addColumn(tableName, columnName, definition, { transaction });
+  console.log(`✅ Added column ${tableName}.${columnName}`);
+  return true;
+}
+
+async function removeColumnIfExists(queryInterface, tableName, columnName, transaction) {
+  if (!(await columnExists(queryInterface, tableName, columnName, transaction))) {
+    return false;
+  }
+  await queryInterface.removeColumn(tableName, columnName, { transaction });
+  console.log(`✅ Removed column ${tableName}.${columnName}`);
+  return true;
+}
+
+async function addIndexIfMissing(queryInterface, tableName, fields, options, transaction) {
+  const [rows] = await queryInterface.sequelize.query(
+    'SELECT 1 FROM pg_indexes WHERE tablename = :tableName AND indexname = :indexName',
+    { replacements: { tableName, indexName: options.name }, transaction }
+  );
+  if (rows.length > 0) {
+    return false;
+  }
+  await queryInterface.addIndex(tableName, fields, { ...options, transaction });
+  console.log(`✅ Added index ${options.name}`);
+  return true;
+}
+
+async function removeIndexIfExists(queryInterface, indexName, transaction) {
+  await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "${indexName}"`, { transaction });
+}
+
+// Sequelize names Postgres enum types "enum_<table>_<column>"; they outlive the column
+async function dropEnumIfExists(queryInterface, tableName, columnName, transaction) {
+  await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "enum_${tableName}_${columnName}"`, { transaction });
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+  createTableIfMissing,
+  dropTableIfExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  removeIndexIfExists,
+  dropEnumIfExists
+};
@@ -23,6 +23,16 @@ const Appointment = sequelize.define('Appointment', {
     },
     onDelete: 'CASCADE'
   },
+  counsellor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'The student\'s assigned counsellor when booked; null for older appointments'
+  },
   appointment_date: {
     type: DataTypes.DATE,
     allowNull: false
@@ -40,6 +50,47 @@ const Appointment = sequelize.define('Appointment', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  slot_start: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Booked slot as an instant; null for appointments made before slots existed'
+  },
+  slot_end: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reschedule_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  cancel_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  booked_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Who booked it when not the student (a guardian); null otherwise'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -54,7 +105,17 @@ const Appointment = sequelize.define('Appointment', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
-  underscored: true
+  underscored: true,
+  indexes: [
+    { fields: ['counsellor_id'], name: 'appointments_counsellor_id' },
+    // A counsellor's slot can hold one live booking
+    {
+      fields: ['counsellor_id', 'slot_start'],
+      name: 'appointments_counsellor_slot_active',
+      unique: true,
+      where: { status: ['PENDING', 'CONFIRMED'] }
+    }
+  ]
 });
 
 module.exports = { Appointment, AppointmentStatus };
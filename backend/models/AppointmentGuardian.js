@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Guardians attending an appointment; they get its notifications too
+const AppointmentGuardian = sequelize.define('AppointmentGuardian', {
+  appointment_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  guardian_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'appointment_guardians',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['guardian_id'], name: 'appointment_guardians_guardian_id' }
+  ]
+});
+
+module.exports = { AppointmentGuardian };
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const NotificationEvent = {
+  CONFIRMED: 'CONFIRMED',
+  CANCELLED: 'CANCELLED',
+  RESCHEDULED: 'RESCHEDULED',
+  REMINDER: 'REMINDER'
+};
+
+const NotificationChannel = {
+  EMAIL: 'EMAIL',
+  WHATSAPP: 'WHATSAPP'
+};
+
+const NotificationStatus = {
+  SENT: 'SENT',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED'
+};
+
+// One row per message sent (or attempted) about an appointment
+const AppointmentNotification = sequelize.define('AppointmentNotification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  recipient_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  job_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'jobs',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Job that sent it; a retried job skips recipients it already reached'
+  },
+  event: {
+    type: DataTypes.ENUM('CONFIRMED', 'CANCELLED', 'RESCHEDULED', 'REMINDER'),
+    allowNull: false
+  },
+  minutes_before: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'For reminders: how long before the start it was due'
+  },
+  channel: {
+    type: DataTypes.ENUM('EMAIL', 'WHATSAPP'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('SENT', 'FAILED', 'SKIPPED'),
+    allowNull: false
+  },
+  detail: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'appointment_notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['appointment_id'], name: 'appointment_notifications_appointment_id' },
+    { fields: ['job_id'], name: 'appointment_notifications_job_id' }
+  ]
+});
+
+module.exports = { AppointmentNotification, NotificationEvent, NotificationChannel, NotificationStatus };
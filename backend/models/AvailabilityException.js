@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const AvailabilityExceptionType = {
+  LEAVE: 'LEAVE',
+  HOLIDAY: 'HOLIDAY',
+  UNAVAILABLE: 'UNAVAILABLE'
+};
+
+// Time taken out of the weekly template (leave, holidays, meetings)
+const AvailabilityException = sequelize.define('AvailabilityException', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  counsellor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Null for a holiday that applies to every counsellor'
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  start_time: {
+    type: DataTypes.TIME,
+    allowNull: true,
+    comment: 'Null with end_time for the whole day'
+  },
+  end_time: {
+    type: DataTypes.TIME,
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('LEAVE', 'HOLIDAY', 'UNAVAILABLE'),
+    allowNull: false,
+    defaultValue: 'UNAVAILABLE'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'availability_exceptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['counsellor_id', 'date'], name: 'availability_exceptions_counsellor_id_date' },
+    { fields: ['date'], name: 'availability_exceptions_global_date', where: { counsellor_id: null } }
+  ]
+});
+
+module.exports = { AvailabilityException, AvailabilityExceptionType };
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Weekly working hours of a counsellor, cut into bookable slots. Times are
+// local to config.appointments.timezone.
+const AvailabilityTemplate = sequelize.define('AvailabilityTemplate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  counsellor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  weekday: {
+    type: DataTypes.SMALLINT,
+    allowNull: false,
+    comment: '0 = Sunday ... 6 = Saturday'
+  },
+  start_time: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  end_time: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  slot_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'availability_templates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['counsellor_id', 'weekday'], name: 'availability_templates_counsellor_id_weekday' }
+  ]
+});
+
+module.exports = { AvailabilityTemplate };
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const AssignmentMethod = {
+  AUTO: 'AUTO',
+  MANUAL: 'MANUAL'
+};
+
+// A student's primary counsellor. Reassigning ends the current row and starts
+// a new one, so the rows of a student are their assignment history.
+const CounsellorAssignment = sequelize.define('CounsellorAssignment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  counsellor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  method: {
+    type: DataTypes.ENUM('AUTO', 'MANUAL'),
+    allowNull: false,
+    defaultValue: 'MANUAL'
+  },
+  assigned_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Null when the system assigned the student on its own (e.g. at registration)'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  ended_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Null while this is the student\'s current assignment'
+  },
+  ended_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  end_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'counsellor_assignments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['student_id'], name: 'counsellor_assignments_active_student', unique: true, where: { ended_at: null } },
+    { fields: ['counsellor_id'], name: 'counsellor_assignments_active_counsellor', where: { ended_at: null } },
+    { fields: ['student_id', 'created_at'], name: 'counsellor_assignments_student_id_created_at' }
+  ]
+});
+
+module.exports = { CounsellorAssignment, AssignmentMethod };
@@ -1,6 +1,19 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../database');
 
+const NoteCategory = {
+  OBSERVATION: 'OBSERVATION',
+  RECOMMENDATION: 'RECOMMENDATION',
+  PARENT_COMMUNICATION: 'PARENT_COMMUNICATION'
+};
+
+// INTERNAL notes are staff-only; SHARED notes are also shown to the student
+const NoteVisibility = {
+  INTERNAL: 'INTERNAL',
+  SHARED: 'SHARED'
+};
+
+// Current state of a note; every change is also kept in counsellor_note_revisions
 const CounsellorNote = sequelize.define('CounsellorNote', {
   id: {
     type: DataTypes.INTEGER,
@@ -34,10 +47,71 @@ const CounsellorNote = sequelize.define('CounsellorNote', {
     },
     onDelete: 'CASCADE'
   },
+  parent_note_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'counsellor_notes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Set on replies'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  category: {
+    type: DataTypes.ENUM('OBSERVATION', 'RECOMMENDATION', 'PARENT_COMMUNICATION'),
+    allowNull: false,
+    defaultValue: 'OBSERVATION'
+  },
+  visibility: {
+    type: DataTypes.ENUM('INTERNAL', 'SHARED'),
+    allowNull: false,
+    defaultValue: 'INTERNAL'
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Latest revision number in counsellor_note_revisions'
+  },
+  is_pinned: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  pinned_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pinned_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  delete_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -52,8 +126,12 @@ const CounsellorNote = sequelize.define('CounsellorNote', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
-  underscored: true
+  underscored: true,
+  indexes: [
+    { fields: ['test_attempt_id'], name: 'counsellor_notes_test_attempt_id' },
+    { fields: ['parent_note_id'], name: 'counsellor_notes_parent_note_id' }
+  ]
 });
 
-module.exports = { CounsellorNote };
+module.exports = { CounsellorNote, NoteCategory, NoteVisibility };
 
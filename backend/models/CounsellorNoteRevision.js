@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const NoteAction = {
+  CREATED: 'CREATED',
+  EDITED: 'EDITED',
+  DELETED: 'DELETED'
+};
+
+// Append-only history of a counsellor note: one row per create, edit and delete
+const CounsellorNoteRevision = sequelize.define('CounsellorNoteRevision', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  note_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'counsellor_notes',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('CREATED', 'EDITED', 'DELETED'),
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Note text as of this revision'
+  },
+  category: {
+    type: DataTypes.ENUM('OBSERVATION', 'RECOMMENDATION', 'PARENT_COMMUNICATION'),
+    allowNull: false
+  },
+  visibility: {
+    type: DataTypes.ENUM('INTERNAL', 'SHARED'),
+    allowNull: false
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'counsellor_note_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    // Two concurrent edits of the same revision cannot both be saved
+    { fields: ['note_id', 'revision'], name: 'counsellor_note_revisions_note_revision', unique: true }
+  ]
+});
+
+module.exports = { CounsellorNoteRevision, NoteAction };
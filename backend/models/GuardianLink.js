@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const GuardianLinkStatus = {
+  PENDING: 'PENDING',
+  ACTIVE: 'ACTIVE',
+  REVOKED: 'REVOKED'
+};
+
+const GuardianInviteChannel = {
+  EMAIL: 'EMAIL',
+  WHATSAPP: 'WHATSAPP'
+};
+
+// A parent or guardian's access to one student: the invitation until accepted, then the consented link
+const GuardianLink = sequelize.define('GuardianLink', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  guardian_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Set when the invitation is accepted'
+  },
+  relationship: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'ACTIVE', 'REVOKED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  invited_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  invite_channel: {
+    type: DataTypes.ENUM('EMAIL', 'WHATSAPP'),
+    allowNull: false
+  },
+  invite_contact: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Email address or phone number the invitation went to'
+  },
+  invite_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    comment: 'SHA-256 of the token in the invitation link; cleared once used'
+  },
+  invite_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  consent_version: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  consent_given_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  consent_ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  revoke_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'guardian_links',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['student_id'], name: 'guardian_links_student_id' },
+    { fields: ['guardian_id'], name: 'guardian_links_guardian_id' },
+    // A guardian is linked to a student at most once at a time
+    {
+      fields: ['student_id', 'guardian_id'],
+      name: 'guardian_links_student_guardian_active',
+      unique: true,
+      where: { status: 'ACTIVE' }
+    }
+  ]
+});
+
+module.exports = { GuardianLink, GuardianLinkStatus, GuardianInviteChannel };
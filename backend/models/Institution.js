@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// A school or college whose students are onboarded in bulk and followed by its coordinators
+const Institution = sequelize.define('Institution', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'Short identifier, e.g. DPS-RKP'
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    comment: 'Copied to students.school_institute_name of its students'
+  },
+  center_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'centers',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Center imported students join, which decides their counsellor'
+  },
+  city: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  contact_email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  contact_number: {
+    type: DataTypes.STRING(15),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Inactive institutions take no imports but keep their students and dashboards'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'institutions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['center_id'], name: 'institutions_center_id' }
+  ]
+});
+
+module.exports = { Institution };
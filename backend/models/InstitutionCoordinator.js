@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Institutions a coordinator account looks after; limits which dashboards and imports they see
+const InstitutionCoordinator = sequelize.define('InstitutionCoordinator', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  institution_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'institutions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'institution_coordinators',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['institution_id'], name: 'institution_coordinators_institution_id' }
+  ]
+});
+
+module.exports = { InstitutionCoordinator };
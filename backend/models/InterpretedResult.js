@@ -95,6 +95,16 @@ const InterpretedResult = sequelize.define('InterpretedResult', {
     allowNull: true,
     comment: 'Cached RIASEC report with scores and report text'
   },
+  // Outcome of schema validation for the AI output behind each payload:
+  // { status: VALID|REPAIRED|REPROMPTED|FAILED|PROVIDER_ERROR, fallback_used, provider, model, repairs, errors, ... }
+  interpretation_validation: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  riasec_report_validation: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   interpretation_cache_key: {
     type: DataTypes.STRING(255),
     allowNull: true,
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const JobStatus = {
+  PENDING: 'PENDING',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  DEAD: 'DEAD'
+};
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Handler name, e.g. SCORE_ATTEMPT'
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'RUNNING', 'COMPLETED', 'DEAD'),
+    allowNull: false,
+    defaultValue: 'PENDING',
+    comment: 'DEAD jobs exhausted their attempts and are kept for inspection and manual retry'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  run_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Earliest time the job may be picked up; pushed forward on each failed attempt'
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  locked_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Worker id holding the job while RUNNING'
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  test_attempt_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'test_attempts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'run_at'], name: 'jobs_status_run_at' },
+    { fields: ['test_attempt_id', 'type'], name: 'jobs_test_attempt_id_type' },
+    {
+      fields: ['type', 'test_attempt_id'],
+      name: 'jobs_test_attempt_type_active',
+      unique: true,
+      where: { status: ['PENDING', 'RUNNING', 'COMPLETED'] }
+    }
+  ]
+});
+
+module.exports = { Job, JobStatus };
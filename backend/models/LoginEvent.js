@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const LoginEventType = {
+  SUCCESS: 'SUCCESS',
+  FAILURE: 'FAILURE',
+  // Rejected without checking the password because the account or IP was throttled
+  BLOCKED: 'BLOCKED',
+  LOCKED: 'LOCKED',
+  UNLOCKED: 'UNLOCKED'
+};
+
+const LoginEvent = sequelize.define('LoginEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  event: {
+    type: DataTypes.ENUM('SUCCESS', 'FAILURE', 'BLOCKED', 'LOCKED', 'UNLOCKED'),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Identifier as typed, kept even when no account matches'
+  },
+  ip_address: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Admin who cleared a lockout'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'login_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['created_at'], name: 'login_events_created_at' },
+    { fields: ['user_id', 'created_at'], name: 'login_events_user_id_created_at' },
+    { fields: ['ip_address', 'created_at'], name: 'login_events_ip_address_created_at' }
+  ]
+});
+
+module.exports = { LoginEvent, LoginEventType };
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const LoginOtp = sequelize.define('LoginOtp', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  contact_number: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  code_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'HMAC of the code; the code itself is never stored'
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'whatsapp or sms'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Wrong codes entered against this OTP'
+  },
+  consumed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the code is used, superseded or burned by too many wrong guesses'
+  },
+  requested_ip: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_otps',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['contact_number', 'created_at'], name: 'login_otps_contact_number_created_at' }
+  ]
+});
+
+module.exports = { LoginOtp };
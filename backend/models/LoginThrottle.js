@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Failed-login counters for the Postgres throttle store (services/loginThrottle/postgres.js)
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  key: {
+    type: DataTypes.STRING(300),
+    primaryKey: true,
+    comment: 'account:<email> or ip:<address>'
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  first_failure_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  last_failure_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  blocked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  locked: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'true for a lockout, false for a short progressive delay'
+  }
+}, {
+  tableName: 'login_throttles',
+  timestamps: false,
+  underscored: true
+});
+
+module.exports = { LoginThrottle };
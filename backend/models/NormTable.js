@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const NormTable = sequelize.define('NormTable', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  norm_version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'norm_versions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  dimension: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'section_N, R/I/A/S/E/C or overall'
+  },
+  current_education: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'NULL means all education levels'
+  },
+  stream: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'NULL means all streams'
+  },
+  sample_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantiles: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '101 score values at percentiles 0..100'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'norm_tables',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['norm_version_id', 'dimension'], name: 'norm_tables_norm_version_id_dimension' }
+  ]
+});
+
+module.exports = { NormTable };
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const NormVersionStatus = {
+  DRAFT: 'DRAFT',
+  ACTIVE: 'ACTIVE',
+  RETIRED: 'RETIRED'
+};
+
+const NormVersion = sequelize.define('NormVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('DRAFT', 'ACTIVE', 'RETIRED'),
+    allowNull: false,
+    defaultValue: 'DRAFT',
+    comment: 'Only one version is ACTIVE at a time; new scores are percentiled against it'
+  },
+  sample_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of completed test attempts the tables were built from'
+  },
+  built_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  frozen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when an admin freezes the version; frozen tables are never rebuilt'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  frozen_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'norm_versions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true
+});
+
+module.exports = { NormVersion, NormVersionStatus };
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const RolePermission = sequelize.define('RolePermission', {
+  role_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  permission_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'permissions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'role_permissions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = { RolePermission };
@@ -28,6 +28,20 @@ const Score = sequelize.define('Score', {
     type: DataTypes.FLOAT,
     allowNull: true
   },
+  scoring_method: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'ABILITY, LIKERT or COMPOSITE (overall)'
+  },
+  norm_version_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'norm_versions',
+      key: 'id'
+    },
+    comment: 'Norm version the percentile was computed against'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -1,6 +1,24 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../database');
 
+// How answers in a section are turned into a score.
+// ABILITY: right/wrong against Question.correct_answer (Intelligence, Aptitude)
+// LIKERT: A-E mapped to 1-5 (preference / interest sections)
+const ScoringMode = {
+  ABILITY: 'ABILITY',
+  LIKERT: 'LIKERT'
+};
+
+// When a section becomes available to a student within an attempt.
+// SEQUENTIAL: every earlier mandatory section is completed
+// PREVIOUS_SECTION: only the immediately preceding active section is completed
+// ALWAYS: available as soon as the attempt starts
+const UnlockRule = {
+  SEQUENTIAL: 'SEQUENTIAL',
+  PREVIOUS_SECTION: 'PREVIOUS_SECTION',
+  ALWAYS: 'ALWAYS'
+};
+
 const Section = sequelize.define('Section', {
   id: {
     type: DataTypes.INTEGER,
@@ -26,6 +44,51 @@ const Section = sequelize.define('Section', {
     allowNull: false,
     defaultValue: true
   },
+  scoring_mode: {
+    type: DataTypes.ENUM('ABILITY', 'LIKERT'),
+    allowNull: true,
+    comment: 'NULL falls back to ABILITY for sections 1-2 and LIKERT for the rest'
+  },
+  partial_credit: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'ABILITY only: honour weighted alternatives in correct_answer (e.g. "B,D:0.5")'
+  },
+  time_limit_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 420
+  },
+  questions_to_draw: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7,
+    comment: 'Questions randomly drawn per attempt; also the minimum approved pool size'
+  },
+  shuffle_questions: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Present drawn questions in a per-attempt random order instead of by id'
+  },
+  shuffle_options: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Present options in a per-attempt random order (option keys are unchanged)'
+  },
+  is_mandatory: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Optional sections can be skipped and are not required to complete the test'
+  },
+  unlock_rule: {
+    type: DataTypes.ENUM('SEQUENTIAL', 'PREVIOUS_SECTION', 'ALWAYS'),
+    allowNull: false,
+    defaultValue: 'SEQUENTIAL'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -43,5 +106,5 @@ const Section = sequelize.define('Section', {
   underscored: true
 });
 
-module.exports = { Section };
+module.exports = { Section, ScoringMode, UnlockRule };
 
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Who took part in a counselling session
+const SessionAttendee = {
+  STUDENT: 'STUDENT',
+  PARENT: 'PARENT',
+  GUARDIAN: 'GUARDIAN',
+  OTHER: 'OTHER'
+};
+
+// Who is responsible for a next step
+const NextStepOwner = {
+  STUDENT: 'STUDENT',
+  PARENT: 'PARENT',
+  COUNSELLOR: 'COUNSELLOR'
+};
+
+// Structured record of what happened in a completed appointment (one per appointment)
+const SessionOutcome = sequelize.define('SessionOutcome', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  student_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  counsellor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Counsellor who held the session; credited in productivity metrics'
+  },
+  recorded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  attendees: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'SessionAttendee values'
+  },
+  topics: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  recommended_direction: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Career direction recommended in the session'
+  },
+  next_steps: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ description, owner, due_date, completed }]'
+  },
+  follow_up_required: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  follow_up_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'session_outcomes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['student_id'], name: 'session_outcomes_student_id' },
+    { fields: ['counsellor_id'], name: 'session_outcomes_counsellor_id' },
+    { fields: ['follow_up_date'], name: 'session_outcomes_follow_up', where: { follow_up_required: true } }
+  ]
+});
+
+module.exports = { SessionOutcome, SessionAttendee, NextStepOwner };
@@ -67,6 +67,31 @@ const Student = sequelize.define('Student', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  center_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'centers',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Chosen at registration; null for students registered before centers existed'
+  },
+  institution_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'institutions',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Set for students imported through their school or college'
+  },
+  class_name: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Class or section within the institution, e.g. 10-A; groups the coordinator dashboard'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -81,7 +106,11 @@ const Student = sequelize.define('Student', {
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
-  underscored: true
+  underscored: true,
+  indexes: [
+    { fields: ['center_id'], name: 'students_center_id' },
+    { fields: ['institution_id', 'class_name'], name: 'students_institution_class' }
+  ]
 });
 
 module.exports = { Student };
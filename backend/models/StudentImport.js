@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const CredentialChannel = {
+  EMAIL: 'EMAIL',
+  WHATSAPP: 'WHATSAPP'
+};
+
+// One bulk student upload into an institution, with its row-by-row report
+const StudentImport = sequelize.define('StudentImport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  institution_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'institutions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  uploaded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  credential_channel: {
+    type: DataTypes.ENUM('EMAIL', 'WHATSAPP'),
+    allowNull: false,
+    comment: 'How the created students were sent their temporary passwords'
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  report: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'One entry per data row: { row, status: CREATED|FAILED, email, student_id, errors }'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'student_imports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['institution_id', 'created_at'], name: 'student_imports_institution_created' }
+  ]
+});
+
+module.exports = { StudentImport, CredentialChannel };
@@ -59,6 +59,30 @@ const TestAttempt = sequelize.define('TestAttempt', {
     allowNull: true,
     comment: 'Array of question IDs randomly selected for this test attempt'
   },
+  attempt_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  is_archived: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Set on earlier attempts when a retake starts; archived attempts are kept as history'
+  },
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  retake_entitlement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'retake_entitlements',
+      key: 'id'
+    },
+    comment: 'Entitlement consumed to start this attempt (NULL for the first attempt)'
+  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
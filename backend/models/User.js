@@ -4,7 +4,9 @@ const { sequelize } = require('../database');
 const UserRole = {
   STUDENT: 'STUDENT',
   COUNSELLOR: 'COUNSELLOR',
-  ADMIN: 'ADMIN'
+  ADMIN: 'ADMIN',
+  GUARDIAN: 'GUARDIAN',
+  COORDINATOR: 'COORDINATOR'
 };
 
 const User = sequelize.define('User', {
@@ -27,7 +29,7 @@ const User = sequelize.define('User', {
     allowNull: false
   },
   role: {
-    type: DataTypes.ENUM('STUDENT', 'COUNSELLOR', 'ADMIN'),
+    type: DataTypes.ENUM('STUDENT', 'COUNSELLOR', 'ADMIN', 'GUARDIAN', 'COORDINATOR'),
     allowNull: false,
     defaultValue: 'STUDENT'
   },
@@ -36,11 +38,6 @@ const User = sequelize.define('User', {
     allowNull: false,
     defaultValue: false
   },
-  center: {
-    type: DataTypes.ENUM('CG', 'SG', 'Maninagar', 'Surat', 'Rajkot'),
-    allowNull: true,
-    comment: 'Center location for counselors'
-  },
   created_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+// Extra roles granted to a user on top of the system role matching users.role
+const UserRoleAssignment = sequelize.define('UserRoleAssignment', {
+  user_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  role_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: 'roles',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  assigned_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'user_role_assignments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true
+});
+
+module.exports = { UserRoleAssignment };
@@ -8,12 +8,44 @@ const { Answer } = require('./Answer');
 const { Score } = require('./Score');
 const { InterpretedResult } = require('./InterpretedResult');
 const { Career } = require('./Career');
-const { CounsellorNote } = require('./CounsellorNote');
-const { Section } = require('./Section');
+const { CounsellorNote, NoteCategory, NoteVisibility } = require('./CounsellorNote');
+const { CounsellorNoteRevision, NoteAction } = require('./CounsellorNoteRevision');
+const { Section, ScoringMode, UnlockRule } = require('./Section');
 const { SectionProgress, SectionStatus } = require('./SectionProgress');
 const { QuestionApproval, ApprovalStatus } = require('./QuestionApproval');
 const TestAttemptQuestion = require('./TestAttemptQuestion');
 const { Appointment, AppointmentStatus } = require('./Appointment');
+const { NormVersion, NormVersionStatus } = require('./NormVersion');
+const { NormTable } = require('./NormTable');
+const { RetakeEntitlement } = require('./RetakeEntitlement');
+const { Job, JobStatus } = require('./Job');
+const { Session } = require('./Session');
+const { PasswordResetToken } = require('./PasswordResetToken');
+const { LoginEvent, LoginEventType } = require('./LoginEvent');
+const { LoginThrottle } = require('./LoginThrottle');
+const { LoginOtp } = require('./LoginOtp');
+const { Permission } = require('./Permission');
+const { Role } = require('./Role');
+const { RolePermission } = require('./RolePermission');
+const { UserRoleAssignment } = require('./UserRoleAssignment');
+const { Center } = require('./Center');
+const { UserCenter } = require('./UserCenter');
+const { CounsellorAssignment, AssignmentMethod } = require('./CounsellorAssignment');
+const { AvailabilityTemplate } = require('./AvailabilityTemplate');
+const { AvailabilityException, AvailabilityExceptionType } = require('./AvailabilityException');
+const {
+  AppointmentNotification,
+  NotificationEvent,
+  NotificationChannel,
+  NotificationStatus
+} = require('./AppointmentNotification');
+const { CalendarFeed } = require('./CalendarFeed');
+const { SessionOutcome, SessionAttendee, NextStepOwner } = require('./SessionOutcome');
+const { GuardianLink, GuardianLinkStatus, GuardianInviteChannel } = require('./GuardianLink');
+const { AppointmentGuardian } = require('./AppointmentGuardian');
+const { Institution } = require('./Institution');
+const { InstitutionCoordinator } = require('./InstitutionCoordinator');
+const { StudentImport, CredentialChannel } = require('./StudentImport');
 
 // Define associations
 User.hasOne(Student, { foreignKey: 'user_id', as: 'studentProfile' });
@@ -57,6 +89,11 @@ User.hasMany(CounsellorNote, { foreignKey: 'counsellor_id', as: 'counsellorNotes
 CounsellorNote.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
 CounsellorNote.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
 CounsellorNote.belongsTo(TestAttempt, { foreignKey: 'test_attempt_id', as: 'testAttempt' });
+CounsellorNote.hasMany(CounsellorNote, { foreignKey: 'parent_note_id', as: 'replies' });
+CounsellorNote.belongsTo(CounsellorNote, { foreignKey: 'parent_note_id', as: 'parent' });
+CounsellorNote.hasMany(CounsellorNoteRevision, { foreignKey: 'note_id', as: 'revisions' });
+CounsellorNoteRevision.belongsTo(CounsellorNote, { foreignKey: 'note_id', as: 'note' });
+CounsellorNoteRevision.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
 
 // Question Approval associations
 Question.hasMany(QuestionApproval, { foreignKey: 'question_id', as: 'approvals' });
@@ -68,6 +105,93 @@ User.hasMany(QuestionApproval, { foreignKey: 'approved_by', as: 'questionApprova
 User.hasMany(Appointment, { foreignKey: 'student_id', as: 'appointments' });
 Appointment.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
 
+// Retake associations
+User.hasMany(RetakeEntitlement, { foreignKey: 'student_id', as: 'retakeEntitlements' });
+RetakeEntitlement.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+RetakeEntitlement.belongsTo(User, { foreignKey: 'granted_by', as: 'grantedBy' });
+TestAttempt.belongsTo(RetakeEntitlement, { foreignKey: 'retake_entitlement_id', as: 'retakeEntitlement' });
+
+// Norm associations
+NormVersion.hasMany(NormTable, { foreignKey: 'norm_version_id', as: 'tables' });
+NormTable.belongsTo(NormVersion, { foreignKey: 'norm_version_id', as: 'normVersion' });
+
+// Job associations
+TestAttempt.hasMany(Job, { foreignKey: 'test_attempt_id', as: 'jobs' });
+Job.belongsTo(TestAttempt, { foreignKey: 'test_attempt_id', as: 'testAttempt' });
+
+// Session associations
+User.hasMany(Session, { foreignKey: 'user_id', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Password reset associations
+User.hasMany(PasswordResetToken, { foreignKey: 'user_id', as: 'passwordResetTokens' });
+PasswordResetToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Login audit associations
+User.hasMany(LoginEvent, { foreignKey: 'user_id', as: 'loginEvents' });
+LoginEvent.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+LoginEvent.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+User.hasMany(LoginOtp, { foreignKey: 'user_id', as: 'loginOtps' });
+LoginOtp.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Role / permission associations
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id', as: 'permissions' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id', as: 'roles' });
+User.belongsToMany(Role, { through: UserRoleAssignment, foreignKey: 'user_id', otherKey: 'role_id', as: 'assignedRoles' });
+Role.belongsToMany(User, { through: UserRoleAssignment, foreignKey: 'role_id', otherKey: 'user_id', as: 'users' });
+
+// Center associations
+Center.hasMany(Student, { foreignKey: 'center_id', as: 'students' });
+Student.belongsTo(Center, { foreignKey: 'center_id', as: 'center' });
+User.belongsToMany(Center, { through: UserCenter, foreignKey: 'user_id', otherKey: 'center_id', as: 'centers' });
+Center.belongsToMany(User, { through: UserCenter, foreignKey: 'center_id', otherKey: 'user_id', as: 'staff' });
+
+// Counsellor assignment associations
+User.hasMany(CounsellorAssignment, { foreignKey: 'student_id', as: 'counsellorAssignments' });
+CounsellorAssignment.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+CounsellorAssignment.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
+CounsellorAssignment.belongsTo(User, { foreignKey: 'assigned_by', as: 'assignedBy' });
+CounsellorAssignment.belongsTo(User, { foreignKey: 'ended_by', as: 'endedBy' });
+Appointment.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
+
+// Availability associations
+User.hasMany(AvailabilityTemplate, { foreignKey: 'counsellor_id', as: 'availabilityTemplates' });
+AvailabilityTemplate.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
+User.hasMany(AvailabilityException, { foreignKey: 'counsellor_id', as: 'availabilityExceptions' });
+AvailabilityException.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
+
+// Appointment notification and calendar feed associations
+Appointment.hasMany(AppointmentNotification, { foreignKey: 'appointment_id', as: 'notifications' });
+AppointmentNotification.belongsTo(Appointment, { foreignKey: 'appointment_id', as: 'appointment' });
+AppointmentNotification.belongsTo(User, { foreignKey: 'recipient_id', as: 'recipient' });
+User.hasOne(CalendarFeed, { foreignKey: 'user_id', as: 'calendarFeed' });
+CalendarFeed.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Session outcome associations
+Appointment.hasOne(SessionOutcome, { foreignKey: 'appointment_id', as: 'outcome' });
+SessionOutcome.belongsTo(Appointment, { foreignKey: 'appointment_id', as: 'appointment' });
+SessionOutcome.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+SessionOutcome.belongsTo(User, { foreignKey: 'counsellor_id', as: 'counsellor' });
+SessionOutcome.belongsTo(User, { foreignKey: 'recorded_by', as: 'recorder' });
+
+// Guardian associations
+User.hasMany(GuardianLink, { foreignKey: 'student_id', as: 'guardianLinks' });
+GuardianLink.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+GuardianLink.belongsTo(User, { foreignKey: 'guardian_id', as: 'guardian' });
+GuardianLink.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+Appointment.belongsToMany(User, { through: AppointmentGuardian, foreignKey: 'appointment_id', otherKey: 'guardian_id', as: 'guardians' });
+User.belongsToMany(Appointment, { through: AppointmentGuardian, foreignKey: 'guardian_id', otherKey: 'appointment_id', as: 'joinedAppointments' });
+
+// Institution associations
+Institution.belongsTo(Center, { foreignKey: 'center_id', as: 'center' });
+Institution.hasMany(Student, { foreignKey: 'institution_id', as: 'students' });
+Student.belongsTo(Institution, { foreignKey: 'institution_id', as: 'institution' });
+User.belongsToMany(Institution, { through: InstitutionCoordinator, foreignKey: 'user_id', otherKey: 'institution_id', as: 'institutions' });
+Institution.belongsToMany(User, { through: InstitutionCoordinator, foreignKey: 'institution_id', otherKey: 'user_id', as: 'coordinators' });
+Institution.hasMany(StudentImport, { foreignKey: 'institution_id', as: 'imports' });
+StudentImport.belongsTo(Institution, { foreignKey: 'institution_id', as: 'institution' });
+StudentImport.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
 module.exports = {
   User,
   UserRole,
@@ -82,13 +206,58 @@ module.exports = {
   InterpretedResult,
   Career,
   CounsellorNote,
+  NoteCategory,
+  NoteVisibility,
+  CounsellorNoteRevision,
+  NoteAction,
   Section,
+  ScoringMode,
+  UnlockRule,
   SectionProgress,
   SectionStatus,
   QuestionApproval,
   ApprovalStatus,
   TestAttemptQuestion,
   Appointment,
-  AppointmentStatus
+  AppointmentStatus,
+  NormVersion,
+  NormVersionStatus,
+  NormTable,
+  RetakeEntitlement,
+  Job,
+  JobStatus,
+  Session,
+  PasswordResetToken,
+  LoginEvent,
+  LoginEventType,
+  LoginThrottle,
+  LoginOtp,
+  Permission,
+  Role,
+  RolePermission,
+  UserRoleAssignment,
+  Center,
+  UserCenter,
+  CounsellorAssignment,
+  AssignmentMethod,
+  AvailabilityTemplate,
+  AvailabilityException,
+  AvailabilityExceptionType,
+  AppointmentNotification,
+  NotificationEvent,
+  NotificationChannel,
+  NotificationStatus,
+  CalendarFeed,
+  SessionOutcome,
+  SessionAttendee,
+  NextStepOwner,
+  GuardianLink,
+  GuardianLinkStatus,
+  GuardianInviteChannel,
+  AppointmentGuardian,
+  Institution,
+  InstitutionCoordinator,
+  StudentImport,
+  CredentialChannel
 };
 
@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { Op, Sequelize } = require('sequelize');
-const { User, UserRole, TestAttempt, TestStatus, Score, Career } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { User, UserRole, TestAttempt, TestStatus, Score, Career, InterpretedResult, UserCenter } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { getStudentScope, scopeStudentWhere, scopeAttemptWhere } = require('../services/studentAccess');
+const { getCounsellorProductivity } = require('../services/sessionOutcomes');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
 
 function calculateReadinessStatus(percentage) {
   if (percentage >= 80) {
@@ -15,21 +19,29 @@ function calculateReadinessStatus(percentage) {
 }
 
 // GET /admin/analytics
-router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('', getCurrentUser, requirePermission('analytics.view'), async (req, res) => {
   try {
+    // Center admins get the figures for their own centers only
+    const scope = await getStudentScope(req);
+
     // Count users by role
-    const totalStudents = await User.count({ where: { role: UserRole.STUDENT } });
-    const totalCounsellors = await User.count({ where: { role: UserRole.COUNSELLOR } });
+    const totalStudents = await User.count({ where: scopeStudentWhere({ role: UserRole.STUDENT }, scope) });
+    const counsellorWhere = { role: UserRole.COUNSELLOR };
+    if (scope !== null && scope.centerIds !== null) {
+      const memberships = await UserCenter.findAll({ where: { center_id: scope.centerIds }, attributes: ['user_id'] });
+      counsellorWhere.id = memberships.map(membership => membership.user_id);
+    }
+    const totalCounsellors = await User.count({ where: counsellorWhere });
 
     // Count test attempts
-    const totalAttempts = await TestAttempt.count();
+    const totalAttempts = await TestAttempt.count({ where: scopeStudentWhere({}, scope, 'student_id') });
     const completedAttempts = await TestAttempt.count({
-      where: { status: TestStatus.COMPLETED }
+      where: scopeStudentWhere({ status: TestStatus.COMPLETED }, scope, 'student_id')
     });
 
     // Calculate average score
     const avgScoreResult = await Score.findOne({
-      where: { dimension: 'overall' },
+      where: scopeAttemptWhere({ dimension: 'overall' }, scope),
       attributes: [[Sequelize.fn('AVG', Sequelize.col('score_value')), 'avg']],
       raw: true
     });
@@ -45,7 +57,7 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
 
     // Get all completed test attempts with scores
     const completedAttemptsList = await TestAttempt.findAll({
-      where: { status: TestStatus.COMPLETED }
+      where: scopeStudentWhere({ status: TestStatus.COMPLETED }, scope, 'student_id')
     });
 
     for (const attempt of completedAttemptsList) {
@@ -64,7 +76,15 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
 
     // Get career cluster distribution from Career model
     const careerClusterDistribution = {};
-    const careers = await Career.findAll();
+    const careers = await Career.findAll({
+      include: scope === null ? [] : [{
+        model: InterpretedResult,
+        as: 'interpretedResult',
+        attributes: [],
+        where: scopeAttemptWhere({}, scope),
+        required: true
+      }]
+    });
 
     for (const career of careers) {
       // Use category if available, otherwise use career_name
@@ -89,5 +109,41 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
   }
 });
 
+// GET /admin/analytics/counsellors - Session productivity per counsellor
+// Query: from?, to? (YYYY-MM-DD, inclusive; default the last 30 days)
+router.get('/counsellors', getCurrentUser, requirePermission('analytics.view'), async (req, res) => {
+  try {
+    const scope = await getStudentScope(req);
+    const today = new Date().toISOString().slice(0, 10);
+    const to = DATE.test(req.query.to || '') ? req.query.to : today;
+    const from = DATE.test(req.query.from || '') ? req.query.from : new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (from > to) {
+      return res.status(400).json({ detail: 'from must not be after to' });
+    }
+    const toExclusive = new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const counsellors = await getCounsellorProductivity({
+      from,
+      to: toExclusive,
+      centerIds: scope === null ? null : scope.centerIds,
+      counsellorId: scope === null ? null : scope.counsellorId
+    });
+
+    const totals = counsellors.reduce((sum, counsellor) => ({
+      completed_sessions: sum.completed_sessions + counsellor.completed_sessions,
+      outcomes_recorded: sum.outcomes_recorded + counsellor.outcomes_recorded,
+      follow_ups_flagged: sum.follow_ups_flagged + counsellor.follow_ups_flagged,
+      next_steps_agreed: sum.next_steps_agreed + counsellor.next_steps_agreed
+    }), { completed_sessions: 0, outcomes_recorded: 0, follow_ups_flagged: 0, next_steps_agreed: 0 });
+
+    return res.json({ from, to, totals, counsellors });
+  } catch (error) {
+    console.error(`❌ Error in get_counsellor_productivity: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get counsellor productivity'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser, requirePermission, loadPermissions } = require('../middleware/auth');
+const { getCenterScope } = require('../services/centers');
+const { canAccessStudent } = require('../services/studentAccess');
+const {
+  formatAssignment,
+  getActiveAssignment,
+  assignCounsellor,
+  autoAssignStudent,
+  endAssignment,
+  autoAssignUnassigned,
+  getCaseloadSummary,
+  listCaseload,
+  getAssignmentHistory
+} = require('../services/assignments');
+
+function formatCaseloadEntry(assignment) {
+  const student = assignment.student;
+  return {
+    assignment_id: assignment.id,
+    student_id: assignment.student_id,
+    full_name: student ? student.full_name : null,
+    email: student ? student.email : null,
+    contact_number: student && student.studentProfile ? student.studentProfile.contact_number : null,
+    center_id: student && student.studentProfile ? student.studentProfile.center_id : null,
+    method: assignment.method,
+    assigned_at: assignment.created_at
+  };
+}
+
+// GET /admin/assignments/caseloads - Counsellors with their number of current students
+router.get('/caseloads', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    let centerIds = await getCenterScope(req);
+    if (req.query.center_id) {
+      const centerId = parseInt(req.query.center_id, 10);
+      centerIds = centerIds === null || centerIds.includes(centerId) ? [centerId] : [];
+    }
+
+    const counsellors = await getCaseloadSummary({ centerIds });
+    return res.json({ counsellors });
+  } catch (error) {
+    console.error('❌ Error fetching caseloads:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch caseloads' });
+  }
+});
+
+// GET /admin/assignments/caseloads/:counsellorId - A counsellor's current students (within the caller's centers)
+router.get('/caseloads/:counsellorId', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    const counsellorId = parseInt(req.params.counsellorId, 10);
+    const assignments = await listCaseload(counsellorId);
+
+    const students = [];
+    for (const assignment of assignments) {
+      if (await canAccessStudent(req, assignment.student_id)) {
+        students.push(formatCaseloadEntry(assignment));
+      }
+    }
+
+    return res.json({ counsellor_id: counsellorId, total: students.length, students });
+  } catch (error) {
+    console.error('❌ Error fetching caseload:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch caseload' });
+  }
+});
+
+// GET /admin/assignments/students/:studentId - Current counsellor and assignment history
+router.get('/students/:studentId', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const history = await getAssignmentHistory(studentId);
+    return res.json({
+      student_id: studentId,
+      current: formatAssignment(history.find(assignment => !assignment.ended_at)),
+      history: history.map(formatAssignment)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching assignment history:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch assignment history' });
+  }
+});
+
+// PUT /admin/assignments/students/:studentId - Assign or reassign a student's counsellor
+// Body: { counsellor_id, reason?, override? } - override allows a counsellor from another
+// center and needs the centers.all permission
+router.put('/students/:studentId', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    const counsellorId = parseInt(req.body.counsellor_id, 10);
+    const override = req.body.override === true;
+
+    if (isNaN(counsellorId)) {
+      return res.status(400).json({ detail: 'counsellor_id is required' });
+    }
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+    if (override && !(await loadPermissions(req)).has('centers.all')) {
+      return res.status(403).json({ detail: 'Not enough permissions to assign a counsellor from another center' });
+    }
+
+    const { assignment, changed, error } = await assignCounsellor(studentId, counsellorId, {
+      assignedBy: req.user.id,
+      reason: req.body.reason || null,
+      allowOtherCenter: override
+    });
+    if (error) {
+      return res.status(error === 'Student not found' ? 404 : 400).json({ detail: error });
+    }
+
+    if (changed) {
+      console.log(`✅ ${req.user.email} assigned student ${studentId} to counsellor ${counsellorId}${override ? ' (override)' : ''}`);
+    }
+    return res.json({ changed, assignment: formatAssignment(assignment) });
+  } catch (error) {
+    console.error('❌ Error assigning counsellor:', error.message);
+    return res.status(500).json({ detail: 'Failed to assign counsellor' });
+  }
+});
+
+// DELETE /admin/assignments/students/:studentId - Remove the student's counsellor. Body: { reason? }
+router.delete('/students/:studentId', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const ended = await endAssignment(studentId, { endedBy: req.user.id, reason: req.body && req.body.reason });
+    if (!ended) {
+      return res.status(404).json({ detail: 'Student has no counsellor assigned' });
+    }
+
+    console.log(`✅ ${req.user.email} unassigned student ${studentId} from counsellor ${ended.counsellor_id}`);
+    return res.json({ assignment: formatAssignment(ended) });
+  } catch (error) {
+    console.error('❌ Error removing assignment:', error.message);
+    return res.status(500).json({ detail: 'Failed to remove assignment' });
+  }
+});
+
+// POST /admin/assignments/students/:studentId/auto - Auto-assign one student by center and load
+router.post('/students/:studentId/auto', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const { assignment, changed, error } = await autoAssignStudent(studentId, { assignedBy: req.user.id });
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+    return res.json({ changed, assignment: formatAssignment(assignment || await getActiveAssignment(studentId)) });
+  } catch (error) {
+    console.error('❌ Error auto-assigning student:', error.message);
+    return res.status(500).json({ detail: 'Failed to auto-assign student' });
+  }
+});
+
+// POST /admin/assignments/auto - Auto-assign every unassigned student. Body: { center_id? }
+router.post('/auto', getCurrentUser, requirePermission('assignments.manage'), async (req, res) => {
+  try {
+    let centerIds = await getCenterScope(req);
+    if (req.body.center_id !== undefined) {
+      const centerId = parseInt(req.body.center_id, 10);
+      centerIds = centerIds === null || centerIds.includes(centerId) ? [centerId] : [];
+    }
+
+    const { assigned, unassigned } = await autoAssignUnassigned({ centerIds, assignedBy: req.user.id });
+    console.log(`✅ Auto-assignment by ${req.user.email}: ${assigned.length} assigned, ${unassigned.length} without an available counsellor`);
+    return res.json({
+      assigned: assigned.length,
+      unassigned: unassigned.length,
+      unassigned_student_ids: unassigned
+    });
+  } catch (error) {
+    console.error('❌ Error running auto-assignment:', error.message);
+    return res.status(500).json({ detail: 'Failed to run auto-assignment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { User, UserRole, Student, Center, UserCenter } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { autoAssignStudent, formatAssignment } = require('../services/assignments');
+
+const CENTER_CODE = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,49}$/;
+
+function formatCenter(center) {
+  return {
+    id: center.id,
+    code: center.code,
+    name: center.name,
+    address: center.address,
+    contact_number: center.contact_number,
+    is_active: center.is_active,
+    created_at: center.created_at,
+    updated_at: center.updated_at
+  };
+}
+
+// Count rows per center_id for a model
+async function countByCenter(model) {
+  const rows = await model.findAll({
+    where: { center_id: { [Op.ne]: null } },
+    attributes: ['center_id', [model.sequelize.fn('COUNT', model.sequelize.col('center_id')), 'count']],
+    group: ['center_id'],
+    raw: true
+  });
+  return Object.fromEntries(rows.map(row => [row.center_id, parseInt(row.count, 10)]));
+}
+
+// GET /admin/centers - All centers with student and staff counts
+router.get('/', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const centers = await Center.findAll({ order: [['name', 'ASC']] });
+    const studentCounts = await countByCenter(Student);
+    const staffCounts = await countByCenter(UserCenter);
+
+    return res.json(centers.map(center => ({
+      ...formatCenter(center),
+      student_count: studentCounts[center.id] || 0,
+      staff_count: staffCounts[center.id] || 0
+    })));
+  } catch (error) {
+    console.error('❌ Error listing centers:', error.message);
+    return res.status(500).json({ detail: 'Failed to list centers' });
+  }
+});
+
+// POST /admin/centers - Create a center. Body: { code, name, address?, contact_number? }
+router.post('/', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const { code, name, address, contact_number } = req.body;
+    if (!code || !CENTER_CODE.test(code)) {
+      return res.status(400).json({ detail: 'code must be 1-50 characters: letters, digits, spaces, - or _' });
+    }
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ detail: 'name is required' });
+    }
+
+    const existing = await Center.findOne({ where: { code } });
+    if (existing) {
+      return res.status(400).json({ detail: 'A center with this code already exists' });
+    }
+
+    const center = await Center.create({
+      code,
+      name: String(name).trim(),
+      address: address || null,
+      contact_number: contact_number || null
+    });
+
+    console.log(`✅ Center created: ${center.code} by ${req.user.email}`);
+    return res.status(201).json(formatCenter(center));
+  } catch (error) {
+    console.error('❌ Error creating center:', error.message);
+    return res.status(500).json({ detail: 'Failed to create center' });
+  }
+});
+
+// PUT /admin/centers/:id - Update name, address, contact number or is_active (the code is fixed)
+router.put('/:id', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const center = await Center.findByPk(parseInt(req.params.id, 10));
+    if (!center) {
+      return res.status(404).json({ detail: 'Center not found' });
+    }
+
+    const { name, address, contact_number, is_active } = req.body;
+    const updateData = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ detail: 'name cannot be empty' });
+      }
+      updateData.name = String(name).trim();
+    }
+    if (address !== undefined) updateData.address = address || null;
+    if (contact_number !== undefined) updateData.contact_number = contact_number || null;
+    if (is_active !== undefined) updateData.is_active = !!is_active;
+
+    await center.update(updateData);
+    console.log(`✅ Center updated: ${center.code} by ${req.user.email}`);
+    return res.json(formatCenter(center));
+  } catch (error) {
+    console.error('❌ Error updating center:', error.message);
+    return res.status(500).json({ detail: 'Failed to update center' });
+  }
+});
+
+// DELETE /admin/centers/:id - Delete a center with no students (deactivate it otherwise)
+router.delete('/:id', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const center = await Center.findByPk(parseInt(req.params.id, 10));
+    if (!center) {
+      return res.status(404).json({ detail: 'Center not found' });
+    }
+
+    const studentCount = await Student.count({ where: { center_id: center.id } });
+    if (studentCount > 0) {
+      return res.status(400).json({
+        detail: `Center has ${studentCount} student(s); move them or set is_active to false instead`
+      });
+    }
+
+    await center.destroy();
+    console.log(`✅ Center deleted: ${center.code} by ${req.user.email}`);
+    return res.json({ message: 'Center deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting center:', error.message);
+    return res.status(500).json({ detail: 'Failed to delete center' });
+  }
+});
+
+// GET /admin/centers/:id/staff - Staff linked to a center
+router.get('/:id/staff', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const center = await Center.findByPk(parseInt(req.params.id, 10), {
+      include: [{
+        model: User,
+        as: 'staff',
+        attributes: ['id', 'email', 'full_name', 'role'],
+        through: { attributes: ['created_at'] }
+      }]
+    });
+    if (!center) {
+      return res.status(404).json({ detail: 'Center not found' });
+    }
+
+    return res.json({
+      center_id: center.id,
+      staff: center.staff.map(user => ({
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        linked_at: user.UserCenter.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing center staff:', error.message);
+    return res.status(500).json({ detail: 'Failed to list center staff' });
+  }
+});
+
+// PUT /admin/centers/students/:studentId - Move a student to a center. Body: { center_id }
+// (staff centers are set through /admin/users)
+router.put('/students/:studentId', getCurrentUser, requirePermission('centers.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    const student = await Student.findOne({
+      where: { user_id: studentId },
+      include: [{ model: User, as: 'user', where: { role: UserRole.STUDENT }, attributes: ['id', 'email'] }]
+    });
+    if (!student) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const center = await Center.findByPk(parseInt(req.body.center_id, 10));
+    if (!center) {
+      return res.status(400).json({ detail: 'center_id must reference an existing center' });
+    }
+
+    await student.update({ center_id: center.id });
+    console.log(`✅ Student ${student.user.email} moved to center ${center.code} by ${req.user.email}`);
+
+    // Hand the student to a counsellor of the new center if theirs doesn't work there
+    // (a manual assignment is kept; reassign it through /admin/assignments)
+    const { assignment, error } = await autoAssignStudent(studentId, {
+      assignedBy: req.user.id,
+      reason: `Moved to center ${center.code}`
+    });
+    if (error) {
+      console.warn(`⚠️ Student ${studentId} kept their counsellor after moving: ${error}`);
+    }
+
+    return res.json({
+      student_id: studentId,
+      center_id: center.id,
+      center: center.code,
+      assignment: formatAssignment(assignment)
+    });
+  } catch (error) {
+    console.error('❌ Error moving student:', error.message);
+    return res.status(500).json({ detail: 'Failed to move student' });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { User, UserRole, Counsellor } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
-const { getPasswordHash } = require('../middleware/password');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { getPasswordHash, generateTemporaryPassword } = require('../middleware/password');
 const { sendCounsellorCredentials } = require('../services/emailService');
 const { sendWhatsAppMessage } = require('../services/whatsappService');
+const { resolveCenters, setUserCenters } = require('../services/centers');
 
-function generateTemporaryPassword() {
-  const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-  const numbers = '0123456789';
-  const special = '@#$%';
-  
-  let password = '';
-  password += uppercase[Math.floor(Math.random() * uppercase.length)];
-  password += lowercase[Math.floor(Math.random() * lowercase.length)];
-  password += numbers[Math.floor(Math.random() * numbers.length)];
-  password += special[Math.floor(Math.random() * special.length)];
-  
-  const allChars = uppercase + lowercase + numbers + special;
-  for (let i = password.length; i < 8; i++) {
-    password += allChars[Math.floor(Math.random() * allChars.length)];
-  }
-  
-  return password.split('').sort(() => Math.random() - 0.5).join('');
-}
-
-router.post('', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { name, email, phone_number } = req.body;
+    const { name, email, phone_number, center_ids = [] } = req.body;
 
     if (!name || !email) {
       return res.status(400).json({
@@ -49,6 +30,19 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
       });
     }
 
+    // Counsellors only see students of their centers
+    if (!Array.isArray(center_ids) || center_ids.length === 0) {
+      return res.status(400).json({
+        detail: 'center_ids must list at least one center'
+      });
+    }
+    const { centers, unknown } = await resolveCenters(center_ids);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        detail: `Unknown center(s): ${unknown.join(', ')}`
+      });
+    }
+
     const tempPassword = generateTemporaryPassword();
     const hashedPassword = await getPasswordHash(tempPassword);
 
@@ -67,6 +61,8 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
         user_id: newUser.id
       }, { transaction });
 
+      await setUserCenters(newUser.id, centers.map(center => center.id), { transaction });
+
       await transaction.commit();
 
       const loginUrl = process.env.FRONTEND_URL 
@@ -103,7 +99,8 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
           id: newUser.id,
           email: newUser.email,
           full_name: newUser.full_name,
-          role: newUser.role
+          role: newUser.role,
+          centers: centers.map(center => center.code)
         },
         notifications: {
           email_sent: emailSent,
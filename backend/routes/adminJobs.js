@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { Job, JobStatus } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { retryDeadJob } = require('../services/jobQueue');
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    test_attempt_id: job.test_attempt_id,
+    payload: job.payload,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    run_at: job.run_at,
+    locked_at: job.locked_at,
+    locked_by: job.locked_by,
+    last_error: job.last_error,
+    completed_at: job.completed_at,
+    created_at: job.created_at
+  };
+}
+
+// GET /admin/jobs - List background jobs (?status=DEAD to see the dead-letter queue)
+router.get('/', getCurrentUser, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({ detail: 'page must be >= 1 and limit between 1 and 100' });
+    }
+
+    const where = {};
+    if (req.query.status) {
+      const status = String(req.query.status).toUpperCase();
+      if (!Object.values(JobStatus).includes(status)) {
+        return res.status(400).json({ detail: `status must be one of ${Object.values(JobStatus).join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (req.query.type) {
+      where.type = String(req.query.type);
+    }
+    if (req.query.test_attempt_id) {
+      where.test_attempt_id = parseInt(req.query.test_attempt_id, 10);
+    }
+
+    const { count, rows } = await Job.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return res.json({
+      jobs: rows.map(formatJob),
+      total: count,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error(`❌ Error in list_jobs: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch jobs' });
+  }
+});
+
+// POST /admin/jobs/:id/retry - Re-queue a DEAD job
+router.post('/:id/retry', getCurrentUser, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const { job, error } = await retryDeadJob(parseInt(req.params.id, 10));
+    if (error) {
+      return res.status(job ? 400 : 404).json({ detail: error });
+    }
+
+    console.log(`✅ Job ${job.id} re-queued by admin ${req.user.id}`);
+    return res.json(formatJob(job));
+  } catch (error) {
+    console.error(`❌ Error in retry_job: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
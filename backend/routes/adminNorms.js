@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const { NormVersion, NormVersionStatus, NormTable } = require('../models');
+const { sequelize } = require('../database');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { buildNormTables } = require('../services/norms');
+
+function formatNormVersion(normVersion, tableCount) {
+  return {
+    id: normVersion.id,
+    label: normVersion.label,
+    status: normVersion.status,
+    is_frozen: !!normVersion.frozen_at,
+    sample_size: normVersion.sample_size,
+    table_count: tableCount,
+    built_at: normVersion.built_at,
+    frozen_at: normVersion.frozen_at,
+    created_by: normVersion.created_by,
+    frozen_by: normVersion.frozen_by,
+    created_at: normVersion.created_at
+  };
+}
+
+// GET /admin/norms - List norm versions
+router.get('/', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  try {
+    const versions = await NormVersion.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    const counts = await NormTable.findAll({
+      attributes: ['norm_version_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['norm_version_id'],
+      raw: true
+    });
+    const countByVersion = {};
+    for (const row of counts) {
+      countByVersion[row.norm_version_id] = parseInt(row.count, 10);
+    }
+
+    return res.json({
+      norm_versions: versions.map(v => formatNormVersion(v, countByVersion[v.id] || 0))
+    });
+  } catch (error) {
+    console.error(`❌ Error in list_norm_versions: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch norm versions' });
+  }
+});
+
+// POST /admin/norms - Create a DRAFT norm version built from completed attempts
+router.post('/', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  try {
+    const label = req.body.label ? String(req.body.label).trim() : '';
+    if (!label) {
+      return res.status(400).json({ detail: 'label is required' });
+    }
+
+    const normVersion = await NormVersion.create({
+      label,
+      status: NormVersionStatus.DRAFT,
+      created_by: req.user.id
+    });
+
+    const tableCount = await buildNormTables(normVersion);
+    console.log(`✅ Norm version ${normVersion.id} created by admin ${req.user.id}`);
+
+    return res.status(201).json(formatNormVersion(normVersion, tableCount));
+  } catch (error) {
+    console.error(`❌ Error in create_norm_version: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to create norm version' });
+  }
+});
+
+// GET /admin/norms/:id - Norm version with its percentile tables
+router.get('/:id', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  try {
+    const normVersion = await NormVersion.findByPk(parseInt(req.params.id, 10));
+    if (!normVersion) {
+      return res.status(404).json({ detail: 'Norm version not found' });
+    }
+
+    const tables = await NormTable.findAll({
+      where: { norm_version_id: normVersion.id },
+      order: [['dimension', 'ASC'], ['current_education', 'ASC'], ['stream', 'ASC']]
+    });
+
+    return res.json({
+      ...formatNormVersion(normVersion, tables.length),
+      tables: tables.map(t => ({
+        dimension: t.dimension,
+        current_education: t.current_education,
+        stream: t.stream,
+        sample_size: t.sample_size,
+        quantiles: t.quantiles
+      }))
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_norm_version: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch norm version' });
+  }
+});
+
+// POST /admin/norms/:id/rebuild - Recompute tables of a DRAFT version
+router.post('/:id/rebuild', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  try {
+    const normVersion = await NormVersion.findByPk(parseInt(req.params.id, 10));
+    if (!normVersion) {
+      return res.status(404).json({ detail: 'Norm version not found' });
+    }
+    if (normVersion.frozen_at) {
+      return res.status(400).json({ detail: 'Frozen norm versions cannot be rebuilt' });
+    }
+
+    const tableCount = await buildNormTables(normVersion);
+    return res.json(formatNormVersion(normVersion, tableCount));
+  } catch (error) {
+    console.error(`❌ Error in rebuild_norm_version: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to rebuild norm version' });
+  }
+});
+
+// POST /admin/norms/:id/freeze - Freeze a version and make it the active one.
+// The previously active version is retired; existing scores keep the
+// percentile they were given, new scores use the frozen tables.
+router.post('/:id/freeze', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const normVersion = await NormVersion.findByPk(parseInt(req.params.id, 10), { transaction });
+    if (!normVersion) {
+      await transaction.rollback();
+      return res.status(404).json({ detail: 'Norm version not found' });
+    }
+    if (normVersion.frozen_at) {
+      await transaction.rollback();
+      return res.status(400).json({ detail: 'Norm version is already frozen' });
+    }
+
+    const tableCount = await NormTable.count({ where: { norm_version_id: normVersion.id }, transaction });
+    if (tableCount === 0) {
+      await transaction.rollback();
+      return res.status(400).json({ detail: 'Norm version has no tables. Rebuild it once completed attempts exist.' });
+    }
+
+    await NormVersion.update(
+      { status: NormVersionStatus.RETIRED },
+      { where: { status: NormVersionStatus.ACTIVE }, transaction }
+    );
+
+    await normVersion.update({
+      status: NormVersionStatus.ACTIVE,
+      frozen_at: new Date(),
+      frozen_by: req.user.id
+    }, { transaction });
+
+    await transaction.commit();
+    console.log(`✅ Norm version ${normVersion.id} frozen and activated by admin ${req.user.id}`);
+
+    return res.json(formatNormVersion(normVersion, tableCount));
+  } catch (error) {
+    await transaction.rollback();
+    console.error(`❌ Error in freeze_norm_version: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to freeze norm version' });
+  }
+});
+
+// DELETE /admin/norms/:id - Delete a DRAFT version
+router.delete('/:id', getCurrentUser, requirePermission('norms.manage'), async (req, res) => {
+  try {
+    const normVersion = await NormVersion.findByPk(parseInt(req.params.id, 10));
+    if (!normVersion) {
+      return res.status(404).json({ detail: 'Norm version not found' });
+    }
+    if (normVersion.frozen_at) {
+      return res.status(400).json({ detail: 'Frozen norm versions cannot be deleted' });
+    }
+
+    await normVersion.destroy();
+    return res.json({ message: 'Norm version deleted successfully' });
+  } catch (error) {
+    console.error(`❌ Error in delete_norm_version: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to delete norm version' });
+  }
+});
+
+module.exports = router;
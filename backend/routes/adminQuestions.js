@@ -1,36 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const XLSX = require('xlsx');
 const { Op, Sequelize } = require('sequelize');
 const { Question, QuestionType, Section, QuestionApproval, ApprovalStatus } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
-
-// ============================================
-// EXCEL UPLOAD CONFIGURATION
-// ============================================
-
-// Configure multer for file uploads (memory storage)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept both .xlsx and .csv files
-    const isExcel = file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || 
-                    file.originalname.endsWith('.xlsx');
-    const isCSV = file.mimetype === 'text/csv' || 
-                  file.mimetype === 'application/vnd.ms-excel' ||
-                  file.originalname.endsWith('.csv');
-    
-    if (isExcel || isCSV) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .xlsx or .csv files are allowed'), false);
-    }
-  }
-});
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { spreadsheetUpload, readSpreadsheet, mapColumns } = require('../services/spreadsheet');
 
 // ============================================
 // PERFORMANCE OPTIMIZATION HELPERS
@@ -152,7 +125,7 @@ function formatOptionsToString(options) {
 
 // GET /admin/questions/sections/list - Get all sections for dropdown
 // IMPORTANT: This route must be defined BEFORE /:id and '' to avoid route conflicts
-router.get('/sections/list', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/sections/list', getCurrentUser, requirePermission('questions.view'), async (req, res) => {
   try {
     const sections = await Section.findAll({
       where: { is_active: true },
@@ -183,7 +156,7 @@ router.get('/sections/list', getCurrentUser, requireAdmin, async (req, res) => {
 
 // POST /admin/questions/upload-excel - Upload questions from Excel file
 // IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
-router.post('/upload-excel', getCurrentUser, requireAdmin, upload.single('file'), async (req, res) => {
+router.post('/upload-excel', getCurrentUser, requirePermission('questions.manage'), spreadsheetUpload.single('file'), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -196,65 +169,15 @@ router.post('/upload-excel', getCurrentUser, requireAdmin, upload.single('file')
       });
     }
 
-    const isCSV = req.file.originalname.endsWith('.csv') || req.file.mimetype === 'text/csv';
-    const fileType = isCSV ? 'CSV' : 'Excel';
-    
+    const { fileType, rows, error: fileError, parseError } = readSpreadsheet(req.file);
+
     console.log(`📥 ${fileType} upload started by admin ${adminUser.id}`);
     console.log(`📄 File: ${req.file.originalname}, Size: ${req.file.size} bytes, Type: ${fileType}`);
 
-    // Parse file (XLSX library can handle both Excel and CSV)
-    let workbook;
-    try {
-      if (isCSV) {
-        // Parse CSV file - handle different encodings
-        let csvString;
-        try {
-          csvString = req.file.buffer.toString('utf8');
-        } catch (encodingError) {
-          // Try with different encoding if UTF-8 fails
-          csvString = req.file.buffer.toString('latin1');
-        }
-        
-        // XLSX.read can parse CSV directly - use CSV parsing options
-        workbook = XLSX.read(csvString, { 
-          type: 'string',
-          codepage: 65001, // UTF-8
-          cellDates: false,
-          cellNF: false,
-          cellText: false
-        });
-      } else {
-        // Parse Excel file
-        workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-      }
-    } catch (parseError) {
-      console.error(`❌ Error parsing ${fileType} file:`, parseError.message);
-      console.error('❌ Parse error stack:', parseError.stack);
+    if (fileError) {
       return res.status(400).json({
-        detail: `Invalid ${fileType} file. Please ensure the file is a valid .${isCSV ? 'csv' : 'xlsx'} format.`,
-        error: process.env.NODE_ENV === 'development' ? parseError.message : undefined
-      });
-    }
-
-    // Get first sheet
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    
-    if (!worksheet) {
-      return res.status(400).json({
-        detail: `${fileType} file is empty or has no data`
-      });
-    }
-
-    // Convert sheet to JSON
-    const rows = XLSX.utils.sheet_to_json(worksheet, { 
-      defval: null, // Use null for empty cells
-      raw: false // Convert all values to strings
-    });
-
-    if (!rows || rows.length === 0) {
-      return res.status(400).json({
-        detail: `${fileType} file contains no data rows`
+        detail: fileError,
+        error: process.env.NODE_ENV === 'development' ? parseError : undefined
       });
     }
 
@@ -263,19 +186,13 @@ router.post('/upload-excel', getCurrentUser, requireAdmin, upload.single('file')
     // Expected column names (case-insensitive matching)
     const expectedColumns = ['question', 'section', 'type', 'difficulty', 'status', 'source', 'options', 'correct_answer', 'category'];
     
-    // Get column mapping from first row (normalize to lowercase for matching)
-    const firstRow = rows[0];
-    const columnMap = {};
-    const columnKeys = Object.keys(firstRow);
-    
-    console.log(`📋 Found columns in Excel: ${columnKeys.join(', ')}`);
-    
     // Map columns (case-insensitive)
+    const { columnMap, columnKeys } = mapColumns(rows, expectedColumns);
+
+    console.log(`📋 Found columns in Excel: ${columnKeys.join(', ')}`);
     expectedColumns.forEach(expectedCol => {
-      const foundKey = columnKeys.find(key => key.toLowerCase().trim() === expectedCol.toLowerCase());
-      if (foundKey) {
-        columnMap[expectedCol] = foundKey;
-        console.log(`✅ Mapped column: "${foundKey}" → "${expectedCol}"`);
+      if (columnMap[expectedCol]) {
+        console.log(`✅ Mapped column: "${columnMap[expectedCol]}" → "${expectedCol}"`);
       } else {
         console.log(`⚠️ Column not found: "${expectedCol}"`);
       }
@@ -642,7 +559,7 @@ router.post('/upload-excel', getCurrentUser, requireAdmin, upload.single('file')
 
 // GET /admin/questions - Get all questions with filters (optimized with cursor pagination)
 // Server-side pagination using findAndCountAll
-router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/', getCurrentUser, requirePermission('questions.view'), async (req, res) => {
   const startTime = Date.now();
   try {
     const { 
@@ -816,7 +733,7 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
 
 
 // GET /admin/questions/:id - Get single question
-router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/:id', getCurrentUser, requirePermission('questions.view'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     
@@ -885,7 +802,7 @@ router.get('/:id', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // POST /admin/questions - Create new question
-router.post('', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('', getCurrentUser, requirePermission('questions.manage'), async (req, res) => {
   try {
     const adminUser = req.user;
     
@@ -1140,7 +1057,7 @@ router.post('', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // PUT /admin/questions/:id - Update question
-router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+router.put('/:id', getCurrentUser, requirePermission('questions.manage'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     
@@ -1301,7 +1218,7 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // DELETE /admin/questions/:id - Soft delete question (set status to Inactive)
-router.delete('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+router.delete('/:id', getCurrentUser, requirePermission('questions.manage'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     
@@ -1336,7 +1253,7 @@ router.delete('/:id', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // PATCH /admin/questions/:id/activate - Activate question
-router.patch('/:id/activate', getCurrentUser, requireAdmin, async (req, res) => {
+router.patch('/:id/activate', getCurrentUser, requirePermission('questions.manage'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     
@@ -1372,7 +1289,7 @@ router.patch('/:id/activate', getCurrentUser, requireAdmin, async (req, res) =>
 });
 
 // PATCH /admin/questions/:id/deactivate - Deactivate question
-router.patch('/:id/deactivate', getCurrentUser, requireAdmin, async (req, res) => {
+router.patch('/:id/deactivate', getCurrentUser, requirePermission('questions.manage'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     
@@ -1408,7 +1325,7 @@ router.patch('/:id/deactivate', getCurrentUser, requireAdmin, async (req, res) =
 });
 
 // POST /admin/questions/:id/approve - Approve a question
-router.post('/:id/approve', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('/:id/approve', getCurrentUser, requirePermission('questions.approve'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     const adminUser = req.user;
@@ -1472,7 +1389,7 @@ router.post('/:id/approve', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // POST /admin/questions/:id/reject - Reject a question
-router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('/:id/reject', getCurrentUser, requirePermission('questions.approve'), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id, 10);
     const adminUser = req.user;
@@ -1543,7 +1460,7 @@ router.post('/:id/reject', getCurrentUser, requireAdmin, async (req, res) => {
 
 // POST /admin/questions/bulk-approve - Bulk approve questions (optimized with batch operations)
 // IMPORTANT: This route must be defined BEFORE /:id routes to avoid route conflicts
-router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('/bulk-approve', getCurrentUser, requirePermission('questions.approve'), async (req, res) => {
   const startTime = Date.now();
   const transaction = await Question.sequelize.transaction();
   
@@ -1658,7 +1575,7 @@ router.post('/bulk-approve', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // GET /admin/questions/:id/approvals - Get approval history for a question (optimized)
-router.get('/:id/approvals', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/:id/approvals', getCurrentUser, requirePermission('questions.view'), async (req, res) => {
   const startTime = Date.now();
   try {
     const questionId = parseInt(req.params.id, 10);
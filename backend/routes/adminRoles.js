@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { sequelize } = require('../database');
+const { User, UserRole, Permission, Role, RolePermission, UserRoleAssignment } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { PROTECTED_ADMIN_PERMISSIONS, getUserPermissions } = require('../services/permissions');
+
+const ROLE_NAME = /^[A-Za-z][A-Za-z0-9_ -]{1,99}$/;
+
+function formatRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    is_system: role.is_system,
+    permissions: (role.permissions || []).map(permission => permission.key).sort(),
+    created_at: role.created_at
+  };
+}
+
+async function findRole(id, options = {}) {
+  return Role.findByPk(id, {
+    include: [{ model: Permission, as: 'permissions', attributes: ['id', 'key'], through: { attributes: [] } }],
+    ...options
+  });
+}
+
+// Resolve permission keys to rows; returns { permissions, unknown }
+async function resolvePermissions(keys, transaction) {
+  const unique = [...new Set(keys)];
+  const permissions = await Permission.findAll({ where: { key: unique }, transaction });
+  const found = new Set(permissions.map(permission => permission.key));
+  return { permissions, unknown: unique.filter(key => !found.has(key)) };
+}
+
+function validatePermissionList(permissions) {
+  return Array.isArray(permissions) && permissions.every(key => typeof key === 'string');
+}
+
+// GET /admin/roles/permissions - Permission catalog
+router.get('/permissions', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const permissions = await Permission.findAll({ order: [['key', 'ASC']] });
+    return res.json(permissions.map(permission => ({
+      key: permission.key,
+      description: permission.description
+    })));
+  } catch (error) {
+    console.error('❌ Error listing permissions:', error.message);
+    return res.status(500).json({ detail: 'Failed to list permissions' });
+  }
+});
+
+// GET /admin/roles - Roles with their permissions
+router.get('/', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roles = await Role.findAll({
+      include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }],
+      order: [['is_system', 'DESC'], ['name', 'ASC']]
+    });
+    return res.json(roles.map(formatRole));
+  } catch (error) {
+    console.error('❌ Error listing roles:', error.message);
+    return res.status(500).json({ detail: 'Failed to list roles' });
+  }
+});
+
+// POST /admin/roles - Create a role. Body: { name, description?, permissions: string[] }
+router.post('/', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+    if (!name || !ROLE_NAME.test(name)) {
+      return res.status(400).json({ detail: 'name must be 2-100 characters: letters, digits, spaces, - or _' });
+    }
+    if (!validatePermissionList(permissions)) {
+      return res.status(400).json({ detail: 'permissions must be an array of permission keys' });
+    }
+
+    const existing = await Role.findOne({ where: { name } });
+    if (existing) {
+      return res.status(400).json({ detail: 'A role with this name already exists' });
+    }
+
+    const role = await sequelize.transaction(async (transaction) => {
+      const { permissions: rows, unknown } = await resolvePermissions(permissions, transaction);
+      if (unknown.length > 0) {
+        const error = new Error(`Unknown permissions: ${unknown.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+      const created = await Role.create({ name, description: description || null, is_system: false }, { transaction });
+      await RolePermission.bulkCreate(rows.map(row => ({ role_id: created.id, permission_id: row.id })), { transaction });
+      return created;
+    });
+
+    console.log(`✅ Role created: ${name} by ${req.user.email}`);
+    return res.status(201).json(formatRole(await findRole(role.id)));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ detail: error.message });
+    }
+    console.error('❌ Error creating role:', error.message);
+    return res.status(500).json({ detail: 'Failed to create role' });
+  }
+});
+
+// PUT /admin/roles/:id - Update description and/or replace the permission set
+router.put('/:id', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await findRole(parseInt(req.params.id, 10));
+    if (!role) {
+      return res.status(404).json({ detail: 'Role not found' });
+    }
+
+    const { description, permissions } = req.body;
+    if (permissions !== undefined && !validatePermissionList(permissions)) {
+      return res.status(400).json({ detail: 'permissions must be an array of permission keys' });
+    }
+    if (permissions !== undefined && role.is_system && role.name === UserRole.ADMIN) {
+      const missing = PROTECTED_ADMIN_PERMISSIONS.filter(key => !permissions.includes(key));
+      if (missing.length > 0) {
+        return res.status(400).json({ detail: `The ADMIN role must keep: ${missing.join(', ')}` });
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (description !== undefined) {
+        await role.update({ description }, { transaction });
+      }
+      if (permissions !== undefined) {
+        const { permissions: rows, unknown } = await resolvePermissions(permissions, transaction);
+        if (unknown.length > 0) {
+          const error = new Error(`Unknown permissions: ${unknown.join(', ')}`);
+          error.status = 400;
+          throw error;
+        }
+        await RolePermission.destroy({ where: { role_id: role.id }, transaction });
+        await RolePermission.bulkCreate(rows.map(row => ({ role_id: role.id, permission_id: row.id })), { transaction });
+      }
+    });
+
+    console.log(`✅ Role updated: ${role.name} by ${req.user.email}`);
+    return res.json(formatRole(await findRole(role.id)));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ detail: error.message });
+    }
+    console.error('❌ Error updating role:', error.message);
+    return res.status(500).json({ detail: 'Failed to update role' });
+  }
+});
+
+// DELETE /admin/roles/:id - Delete a custom role (its assignments go with it)
+router.delete('/:id', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findByPk(parseInt(req.params.id, 10));
+    if (!role) {
+      return res.status(404).json({ detail: 'Role not found' });
+    }
+    if (role.is_system) {
+      return res.status(400).json({ detail: 'System roles cannot be deleted' });
+    }
+
+    await role.destroy();
+    console.log(`✅ Role deleted: ${role.name} by ${req.user.email}`);
+    return res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting role:', error.message);
+    return res.status(500).json({ detail: 'Failed to delete role' });
+  }
+});
+
+// GET /admin/roles/users/:userId - A user's assigned roles and effective permissions
+router.get('/users/:userId', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const user = await User.findByPk(parseInt(req.params.userId, 10), {
+      include: [{ model: Role, as: 'assignedRoles', through: { attributes: [] } }]
+    });
+    if (!user) {
+      return res.status(404).json({ detail: 'User not found' });
+    }
+
+    const permissions = await getUserPermissions(user);
+    return res.json({
+      user_id: user.id,
+      role: user.role,
+      assigned_roles: user.assignedRoles.map(role => ({ id: role.id, name: role.name })),
+      permissions: [...permissions].sort()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching user roles:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch user roles' });
+  }
+});
+
+// PUT /admin/roles/users/:userId - Replace a user's assigned roles. Body: { role_ids: number[] }
+// (the system role matching users.role always applies and is not assigned here)
+router.put('/users/:userId', getCurrentUser, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const user = await User.findByPk(parseInt(req.params.userId, 10));
+    if (!user) {
+      return res.status(404).json({ detail: 'User not found' });
+    }
+
+    const { role_ids } = req.body;
+    if (!Array.isArray(role_ids) || role_ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ detail: 'role_ids must be an array of role ids' });
+    }
+
+    const roleIds = [...new Set(role_ids)];
+    const roles = await Role.findAll({ where: { id: roleIds, is_system: false } });
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({ detail: 'role_ids must reference existing custom (non-system) roles' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await UserRoleAssignment.destroy({ where: { user_id: user.id }, transaction });
+      await UserRoleAssignment.bulkCreate(
+        roleIds.map(roleId => ({ user_id: user.id, role_id: roleId, assigned_by: req.user.id })),
+        { transaction }
+      );
+    });
+
+    console.log(`✅ Roles for user ${user.email} set to [${roles.map(role => role.name).join(', ')}] by ${req.user.email}`);
+    return res.json({
+      user_id: user.id,
+      assigned_roles: roles.map(role => ({ id: role.id, name: role.name })),
+      permissions: [...(await getUserPermissions(user))].sort()
+    });
+  } catch (error) {
+    console.error('❌ Error assigning roles:', error.message);
+    return res.status(500).json({ detail: 'Failed to assign roles' });
+  }
+});
+
+module.exports = router;
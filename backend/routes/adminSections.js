@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { Section, Question, SectionProgress, ScoringMode, UnlockRule } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+
+const MAX_TIME_LIMIT_SECONDS = 3 * 60 * 60;
+const MAX_QUESTIONS_TO_DRAW = 100;
+
+function formatSection(section, questionCount) {
+  return {
+    id: section.id,
+    name: section.name,
+    description: section.description || '',
+    order_index: section.order_index,
+    is_active: section.is_active,
+    scoring_mode: section.scoring_mode,
+    partial_credit: section.partial_credit,
+    time_limit_seconds: section.time_limit_seconds,
+    questions_to_draw: section.questions_to_draw,
+    shuffle_questions: section.shuffle_questions,
+    shuffle_options: section.shuffle_options,
+    is_mandatory: section.is_mandatory,
+    unlock_rule: section.unlock_rule,
+    approved_question_count: questionCount,
+    created_at: section.created_at,
+    updated_at: section.updated_at
+  };
+}
+
+// Validate and pick the editable fields from a request body.
+// Returns { values, error } - error is a message for a 400 response.
+function parseSectionFields(body) {
+  const values = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name cannot be empty' };
+    if (name.length > 100) return { error: 'name must be at most 100 characters' };
+    values.name = name;
+  }
+  if (body.description !== undefined) {
+    values.description = body.description === null ? null : String(body.description);
+  }
+  if (body.order_index !== undefined) {
+    const orderIndex = parseInt(body.order_index, 10);
+    if (isNaN(orderIndex) || orderIndex < 1) return { error: 'order_index must be a positive integer' };
+    values.order_index = orderIndex;
+  }
+  if (body.time_limit_seconds !== undefined) {
+    const timeLimit = parseInt(body.time_limit_seconds, 10);
+    if (isNaN(timeLimit) || timeLimit < 30 || timeLimit > MAX_TIME_LIMIT_SECONDS) {
+      return { error: `time_limit_seconds must be between 30 and ${MAX_TIME_LIMIT_SECONDS}` };
+    }
+    values.time_limit_seconds = timeLimit;
+  }
+  if (body.questions_to_draw !== undefined) {
+    const questionsToDraw = parseInt(body.questions_to_draw, 10);
+    if (isNaN(questionsToDraw) || questionsToDraw < 1 || questionsToDraw > MAX_QUESTIONS_TO_DRAW) {
+      return { error: `questions_to_draw must be between 1 and ${MAX_QUESTIONS_TO_DRAW}` };
+    }
+    values.questions_to_draw = questionsToDraw;
+  }
+  if (body.scoring_mode !== undefined) {
+    if (body.scoring_mode !== null && !Object.values(ScoringMode).includes(body.scoring_mode)) {
+      return { error: `scoring_mode must be one of: ${Object.values(ScoringMode).join(', ')}` };
+    }
+    values.scoring_mode = body.scoring_mode;
+  }
+  if (body.unlock_rule !== undefined) {
+    if (!Object.values(UnlockRule).includes(body.unlock_rule)) {
+      return { error: `unlock_rule must be one of: ${Object.values(UnlockRule).join(', ')}` };
+    }
+    values.unlock_rule = body.unlock_rule;
+  }
+  for (const flag of ['is_active', 'partial_credit', 'shuffle_questions', 'shuffle_options', 'is_mandatory']) {
+    if (body[flag] !== undefined) {
+      if (typeof body[flag] !== 'boolean') return { error: `${flag} must be true or false` };
+      values[flag] = body[flag];
+    }
+  }
+
+  return { values };
+}
+
+async function countApprovedQuestions(sectionId) {
+  return Question.count({
+    where: {
+      section_id: sectionId,
+      status: 'approved',
+      is_active: true
+    }
+  });
+}
+
+// GET /admin/sections - List all sections with their test configuration
+router.get('/', getCurrentUser, requirePermission('sections.manage'), async (req, res) => {
+  try {
+    const sections = await Section.findAll({
+      order: [['order_index', 'ASC']]
+    });
+
+    const result = [];
+    for (const section of sections) {
+      result.push(formatSection(section, await countApprovedQuestions(section.id)));
+    }
+
+    return res.json({ sections: result });
+  } catch (error) {
+    console.error(`❌ Error in list_admin_sections: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch sections' });
+  }
+});
+
+// GET /admin/sections/:id
+router.get('/:id', getCurrentUser, requirePermission('sections.manage'), async (req, res) => {
+  try {
+    const section = await Section.findByPk(parseInt(req.params.id, 10));
+    if (!section) {
+      return res.status(404).json({ detail: 'Section not found' });
+    }
+
+    return res.json(formatSection(section, await countApprovedQuestions(section.id)));
+  } catch (error) {
+    console.error(`❌ Error in get_admin_section: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch section' });
+  }
+});
+
+// POST /admin/sections - Create section
+router.post('/', getCurrentUser, requirePermission('sections.manage'), async (req, res) => {
+  try {
+    if (!req.body.name || req.body.order_index === undefined) {
+      return res.status(400).json({ detail: 'name and order_index are required' });
+    }
+
+    const { values, error } = parseSectionFields(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const existing = await Section.findOne({ where: { name: values.name } });
+    if (existing) {
+      return res.status(400).json({ detail: 'A section with this name already exists' });
+    }
+
+    const section = await Section.create(values);
+    console.log(`✅ Section ${section.id} (${section.name}) created by admin ${req.user.id}`);
+
+    return res.status(201).json(formatSection(section, 0));
+  } catch (error) {
+    console.error(`❌ Error in create_admin_section: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to create section' });
+  }
+});
+
+// PUT /admin/sections/:id - Update section and its test configuration.
+// Changes apply to sections started after the update; questions already
+// drawn for an attempt are kept.
+router.put('/:id', getCurrentUser, requirePermission('sections.manage'), async (req, res) => {
+  try {
+    const section = await Section.findByPk(parseInt(req.params.id, 10));
+    if (!section) {
+      return res.status(404).json({ detail: 'Section not found' });
+    }
+
+    const { values, error } = parseSectionFields(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ detail: 'No fields to update' });
+    }
+
+    if (values.name && values.name !== section.name) {
+      const existing = await Section.findOne({ where: { name: values.name } });
+      if (existing) {
+        return res.status(400).json({ detail: 'A section with this name already exists' });
+      }
+    }
+
+    await section.update(values);
+    console.log(`✅ Section ${section.id} updated by admin ${req.user.id}: ${Object.keys(values).join(', ')}`);
+
+    return res.json(formatSection(section, await countApprovedQuestions(section.id)));
+  } catch (error) {
+    console.error(`❌ Error in update_admin_section: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to update section' });
+  }
+});
+
+// DELETE /admin/sections/:id - Delete an unused section.
+// Sections with questions or test progress must be deactivated instead.
+router.delete('/:id', getCurrentUser, requirePermission('sections.manage'), async (req, res) => {
+  try {
+    const section = await Section.findByPk(parseInt(req.params.id, 10));
+    if (!section) {
+      return res.status(404).json({ detail: 'Section not found' });
+    }
+
+    const questionCount = await Question.count({ where: { section_id: section.id } });
+    const progressCount = await SectionProgress.count({ where: { section_id: section.id } });
+    if (questionCount > 0 || progressCount > 0) {
+      return res.status(409).json({
+        detail: 'Section has questions or test progress. Set is_active to false instead of deleting it.'
+      });
+    }
+
+    await section.destroy();
+    return res.json({ message: 'Section deleted successfully', id: section.id });
+  } catch (error) {
+    console.error(`❌ Error in delete_admin_section: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to delete section' });
+  }
+});
+
+module.exports = router;
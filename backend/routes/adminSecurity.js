@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { LoginEvent, LoginEventType } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { listLockouts, clearLockout } = require('../services/loginThrottle');
+
+// GET /admin/security/lockouts - Accounts and IPs currently locked out of login
+router.get('/lockouts', getCurrentUser, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    return res.json({ lockouts, total: lockouts.length });
+  } catch (error) {
+    console.error('❌ Error listing lockouts:', error.message);
+    return res.status(500).json({ detail: 'Failed to list lockouts' });
+  }
+});
+
+// DELETE /admin/security/lockouts?email=... or ?ip=... - Clear failed-login counters
+router.delete('/lockouts', getCurrentUser, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const email = req.query.email ? String(req.query.email).trim() : '';
+    const ip = req.query.ip ? String(req.query.ip).trim() : '';
+    if (!email === !ip) {
+      return res.status(400).json({ detail: 'Provide exactly one of email or ip' });
+    }
+
+    const cleared = await clearLockout(email ? { email } : { ip }, req.user);
+    if (!cleared) {
+      return res.status(404).json({ detail: 'No failed logins recorded for that email or IP' });
+    }
+
+    console.log(`✅ Admin ${req.user.email} cleared login lockout for ${email || ip}`);
+    return res.json({ message: 'Lockout cleared' });
+  } catch (error) {
+    console.error('❌ Error clearing lockout:', error.message);
+    return res.status(500).json({ detail: 'Failed to clear lockout' });
+  }
+});
+
+// GET /admin/security/login-events - Login audit trail, newest first
+router.get('/login-events', getCurrentUser, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    if (page < 1 || limit < 1 || limit > 200) {
+      return res.status(400).json({ detail: 'page must be >= 1 and limit between 1 and 200' });
+    }
+
+    const where = {};
+    if (req.query.event) {
+      const event = String(req.query.event).toUpperCase();
+      if (!Object.values(LoginEventType).includes(event)) {
+        return res.status(400).json({ detail: `event must be one of ${Object.values(LoginEventType).join(', ')}` });
+      }
+      where.event = event;
+    }
+    if (req.query.user_id) {
+      where.user_id = parseInt(req.query.user_id, 10);
+    }
+    if (req.query.email) {
+      where.email = { [Op.iLike]: String(req.query.email).trim() };
+    }
+    if (req.query.ip) {
+      where.ip_address = String(req.query.ip).trim();
+    }
+
+    const { count, rows } = await LoginEvent.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return res.json({
+      events: rows.map(event => ({
+        id: event.id,
+        event: event.event,
+        user_id: event.user_id,
+        email: event.email,
+        ip_address: event.ip_address,
+        user_agent: event.user_agent,
+        reason: event.reason,
+        actor_id: event.actor_id,
+        created_at: event.created_at
+      })),
+      total: count,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('❌ Error listing login events:', error.message);
+    return res.status(500).json({ detail: 'Failed to list login events' });
+  }
+});
+
+module.exports = router;
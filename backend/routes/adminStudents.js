@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const { User, UserRole, Student, TestAttempt, TestStatus, InterpretedResult, CounsellorNote, Score, Career, Section } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { getRetakeEligibility, grantRetake, formatEntitlement } = require('../services/retakes');
+const { getStudentScope, scopeStudentWhere, canAccessStudent } = require('../services/studentAccess');
+const { validateNoteInput, createNote, loadNames } = require('../services/counsellorNotes');
 
 // GET /admin/students - Get all students with their information (with pagination)
-router.get('', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('', getCurrentUser, requirePermission('students.view'), async (req, res) => {
   try {
     console.log('🔵 GET /admin/students - Request received');
     console.log('🔵 User making request:', req.user?.id, req.user?.email);
@@ -32,7 +35,7 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
     }
     
     // Build where clause for User
-    const userWhere = { role: UserRole.STUDENT };
+    let userWhere = { role: UserRole.STUDENT };
     
     if (searchQuery) {
       userWhere[Op.or] = [
@@ -40,6 +43,9 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
         { full_name: { [Op.like]: `%${searchQuery}%` } }
       ];
     }
+
+    // Center admins only see students of their own centers, counsellors their caseload
+    userWhere = scopeStudentWhere(userWhere, await getStudentScope(req));
     
     // For status filter, we need to fetch all matching students first,
     // then filter by computed values, then paginate
@@ -330,7 +336,7 @@ router.get('', getCurrentUser, requireAdmin, async (req, res) => {
 
 // GET /admin/students/:studentId/test-attempts - Get all test attempts for a specific student
 // IMPORTANT: This route must come BEFORE /:studentId/result/:resultId to avoid route conflicts
-router.get('/:studentId/test-attempts', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/:studentId/test-attempts', getCurrentUser, requirePermission('students.view'), async (req, res) => {
   try {
     const studentId = parseInt(req.params.studentId, 10);
 
@@ -348,26 +354,29 @@ router.get('/:studentId/test-attempts', getCurrentUser, requireAdmin, async (req
       }
     });
 
-    if (!student) {
+    if (!student || !(await canAccessStudent(req, studentId))) {
       return res.status(404).json({
         detail: 'Student not found'
       });
     }
 
-    // Get all completed test attempts for this student
+    // Get all completed test attempts for this student, including archived retake history
     const testAttempts = await TestAttempt.findAll({
       where: {
         student_id: studentId,
         status: TestStatus.COMPLETED
       },
       order: [['completed_at', 'DESC'], ['created_at', 'DESC']],
-      attributes: ['id', 'status', 'created_at', 'completed_at']
+      attributes: ['id', 'status', 'attempt_number', 'is_archived', 'archived_at', 'created_at', 'completed_at']
     });
 
     // Format response
     const attempts = testAttempts.map(attempt => ({
       id: attempt.id,
       status: attempt.status,
+      attempt_number: attempt.attempt_number,
+      is_archived: attempt.is_archived,
+      archived_at: attempt.archived_at,
       created_at: attempt.created_at,
       completed_at: attempt.completed_at
     }));
@@ -387,7 +396,7 @@ router.get('/:studentId/test-attempts', getCurrentUser, requireAdmin, async (req
 
 // GET /admin/students/:studentId/result/:resultId/full - Get complete student result with all data (optimized with joins)
 // This endpoint uses Sequelize includes to fetch all related data in fewer queries
-router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/:studentId/result/:resultId/full', getCurrentUser, requirePermission('students.view'), async (req, res) => {
   try {
     console.log('🔵 GET /admin/students/:studentId/result/:resultId/full - Request received');
     console.log('🔵 Params:', req.params);
@@ -405,6 +414,12 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
       });
     }
 
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found for this student'
+      });
+    }
+
     // Single optimized query with all includes
     const testAttempt = await TestAttempt.findOne({
       where: {
@@ -444,7 +459,7 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
         {
           model: Score,
           as: 'scores',
-          attributes: ['dimension', 'score_value'],
+          attributes: ['dimension', 'score_value', 'percentile'],
           required: false
         },
       ]
@@ -464,6 +479,7 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
 
     // Process scores
     let overallPercentage = null;
+    let overallPercentile = null;
     const sectionScores = [];
     
     if (testAttempt.scores && testAttempt.scores.length > 0) {
@@ -471,6 +487,7 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
       const overallScore = testAttempt.scores.find(s => s.dimension === 'overall');
       if (overallScore && overallScore.score_value != null) {
         overallPercentage = Math.round(overallScore.score_value * 100) / 100;
+        overallPercentile = overallScore.percentile;
       }
 
       // Get section scores
@@ -497,7 +514,8 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
             sectionScores.push({
               section_number: sectionNum,
               section_name: sectionName,
-              score: Math.round(scoreItem.score_value * 100) / 100
+              score: Math.round(scoreItem.score_value * 100) / 100,
+              percentile: scoreItem.percentile
             });
           }
         }
@@ -546,22 +564,25 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
       }
     }
 
-    // Get counsellor note (separate query since association is only belongsTo)
-    let counsellorNote = null;
+    // Current counsellor notes, pinned first (threads and history are under /counsellor/notes)
+    let counsellorNotes = [];
     try {
-      const note = await CounsellorNote.findOne({
-        where: { test_attempt_id: testAttemptId },
-        attributes: ['id', 'notes', 'counsellor_name', 'created_at', 'updated_at'],
-        order: [['created_at', 'DESC']]
+      const notes = await CounsellorNote.findAll({
+        where: { test_attempt_id: testAttemptId, deleted_at: null },
+        order: [['is_pinned', 'DESC'], ['created_at', 'DESC']]
       });
-      if (note) {
-        counsellorNote = {
-          notes: note.notes,
-          counsellor_name: note.counsellor_name || 'Admin',
-          created_at: note.created_at,
-          updated_at: note.updated_at
-        };
-      }
+      const names = await loadNames(notes.map(note => note.counsellor_id));
+      counsellorNotes = notes.map(note => ({
+        id: note.id,
+        parent_note_id: note.parent_note_id,
+        notes: note.notes,
+        category: note.category,
+        visibility: note.visibility,
+        is_pinned: note.is_pinned,
+        counsellor_name: names[note.counsellor_id] || 'Admin',
+        created_at: note.created_at,
+        updated_at: note.updated_at
+      }));
     } catch (noteError) {
       console.warn(`⚠️ Error fetching counsellor note: ${noteError.message}`);
     }
@@ -607,9 +628,10 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
       careers: careersResponse,
       riasec_report: riasecReport,
       overall_percentage: overallPercentage,
+      overall_percentile: overallPercentile,
       section_scores: sectionScores,
       created_at: testAttempt.created_at ? new Date(testAttempt.created_at).toISOString() : null,
-      counsellor_notes: counsellorNote ? [counsellorNote] : [],
+      counsellor_notes: counsellorNotes,
       // Additional interpretation fields
       readiness_status: interpretedResult.readiness_status || null,
       readiness_explanation: interpretedResult.readiness_explanation || null,
@@ -640,7 +662,7 @@ router.get('/:studentId/result/:resultId/full', getCurrentUser, requireAdmin, as
 // GET /admin/students/:studentId/result/:resultId - Get student test result (admin can view any student's result)
 // IMPORTANT: This route must come AFTER the main GET /admin/students route to avoid conflicts
 // Reuses logic from /student/result/:test_attempt_id but allows admin to view any student's result
-router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/:studentId/result/:resultId', getCurrentUser, requirePermission('students.view'), async (req, res) => {
   try {
     // Parse and validate studentId and resultId (testAttemptId)
     const studentId = parseInt(req.params.studentId, 10);
@@ -652,6 +674,12 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
       });
     }
 
+    if (!(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found for this student'
+      });
+    }
+
     // Optimized query with joins - fetch student, test attempt, interpreted result, scores, and careers in fewer queries
     const testAttempt = await TestAttempt.findOne({
       where: {
@@ -685,7 +713,7 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
         {
           model: Score,
           as: 'scores',
-          attributes: ['dimension', 'score_value'],
+          attributes: ['dimension', 'score_value', 'percentile'],
           required: false
         }
       ]
@@ -708,6 +736,7 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
 
     // Process scores from included data
     let overallPercentage = null;
+    let overallPercentile = null;
     const sectionScores = [];
     
     if (testAttempt.scores && testAttempt.scores.length > 0) {
@@ -715,6 +744,7 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
       const overallScore = testAttempt.scores.find(s => s.dimension === 'overall');
       if (overallScore && overallScore.score_value != null) {
         overallPercentage = Math.round(overallScore.score_value * 100) / 100;
+        overallPercentile = overallScore.percentile;
       }
 
       // Get section scores
@@ -741,7 +771,8 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
             sectionScores.push({
               section_number: sectionNum,
               section_name: sectionName,
-              score: Math.round(scoreItem.score_value * 100) / 100
+              score: Math.round(scoreItem.score_value * 100) / 100,
+              percentile: scoreItem.percentile
             });
           }
         }
@@ -811,6 +842,7 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
       careers: careersResponse,
       riasec_report: riasecReport, // Include RIASEC report if available
       overall_percentage: overallPercentage, // Overall score
+      overall_percentile: overallPercentile,
       section_scores: sectionScores, // Section-wise scores
       created_at: testAttempt.created_at ? new Date(testAttempt.created_at).toISOString() : null
     });
@@ -830,17 +862,21 @@ router.get('/:studentId/result/:resultId', getCurrentUser, requireAdmin, async (
 });
 
 // POST /admin/students/:id/counsellor-note - Add counsellor note (admin can act as counsellor)
-router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('/:id/counsellor-note', getCurrentUser, requirePermission('students.manage'), async (req, res) => {
   try {
     const studentId = parseInt(req.params.id, 10);
-    const { test_attempt_id, notes } = req.body;
+    const { test_attempt_id } = req.body;
     const adminUser = req.user;
 
-    if (!test_attempt_id || !notes || !notes.trim()) {
+    if (!test_attempt_id) {
       return res.status(400).json({
         detail: 'test_attempt_id and notes are required'
       });
     }
+    const { values, error: validationError } = validateNoteInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
 
     // Verify student exists
     const student = await User.findOne({
@@ -850,7 +886,7 @@ router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, re
       }
     });
 
-    if (!student) {
+    if (!student || !(await canAccessStudent(req, studentId))) {
       return res.status(404).json({
         detail: 'Student not found'
       });
@@ -871,12 +907,7 @@ router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, re
     }
 
     // Create counsellor note (admin acts as counsellor)
-    const counsellorNote = await CounsellorNote.create({
-      counsellor_id: adminUser.id,
-      student_id: studentId,
-      test_attempt_id: test_attempt_id,
-      notes: notes.trim()
-    });
+    const { note: counsellorNote } = await createNote(testAttempt, adminUser.id, values);
 
     // Get counsellor info for response
     const counsellor = await User.findByPk(adminUser.id);
@@ -884,6 +915,8 @@ router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, re
     return res.status(201).json({
       id: counsellorNote.id,
       notes: counsellorNote.notes,
+      category: counsellorNote.category,
+      visibility: counsellorNote.visibility,
       counsellor: {
         id: counsellor.id,
         full_name: counsellor.full_name,
@@ -900,10 +933,26 @@ router.post('/:id/counsellor-note', getCurrentUser, requireAdmin, async (req, re
   }
 });
 
-// POST /admin/students/:id/allow-retake - Allow student to retake the test
-router.post('/:id/allow-retake', getCurrentUser, requireAdmin, async (req, res) => {
+// POST /admin/students/:id/allow-retake - Grant a retake entitlement.
+// Earlier attempts are kept and archived when the retake starts.
+// Body: { retakes_allowed = 1, cooldown_days = 0, notes }
+// retakes_allowed is the number of further attempts the student may start from now.
+router.post('/:id/allow-retake', getCurrentUser, requirePermission('retakes.manage'), async (req, res) => {
   try {
     const studentId = parseInt(req.params.id, 10);
+    const retakesAllowed = req.body.retakes_allowed !== undefined ? parseInt(req.body.retakes_allowed, 10) : 1;
+    const cooldownDays = req.body.cooldown_days !== undefined ? parseInt(req.body.cooldown_days, 10) : 0;
+
+    if (isNaN(retakesAllowed) || retakesAllowed < 1 || retakesAllowed > 10) {
+      return res.status(400).json({
+        detail: 'retakes_allowed must be between 1 and 10'
+      });
+    }
+    if (isNaN(cooldownDays) || cooldownDays < 0 || cooldownDays > 365) {
+      return res.status(400).json({
+        detail: 'cooldown_days must be between 0 and 365'
+      });
+    }
 
     // Verify student exists
     const student = await User.findOne({
@@ -913,48 +962,43 @@ router.post('/:id/allow-retake', getCurrentUser, requireAdmin, async (req, res)
       }
     });
 
-    if (!student) {
+    if (!student || !(await canAccessStudent(req, studentId))) {
       return res.status(404).json({
         detail: 'Student not found'
       });
     }
 
-    // Find all completed test attempts for this student
-    const completedAttempts = await TestAttempt.findAll({
+    const completedCount = await TestAttempt.count({
       where: {
         student_id: studentId,
         status: TestStatus.COMPLETED
       }
     });
 
-    if (completedAttempts.length === 0) {
+    if (completedCount === 0) {
       return res.json({
-        message: 'Student has no completed tests to reset',
-        reset_count: 0
+        message: 'Student has no completed tests to retake',
+        reset_count: 0,
+        student_id: studentId,
+        entitlement: null
       });
     }
 
-    // Delete completed attempts to allow retake
-    // Note: This will cascade delete related answers, scores, interpreted results, etc.
-    const deletedCount = await TestAttempt.destroy({
-      where: {
-        student_id: studentId,
-        status: TestStatus.COMPLETED
-      }
+    const entitlement = await grantRetake(studentId, req.user.id, {
+      retakesAllowed,
+      cooldownDays,
+      notes: req.body.notes
     });
 
-    // Also delete any in-progress attempts to start fresh
-    await TestAttempt.destroy({
-      where: {
-        student_id: studentId,
-        status: TestStatus.IN_PROGRESS
-      }
-    });
+    console.log(`✅ Retake entitlement ${entitlement.id} granted to student ${studentId} by admin ${req.user.id}`);
 
     return res.json({
       message: 'Test retake enabled successfully',
-      reset_count: deletedCount,
-      student_id: studentId
+      // Attempts are no longer deleted; kept for clients that read this field
+      reset_count: 0,
+      completed_attempts: completedCount,
+      student_id: studentId,
+      entitlement: formatEntitlement(entitlement)
     });
   } catch (error) {
     console.error(`❌ Error in allow_retake: ${error.message}`);
@@ -965,5 +1009,39 @@ router.post('/:id/allow-retake', getCurrentUser, requireAdmin, async (req, res)
   }
 });
 
+// GET /admin/students/:id/retake-entitlement - Current retake entitlement and eligibility
+router.get('/:id/retake-entitlement', getCurrentUser, requirePermission('retakes.manage'), async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id, 10);
+
+    const student = await User.findOne({
+      where: {
+        id: studentId,
+        role: UserRole.STUDENT
+      }
+    });
+
+    if (!student || !(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({
+        detail: 'Student not found'
+      });
+    }
+
+    const eligibility = await getRetakeEligibility(studentId);
+
+    return res.json({
+      student_id: studentId,
+      can_attempt_test: eligibility.canAttempt,
+      retake_available_at: eligibility.availableAt,
+      entitlement: formatEntitlement(eligibility.entitlement)
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_retake_entitlement: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get retake entitlement'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,13 +1,52 @@
 const express = require('express');
 const router = express.Router();
-const { User, UserRole } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const { sequelize } = require('../database');
+const { User, UserRole, Student, Center } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
 const { getPasswordHash } = require('../middleware/password');
+const { SessionRevokeReason, revokeUserSessions } = require('../services/sessions');
+const { findLegacyPasswordUsers, forcePasswordReset } = require('../services/legacyPasswords');
+const { resolveCenters, setUserCenters } = require('../services/centers');
+
+const CENTER_INCLUDES = [
+  { model: Center, as: 'centers', attributes: ['id', 'code'], through: { attributes: [] } },
+  {
+    model: Student,
+    as: 'studentProfile',
+    attributes: ['center_id'],
+    include: [{ model: Center, as: 'center', attributes: ['id', 'code'] }]
+  }
+];
 
-const CENTERS = ['CG', 'SG', 'Nikol', 'Maninagar', 'Surat', 'Rajkot'];
+// Staff centers, or the student's center
+function centerCodesOf(user) {
+  if (user.studentProfile) {
+    return user.studentProfile.center ? [user.studentProfile.center.code] : [];
+  }
+  return (user.centers || []).map(center => center.code);
+}
+
+// Centers requested in a create/update body: center_ids (ids or codes) or a single center code.
+// Returns undefined when neither was sent.
+function requestedCenters(body) {
+  if (Array.isArray(body.center_ids)) return body.center_ids;
+  if (body.center) return [body.center];
+  return undefined;
+}
+
+function formatUser(user, centerCodes) {
+  return {
+    id: user.id,
+    email: user.email,
+    full_name: user.full_name,
+    role: user.role,
+    center: centerCodes[0] || null,
+    centers: centerCodes
+  };
+}
 
 // GET /admin/users - List users with optional role filter, pagination, search, and center filter
-router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
   try {
     console.log('🔵 GET /admin/users called with query:', req.query);
     const { Op } = require('sequelize');
@@ -35,10 +74,17 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
       console.log(`🔵 Filtering by role: ${role} -> ${normalizedRole}`);
     }
 
-    // Add center filter
+    // Add center filter (staff linked to the center, or students registered there)
     if (center && center !== 'all' && center !== 'undefined' && String(center).trim() !== '') {
-      where.center = String(center).trim();
-      console.log(`🔵 Filtering by center: "${where.center}"`);
+      const code = sequelize.escape(String(center).trim());
+      where.id = {
+        [Op.in]: sequelize.literal(`(
+          SELECT uc.user_id FROM user_centers uc JOIN centers c ON c.id = uc.center_id WHERE c.code = ${code}
+          UNION
+          SELECT s.user_id FROM students s JOIN centers c ON c.id = s.center_id WHERE c.code = ${code}
+        )`)
+      };
+      console.log(`🔵 Filtering by center: ${code}`);
     } else {
       console.log(`🔵 No center filter applied (center: ${center})`);
     }
@@ -59,7 +105,8 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
     // Fetch users with pagination
     const users = await User.findAll({
       where,
-      attributes: ['id', 'email', 'full_name', 'role', 'center', 'created_at', 'updated_at'],
+      attributes: ['id', 'email', 'full_name', 'role', 'created_at', 'updated_at'],
+      include: CENTER_INCLUDES,
       order: [['created_at', 'DESC']],
       limit: limitNum,
       offset: offset
@@ -71,11 +118,7 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
 
     return res.json({
       users: users.map(user => ({
-        id: user.id,
-        email: user.email,
-        full_name: user.full_name,
-        role: user.role,
-        center: user.center || null,
+        ...formatUser(user, centerCodesOf(user)),
         created_at: user.created_at,
         updated_at: user.updated_at
       })),
@@ -94,9 +137,9 @@ router.get('/', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // POST /admin/users - Create counselor (or other admin users)
-router.post('/', getCurrentUser, requireAdmin, async (req, res) => {
+router.post('/', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { email, password, full_name, role, center } = req.body;
+    const { email, password, full_name, role } = req.body;
 
     // Validation
     if (!email || !password || !full_name) {
@@ -107,6 +150,14 @@ router.post('/', getCurrentUser, requireAdmin, async (req, res) => {
       return res.status(400).json({ detail: 'Use /auth/register endpoint for student registration' });
     }
 
+    if (role === UserRole.GUARDIAN) {
+      return res.status(400).json({ detail: 'Guardians join through an invitation (/guardians/invitations)' });
+    }
+
+    if (role === UserRole.COORDINATOR) {
+      return res.status(400).json({ detail: 'Add coordinators from their institution (/institutions/:id/coordinators)' });
+    }
+
     // Normalize role: accept both COUNSELOR (single L) and COUNSELLOR (double L)
     // Database uses COUNSELLOR, so normalize to that
     let normalizedRole = role;
@@ -114,14 +165,14 @@ router.post('/', getCurrentUser, requireAdmin, async (req, res) => {
       normalizedRole = UserRole.COUNSELLOR;
     }
 
-    // Validate center for counselors
-    if (normalizedRole === UserRole.COUNSELLOR) {
-      if (!center) {
-        return res.status(400).json({ detail: 'Center is required for counselors' });
-      }
-      if (!CENTERS.includes(center)) {
-        return res.status(400).json({ detail: `Invalid center. Must be one of: ${CENTERS.join(', ')}` });
-      }
+    // Validate centers; counselors need at least one
+    const centerRefs = requestedCenters(req.body) || [];
+    if (normalizedRole === UserRole.COUNSELLOR && centerRefs.length === 0) {
+      return res.status(400).json({ detail: 'Center is required for counselors' });
+    }
+    const { centers, unknown } = await resolveCenters(centerRefs);
+    if (unknown.length > 0) {
+      return res.status(400).json({ detail: `Unknown center(s): ${unknown.join(', ')}` });
     }
 
     // Check if email exists
@@ -142,31 +193,69 @@ router.post('/', getCurrentUser, requireAdmin, async (req, res) => {
       is_first_login: true
     };
 
-    // Add center only for counselors
-    if (normalizedRole === UserRole.COUNSELLOR && center) {
-      userData.center = center;
-    }
-
-    const newUser = await User.create(userData);
-
-    return res.status(201).json({
-      id: newUser.id,
-      email: newUser.email,
-      full_name: newUser.full_name,
-      role: newUser.role,
-      center: newUser.center || null
+    const newUser = await sequelize.transaction(async (transaction) => {
+      const created = await User.create(userData, { transaction });
+      await setUserCenters(created.id, centers.map(c => c.id), { transaction });
+      return created;
     });
+
+    return res.status(201).json(formatUser(newUser, centers.map(c => c.code)));
   } catch (error) {
     console.error('❌ Error creating user:', error.message);
     return res.status(500).json({ detail: 'Failed to create user' });
   }
 });
 
+// GET /admin/users/legacy-passwords - Accounts still storing a non-bcrypt (plain text) password
+router.get('/legacy-passwords', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const users = await findLegacyPasswordUsers();
+    return res.json({
+      total: users.length,
+      users: users.map(user => ({
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        created_at: user.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing legacy passwords:', error.message);
+    return res.status(500).json({ detail: 'Failed to list legacy passwords' });
+  }
+});
+
+// POST /admin/users/legacy-passwords/force-reset - Invalidate legacy passwords and send reset links
+// Body: { user_ids?: number[] } (defaults to every legacy account)
+router.post('/legacy-passwords/force-reset', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { user_ids } = req.body;
+    if (user_ids !== undefined && (!Array.isArray(user_ids) || user_ids.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ detail: 'user_ids must be an array of user ids' });
+    }
+
+    // Only accounts that really hold a legacy password can be reset here
+    const users = await findLegacyPasswordUsers({ userIds: user_ids });
+    const results = [];
+    for (const user of users) {
+      const { sent } = await forcePasswordReset(user);
+      results.push({ id: user.id, email: user.email, reset_link_sent: sent });
+    }
+
+    console.log(`✅ Admin ${req.user.email} forced password reset for ${results.length} legacy account(s)`);
+    return res.json({ reset: results.length, users: results });
+  } catch (error) {
+    console.error('❌ Error forcing password resets:', error.message);
+    return res.status(500).json({ detail: 'Failed to force password resets' });
+  }
+});
+
 // PUT /admin/users/:id - Update user
-router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+router.put('/:id', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id, 10);
-    const { email, full_name, role, center, password } = req.body;
+    const { email, full_name, role, password } = req.body;
 
     const user = await User.findByPk(userId);
     if (!user) {
@@ -183,6 +272,16 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       return res.status(403).json({ detail: 'Only existing admins can create other admins' });
     }
 
+    // Guardian accounts only come from accepted invitations
+    if (role && (role === UserRole.GUARDIAN) !== (user.role === UserRole.GUARDIAN)) {
+      return res.status(400).json({ detail: 'Guardian accounts cannot change role' });
+    }
+
+    // Coordinator accounts only come from an institution and see nothing else
+    if (role && (role === UserRole.COORDINATOR) !== (user.role === UserRole.COORDINATOR)) {
+      return res.status(400).json({ detail: 'Coordinator accounts cannot change role' });
+    }
+
     const updateData = {};
     if (email) updateData.email = email;
     if (full_name) updateData.full_name = full_name;
@@ -193,17 +292,21 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       updateData.role = UserRole.COUNSELLOR;
     }
 
-    // Handle center for counselors
-    if (updateData.role === UserRole.COUNSELLOR) {
-      if (center) {
-        if (!CENTERS.includes(center)) {
-          return res.status(400).json({ detail: `Invalid center. Must be one of: ${CENTERS.join(', ')}` });
-        }
-        updateData.center = center;
+    // Staff centers; students change center through /admin/centers/students/:id
+    const centerRefs = requestedCenters(req.body);
+    let centers;
+    if (centerRefs !== undefined) {
+      if (user.role === UserRole.STUDENT) {
+        return res.status(400).json({ detail: 'Use /admin/centers/students/:id to move a student' });
       }
-    } else {
-      // Remove center if role is not counselor
-      updateData.center = null;
+      const resolved = await resolveCenters(centerRefs);
+      if (resolved.unknown.length > 0) {
+        return res.status(400).json({ detail: `Unknown center(s): ${resolved.unknown.join(', ')}` });
+      }
+      if ((updateData.role || user.role) === UserRole.COUNSELLOR && resolved.centers.length === 0) {
+        return res.status(400).json({ detail: 'Center is required for counselors' });
+      }
+      centers = resolved.centers;
     }
 
     // Update password if provided
@@ -212,15 +315,20 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
       updateData.is_first_login = true; // Force password change on next login
     }
 
-    await user.update(updateData);
-
-    return res.json({
-      id: user.id,
-      email: user.email,
-      full_name: user.full_name,
-      role: user.role,
-      center: user.center || null
+    await sequelize.transaction(async (transaction) => {
+      await user.update(updateData, { transaction });
+      if (centers) {
+        await setUserCenters(user.id, centers.map(c => c.id), { transaction });
+      }
     });
+
+    // A password set by an admin signs the user out everywhere
+    if (password) {
+      await revokeUserSessions(user.id, SessionRevokeReason.REVOKED_BY_ADMIN);
+    }
+
+    const updated = await User.findByPk(user.id, { include: CENTER_INCLUDES });
+    return res.json(formatUser(updated, centerCodesOf(updated)));
   } catch (error) {
     console.error('❌ Error updating user:', error.message);
     return res.status(500).json({ detail: 'Failed to update user' });
@@ -228,7 +336,7 @@ router.put('/:id', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // DELETE /admin/users/:id - Delete user
-router.delete('/:id', getCurrentUser, requireAdmin, async (req, res) => {
+router.delete('/:id', getCurrentUser, requirePermission('users.manage'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id, 10);
 
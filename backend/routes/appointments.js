@@ -1,77 +1,270 @@
 const express = require('express');
 const router = express.Router();
 const { Op, Sequelize } = require('sequelize');
-const { Appointment, AppointmentStatus, User, Student } = require('../models');
-const { getCurrentUser, requireAdmin } = require('../middleware/auth');
+const config = require('../config');
+const { Appointment, AppointmentStatus, User, UserRole, Student, NotificationEvent, SessionOutcome } = require('../models');
+const { getCurrentUser, requirePermission, loadPermissions } = require('../middleware/auth');
+const { getStudentScope, scopeStudentWhere, canAccessStudent } = require('../services/studentAccess');
+const { autoAssignStudent, getActiveAssignment } = require('../services/assignments');
+const {
+  LIVE_STATUSES,
+  DATE,
+  addDays,
+  todayLocal,
+  localToUtc,
+  getOpenSlots,
+  bookSlot,
+  rescheduleAppointment,
+  cancelAppointment,
+  studentChangeError
+} = require('../services/availability');
+const {
+  scheduleReminders,
+  queueAppointmentNotification,
+  eventForStatus,
+  listNotifications
+} = require('../services/appointmentNotifications');
+const { issueCalendarFeed, revokeCalendarFeed, findCalendarFeed } = require('../services/calendarFeeds');
+const { appointmentEvent, buildCalendar } = require('../services/ics');
+const { OUTCOME_INCLUDES, validateOutcome, formatOutcome, saveOutcome } = require('../services/sessionOutcomes');
 
-// Create appointment (Student only)
-router.post('/', getCurrentUser, async (req, res) => {
-  try {
-    const { appointment_date, appointment_time, notes } = req.body;
-    const studentId = req.user.id;
+// How far back the counsellor calendar feed goes
+const FEED_HISTORY_DAYS = 30;
 
-    // Validate required fields
-    if (!appointment_date || !appointment_time) {
-      return res.status(400).json({
-        detail: 'Appointment date and time are required'
-      });
+const APPOINTMENT_INCLUDES = [
+  {
+    model: User,
+    as: 'counsellor',
+    attributes: ['id', 'full_name', 'email'],
+    required: false
+  },
+  {
+    model: User,
+    as: 'student',
+    attributes: ['id', 'full_name', 'email'],
+    include: [
+      {
+        model: Student,
+        as: 'studentProfile',
+        attributes: ['school_institute_name', 'contact_number', 'first_name', 'last_name']
+      }
+    ]
+  }
+];
+
+// Appointment JSON with date as YYYY-MM-DD and time as HH:MM
+function formatAppointment(appointment) {
+  const formatted = appointment.toJSON();
+  if (formatted.appointment_date instanceof Date) {
+    formatted.appointment_date = formatted.appointment_date.toISOString().split('T')[0];
+  } else if (typeof formatted.appointment_date === 'string' && formatted.appointment_date.includes('T')) {
+    formatted.appointment_date = formatted.appointment_date.split('T')[0];
+  }
+  if (typeof formatted.appointment_time === 'string') {
+    formatted.appointment_time = formatted.appointment_time.slice(0, 5);
+  }
+  return formatted;
+}
+
+async function findAppointmentWithDetails(id) {
+  return Appointment.findOne({ where: { id }, include: APPOINTMENT_INCLUDES });
+}
+
+/**
+ * Requested slot start from { slot_start } (ISO timestamp) or the older
+ * { appointment_date, appointment_time } pair in the appointment timezone.
+ * Returns a Date, or null when missing or invalid.
+ */
+function parseSlotStart(body) {
+  if (body.slot_start) {
+    const start = new Date(body.slot_start);
+    return isNaN(start.getTime()) ? null : start;
+  }
+  if (DATE.test(body.appointment_date || '') && /^\d{2}:\d{2}/.test(body.appointment_time || '')) {
+    return localToUtc(body.appointment_date, body.appointment_time.slice(0, 5));
+  }
+  return null;
+}
+
+function formatSlot(slot) {
+  return {
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    date: slot.date,
+    time: slot.time,
+    duration_minutes: slot.duration_minutes
+  };
+}
+
+/**
+ * Load an appointment the caller wants to cancel or reschedule. Students may
+ * change their own (appointments.book); staff any they can see
+ * (appointments.manage). Returns { appointment, isStudent, status, error }
+ */
+async function loadAppointmentForChange(req) {
+  const appointment = await Appointment.findByPk(req.params.id);
+  const permissions = await loadPermissions(req);
+  const isStudent = req.user.role === UserRole.STUDENT;
+
+  if (!appointment) {
+    return { appointment: null, isStudent, status: 404, error: 'Appointment not found' };
+  }
+  if (isStudent) {
+    if (appointment.student_id !== req.user.id) {
+      return { appointment: null, isStudent, status: 404, error: 'Appointment not found' };
+    }
+    if (!permissions.has('appointments.book')) {
+      return { appointment: null, isStudent, status: 403, error: 'Not enough permissions' };
     }
+  } else {
+    if (!permissions.has('appointments.manage')) {
+      return { appointment: null, isStudent, status: 403, error: 'Not enough permissions' };
+    }
+    if (!(await canAccessStudent(req, appointment.student_id))) {
+      return { appointment: null, isStudent, status: 404, error: 'Appointment not found' };
+    }
+  }
+  return { appointment, isStudent, status: null, error: null };
+}
 
-    // Validate date is not in the past
-    const appointmentDateTime = new Date(`${appointment_date}T${appointment_time}`);
-    if (appointmentDateTime < new Date()) {
-      return res.status(400).json({
-        detail: 'Appointment date and time must be in the future'
-      });
+// Session records, newest first. Students get their own; staff those of students they can see
+// Query: student_id?, follow_up=true (only records with a follow-up), page, limit
+router.get('/outcomes', getCurrentUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 25 } = req.query;
+    const permissions = await loadPermissions(req);
+    const isStudent = req.user.role === UserRole.STUDENT;
+
+    let where = {};
+    if (isStudent) {
+      if (!permissions.has('appointments.book')) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
+      }
+      where.student_id = req.user.id;
+    } else {
+      if (!permissions.has('appointments.view')) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
+      }
+      if (req.query.student_id) {
+        where.student_id = parseInt(req.query.student_id, 10);
+      }
+      where = scopeStudentWhere(where, await getStudentScope(req), 'student_id');
+    }
+    if (req.query.follow_up === 'true') {
+      where.follow_up_required = true;
     }
 
-    // Create appointment
-    const appointment = await Appointment.create({
-      student_id: studentId,
-      appointment_date: appointment_date,
-      appointment_time: appointment_time,
-      status: AppointmentStatus.PENDING,
-      notes: notes || null
+    const { count, rows: outcomes } = await SessionOutcome.findAndCountAll({
+      where,
+      include: OUTCOME_INCLUDES,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      distinct: true
     });
 
-    // Fetch appointment with student details
-    const appointmentWithDetails = await Appointment.findOne({
-      where: { id: appointment.id },
-      include: [
-        {
-          model: User,
-          as: 'student',
-          attributes: ['id', 'full_name', 'email'],
-          include: [
-            {
-              model: Student,
-              as: 'studentProfile',
-              attributes: ['school_institute_name', 'contact_number', 'first_name', 'last_name']
-            }
-          ]
-        }
-      ]
+    return res.json({
+      outcomes: outcomes.map(formatOutcome),
+      pagination: {
+        total_records: count,
+        total_pages: Math.ceil(count / parseInt(limit)),
+        current_page: parseInt(page),
+        limit: parseInt(limit)
+      }
     });
+  } catch (error) {
+    console.error(`❌ Get session outcomes error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get session records'
+    });
+  }
+});
 
-    // Format the response to ensure consistent date/time format
-    const formattedAppointment = appointmentWithDetails.toJSON();
-    if (formattedAppointment.appointment_date) {
-      if (formattedAppointment.appointment_date instanceof Date) {
-        formattedAppointment.appointment_date = formattedAppointment.appointment_date.toISOString().split('T')[0];
-      } else if (typeof formattedAppointment.appointment_date === 'string' && formattedAppointment.appointment_date.includes('T')) {
-        formattedAppointment.appointment_date = formattedAppointment.appointment_date.split('T')[0];
+// Open slots. Students see their counsellor's slots; staff pass ?counsellor_id
+// Query: from?, to? (YYYY-MM-DD in the appointment timezone, default the next 7 days)
+router.get('/slots', getCurrentUser, async (req, res) => {
+  try {
+    const permissions = await loadPermissions(req);
+    let counsellorId;
+
+    if (req.user.role === UserRole.STUDENT) {
+      if (!permissions.has('appointments.book')) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
       }
-    }
-    if (formattedAppointment.appointment_time) {
-      if (typeof formattedAppointment.appointment_time === 'string') {
-        const timeParts = formattedAppointment.appointment_time.split(':');
-        if (timeParts.length >= 2) {
-          formattedAppointment.appointment_time = `${timeParts[0].padStart(2, '0')}:${timeParts[1].padStart(2, '0')}`;
-        }
+      // Reading slots never assigns; registration, booking and admins do
+      const assignment = await getActiveAssignment(req.user.id);
+      if (!assignment) {
+        return res.status(400).json({ detail: 'No counsellor is assigned to you yet' });
+      }
+      counsellorId = assignment.counsellor_id;
+    } else {
+      if (!permissions.has('appointments.view')) {
+        return res.status(403).json({ detail: 'Not enough permissions' });
+      }
+      counsellorId = parseInt(req.query.counsellor_id || req.user.id, 10);
+      if (isNaN(counsellorId)) {
+        return res.status(400).json({ detail: 'counsellor_id must be a number' });
       }
     }
 
-    return res.status(201).json(formattedAppointment);
+    const today = todayLocal();
+    const lastDay = addDays(today, config.appointments.bookingHorizonDays);
+    const from = DATE.test(req.query.from || '') && req.query.from > today ? req.query.from : today;
+    let to = DATE.test(req.query.to || '') ? req.query.to : addDays(from, 6);
+    if (to > lastDay) to = lastDay;
+    if (to < from) {
+      return res.json({ counsellor_id: counsellorId, timezone: config.appointments.timezone, slots: [] });
+    }
+
+    const slots = await getOpenSlots(counsellorId, from, to);
+    return res.json({
+      counsellor_id: counsellorId,
+      timezone: config.appointments.timezone,
+      from,
+      to,
+      slots: slots.map(formatSlot)
+    });
+  } catch (error) {
+    console.error(`❌ Get slots error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get available slots'
+    });
+  }
+});
+
+// Book an open slot with the student's counsellor (Student only)
+// Body: { slot_start } or { appointment_date, appointment_time }, notes?
+router.post('/', getCurrentUser, requirePermission('appointments.book'), async (req, res) => {
+  try {
+    const studentId = req.user.id;
+    const slotStart = parseSlotStart(req.body);
+    if (!slotStart) {
+      return res.status(400).json({
+        detail: 'slot_start (or appointment date and time) is required'
+      });
+    }
+
+    // The appointment is with the student's counsellor; assign one now if they have none yet
+    const { assignment } = await autoAssignStudent(studentId);
+    if (!assignment) {
+      return res.status(400).json({
+        detail: 'No counsellor is available at your center yet'
+      });
+    }
+
+    const { appointment, error, conflict } = await bookSlot({
+      studentId,
+      counsellorId: assignment.counsellor_id,
+      slotStart,
+      notes: req.body.notes || null
+    });
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ detail: error });
+    }
+
+    await scheduleReminders(appointment);
+    console.log(`✅ Student ${studentId} booked ${appointment.slot_start.toISOString()} with counsellor ${assignment.counsellor_id}`);
+    return res.status(201).json(formatAppointment(await findAppointmentWithDetails(appointment.id)));
   } catch (error) {
     console.error(`❌ Create appointment error: ${error.message}`);
     return res.status(500).json({
@@ -80,8 +273,34 @@ router.post('/', getCurrentUser, async (req, res) => {
   }
 });
 
+// Get the current student's appointments, upcoming first
+router.get('/my', getCurrentUser, requirePermission('appointments.book'), async (req, res) => {
+  try {
+    const appointments = await Appointment.findAll({
+      where: { student_id: req.user.id },
+      include: [APPOINTMENT_INCLUDES[0]],
+      order: [['appointment_date', 'DESC'], ['appointment_time', 'DESC']]
+    });
+
+    return res.json({
+      appointments: appointments.map(formatAppointment),
+      policy: {
+        timezone: config.appointments.timezone,
+        cancel_window_hours: config.appointments.cancelWindowHours,
+        reschedule_window_hours: config.appointments.rescheduleWindowHours,
+        max_reschedules: config.appointments.maxReschedules
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Get my appointments error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get appointments'
+    });
+  }
+});
+
 // Get all appointments (Admin only)
-router.get('/admin', getCurrentUser, requireAdmin, async (req, res) => {
+router.get('/admin', getCurrentUser, requirePermission('appointments.view'), async (req, res) => {
   try {
     const { page = 1, limit = 25, status } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -92,8 +311,14 @@ router.get('/admin', getCurrentUser, requireAdmin, async (req, res) => {
     }
 
     const { count, rows: appointments } = await Appointment.findAndCountAll({
-      where: whereClause,
+      where: scopeStudentWhere(whereClause, await getStudentScope(req), 'student_id'),
       include: [
+        {
+          model: User,
+          as: 'counsellor',
+          attributes: ['id', 'full_name', 'email'],
+          required: false
+        },
         {
           model: User,
           as: 'student',
@@ -168,9 +393,9 @@ router.get('/admin', getCurrentUser, requireAdmin, async (req, res) => {
 });
 
 // Get appointments for counsellor
-router.get('/counsellor', getCurrentUser, async (req, res) => {
+router.get('/counsellor', getCurrentUser, requirePermission('appointments.view'), async (req, res) => {
   try {
-    // Counsellors can see all appointments (same as admin view)
+    // Same listing as the admin view; both only show students the user may see
     const { page = 1, limit = 25, status } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -180,8 +405,14 @@ router.get('/counsellor', getCurrentUser, async (req, res) => {
     }
 
     const { count, rows: appointments } = await Appointment.findAndCountAll({
-      where: whereClause,
+      where: scopeStudentWhere(whereClause, await getStudentScope(req), 'student_id'),
       include: [
+        {
+          model: User,
+          as: 'counsellor',
+          attributes: ['id', 'full_name', 'email'],
+          required: false
+        },
         {
           model: User,
           as: 'student',
@@ -256,7 +487,7 @@ router.get('/counsellor', getCurrentUser, async (req, res) => {
 });
 
 // Update appointment status (Admin/Counsellor)
-router.patch('/:id/status', getCurrentUser, async (req, res) => {
+router.patch('/:id/status', getCurrentUser, requirePermission('appointments.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -268,19 +499,43 @@ router.patch('/:id/status', getCurrentUser, async (req, res) => {
     }
 
     const appointment = await Appointment.findByPk(id);
-    if (!appointment) {
+    if (!appointment || !(await canAccessStudent(req, appointment.student_id))) {
       return res.status(404).json({
         detail: 'Appointment not found'
       });
     }
 
+    // A cancelled appointment has released its slot, which may since have been
+    // rebooked or fallen on leave, so it is never reopened here
+    if (appointment.status === AppointmentStatus.CANCELLED && status !== AppointmentStatus.CANCELLED) {
+      return res.status(409).json({
+        detail: 'Cancelled appointments cannot be reopened. Book a new appointment instead.'
+      });
+    }
+
+    const previousStatus = appointment.status;
     appointment.status = status;
+    if (status === AppointmentStatus.CANCELLED && !appointment.cancelled_at) {
+      appointment.cancelled_at = new Date();
+      appointment.cancelled_by = req.user.id;
+    }
     await appointment.save();
 
+    const event = status !== previousStatus ? eventForStatus(status) : null;
+    if (event) {
+      await queueAppointmentNotification(appointment, event);
+    }
+
     // Fetch updated appointment with details
     const updatedAppointment = await Appointment.findOne({
       where: { id: appointment.id },
       include: [
+        {
+          model: User,
+          as: 'counsellor',
+          attributes: ['id', 'full_name', 'email'],
+          required: false
+        },
         {
           model: User,
           as: 'student',
@@ -323,5 +578,249 @@ router.patch('/:id/status', getCurrentUser, async (req, res) => {
   }
 });
 
+// Cancel an appointment. Body: { reason? }
+// Students must cancel at least cancelWindowHours ahead; staff may cancel any time
+router.post('/:id/cancel', getCurrentUser, async (req, res) => {
+  try {
+    const { appointment, isStudent, status, error } = await loadAppointmentForChange(req);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const blocked = isStudent
+      ? studentChangeError(appointment, 'cancel')
+      : (LIVE_STATUSES.includes(appointment.status) ? null : 'Only pending or confirmed appointments can be cancelled');
+    if (blocked) {
+      return res.status(400).json({ detail: blocked });
+    }
+
+    await cancelAppointment(appointment, { cancelledBy: req.user.id, reason: req.body.reason || null });
+    await queueAppointmentNotification(appointment, NotificationEvent.CANCELLED);
+    console.log(`✅ Appointment ${appointment.id} cancelled by ${req.user.email}`);
+    return res.json(formatAppointment(await findAppointmentWithDetails(appointment.id)));
+  } catch (error) {
+    console.error(`❌ Cancel appointment error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to cancel appointment'
+    });
+  }
+});
+
+// Move an appointment to another open slot of the same counsellor
+// Body: { slot_start } or { appointment_date, appointment_time }
+// Students must reschedule at least rescheduleWindowHours ahead, at most maxReschedules times
+router.post('/:id/reschedule', getCurrentUser, async (req, res) => {
+  try {
+    const { appointment, isStudent, status, error } = await loadAppointmentForChange(req);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const blocked = isStudent
+      ? studentChangeError(appointment, 'reschedule')
+      : (LIVE_STATUSES.includes(appointment.status) ? null : 'Only pending or confirmed appointments can be rescheduled');
+    if (blocked) {
+      return res.status(400).json({ detail: blocked });
+    }
+    if (!appointment.counsellor_id) {
+      return res.status(400).json({ detail: 'This appointment has no counsellor; book a new slot instead' });
+    }
+
+    const slotStart = parseSlotStart(req.body);
+    if (!slotStart) {
+      return res.status(400).json({ detail: 'slot_start (or appointment date and time) is required' });
+    }
+
+    const result = await rescheduleAppointment(appointment, slotStart);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ detail: result.error });
+    }
+
+    await queueAppointmentNotification(appointment, NotificationEvent.RESCHEDULED);
+    await scheduleReminders(appointment);
+    console.log(`✅ Appointment ${appointment.id} rescheduled to ${appointment.slot_start.toISOString()} by ${req.user.email}`);
+    return res.json(formatAppointment(await findAppointmentWithDetails(appointment.id)));
+  } catch (error) {
+    console.error(`❌ Reschedule appointment error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to reschedule appointment'
+    });
+  }
+});
+
+// Create (or rotate) the current counsellor's private iCal feed URL
+// The URL is only shown here; rotating it stops the old one from working
+router.post('/calendar-feed', getCurrentUser, requirePermission('appointments.calendar_feed'), async (req, res) => {
+  try {
+    const token = await issueCalendarFeed(req.user.id);
+    const baseUrl = config.appointments.publicApiUrl || `${req.protocol}://${req.get('host')}`;
+    console.log(`✅ Calendar feed issued for ${req.user.email}`);
+    return res.status(201).json({
+      feed_url: `${baseUrl}/appointments/calendar/${token}.ics`
+    });
+  } catch (error) {
+    console.error(`❌ Create calendar feed error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to create calendar feed'
+    });
+  }
+});
+
+// Revoke the current counsellor's iCal feed URL
+router.delete('/calendar-feed', getCurrentUser, requirePermission('appointments.calendar_feed'), async (req, res) => {
+  try {
+    const revoked = await revokeCalendarFeed(req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ detail: 'No calendar feed to revoke' });
+    }
+    return res.json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error(`❌ Revoke calendar feed error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to revoke calendar feed'
+    });
+  }
+});
+
+// Counsellor iCal feed. No login: calendar apps authenticate with the token in the URL
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const feed = await findCalendarFeed(req.params.token);
+    if (!feed) {
+      return res.status(404).json({ detail: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const appointments = await Appointment.findAll({
+      where: { counsellor_id: feed.user_id, appointment_date: { [Op.gte]: since } },
+      include: [{ model: User, as: 'student', attributes: ['id', 'full_name'] }],
+      order: [['appointment_date', 'ASC'], ['appointment_time', 'ASC']]
+    });
+
+    const events = appointments.map(appointment => appointmentEvent(appointment, {
+      summary: `Counselling session with ${appointment.student ? appointment.student.full_name : 'a student'}`
+    }));
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(buildCalendar(events, { name: `${config.app.name} appointments` }));
+  } catch (error) {
+    console.error(`❌ Calendar feed error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to build calendar feed'
+    });
+  }
+});
+
+// Download one appointment as an .ics file (the student's own, or staff for students they can see)
+router.get('/:id/ics', getCurrentUser, async (req, res) => {
+  try {
+    const appointment = await findAppointmentWithDetails(req.params.id);
+    const permissions = await loadPermissions(req);
+    const isStudent = req.user.role === UserRole.STUDENT;
+
+    const allowed = appointment && (isStudent
+      ? appointment.student_id === req.user.id && permissions.has('appointments.book')
+      : permissions.has('appointments.view') && await canAccessStudent(req, appointment.student_id));
+    if (!allowed) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+
+    const other = isStudent ? appointment.counsellor : appointment.student;
+    const summary = `Counselling session${other ? ` with ${other.full_name}` : ''}`;
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+    return res.send(buildCalendar([appointmentEvent(appointment, { summary })]));
+  } catch (error) {
+    console.error(`❌ Appointment ics error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to export appointment'
+    });
+  }
+});
+
+// Emails and WhatsApp messages sent about an appointment (Admin/Counsellor)
+router.get('/:id/notifications', getCurrentUser, requirePermission('appointments.view'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findByPk(req.params.id);
+    if (!appointment || !(await canAccessStudent(req, appointment.student_id))) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+
+    const notifications = await listNotifications(appointment.id);
+    return res.json({
+      appointment_id: appointment.id,
+      notifications: notifications.map(notification => ({
+        id: notification.id,
+        event: notification.event,
+        minutes_before: notification.minutes_before,
+        channel: notification.channel,
+        recipient_id: notification.recipient_id,
+        status: notification.status,
+        detail: notification.detail,
+        created_at: notification.created_at
+      }))
+    });
+  } catch (error) {
+    console.error(`❌ Get appointment notifications error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get appointment notifications'
+    });
+  }
+});
+
+// Session record of an appointment (the student's own, or staff for students they can see)
+router.get('/:id/outcome', getCurrentUser, async (req, res) => {
+  try {
+    const appointment = await Appointment.findByPk(req.params.id);
+    const permissions = await loadPermissions(req);
+    const allowed = appointment && (req.user.role === UserRole.STUDENT
+      ? appointment.student_id === req.user.id && permissions.has('appointments.book')
+      : permissions.has('appointments.view') && await canAccessStudent(req, appointment.student_id));
+    if (!allowed) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+
+    const outcome = await SessionOutcome.findOne({ where: { appointment_id: appointment.id }, include: OUTCOME_INCLUDES });
+    if (!outcome) {
+      return res.status(404).json({ detail: 'No session record for this appointment' });
+    }
+    return res.json(formatOutcome(outcome));
+  } catch (error) {
+    console.error(`❌ Get session outcome error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get session record'
+    });
+  }
+});
+
+// Record (or replace) what happened in a completed appointment
+// Body: { attendees, topics?, summary?, recommended_direction?, next_steps?, follow_up_required?, follow_up_date? }
+router.put('/:id/outcome', getCurrentUser, requirePermission('sessions.record'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findByPk(req.params.id);
+    if (!appointment || !(await canAccessStudent(req, appointment.student_id))) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+    if (appointment.status !== AppointmentStatus.COMPLETED) {
+      return res.status(400).json({ detail: 'Only completed appointments can have a session record' });
+    }
+
+    const { values, error } = validateOutcome(req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const { outcome, created } = await saveOutcome(appointment, values, req.user.id);
+    console.log(`✅ Session record ${created ? 'created' : 'updated'} for appointment ${appointment.id} by ${req.user.email}`);
+    const saved = await SessionOutcome.findByPk(outcome.id, { include: OUTCOME_INCLUDES });
+    return res.status(created ? 201 : 200).json(formatOutcome(saved));
+  } catch (error) {
+    console.error(`❌ Save session outcome error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to save session record'
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,8 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { User, UserRole, Student } = require('../models');
-const { createAccessToken } = require('../middleware/auth');
-const { getPasswordHash, verifyPassword } = require('../middleware/password');
+const { User, UserRole, Student, Session, Center } = require('../models');
+const { getCurrentUser, loadPermissions } = require('../middleware/auth');
+const { getPasswordHash, verifyPassword, isBcryptHash, needsRehash } = require('../middleware/password');
+const {
+  SessionRevokeReason,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../services/sessions');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginBlocked
+} = require('../services/loginThrottle');
+const { getUserCenterCodes } = require('../services/centers');
+const { autoAssignStudent } = require('../services/assignments');
+
+// Same body whether or not the account exists, so the endpoint can't be used to find accounts
+const FORGOT_PASSWORD_RESPONSE = {
+  message: 'If an account exists for that email, a password reset link has been sent.'
+};
 
 // Register endpoint
 router.post('/register', async (req, res) => {
@@ -17,7 +39,8 @@ router.post('/register', async (req, res) => {
       school_institute_name, 
       current_education, 
       stream, 
-      family_annual_income 
+      family_annual_income,
+      center_id
     } = req.body;
 
     console.log(`\n${'='.repeat(50)}`);
@@ -31,6 +54,7 @@ router.post('/register', async (req, res) => {
     console.log(`   Current Education: ${current_education}`);
     console.log(`   Stream: ${stream}`);
     console.log(`   Family Annual Income: ${family_annual_income}`);
+    console.log(`   Center: ${center_id}`);
     console.log(`${'='.repeat(50)}\n`);
 
     // Validate required fields
@@ -41,6 +65,18 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Older clients do not send a center; those students stay unassigned until
+    // an admin sets their center (autoAssignUnassigned then picks them up)
+    let center = null;
+    if (center_id) {
+      center = await Center.findOne({ where: { id: parseInt(center_id, 10) || 0, is_active: true } });
+      if (!center) {
+        return res.status(400).json({
+          detail: 'Selected center does not exist'
+        });
+      }
+    }
+
     // Validate contact numbers are exactly 10 digits
     const contactDigits = contact_number ? contact_number.replace(/\D/g, '') : '';
     const parentContactDigits = parent_contact_number ? parent_contact_number.replace(/\D/g, '') : '';
@@ -102,28 +138,36 @@ router.post('/register', async (req, res) => {
         school_institute_name,
         current_education,
         stream,
-        family_annual_income
+        family_annual_income,
+        center_id: center ? center.id : null
       }, { transaction });
 
       console.log(`✅ Student profile created for user ID: ${newUser.id}`);
+
+      const { tokens } = await createSession(newUser, req, { transaction });
       
       await transaction.commit();
       console.log(`✅ Transaction committed - User ID: ${newUser.id}, Student profile ID: ${studentProfile.id}`);
 
-      // Create access token
-      const accessToken = createAccessToken({
-        sub: String(newUser.id),
-        role: newUser.role
-      });
+      // A missing counsellor must not fail the registration; admins can assign one later
+      try {
+        const { error } = await autoAssignStudent(newUser.id);
+        if (error) {
+          console.warn(`⚠️ No counsellor assigned to new student ${newUser.id}: ${error}`);
+        }
+      } catch (assignError) {
+        console.error(`❌ Auto-assignment failed for new student ${newUser.id}: ${assignError.message}`);
+      }
 
       return res.status(201).json({
-        access_token: accessToken,
-        token_type: 'bearer',
+        ...tokens,
         user: {
           id: newUser.id,
           email: newUser.email,
           full_name: newUser.full_name,
-          role: newUser.role
+          role: newUser.role,
+          center: center ? center.code : null,
+          centers: center ? [center.code] : []
         }
       });
     } catch (error) {
@@ -139,6 +183,23 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Active centers for the registration form
+router.get('/centers', async (req, res) => {
+  try {
+    const centers = await Center.findAll({
+      where: { is_active: true },
+      attributes: ['id', 'code', 'name'],
+      order: [['name', 'ASC']]
+    });
+    return res.json(centers);
+  } catch (error) {
+    console.error(`❌ Error listing centers: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to list centers'
+    });
+  }
+});
+
 // Login endpoint
 router.post('/login', async (req, res) => {
   try {
@@ -152,10 +213,27 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const attempt = { email: username, ip: req.ip, userAgent: req.get('user-agent') };
+
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      console.log(`⚠️ Login blocked (${throttle.scope} throttled) for email: ${username}`);
+      await recordLoginBlocked({ ...attempt, scope: throttle.scope });
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        detail: throttle.locked
+          ? `Too many failed login attempts. Try again in ${Math.ceil(throttle.retryAfterSeconds / 60)} minute(s).`
+          : `Too many failed login attempts. Try again in ${throttle.retryAfterSeconds} second(s).`,
+        error_code: throttle.locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+        retry_after_seconds: throttle.retryAfterSeconds
+      });
+    }
+
     const user = await User.findOne({ where: { email: username } });
 
     if (!user) {
       console.log(`❌ Login failed: User not found for email: ${username}`);
+      await recordLoginFailure({ ...attempt, reason: 'unknown_account' });
       return res.status(401).json({
         detail: 'Incorrect email or password'
       });
@@ -163,28 +241,43 @@ router.post('/login', async (req, res) => {
 
     const passwordValid = await verifyPassword(password, user.password_hash);
     if (!passwordValid) {
-      console.log(`❌ Login failed: Invalid password for user: ${user.email}`);
+      const legacyPassword = !isBcryptHash(user.password_hash);
+      if (legacyPassword) {
+        console.log(`❌ Login failed: ${user.email} has a legacy plain text password and must reset it`);
+      } else {
+        console.log(`❌ Login failed: Invalid password for user: ${user.email}`);
+      }
+      await recordLoginFailure({
+        ...attempt,
+        userId: user.id,
+        reason: legacyPassword ? 'legacy_password' : 'invalid_password'
+      });
       return res.status(401).json({
         detail: 'Incorrect email or password'
       });
     }
 
+    // Upgrade legacy plain text passwords and hashes made with an old cost
+    if (needsRehash(user.password_hash)) {
+      await user.update({ password_hash: await getPasswordHash(password) });
+      console.log(`✅ Password hash upgraded for user: ${user.email}`);
+    }
+
     console.log(`✅ Login successful: ${user.email} (role: ${user.role})`);
+    await recordLoginSuccess({ ...attempt, userId: user.id });
 
-    const accessToken = createAccessToken({
-      sub: String(user.id),
-      role: user.role
-    });
+    const { tokens } = await createSession(user, req);
+    const centers = await getUserCenterCodes(user);
 
     return res.json({
-      access_token: accessToken,
-      token_type: 'bearer',
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         full_name: user.full_name,
         role: user.role,
-        center: user.center || null,
+        center: centers[0] || null,
+        centers,
         is_first_login: user.is_first_login || false
       }
     });
@@ -196,18 +289,238 @@ router.post('/login', async (req, res) => {
   }
 });
 
+function serializeSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    user_id: session.user_id,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    is_current: session.id === currentSessionId
+  };
+}
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refresh_token;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        detail: 'refresh_token is required'
+      });
+    }
+
+    const { tokens, error } = await rotateSession(refreshToken, req);
+    if (error) {
+      return res.status(401).json({
+        detail: error
+      });
+    }
+
+    return res.json(tokens);
+  } catch (error) {
+    console.error(`❌ Error in refresh_token: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to refresh token'
+    });
+  }
+});
+
+// End the session the request was made with
+router.post('/logout', getCurrentUser, async (req, res) => {
+  try {
+    await revokeSession(req.authSession, SessionRevokeReason.LOGOUT);
+    console.log(`✅ Logout: ${req.user.email} (session ${req.authSession.id})`);
+    return res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error(`❌ Error in logout: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to log out'
+    });
+  }
+});
+
+// Active sessions of the current user; security.manage allows ?user_id= to inspect anyone
+router.get('/sessions', getCurrentUser, async (req, res) => {
+  try {
+    let userId = req.user.id;
+    if (req.query.user_id !== undefined) {
+      if (!(await loadPermissions(req)).has('security.manage')) {
+        return res.status(403).json({
+          detail: 'Not enough permissions'
+        });
+      }
+      userId = parseInt(req.query.user_id, 10);
+      if (isNaN(userId)) {
+        return res.status(400).json({
+          detail: 'Invalid user_id'
+        });
+      }
+    }
+
+    const sessions = await listActiveSessions(userId);
+    return res.json(sessions.map(session => serializeSession(session, req.authSession.id)));
+  } catch (error) {
+    console.error(`❌ Error in list_sessions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Revoke all sessions except the current one; security.manage allows ?user_id= to
+// sign a user out everywhere (e.g. a compromised counsellor account)
+router.delete('/sessions', getCurrentUser, async (req, res) => {
+  try {
+    if (req.query.user_id !== undefined) {
+      if (!(await loadPermissions(req)).has('security.manage')) {
+        return res.status(403).json({
+          detail: 'Not enough permissions'
+        });
+      }
+      const userId = parseInt(req.query.user_id, 10);
+      if (isNaN(userId)) {
+        return res.status(400).json({
+          detail: 'Invalid user_id'
+        });
+      }
+      const revoked = await revokeUserSessions(userId, SessionRevokeReason.REVOKED_BY_ADMIN, {
+        exceptSessionId: userId === req.user.id ? req.authSession.id : null
+      });
+      console.log(`✅ Admin ${req.user.email} revoked ${revoked} session(s) of user ${userId}`);
+      return res.json({ revoked });
+    }
+
+    const revoked = await revokeUserSessions(req.user.id, SessionRevokeReason.REVOKED_BY_USER, {
+      exceptSessionId: req.authSession.id
+    });
+    return res.json({ revoked });
+  } catch (error) {
+    console.error(`❌ Error in revoke_sessions: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// Revoke a single session (own sessions only, unless security.manage)
+router.delete('/sessions/:session_id', getCurrentUser, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.session_id, 10);
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        detail: 'Invalid session_id'
+      });
+    }
+
+    const session = await Session.findByPk(sessionId);
+    const isAdmin = (await loadPermissions(req)).has('security.manage');
+    if (!session || (!isAdmin && session.user_id !== req.user.id)) {
+      return res.status(404).json({
+        detail: 'Session not found'
+      });
+    }
+
+    const reason = session.user_id === req.user.id
+      ? SessionRevokeReason.REVOKED_BY_USER
+      : SessionRevokeReason.REVOKED_BY_ADMIN;
+    await revokeSession(session, reason);
+
+    return res.json({
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error(`❌ Error in revoke_session: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to revoke session'
+    });
+  }
+});
+
+// Start the forgot-password flow
+router.post('/forgot-password', async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+  if (!email) {
+    return res.status(400).json({
+      detail: 'Email is required'
+    });
+  }
+
+  // Respond before looking anything up so timing doesn't reveal whether the account exists
+  res.json(FORGOT_PASSWORD_RESPONSE);
+
+  try {
+    await requestPasswordReset(email, req.ip);
+  } catch (error) {
+    console.error(`❌ Error in forgot_password: ${error.message}`);
+  }
+});
+
+// Set a new password with the token from the reset link
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || typeof token !== 'string' || !new_password) {
+      return res.status(400).json({
+        detail: 'Token and new password are required'
+      });
+    }
+
+    if (new_password.length < 8) {
+      return res.status(400).json({
+        detail: 'New password must be at least 8 characters long'
+      });
+    }
+
+    const { user, error } = await resetPassword(token, new_password);
+    if (error) {
+      return res.status(400).json({
+        detail: error
+      });
+    }
+
+    console.log(`✅ Password reset for user: ${user.email}`);
+
+    return res.json({
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error(`❌ Error in reset_password: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to reset password'
+    });
+  }
+});
+
 // Get current user info
 router.get('/me', require('../middleware/auth').getCurrentUser, async (req, res) => {
-  return res.json({
-    id: req.user.id,
-    email: req.user.email,
-    full_name: req.user.full_name,
-    role: req.user.role
-  });
+  try {
+    const permissions = await loadPermissions(req);
+    const centers = await getUserCenterCodes(req.user);
+    return res.json({
+      id: req.user.id,
+      email: req.user.email,
+      full_name: req.user.full_name,
+      role: req.user.role,
+      center: centers[0] || null,
+      centers,
+      permissions: [...permissions].sort()
+    });
+  } catch (error) {
+    console.error(`❌ Error in get_me: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to fetch user'
+    });
+  }
 });
 
 // Create user (Admin only)
-router.post('/create-user', require('../middleware/auth').getCurrentUser, require('../middleware/auth').requireAdmin, async (req, res) => {
+router.post('/create-user', require('../middleware/auth').getCurrentUser, require('../middleware/auth').requirePermission('users.manage'), async (req, res) => {
   try {
     const { email, password, full_name, role } = req.body;
 
@@ -217,6 +530,18 @@ router.post('/create-user', require('../middleware/auth').getCurrentUser, requir
       });
     }
 
+    if (role === UserRole.GUARDIAN) {
+      return res.status(400).json({
+        detail: 'Guardians join through an invitation (/guardians/invitations)'
+      });
+    }
+
+    if (role === UserRole.COORDINATOR) {
+      return res.status(400).json({
+        detail: 'Add coordinators from their institution (/institutions/:id/coordinators)'
+      });
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
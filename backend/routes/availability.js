@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { User, UserRole, UserCenter, AvailabilityTemplate, AvailabilityException, AvailabilityExceptionType } = require('../models');
+const { getCurrentUser, loadPermissions } = require('../middleware/auth');
+const { getCenterScope } = require('../services/centers');
+const {
+  DATE,
+  todayLocal,
+  addDays,
+  validateTemplates,
+  setWeeklyTemplate,
+  validateException
+} = require('../services/availability');
+
+/**
+ * Counsellor whose availability the request is about: the caller (with
+ * availability.manage), or ?counsellor_id / body counsellor_id for users with
+ * availability.manage_all, limited to counsellors of their centers.
+ * Returns { counsellorId, status, error }
+ */
+async function resolveCounsellor(req, requested) {
+  const permissions = await loadPermissions(req);
+  const counsellorId = requested !== undefined && requested !== null && requested !== ''
+    ? parseInt(requested, 10)
+    : req.user.id;
+
+  if (isNaN(counsellorId)) {
+    return { counsellorId: null, status: 400, error: 'counsellor_id must be a number' };
+  }
+  if (counsellorId === req.user.id && permissions.has('availability.manage')) {
+    return { counsellorId, status: null, error: null };
+  }
+  if (!permissions.has('availability.manage_all')) {
+    return { counsellorId: null, status: 403, error: 'Not enough permissions' };
+  }
+
+  const counsellor = await User.findOne({ where: { id: counsellorId, role: UserRole.COUNSELLOR }, attributes: ['id'] });
+  if (!counsellor) {
+    return { counsellorId: null, status: 404, error: 'Counsellor not found' };
+  }
+  const centerIds = await getCenterScope(req);
+  if (centerIds !== null) {
+    const shared = await UserCenter.count({ where: { user_id: counsellorId, center_id: centerIds } });
+    if (shared === 0) {
+      return { counsellorId: null, status: 404, error: 'Counsellor not found' };
+    }
+  }
+  return { counsellorId, status: null, error: null };
+}
+
+function formatTemplate(template) {
+  return {
+    id: template.id,
+    weekday: template.weekday,
+    start_time: String(template.start_time).slice(0, 5),
+    end_time: String(template.end_time).slice(0, 5),
+    slot_minutes: template.slot_minutes
+  };
+}
+
+function formatException(exception) {
+  return {
+    id: exception.id,
+    counsellor_id: exception.counsellor_id,
+    date: exception.date,
+    start_time: exception.start_time ? String(exception.start_time).slice(0, 5) : null,
+    end_time: exception.end_time ? String(exception.end_time).slice(0, 5) : null,
+    type: exception.type,
+    reason: exception.reason
+  };
+}
+
+// GET /counsellor/availability - Weekly template and upcoming exceptions
+// Query: counsellor_id? (managers), from?, to? (exception dates, default the next 90 days)
+router.get('/', getCurrentUser, async (req, res) => {
+  try {
+    const { counsellorId, status, error } = await resolveCounsellor(req, req.query.counsellor_id);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const from = DATE.test(req.query.from || '') ? req.query.from : todayLocal();
+    const to = DATE.test(req.query.to || '') ? req.query.to : addDays(from, 90);
+
+    const templates = await AvailabilityTemplate.findAll({
+      where: { counsellor_id: counsellorId },
+      order: [['weekday', 'ASC'], ['start_time', 'ASC']]
+    });
+    const exceptions = await AvailabilityException.findAll({
+      where: {
+        date: { [Op.between]: [from, to] },
+        [Op.or]: [{ counsellor_id: counsellorId }, { counsellor_id: null }]
+      },
+      order: [['date', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    return res.json({
+      counsellor_id: counsellorId,
+      templates: templates.map(formatTemplate),
+      exceptions: exceptions.map(formatException)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching availability:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch availability' });
+  }
+});
+
+// PUT /counsellor/availability/templates - Replace the weekly template
+// Body: { counsellor_id?, templates: [{ weekday (0=Sunday), start_time, end_time, slot_minutes? }] }
+router.put('/templates', getCurrentUser, async (req, res) => {
+  try {
+    const { counsellorId, status, error } = await resolveCounsellor(req, req.body.counsellor_id);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const validationError = validateTemplates(req.body.templates);
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
+
+    const templates = await setWeeklyTemplate(counsellorId, req.body.templates);
+    console.log(`✅ ${req.user.email} set ${templates.length} availability window(s) for counsellor ${counsellorId}`);
+    return res.json({ counsellor_id: counsellorId, templates: templates.map(formatTemplate) });
+  } catch (error) {
+    console.error('❌ Error saving availability template:', error.message);
+    return res.status(500).json({ detail: 'Failed to save availability template' });
+  }
+});
+
+// POST /counsellor/availability/exceptions - Block a day or part of a day
+// Body: { counsellor_id?, global?, date, start_time?, end_time?, type?, reason? }
+// global: true declares a holiday for every counsellor and needs centers.all
+router.post('/exceptions', getCurrentUser, async (req, res) => {
+  try {
+    const { date, start_time, end_time, reason } = req.body;
+    const type = req.body.type || AvailabilityExceptionType.UNAVAILABLE;
+    const global = req.body.global === true;
+
+    let counsellorId = null;
+    if (global) {
+      const permissions = await loadPermissions(req);
+      if (!permissions.has('availability.manage_all') || !permissions.has('centers.all')) {
+        return res.status(403).json({ detail: 'Not enough permissions to declare a holiday for every counsellor' });
+      }
+    } else {
+      const resolved = await resolveCounsellor(req, req.body.counsellor_id);
+      if (resolved.error) {
+        return res.status(resolved.status).json({ detail: resolved.error });
+      }
+      counsellorId = resolved.counsellorId;
+    }
+
+    if (!Object.values(AvailabilityExceptionType).includes(type)) {
+      return res.status(400).json({ detail: `type must be one of ${Object.values(AvailabilityExceptionType).join(', ')}` });
+    }
+    const validationError = validateException({ date, start_time, end_time });
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
+
+    const exception = await AvailabilityException.create({
+      counsellor_id: counsellorId,
+      date,
+      start_time: start_time || null,
+      end_time: end_time || null,
+      type,
+      reason: reason || null,
+      created_by: req.user.id
+    });
+
+    // Existing bookings are left alone; staff cancel or reschedule them explicitly
+    console.log(`✅ ${req.user.email} blocked ${date}${start_time ? ` ${start_time}-${end_time}` : ''} for ${global ? 'all counsellors' : `counsellor ${counsellorId}`}`);
+    return res.status(201).json(formatException(exception));
+  } catch (error) {
+    console.error('❌ Error creating availability exception:', error.message);
+    return res.status(500).json({ detail: 'Failed to create availability exception' });
+  }
+});
+
+// DELETE /counsellor/availability/exceptions/:id - Remove an exception
+router.delete('/exceptions/:id', getCurrentUser, async (req, res) => {
+  try {
+    const exception = await AvailabilityException.findByPk(req.params.id);
+    if (!exception) {
+      return res.status(404).json({ detail: 'Exception not found' });
+    }
+
+    if (exception.counsellor_id === null) {
+      const permissions = await loadPermissions(req);
+      if (!permissions.has('availability.manage_all') || !permissions.has('centers.all')) {
+        return res.status(403).json({ detail: 'Not enough permissions to remove a holiday for every counsellor' });
+      }
+    } else {
+      const { status, error } = await resolveCounsellor(req, exception.counsellor_id);
+      if (error) {
+        return res.status(status).json({ detail: status === 404 ? 'Exception not found' : error });
+      }
+    }
+
+    await exception.destroy();
+    return res.json({ message: 'Exception removed' });
+  } catch (error) {
+    console.error('❌ Error removing availability exception:', error.message);
+    return res.status(500).json({ detail: 'Failed to remove availability exception' });
+  }
+});
+
+module.exports = router;
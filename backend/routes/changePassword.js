@@ -3,6 +3,7 @@ const router = express.Router();
 const { User } = require('../models');
 const { getCurrentUser } = require('../middleware/auth');
 const { getPasswordHash, verifyPassword } = require('../middleware/password');
+const { SessionRevokeReason, revokeUserSessions } = require('../services/sessions');
 
 router.post('', getCurrentUser, async (req, res) => {
   try {
@@ -42,6 +43,11 @@ router.post('', getCurrentUser, async (req, res) => {
       is_first_login: false
     });
 
+    // Keep the session that changed the password, end every other one
+    await revokeUserSessions(user.id, SessionRevokeReason.PASSWORD_CHANGED, {
+      exceptSessionId: req.authSession.id
+    });
+
     console.log(`✅ Password changed for user: ${user.email}`);
 
     return res.json({
@@ -1,79 +1,168 @@
 const express = require('express');
 const router = express.Router();
-const { User, UserRole, CounsellorNote, TestAttempt } = require('../models');
-const { getCurrentUser, requireRole } = require('../middleware/auth');
+const { UserRole, CounsellorNote, TestAttempt } = require('../models');
+const { getCurrentUser, requirePermission, loadPermissions } = require('../middleware/auth');
+const { canAccessStudent } = require('../services/studentAccess');
+const {
+  validateNoteInput,
+  createNote,
+  editNote,
+  deleteNote,
+  setPinned,
+  formatNote,
+  loadNames,
+  getNoteThreads
+} = require('../services/counsellorNotes');
+
+// Load a note the caller may act on (students in scope only); null when not found
+async function findAccessibleNote(req) {
+  const note = await CounsellorNote.findByPk(req.params.noteId);
+  if (!note || !(await canAccessStudent(req, note.student_id))) {
+    return null;
+  }
+  return note;
+}
 
-const requireCounsellor = requireRole(['COUNSELLOR']);
+async function respondWithNote(res, note, status = 200) {
+  const names = await loadNames([note.counsellor_id]);
+  return res.status(status).json(formatNote(note, { names }));
+}
 
-// POST /counsellor/notes
-router.post('', getCurrentUser, requireCounsellor, async (req, res) => {
+// POST /counsellor/notes - Add a note, or a reply with parent_note_id
+// Body: { test_attempt_id, notes, category?, visibility?, parent_note_id? }
+router.post('', getCurrentUser, requirePermission('notes.write'), async (req, res) => {
   try {
-    const { test_attempt_id, notes } = req.body;
-    const currentUser = req.user;
+    const { test_attempt_id, parent_note_id } = req.body;
 
-    // Verify test attempt exists
+    // Verify test attempt exists and belongs to a student of the counsellor's centers
     const testAttempt = await TestAttempt.findByPk(test_attempt_id);
-    if (!testAttempt) {
+    if (!testAttempt || !(await canAccessStudent(req, testAttempt.student_id))) {
       return res.status(404).json({
         detail: 'Test attempt not found'
       });
     }
 
-    const studentId = testAttempt.student_id;
+    const { values, error: validationError } = validateNoteInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
 
-    // Check if note already exists
-    let existingNote = await CounsellorNote.findOne({
-      where: {
-        test_attempt_id: test_attempt_id,
-        counsellor_id: currentUser.id
-      }
+    const { note, error } = await createNote(testAttempt, req.user.id, values, {
+      parentNoteId: parent_note_id ? parseInt(parent_note_id, 10) : null
     });
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
 
-    if (existingNote) {
-      // Update existing note
-      existingNote.notes = notes;
-      existingNote.updated_at = new Date();
-      await existingNote.save();
-
-      return res.status(200).json({
-        id: existingNote.id,
-        counsellor_id: existingNote.counsellor_id,
-        counsellor_name: currentUser.full_name,
-        student_id: existingNote.student_id,
-        test_attempt_id: existingNote.test_attempt_id,
-        notes: existingNote.notes,
-        created_at: existingNote.created_at,
-        updated_at: existingNote.updated_at
-      });
-    } else {
-      // Create new note
-      const newNote = await CounsellorNote.create({
-        counsellor_id: currentUser.id,
-        student_id: studentId,
-        test_attempt_id: test_attempt_id,
-        notes: notes
-      });
+    return respondWithNote(res, note, 201);
+  } catch (error) {
+    console.error(`❌ Error in create_note: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to create note'
+    });
+  }
+});
 
-      return res.status(201).json({
-        id: newNote.id,
-        counsellor_id: newNote.counsellor_id,
-        counsellor_name: currentUser.full_name,
-        student_id: newNote.student_id,
-        test_attempt_id: newNote.test_attempt_id,
-        notes: newNote.notes,
-        created_at: newNote.created_at,
-        updated_at: newNote.updated_at
-      });
+// PUT /counsellor/notes/:noteId - Edit own note; the previous version is kept as a revision
+// Body: { notes?, category?, visibility?, revision? } - revision is the version being edited
+router.put('/:noteId', getCurrentUser, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+    if (!note || note.deleted_at) {
+      return res.status(404).json({ detail: 'Note not found' });
     }
+    if (note.counsellor_id !== req.user.id) {
+      return res.status(403).json({ detail: 'Only the author can edit a note' });
+    }
+
+    const { values, error: validationError } = validateNoteInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
+
+    const expectedRevision = req.body.revision !== undefined ? parseInt(req.body.revision, 10) : null;
+    const { error, conflict } = await editNote(note, values, req.user.id, { expectedRevision });
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ detail: error });
+    }
+
+    return respondWithNote(res, note);
   } catch (error) {
-    console.error(`❌ Error in create_or_update_note: ${error.message}`);
+    console.error(`❌ Error in edit_note: ${error.message}`);
     return res.status(500).json({
-      detail: 'Failed to create or update note'
+      detail: 'Failed to edit note'
     });
   }
 });
 
-// GET /counsellor/notes/:test_attempt_id
+// DELETE /counsellor/notes/:noteId - Soft-delete a note (author, or notes.moderate). Body: { reason? }
+router.delete('/:noteId', getCurrentUser, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+    if (!note || note.deleted_at) {
+      return res.status(404).json({ detail: 'Note not found' });
+    }
+    if (note.counsellor_id !== req.user.id && !(await loadPermissions(req)).has('notes.moderate')) {
+      return res.status(403).json({ detail: 'Only the author can delete this note' });
+    }
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 255) || null : null;
+    const { error, conflict } = await deleteNote(note, req.user.id, reason);
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ detail: error });
+    }
+
+    console.log(`✅ Note ${note.id} deleted by ${req.user.email}${reason ? ` (${reason})` : ''}`);
+    return respondWithNote(res, note);
+  } catch (error) {
+    console.error(`❌ Error in delete_note: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to delete note'
+    });
+  }
+});
+
+// POST /counsellor/notes/:noteId/pin - Pin a note to the top of the attempt's notes
+router.post('/:noteId/pin', getCurrentUser, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+    if (!note || note.deleted_at) {
+      return res.status(404).json({ detail: 'Note not found' });
+    }
+    if (note.parent_note_id) {
+      return res.status(400).json({ detail: 'Only top-level notes can be pinned' });
+    }
+
+    await setPinned(note, true, req.user.id);
+    return respondWithNote(res, note);
+  } catch (error) {
+    console.error(`❌ Error in pin_note: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to pin note'
+    });
+  }
+});
+
+// DELETE /counsellor/notes/:noteId/pin - Unpin a note
+router.delete('/:noteId/pin', getCurrentUser, requirePermission('notes.write'), async (req, res) => {
+  try {
+    const note = await findAccessibleNote(req);
+    if (!note || note.deleted_at) {
+      return res.status(404).json({ detail: 'Note not found' });
+    }
+
+    await setPinned(note, false, req.user.id);
+    return respondWithNote(res, note);
+  } catch (error) {
+    console.error(`❌ Error in unpin_note: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to unpin note'
+    });
+  }
+});
+
+// GET /counsellor/notes/:test_attempt_id - Threaded notes with their revision history
+// Students only get the notes shared with them, without history
 router.get('/:test_attempt_id', getCurrentUser, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
@@ -94,35 +183,24 @@ router.get('/:test_attempt_id', getCurrentUser, async (req, res) => {
       });
     }
 
-    // Get note (any counsellor's note for this attempt)
-    const note = await CounsellorNote.findOne({
-      where: { test_attempt_id: testAttemptId }
-    });
-
-    if (!note) {
-      return res.json(null);
+    // Staff only see notes on students of their own centers
+    if (!(await canAccessStudent(req, testAttempt.student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
     }
 
-    // Get counsellor name
-    const counsellor = await User.findByPk(note.counsellor_id);
-
+    const threads = await getNoteThreads(testAttemptId, { forStudent: currentUser.role === UserRole.STUDENT });
     return res.json({
-      id: note.id,
-      counsellor_id: note.counsellor_id,
-      counsellor_name: counsellor ? counsellor.full_name : 'Unknown',
-      student_id: note.student_id,
-      test_attempt_id: note.test_attempt_id,
-      notes: note.notes,
-      created_at: note.created_at,
-      updated_at: note.updated_at
+      test_attempt_id: testAttemptId,
+      notes: threads
     });
   } catch (error) {
-    console.error(`❌ Error in get_note: ${error.message}`);
+    console.error(`❌ Error in get_notes: ${error.message}`);
     return res.status(500).json({
-      detail: 'Failed to get note'
+      detail: 'Failed to get notes'
     });
   }
 });
 
 module.exports = router;
-
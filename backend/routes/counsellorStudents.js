@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const { User, UserRole, Student, TestAttempt, TestStatus, InterpretedResult, Score } = require('../models');
-const { getCurrentUser } = require('../middleware/auth');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
 const { resolveTopCareerMatchForList } = require('../services/topCareerFromEngine');
+const { getStudentScope, scopeStudentWhere } = require('../services/studentAccess');
+const { listCaseload } = require('../services/assignments');
 
 /**
  * Phone for counsellor list: optional `mobile_number`, else required registration field `contact_number`.
@@ -45,12 +47,7 @@ const computeAIInsight = (readinessStatus, riskLevel, score) => {
 };
 
 // GET /counsellor/students - Get students with test attempts for counselor
-router.get('/', getCurrentUser, async (req, res) => {
-  // Check if user is a counsellor
-  if (req.user.role !== UserRole.COUNSELLOR) {
-    return res.status(403).json({ detail: 'Access denied. Counsellor role required.' });
-  }
-  
+router.get('/', getCurrentUser, requirePermission('students.view_assigned'), async (req, res) => {
   try {
     console.log('🔵 GET /counsellor/students - Request received');
     const currentUser = req.user;
@@ -83,9 +80,10 @@ router.get('/', getCurrentUser, async (req, res) => {
       ];
     }
     
-    // Fetch students
+    // Fetch students (limited to the counsellor's caseload)
+    const scope = await getStudentScope(req);
     const students = await User.findAll({
-      where: userWhere,
+      where: scopeStudentWhere(userWhere, scope),
       attributes: ['id', 'email', 'full_name', 'created_at'],
       order: [['created_at', 'DESC']],
       limit: limit * 3, // Fetch more to account for filtering
@@ -263,5 +261,30 @@ router.get('/', getCurrentUser, async (req, res) => {
   }
 });
 
+// GET /counsellor/students/caseload - Students currently assigned to the logged-in counsellor
+router.get('/caseload', getCurrentUser, requirePermission('students.view_assigned'), async (req, res) => {
+  try {
+    const assignments = await listCaseload(req.user.id);
+
+    return res.json({
+      counsellor_id: req.user.id,
+      total: assignments.length,
+      students: assignments.map(assignment => ({
+        assignment_id: assignment.id,
+        student_id: assignment.student_id,
+        full_name: assignment.student ? assignment.student.full_name : null,
+        email: assignment.student ? assignment.student.email : null,
+        contact_number: normalizePhone(assignment.student?.studentProfile?.contact_number),
+        education: assignment.student?.studentProfile?.current_education || null,
+        method: assignment.method,
+        assigned_at: assignment.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching caseload:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch caseload' });
+  }
+});
+
 module.exports = router;
 
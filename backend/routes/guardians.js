@@ -0,0 +1,512 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const {
+  User,
+  UserRole,
+  Student,
+  TestAttempt,
+  TestStatus,
+  Appointment,
+  AppointmentGuardian,
+  GuardianLink,
+  GuardianLinkStatus
+} = require('../models');
+const { getCurrentUser, requirePermission, loadPermissions } = require('../middleware/auth');
+const { canAccessStudent } = require('../services/studentAccess');
+const { createSession } = require('../services/sessions');
+const { autoAssignStudent, getActiveAssignment } = require('../services/assignments');
+const { getNoteThreads } = require('../services/counsellorNotes');
+const { generateReportPdf } = require('../services/reportPdf');
+const {
+  LIVE_STATUSES,
+  DATE,
+  addDays,
+  todayLocal,
+  localToUtc,
+  appointmentStart,
+  getOpenSlots,
+  bookSlot
+} = require('../services/availability');
+const { scheduleReminders } = require('../services/appointmentNotifications');
+const {
+  CONSENT_VERSION,
+  CONSENT_TEXT,
+  GUARDIAN_APPOINTMENT_INCLUDES,
+  validateInvite,
+  inviteGuardian,
+  findInvitation,
+  acceptInvitation,
+  revokeLink,
+  findActiveLink,
+  formatLink,
+  listLinks,
+  listLinkedStudents,
+  getGuardianResults,
+  formatGuardianAppointment,
+  getGuardianSummary
+} = require('../services/guardians');
+
+/**
+ * Student whose guardians the caller manages: students act for themselves
+ * (guardians.invite), staff for students in scope (guardians.manage).
+ * Returns { student, status, error }
+ */
+async function resolveManagedStudent(req, requestedId) {
+  const permissions = await loadPermissions(req);
+  if (req.user.role === UserRole.STUDENT) {
+    if (!permissions.has('guardians.invite')) {
+      return { student: null, status: 403, error: 'Not enough permissions' };
+    }
+    return { student: req.user, status: null, error: null };
+  }
+  if (!permissions.has('guardians.manage')) {
+    return { student: null, status: 403, error: 'Not enough permissions' };
+  }
+  const studentId = parseInt(requestedId, 10);
+  if (isNaN(studentId)) {
+    return { student: null, status: 400, error: 'student_id is required' };
+  }
+  const student = await User.findOne({ where: { id: studentId, role: UserRole.STUDENT } });
+  if (!student || !(await canAccessStudent(req, studentId))) {
+    return { student: null, status: 404, error: 'Student not found' };
+  }
+  return { student, status: null, error: null };
+}
+
+// Resolve :studentId to a student the current guardian has a consented link to
+async function requireLinkedStudent(req, res, next) {
+  try {
+    const studentId = parseInt(req.params.studentId, 10);
+    const link = isNaN(studentId) ? null : await findActiveLink(req.user.id, studentId);
+    if (!link) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+    req.guardianLink = link;
+    next();
+  } catch (error) {
+    console.error(`❌ Guardian link check error: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to check guardian access' });
+  }
+}
+
+const requirePortal = requirePermission('guardian.portal');
+const requireGuardianAppointments = requirePermission('guardian.appointments');
+
+// POST /guardians/invitations - Invite a parent or guardian by email or WhatsApp
+// Body: { channel?: EMAIL|WHATSAPP, email?, phone? (defaults to parent_contact_number), relationship?, student_id? (staff) }
+router.post('/invitations', getCurrentUser, async (req, res) => {
+  try {
+    const { student, status, error } = await resolveManagedStudent(req, req.body.student_id);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const profile = await Student.findOne({ where: { user_id: student.id } });
+    const { values, error: validationError } = validateInvite(req.body, profile);
+    if (validationError) {
+      return res.status(400).json({ detail: validationError });
+    }
+
+    const { link, sent, error: inviteError } = await inviteGuardian(student, req.user.id, values);
+    if (inviteError) {
+      return res.status(400).json({ detail: inviteError });
+    }
+
+    return res.status(201).json({ ...formatLink(link), sent });
+  } catch (error) {
+    console.error(`❌ Guardian invitation error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to send guardian invitation'
+    });
+  }
+});
+
+// GET /guardians/invitations/:token - What the invitation is for, and the consent to accept (no login)
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const link = await findInvitation(req.params.token);
+    if (!link) {
+      return res.status(404).json({ detail: 'This invitation is invalid or has expired' });
+    }
+    return res.json({
+      student_name: link.student ? link.student.full_name : null,
+      relationship: link.relationship,
+      expires_at: link.invite_expires_at,
+      consent: { version: CONSENT_VERSION, text: CONSENT_TEXT }
+    });
+  } catch (error) {
+    console.error(`❌ Get guardian invitation error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get invitation'
+    });
+  }
+});
+
+// POST /guardians/invitations/:token/accept - Give consent and sign in (no login)
+// Body: { email, password, full_name? (new accounts), consent: true }
+// An existing guardian account adds the student by giving its password
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const { guardian, link, created, error } = await acceptInvitation(req.params.token, req.body, req.ip || null);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    const { tokens } = await createSession(guardian, req);
+    console.log(`✅ Guardian ${guardian.email} ${created ? 'registered and ' : ''}linked to student ${link.student_id} (consent ${CONSENT_VERSION})`);
+    return res.status(created ? 201 : 200).json({
+      ...tokens,
+      user: {
+        id: guardian.id,
+        email: guardian.email,
+        full_name: guardian.full_name,
+        role: guardian.role,
+        center: null,
+        centers: []
+      },
+      student_id: link.student_id
+    });
+  } catch (error) {
+    console.error(`❌ Accept guardian invitation error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to accept invitation'
+    });
+  }
+});
+
+// GET /guardians/links - Invitations and guardians of a student. Query: student_id (staff)
+router.get('/links', getCurrentUser, async (req, res) => {
+  try {
+    const { student, status, error } = await resolveManagedStudent(req, req.query.student_id);
+    if (error) {
+      return res.status(status).json({ detail: error });
+    }
+
+    const links = await listLinks(student.id);
+    return res.json({
+      student_id: student.id,
+      max_guardians: config.guardians.maxPerStudent,
+      links: links.map(formatLink)
+    });
+  } catch (error) {
+    console.error(`❌ List guardian links error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to list guardians'
+    });
+  }
+});
+
+// DELETE /guardians/links/:id - Revoke a guardian's access or cancel an invitation. Body: { reason? }
+// The student, staff for students in scope, or the guardian (withdrawing consent)
+router.delete('/links/:id', getCurrentUser, async (req, res) => {
+  try {
+    const link = await GuardianLink.findByPk(req.params.id);
+    if (!link) {
+      return res.status(404).json({ detail: 'Guardian link not found' });
+    }
+
+    const permissions = await loadPermissions(req);
+    let allowed;
+    if (req.user.role === UserRole.GUARDIAN) {
+      allowed = link.guardian_id === req.user.id && permissions.has('guardian.portal');
+    } else if (req.user.role === UserRole.STUDENT) {
+      allowed = link.student_id === req.user.id && permissions.has('guardians.invite');
+    } else {
+      allowed = permissions.has('guardians.manage') && await canAccessStudent(req, link.student_id);
+    }
+    if (!allowed) {
+      return res.status(404).json({ detail: 'Guardian link not found' });
+    }
+    if (link.status === GuardianLinkStatus.REVOKED) {
+      return res.status(400).json({ detail: 'This access has already been revoked' });
+    }
+
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 255) || null : null;
+    await revokeLink(link, req.user.id, reason);
+    await link.reload({ include: [{ model: User, as: 'guardian', attributes: ['id', 'full_name', 'email'], required: false }] });
+
+    console.log(`✅ Guardian link ${link.id} revoked by ${req.user.email}${reason ? ` (${reason})` : ''}`);
+    return res.json(formatLink(link));
+  } catch (error) {
+    console.error(`❌ Revoke guardian link error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to revoke guardian access'
+    });
+  }
+});
+
+// GET /guardians/students - Students the current guardian follows
+router.get('/students', getCurrentUser, requirePortal, async (req, res) => {
+  try {
+    const links = await listLinkedStudents(req.user.id);
+    return res.json({
+      students: links.map(link => {
+        const profile = link.student && link.student.studentProfile;
+        return {
+          id: link.student_id,
+          link_id: link.id,
+          full_name: link.student ? link.student.full_name : null,
+          first_name: profile ? profile.first_name : null,
+          last_name: profile ? profile.last_name : null,
+          current_education: profile ? profile.current_education : null,
+          stream: profile ? profile.stream : null,
+          school_institute_name: profile ? profile.school_institute_name : null,
+          relationship: link.relationship,
+          linked_since: link.accepted_at
+        };
+      })
+    });
+  } catch (error) {
+    console.error(`❌ List guardian students error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to list students'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/summary - Overview without internal counsellor fields
+router.get('/students/:studentId/summary', getCurrentUser, requirePortal, requireLinkedStudent, async (req, res) => {
+  try {
+    const summary = await getGuardianSummary(req.guardianLink.student_id, req.user.id);
+    return res.json({
+      ...summary,
+      relationship: req.guardianLink.relationship,
+      linked_since: req.guardianLink.accepted_at
+    });
+  } catch (error) {
+    console.error(`❌ Guardian summary error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get student summary'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/results - Completed attempts and their results (read-only)
+router.get('/students/:studentId/results', getCurrentUser, requirePortal, requireLinkedStudent, async (req, res) => {
+  try {
+    const results = await getGuardianResults(req.guardianLink.student_id);
+    return res.json({ student_id: req.guardianLink.student_id, results });
+  } catch (error) {
+    console.error(`❌ Guardian results error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get results'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/results/:testAttemptId/pdf - The student's career report,
+// without the readiness, risk and counsellor summary sections
+router.get('/students/:studentId/results/:testAttemptId/pdf', getCurrentUser, requirePortal, requireLinkedStudent, async (req, res) => {
+  try {
+    const testAttempt = await TestAttempt.findOne({
+      where: { id: parseInt(req.params.testAttemptId, 10) || 0, student_id: req.guardianLink.student_id, status: TestStatus.COMPLETED }
+    });
+    if (!testAttempt) {
+      return res.status(404).json({ detail: 'Test attempt not found' });
+    }
+
+    const { pdf, filename, error } = await generateReportPdf(testAttempt, { forGuardian: true });
+    if (error) {
+      return res.status(404).json({ detail: error });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error(`❌ Guardian report pdf error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to generate report PDF'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/notes - Counsellor notes shared with the student, by completed attempt
+router.get('/students/:studentId/notes', getCurrentUser, requirePortal, requireLinkedStudent, async (req, res) => {
+  try {
+    const attempts = await TestAttempt.findAll({
+      where: { student_id: req.guardianLink.student_id, status: TestStatus.COMPLETED },
+      order: [['completed_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    const attemptsWithNotes = [];
+    for (const attempt of attempts) {
+      const notes = await getNoteThreads(attempt.id, { forStudent: true });
+      if (notes.length > 0) {
+        attemptsWithNotes.push({ test_attempt_id: attempt.id, attempt_number: attempt.attempt_number, notes });
+      }
+    }
+    return res.json({ student_id: req.guardianLink.student_id, attempts: attemptsWithNotes });
+  } catch (error) {
+    console.error(`❌ Guardian notes error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get notes'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/appointments - The student's appointments, newest first
+router.get('/students/:studentId/appointments', getCurrentUser, requirePortal, requireLinkedStudent, async (req, res) => {
+  try {
+    const appointments = await Appointment.findAll({
+      where: { student_id: req.guardianLink.student_id },
+      include: GUARDIAN_APPOINTMENT_INCLUDES,
+      order: [['appointment_date', 'DESC'], ['appointment_time', 'DESC']]
+    });
+    return res.json({
+      student_id: req.guardianLink.student_id,
+      timezone: config.appointments.timezone,
+      appointments: appointments.map(appointment => formatGuardianAppointment(appointment, req.user.id))
+    });
+  } catch (error) {
+    console.error(`❌ Guardian appointments error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get appointments'
+    });
+  }
+});
+
+// GET /guardians/students/:studentId/slots - Open slots with the student's counsellor
+// Query: from?, to? (YYYY-MM-DD in the appointment timezone, default the next 7 days)
+router.get('/students/:studentId/slots', getCurrentUser, requireGuardianAppointments, requireLinkedStudent, async (req, res) => {
+  try {
+    // Reading slots never assigns; booking does
+    const assignment = await getActiveAssignment(req.guardianLink.student_id);
+    if (!assignment) {
+      return res.status(400).json({ detail: 'No counsellor is assigned to the student yet' });
+    }
+
+    const today = todayLocal();
+    const lastDay = addDays(today, config.appointments.bookingHorizonDays);
+    const from = DATE.test(req.query.from || '') && req.query.from > today ? req.query.from : today;
+    let to = DATE.test(req.query.to || '') ? req.query.to : addDays(from, 6);
+    if (to > lastDay) to = lastDay;
+
+    const slots = to < from ? [] : await getOpenSlots(assignment.counsellor_id, from, to);
+    return res.json({
+      timezone: config.appointments.timezone,
+      from,
+      to,
+      slots: slots.map(slot => ({
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        date: slot.date,
+        time: slot.time,
+        duration_minutes: slot.duration_minutes
+      }))
+    });
+  } catch (error) {
+    console.error(`❌ Guardian slots error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to get available slots'
+    });
+  }
+});
+
+// POST /guardians/students/:studentId/appointments - Book a slot for the student; the guardian attends it
+// Body: { slot_start } or { appointment_date, appointment_time }, notes?
+router.post('/students/:studentId/appointments', getCurrentUser, requireGuardianAppointments, requireLinkedStudent, async (req, res) => {
+  try {
+    const studentId = req.guardianLink.student_id;
+    let slotStart = null;
+    if (req.body.slot_start) {
+      slotStart = new Date(req.body.slot_start);
+    } else if (DATE.test(req.body.appointment_date || '') && /^\d{2}:\d{2}/.test(req.body.appointment_time || '')) {
+      slotStart = localToUtc(req.body.appointment_date, req.body.appointment_time.slice(0, 5));
+    }
+    if (!slotStart || isNaN(slotStart.getTime())) {
+      return res.status(400).json({ detail: 'slot_start (or appointment date and time) is required' });
+    }
+
+    const { assignment } = await autoAssignStudent(studentId);
+    if (!assignment) {
+      return res.status(400).json({ detail: 'No counsellor is available at the student\'s center yet' });
+    }
+
+    const { appointment, error, conflict } = await bookSlot({
+      studentId,
+      counsellorId: assignment.counsellor_id,
+      slotStart,
+      notes: req.body.notes || null,
+      bookedBy: req.user.id,
+      guardianId: req.user.id
+    });
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({ detail: error });
+    }
+
+    await scheduleReminders(appointment);
+    console.log(`✅ Guardian ${req.user.id} booked ${appointment.slot_start.toISOString()} for student ${studentId}`);
+
+    const booked = await Appointment.findByPk(appointment.id, { include: GUARDIAN_APPOINTMENT_INCLUDES });
+    return res.status(201).json(formatGuardianAppointment(booked, req.user.id));
+  } catch (error) {
+    console.error(`❌ Guardian booking error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to book appointment'
+    });
+  }
+});
+
+// Load an upcoming appointment of a student the guardian is linked to; null when not found
+async function findJoinableAppointment(req) {
+  const appointment = await Appointment.findByPk(req.params.id);
+  if (!appointment || !(await findActiveLink(req.user.id, appointment.student_id))) {
+    return null;
+  }
+  return appointment;
+}
+
+// POST /guardians/appointments/:id/join - Attend a student's upcoming appointment and get its notifications
+router.post('/appointments/:id/join', getCurrentUser, requireGuardianAppointments, async (req, res) => {
+  try {
+    const appointment = await findJoinableAppointment(req);
+    if (!appointment) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+    if (!LIVE_STATUSES.includes(appointment.status) || appointmentStart(appointment) <= new Date()) {
+      return res.status(400).json({ detail: 'Only upcoming pending or confirmed appointments can be joined' });
+    }
+
+    await AppointmentGuardian.findOrCreate({
+      where: { appointment_id: appointment.id, guardian_id: req.user.id }
+    });
+    console.log(`✅ Guardian ${req.user.id} joined appointment ${appointment.id}`);
+
+    const joined = await Appointment.findByPk(appointment.id, { include: GUARDIAN_APPOINTMENT_INCLUDES });
+    return res.json(formatGuardianAppointment(joined, req.user.id));
+  } catch (error) {
+    console.error(`❌ Join appointment error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to join appointment'
+    });
+  }
+});
+
+// DELETE /guardians/appointments/:id/join - Stop attending an appointment
+router.delete('/appointments/:id/join', getCurrentUser, requireGuardianAppointments, async (req, res) => {
+  try {
+    const appointment = await findJoinableAppointment(req);
+    if (!appointment) {
+      return res.status(404).json({ detail: 'Appointment not found' });
+    }
+
+    const removed = await AppointmentGuardian.destroy({
+      where: { appointment_id: appointment.id, guardian_id: req.user.id }
+    });
+    if (!removed) {
+      return res.status(400).json({ detail: 'You are not attending this appointment' });
+    }
+
+    const left = await Appointment.findByPk(appointment.id, { include: GUARDIAN_APPOINTMENT_INCLUDES });
+    return res.json(formatGuardianAppointment(left, req.user.id));
+  } catch (error) {
+    console.error(`❌ Leave appointment error: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to leave appointment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+const express = require('express');
+const router = express.Router();
+const { User, UserRole, Student, Center, Institution, InstitutionCoordinator, StudentImport, CredentialChannel } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { spreadsheetUpload, readSpreadsheet, mapColumns, templateCsv } = require('../services/spreadsheet');
+const {
+  IMPORT_COLUMNS,
+  REQUIRED_IMPORT_COLUMNS,
+  getInstitutionScope,
+  findAccessibleInstitution,
+  formatInstitution,
+  formatImport,
+  addCoordinator,
+  importStudents,
+  queueStudentCredentials,
+  getInstitutionDashboard,
+  listClassStudents
+} = require('../services/institutions');
+
+const INSTITUTION_CODE = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,49}$/;
+
+// Active center for an institution, or null
+async function findActiveCenter(centerId) {
+  const id = parseInt(centerId, 10);
+  if (!id) return null;
+  return Center.findOne({ where: { id, is_active: true } });
+}
+
+// GET /institutions - Institutions the user may see (admins all, coordinators their own) with student counts
+router.get('/', getCurrentUser, requirePermission('institutions.dashboard'), async (req, res) => {
+  try {
+    const scope = await getInstitutionScope(req);
+    const institutions = await Institution.findAll({
+      where: scope === null ? {} : { id: scope },
+      order: [['name', 'ASC']]
+    });
+
+    const counts = await Student.findAll({
+      where: { institution_id: institutions.map(institution => institution.id) },
+      attributes: ['institution_id', [Student.sequelize.fn('COUNT', Student.sequelize.col('institution_id')), 'count']],
+      group: ['institution_id'],
+      raw: true
+    });
+    const studentCounts = Object.fromEntries(counts.map(row => [row.institution_id, parseInt(row.count, 10)]));
+
+    return res.json(institutions.map(institution => ({
+      ...formatInstitution(institution),
+      student_count: studentCounts[institution.id] || 0
+    })));
+  } catch (error) {
+    console.error('❌ Error listing institutions:', error.message);
+    return res.status(500).json({ detail: 'Failed to list institutions' });
+  }
+});
+
+// POST /institutions - Create an institution.
+// Body: { code, name, center_id, city?, contact_email?, contact_number? }
+router.post('/', getCurrentUser, requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const { code, name, center_id, city, contact_email, contact_number } = req.body;
+    if (!code || !INSTITUTION_CODE.test(code)) {
+      return res.status(400).json({ detail: 'code must be 1-50 characters: letters, digits, spaces, - or _' });
+    }
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ detail: 'name is required' });
+    }
+
+    // Imported students join this center and get its counsellors
+    const center = await findActiveCenter(center_id);
+    if (!center) {
+      return res.status(400).json({ detail: 'center_id must reference an active center' });
+    }
+
+    const existing = await Institution.findOne({ where: { code } });
+    if (existing) {
+      return res.status(400).json({ detail: 'An institution with this code already exists' });
+    }
+
+    const institution = await Institution.create({
+      code,
+      name: String(name).trim(),
+      center_id: center.id,
+      city: city || null,
+      contact_email: contact_email || null,
+      contact_number: contact_number || null
+    });
+
+    console.log(`✅ Institution created: ${institution.code} by ${req.user.email}`);
+    return res.status(201).json(formatInstitution(institution));
+  } catch (error) {
+    console.error('❌ Error creating institution:', error.message);
+    return res.status(500).json({ detail: 'Failed to create institution' });
+  }
+});
+
+// GET /institutions/:id - One institution with its coordinators
+router.get('/:id', getCurrentUser, requirePermission('institutions.dashboard'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const coordinators = await institution.getCoordinators({
+      attributes: ['id', 'email', 'full_name'],
+      joinTableAttributes: ['created_at'],
+      order: [['full_name', 'ASC']]
+    });
+
+    return res.json({
+      ...formatInstitution(institution),
+      coordinators: coordinators.map(user => ({
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        linked_at: user.InstitutionCoordinator.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching institution:', error.message);
+    return res.status(500).json({ detail: 'Failed to fetch institution' });
+  }
+});
+
+// PUT /institutions/:id - Update name, center, city, contacts or is_active (the code is fixed).
+// A new name is copied to the institution's students.
+router.put('/:id', getCurrentUser, requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const institution = await Institution.findByPk(parseInt(req.params.id, 10));
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const { name, center_id, city, contact_email, contact_number, is_active } = req.body;
+    const updateData = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ detail: 'name cannot be empty' });
+      }
+      updateData.name = String(name).trim();
+    }
+    if (center_id !== undefined) {
+      const center = await findActiveCenter(center_id);
+      if (!center) {
+        return res.status(400).json({ detail: 'center_id must reference an active center' });
+      }
+      updateData.center_id = center.id;
+    }
+    if (city !== undefined) updateData.city = city || null;
+    if (contact_email !== undefined) updateData.contact_email = contact_email || null;
+    if (contact_number !== undefined) updateData.contact_number = contact_number || null;
+    if (is_active !== undefined) updateData.is_active = !!is_active;
+
+    // Existing students keep their center; only new imports use a changed one
+    await Institution.sequelize.transaction(async (transaction) => {
+      await institution.update(updateData, { transaction });
+      if (updateData.name) {
+        await Student.update(
+          { school_institute_name: updateData.name },
+          { where: { institution_id: institution.id }, transaction }
+        );
+      }
+    });
+
+    console.log(`✅ Institution updated: ${institution.code} by ${req.user.email}`);
+    return res.json(formatInstitution(institution));
+  } catch (error) {
+    console.error('❌ Error updating institution:', error.message);
+    return res.status(500).json({ detail: 'Failed to update institution' });
+  }
+});
+
+// POST /institutions/:id/coordinators - Add a coordinator; a new email gets an account and
+// emailed credentials. Body: { email, name?, phone_number? }
+router.post('/:id/coordinators', getCurrentUser, requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const institution = await Institution.findByPk(parseInt(req.params.id, 10));
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const { user, created, notifications, error } = await addCoordinator(institution, req.body);
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    console.log(`✅ Coordinator ${user.email} ${created ? 'created for' : 'linked to'} institution ${institution.code} by ${req.user.email}`);
+    return res.status(created ? 201 : 200).json({
+      message: created ? 'Coordinator created successfully' : 'Coordinator linked to the institution',
+      coordinator: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role
+      },
+      notifications
+    });
+  } catch (error) {
+    console.error(`❌ Error adding coordinator: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to add coordinator' });
+  }
+});
+
+// DELETE /institutions/:id/coordinators/:userId - Unlink a coordinator (the account is kept)
+router.delete('/:id/coordinators/:userId', getCurrentUser, requirePermission('institutions.manage'), async (req, res) => {
+  try {
+    const removed = await InstitutionCoordinator.destroy({
+      where: {
+        institution_id: parseInt(req.params.id, 10) || 0,
+        user_id: parseInt(req.params.userId, 10) || 0
+      }
+    });
+    if (!removed) {
+      return res.status(404).json({ detail: 'Coordinator not linked to this institution' });
+    }
+
+    console.log(`✅ Coordinator ${req.params.userId} unlinked from institution ${req.params.id} by ${req.user.email}`);
+    return res.json({ message: 'Coordinator removed from the institution' });
+  } catch (error) {
+    console.error(`❌ Error removing coordinator: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to remove coordinator' });
+  }
+});
+
+// GET /institutions/:id/students/import-template - CSV with the import column headers
+router.get('/:id/students/import-template', getCurrentUser, requirePermission('institutions.import'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="students-${institution.code}.csv"`);
+    return res.send(templateCsv(IMPORT_COLUMNS));
+  } catch (error) {
+    console.error(`❌ Error building import template: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to build import template' });
+  }
+});
+
+// POST /institutions/:id/students/import - Create students from an Excel (.xlsx) or CSV file.
+// Multipart fields: file, channel (EMAIL | WHATSAPP, how credentials are sent; default EMAIL),
+// dry_run ("true" to only validate). Responds with a report of every row.
+router.post('/:id/students/import', getCurrentUser, requirePermission('institutions.import'), spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+    if (!institution.is_active) {
+      return res.status(400).json({ detail: 'Institution is inactive' });
+    }
+
+    const channel = String(req.body.channel || CredentialChannel.EMAIL).toUpperCase();
+    if (!Object.values(CredentialChannel).includes(channel)) {
+      return res.status(400).json({ detail: `channel must be one of: ${Object.values(CredentialChannel).join(', ')}` });
+    }
+    const dryRun = req.body.dry_run === 'true' || req.query.dry_run === 'true';
+
+    if (!req.file) {
+      return res.status(400).json({
+        detail: 'No file uploaded. Please upload an Excel (.xlsx) or CSV (.csv) file'
+      });
+    }
+
+    const { fileType, rows, error: fileError, parseError } = readSpreadsheet(req.file);
+    console.log(`📥 ${fileType} student import${dryRun ? ' (dry run)' : ''} for institution ${institution.code} by ${req.user.email}`);
+    if (fileError) {
+      return res.status(400).json({
+        detail: fileError,
+        error: process.env.NODE_ENV === 'development' ? parseError : undefined
+      });
+    }
+
+    const { columnMap, columnKeys } = mapColumns(rows, IMPORT_COLUMNS);
+    const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(column => !columnMap[column]);
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        detail: `${fileType} file is missing column(s): ${missingColumns.join(', ')}`,
+        found_columns: columnKeys,
+        expected_columns: IMPORT_COLUMNS
+      });
+    }
+
+    const { studentImport, summary, report, error } = await importStudents(institution, rows, columnMap, {
+      uploadedBy: req.user.id,
+      fileName: req.file.originalname,
+      channel,
+      dryRun
+    });
+    if (error) {
+      return res.status(400).json({ detail: error });
+    }
+
+    console.log(`📊 Student import for ${institution.code}: ${summary.created} created, ${summary.failed} failed of ${summary.total_rows}`);
+    return res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `${summary.valid} of ${summary.total_rows} row(s) are valid`
+        : `Imported ${summary.created} of ${summary.total_rows} student(s)`,
+      dry_run: dryRun,
+      import: studentImport ? formatImport(studentImport) : null,
+      summary,
+      rows: report
+    });
+  } catch (error) {
+    console.error(`❌ Error importing students: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to import students' });
+  }
+});
+
+// GET /institutions/:id/imports - Past student imports, newest first (without row reports)
+router.get('/:id/imports', getCurrentUser, requirePermission('institutions.import'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const imports = await StudentImport.findAll({
+      where: { institution_id: institution.id },
+      attributes: { exclude: ['report'] },
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+    return res.json(imports.map(studentImport => formatImport(studentImport)));
+  } catch (error) {
+    console.error(`❌ Error listing student imports: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to list student imports' });
+  }
+});
+
+// GET /institutions/:id/imports/:importId - One import with its row-by-row report
+router.get('/:id/imports/:importId', getCurrentUser, requirePermission('institutions.import'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const studentImport = await StudentImport.findOne({
+      where: { id: parseInt(req.params.importId, 10) || 0, institution_id: institution.id }
+    });
+    if (!studentImport) {
+      return res.status(404).json({ detail: 'Import not found' });
+    }
+    return res.json(formatImport(studentImport, { withReport: true }));
+  } catch (error) {
+    console.error(`❌ Error fetching student import: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to fetch student import' });
+  }
+});
+
+// POST /institutions/:id/students/:studentId/credentials - Send a new temporary password to a
+// student who has not signed in yet. Body: { channel?: EMAIL | WHATSAPP }
+router.post('/:id/students/:studentId/credentials', getCurrentUser, requirePermission('institutions.import'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const channel = String(req.body.channel || CredentialChannel.EMAIL).toUpperCase();
+    if (!Object.values(CredentialChannel).includes(channel)) {
+      return res.status(400).json({ detail: `channel must be one of: ${Object.values(CredentialChannel).join(', ')}` });
+    }
+
+    const student = await Student.findOne({
+      where: { user_id: parseInt(req.params.studentId, 10) || 0, institution_id: institution.id },
+      include: [{ model: User, as: 'user', where: { role: UserRole.STUDENT }, attributes: ['id', 'email', 'is_first_login'] }]
+    });
+    if (!student) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+    if (!student.user.is_first_login) {
+      return res.status(400).json({ detail: 'The student has already signed in; they can use forgot password instead' });
+    }
+
+    await queueStudentCredentials(student.user_id, channel);
+    console.log(`✅ Credentials queued for student ${student.user.email} (${channel}) by ${req.user.email}`);
+    return res.status(202).json({ message: 'New credentials will be sent shortly' });
+  } catch (error) {
+    console.error(`❌ Error resending credentials: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to resend credentials' });
+  }
+});
+
+// GET /institutions/:id/dashboard - Completion and result counts for the institution and each class
+router.get('/:id/dashboard', getCurrentUser, requirePermission('institutions.dashboard'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const dashboard = await getInstitutionDashboard(institution.id);
+    return res.json({
+      institution: { id: institution.id, code: institution.code, name: institution.name },
+      ...dashboard
+    });
+  } catch (error) {
+    console.error(`❌ Error building institution dashboard: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to build institution dashboard' });
+  }
+});
+
+// GET /institutions/:id/classes/:className/students - Students of one class with their progress
+router.get('/:id/classes/:className/students', getCurrentUser, requirePermission('institutions.dashboard'), async (req, res) => {
+  try {
+    const institution = await findAccessibleInstitution(req, req.params.id);
+    if (!institution) {
+      return res.status(404).json({ detail: 'Institution not found' });
+    }
+
+    const students = await listClassStudents(institution.id, req.params.className);
+    if (students.length === 0) {
+      return res.status(404).json({ detail: 'Class not found' });
+    }
+    return res.json({ class_name: req.params.className, students });
+  } catch (error) {
+    console.error(`❌ Error listing class students: ${error.message}`);
+    return res.status(500).json({ detail: 'Failed to list class students' });
+  }
+});
+
+module.exports = router;
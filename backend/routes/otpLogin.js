@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { createSession } = require('../services/sessions');
+const { normalizeContactNumber, requestLoginCode, verifyLoginCode } = require('../services/otpLogin');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginBlocked
+} = require('../services/loginThrottle');
+const { getUserCenterCodes } = require('../services/centers');
+
+// POST /auth/otp/request - Send a login code to a student's registered contact number
+router.post('/request', async (req, res) => {
+  const contactNumber = normalizeContactNumber(req.body.contact_number);
+  if (!contactNumber) {
+    return res.status(400).json({
+      detail: 'Contact Number must be exactly 10 digits'
+    });
+  }
+
+  // Same response whether or not the number is registered, sent before any lookup
+  res.json({
+    message: 'If this number is registered, a login code has been sent.',
+    expires_in_seconds: config.otp.expiresMinutes * 60
+  });
+
+  try {
+    await requestLoginCode(contactNumber, req.ip);
+  } catch (error) {
+    console.error(`❌ Error in otp_request: ${error.message}`);
+  }
+});
+
+// POST /auth/otp/verify - Exchange a login code for the normal access/refresh tokens
+router.post('/verify', async (req, res) => {
+  try {
+    const contactNumber = normalizeContactNumber(req.body.contact_number);
+    const code = req.body.code ? String(req.body.code).trim() : '';
+    if (!contactNumber || !/^\d+$/.test(code)) {
+      return res.status(400).json({
+        detail: 'Contact number and code are required'
+      });
+    }
+
+    // Per-IP throttling shared with password login
+    const attempt = { ip: req.ip, userAgent: req.get('user-agent') };
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      await recordLoginBlocked({ ...attempt, scope: throttle.scope });
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        detail: `Too many failed login attempts. Try again in ${throttle.retryAfterSeconds} second(s).`,
+        error_code: throttle.locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+        retry_after_seconds: throttle.retryAfterSeconds
+      });
+    }
+
+    const { user, userId, error } = await verifyLoginCode(contactNumber, code);
+    if (error) {
+      console.log(`❌ OTP login failed for number ending ${contactNumber.slice(-4)}`);
+      await recordLoginFailure({ ...attempt, userId: userId || null, reason: 'invalid_otp' });
+      return res.status(401).json({
+        detail: error
+      });
+    }
+
+    console.log(`✅ OTP login successful: ${user.email} (role: ${user.role})`);
+    await recordLoginSuccess({ ...attempt, email: user.email, userId: user.id });
+
+    const { tokens } = await createSession(user, req);
+    const centers = await getUserCenterCodes(user);
+
+    return res.json({
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+        center: centers[0] || null,
+        centers,
+        is_first_login: user.is_first_login || false
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error in otp_verify: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Login failed'
+    });
+  }
+});
+
+module.exports = router;
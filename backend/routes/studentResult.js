@@ -1,16 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const { User, UserRole, InterpretedResult, Career, TestAttempt, TestStatus } = require('../models');
-const { getCurrentUser, requireRole } = require('../middleware/auth');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
 const { calculateRIASECScores } = require('../services/riasecScoring');
 const { generateRIASECReport } = require('../services/riasecReportGenerator');
+const { generateReportPdf } = require('../services/reportPdf');
 
-const requireStudent = requireRole(['STUDENT']);
+const requireOwnResults = requirePermission('results.view_own');
 
 const DISCLAIMER_TEXT = 'This assessment is designed to provide general career guidance and insights. Results are based on your responses and are intended for informational purposes only. They should not be considered as definitive career decisions or professional diagnoses. We recommend consulting with a qualified career counsellor to discuss your results in detail and explore your options further. Individual results may vary, and career success depends on many factors beyond assessment scores.';
 
+// GET /student/result/:test_attempt_id/pdf - Download the career report as PDF
+router.get('/:test_attempt_id/pdf', getCurrentUser, requireOwnResults, async (req, res) => {
+  try {
+    const testAttemptId = parseInt(req.params.test_attempt_id, 10);
+
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: testAttemptId,
+        student_id: req.user.id
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
+
+    if (testAttempt.status !== TestStatus.COMPLETED) {
+      return res.status(400).json({
+        detail: 'Test must be completed before downloading the report'
+      });
+    }
+
+    const { pdf, filename, error } = await generateReportPdf(testAttempt);
+    if (error) {
+      return res.status(404).json({
+        detail: error
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error(`❌ Error in get_result_pdf: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to generate report PDF'
+    });
+  }
+});
+
 // GET /student/result/:test_attempt_id
-router.get('/:test_attempt_id', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/:test_attempt_id', getCurrentUser, requireOwnResults, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const currentUser = req.user;
@@ -108,16 +151,18 @@ router.get('/:test_attempt_id', getCurrentUser, requireStudent, async (req, res)
 });
 
 // GET /student/result/
-router.get('/', getCurrentUser, requireStudent, async (req, res) => {
+// Lists every attempt, including archived attempts from before a retake.
+// Attempts without an interpretation yet have result_available: false.
+router.get('/', getCurrentUser, requireOwnResults, async (req, res) => {
   try {
     const currentUser = req.user;
 
-    // Get all test attempts for current user
+    // Get all test attempts for current user, newest first
     const testAttempts = await TestAttempt.findAll({
       where: {
-        student_id: currentUser.id,
-        status: TestStatus.COMPLETED
-      }
+        student_id: currentUser.id
+      },
+      order: [['started_at', 'DESC'], ['id', 'DESC']]
     });
 
     if (!testAttempts || testAttempts.length === 0) {
@@ -127,11 +172,32 @@ router.get('/', getCurrentUser, requireStudent, async (req, res) => {
     const results = [];
 
     for (const testAttempt of testAttempts) {
-      const interpretedResult = await InterpretedResult.findOne({
-        where: { test_attempt_id: testAttempt.id }
-      });
+      const attemptInfo = {
+        test_attempt_id: testAttempt.id,
+        attempt_number: testAttempt.attempt_number,
+        status: testAttempt.status,
+        is_archived: testAttempt.is_archived,
+        archived_at: testAttempt.archived_at,
+        started_at: testAttempt.started_at,
+        completed_at: testAttempt.completed_at
+      };
+
+      const interpretedResult = testAttempt.status === TestStatus.COMPLETED
+        ? await InterpretedResult.findOne({ where: { test_attempt_id: testAttempt.id } })
+        : null;
 
       if (!interpretedResult) {
+        results.push({
+          ...attemptInfo,
+          result_available: false,
+          interpretation_text: null,
+          strengths: null,
+          areas_for_improvement: null,
+          careers: [],
+          created_at: null,
+          disclaimer: DISCLAIMER_TEXT,
+          riasec_report: null
+        });
         continue;
       }
 
@@ -178,7 +244,8 @@ router.get('/', getCurrentUser, requireStudent, async (req, res) => {
       }
 
       results.push({
-        test_attempt_id: testAttempt.id,
+        ...attemptInfo,
+        result_available: true,
         interpretation_text: interpretedResult.interpretation_text,
         strengths: interpretedResult.strengths,
         areas_for_improvement: interpretedResult.areas_for_improvement,
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { User, UserRole } = require('../models');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { canAccessStudent } = require('../services/studentAccess');
+const { availableCategories, getTimeline } = require('../services/timeline');
+
+const MAX_LIMIT = 100;
+
+// GET /students/:id/timeline - Everything that happened to a student, one paginated feed
+// :id may be "me" for students. Query: types? (comma-separated categories), order? (desc|asc), page, limit
+// Students see their own timeline without internal notes or assignment history
+router.get('/:id/timeline', getCurrentUser, requirePermission('timeline.view'), async (req, res) => {
+  try {
+    const forStudent = req.user.role === UserRole.STUDENT;
+    const studentId = req.params.id === 'me' ? req.user.id : parseInt(req.params.id, 10);
+    if (isNaN(studentId)) {
+      return res.status(400).json({ detail: 'Student id must be a number or "me"' });
+    }
+
+    const student = await User.findOne({ where: { id: studentId, role: UserRole.STUDENT }, attributes: ['id', 'full_name'] });
+    if (!student || !(await canAccessStudent(req, studentId))) {
+      return res.status(404).json({ detail: 'Student not found' });
+    }
+
+    const allowed = availableCategories({ forStudent });
+    let categories = allowed;
+    if (req.query.types) {
+      categories = String(req.query.types).split(',').map(type => type.trim()).filter(Boolean);
+      const unknown = categories.filter(category => !allowed.includes(category));
+      if (unknown.length > 0) {
+        return res.status(400).json({ detail: `Unknown timeline types: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page || '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '25', 10) || 25, 1), MAX_LIMIT);
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+    const { events, total } = await getTimeline(studentId, {
+      categories,
+      forStudent,
+      limit,
+      offset: (page - 1) * limit,
+      order
+    });
+
+    return res.json({
+      student: { id: student.id, full_name: student.full_name },
+      types: categories,
+      events,
+      pagination: {
+        total_records: total,
+        total_pages: Math.ceil(total / limit),
+        current_page: page,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching student timeline: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to fetch student timeline'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,12 +5,16 @@ const { sequelize } = require('../database');
 const {
   User, UserRole, Question, TestAttempt, TestStatus,
   Answer, Score, InterpretedResult, Section, SectionProgress, SectionStatus,
-  Student, TestAttemptQuestion
+  Student, TestAttemptQuestion, UnlockRule, JobStatus
 } = require('../models');
-const { getCurrentUser, requireRole } = require('../middleware/auth');
-const { storeScores } = require('../services/scoring');
+const { getCurrentUser, requirePermission } = require('../middleware/auth');
+const { lookupPercentiles } = require('../services/norms');
+const { getRetakeEligibility, createAttempt } = require('../services/retakes');
+const { compareAttempts } = require('../services/attemptComparison');
+const { canAccessStudent } = require('../services/studentAccess');
+const { generateReportPdf } = require('../services/reportPdf');
+const { enqueueReportGeneration, enqueueMissingReportStage, getReportStatus } = require('../services/reportJobs');
 const {
-  generateAndSaveInterpretation,
   calculateReadinessStatus,
   calculateRiskLevel,
   determineCareerDirection,
@@ -24,15 +28,19 @@ const {
 } = require('../services/geminiInterpreter');
 const { calculateRIASECScores } = require('../services/riasecScoring');
 const { generateRIASECReport } = require('../services/riasecReportGenerator');
-
-// Test configuration constants
-const TOTAL_QUESTIONS = 35; // Total questions across all sections (7 questions × 5 sections)
-const QUESTIONS_PER_SECTION = 7; // Questions per section
-const TOTAL_SECTIONS = 5; // Total number of sections
-
-const requireStudent = requireRole(['STUDENT']);
-const requireStudentOrCounsellor = requireRole(['STUDENT', 'COUNSELLOR']);
-const requireStudentOrCounsellorOrAdmin = requireRole(['STUDENT', 'COUNSELLOR', 'ADMIN']);
+const {
+  getSectionTimeLimit,
+  getQuestionsToDraw,
+  isSectionMandatory,
+  seededShuffle,
+  getCompletedSectionIds,
+  checkSectionUnlocked,
+  findNextIncompleteSection
+} = require('../services/sectionConfig');
+
+const requireTestTaker = requirePermission('tests.take');
+// Handlers still limit students to their own attempts
+const requireResultsView = requirePermission('results.view');
 
 // Helper function to parse options
 function parseOptionsToArray(optionsString) {
@@ -101,8 +109,46 @@ function parseOptionsToArray(optionsString) {
   return result;
 }
 
+// Questions drawn for this attempt in a section, in presentation order.
+// Order is by id unless the section shuffles questions; shuffles are seeded
+// by attempt id so a refresh returns the same order.
+async function getAttemptSectionQuestions(testAttemptId, section) {
+  const attemptQuestions = await TestAttemptQuestion.findAll({
+    where: { test_attempt_id: testAttemptId },
+    include: [{
+      model: Question,
+      as: 'question',
+      where: {
+        section_id: section.id,
+        is_active: true,
+        status: 'approved'
+      }
+    }]
+  });
+
+  const questions = attemptQuestions
+    .map(tq => tq.question)
+    .sort((a, b) => a.id - b.id);
+
+  return section.shuffle_questions
+    ? seededShuffle(questions, testAttemptId * 1000 + section.id)
+    : questions;
+}
+
+function formatQuestionForAttempt(question, testAttemptId, section) {
+  let options = parseOptionsToArray(question.options);
+  if (section.shuffle_options) {
+    options = seededShuffle(options, testAttemptId * 100000 + question.id);
+  }
+  return {
+    question_id: question.id,
+    question_text: question.question_text,
+    options
+  };
+}
+
 // GET /test/questions
-router.get('/questions', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/questions', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const currentUser = req.user;
     const attemptId = req.query.attempt_id ? parseInt(req.query.attempt_id, 10) : null;
@@ -189,7 +235,7 @@ router.get('/questions', getCurrentUser, requireStudent, async (req, res) => {
 });
 
 // POST /test/start
-router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/start', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const currentUser = req.user;
 
@@ -201,20 +247,6 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
       });
     }
 
-    // Check if user has already completed a test (ONE ATTEMPT ONLY)
-    const completedAttempt = await TestAttempt.findOne({
-      where: {
-        student_id: currentUser.id,
-        status: TestStatus.COMPLETED
-      }
-    });
-
-    if (completedAttempt) {
-      return res.status(400).json({
-        detail: 'You have already completed the test. Each student can attempt the test only once.'
-      });
-    }
-
     // Check if user has an in-progress test
     const existingAttempt = await TestAttempt.findOne({
       where: {
@@ -240,8 +272,16 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
       });
     }
 
-    // Validate that at least one section has minimum 7 questions
-    // SQL Query: Check if any section has >= 7 questions
+    // After a completed attempt a retake entitlement is required
+    const eligibility = await getRetakeEligibility(currentUser.id);
+    if (!eligibility.canAttempt) {
+      return res.status(400).json({
+        detail: eligibility.reason,
+        retake_available_at: eligibility.availableAt
+      });
+    }
+
+    // Validate that at least one section has enough approved questions to draw from
     const sections = await Section.findAll({
       where: { is_active: true },
       order: [['order_index', 'ASC']]
@@ -257,7 +297,7 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
         }
       });
 
-      if (questionCount >= 7) {
+      if (questionCount >= getQuestionsToDraw(section)) {
         hasEnoughQuestions = true;
         break;
       }
@@ -266,26 +306,33 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
     if (!hasEnoughQuestions) {
       return res.status(400).json({
         error_code: 'INSUFFICIENT_QUESTIONS',
-        message: 'Cannot start test. At least one section must have minimum 7 questions.',
-        detail: 'No section has at least 7 active and approved questions. Please add more questions to at least one section.'
+        message: 'Cannot start test. At least one section must have enough questions to draw from.',
+        detail: 'No section has as many active and approved questions as it is configured to draw. Please add more questions to at least one section.'
       });
     }
 
-    // Create new test attempt (questions will be selected per section when accessing sections)
-    const testAttempt = await TestAttempt.create({
-      student_id: currentUser.id,
+    // Create new test attempt (questions will be selected per section when accessing sections).
+    // A retake consumes the entitlement and archives earlier attempts.
+    const retakeEntitlement = eligibility.lastCompletedAttempt ? eligibility.entitlement : null;
+    const { testAttempt, error: attemptError } = await createAttempt(currentUser.id, retakeEntitlement, {
       status: TestStatus.IN_PROGRESS,
       current_section_id: null,
       current_question_index: 0,
-      remaining_time_seconds: 420
+      remaining_time_seconds: getSectionTimeLimit(sections[0])
     });
+    if (attemptError) {
+      return res.status(409).json({
+        detail: attemptError
+      });
+    }
 
-    console.log(`✅ Test attempt ${testAttempt.id} created (questions will be selected per section)`);
+    console.log(`✅ Test attempt ${testAttempt.id} created (attempt #${testAttempt.attempt_number}, questions will be selected per section)`);
 
     return res.json({
       test_attempt_id: testAttempt.id,
       status: testAttempt.status,
       started_at: testAttempt.started_at,
+      attempt_number: testAttempt.attempt_number,
       total_questions: 0 // Questions are assigned per section, not at test start
     });
   } catch (error) {
@@ -297,7 +344,7 @@ router.post('/start', getCurrentUser, requireStudent, async (req, res) => {
 });
 
 // POST /test/submit
-router.post('/submit', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/submit', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const { attempt_id, answers } = req.body;
     const currentUser = req.user;
@@ -431,7 +478,7 @@ router.post('/submit', getCurrentUser, requireStudent, async (req, res) => {
 });
 
 // POST /test/:test_attempt_id/complete
-router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/:test_attempt_id/complete', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const autoSubmit = req.query.auto_submit === 'true';
@@ -470,11 +517,11 @@ router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async
       });
     }
 
-    // Check if all sections are completed (section-wise flow)
-    const activeSections = await Section.findAll({
+    // Check if all mandatory sections are completed (section-wise flow)
+    const activeSections = (await Section.findAll({
       where: { is_active: true },
       order: [['order_index', 'ASC']]
-    });
+    })).filter(isSectionMandatory);
 
     const activeSectionCount = activeSections.length;
 
@@ -511,7 +558,7 @@ router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async
 
       if (completedCount < activeSectionCount) {
         return res.status(400).json({
-          detail: `Please complete all sections. ${completedCount}/${activeSectionCount} sections completed. Missing: ${missingSectionsList.join(', ')}`
+          detail: `Please complete all mandatory sections. ${completedCount}/${activeSectionCount} sections completed. Missing: ${missingSectionsList.join(', ')}`
         });
       }
     }
@@ -555,86 +602,89 @@ router.post('/:test_attempt_id/complete', getCurrentUser, requireStudent, async
       console.log(`⚠️ Warning: More answers (${answeredQuestions}) than expected (${expectedTotalQuestions}), proceeding with validation`);
     }
 
-    // Calculate and store scores (scores are calculated from all answers, regardless of sections)
-    try {
-      await storeScores(testAttemptId);
-    } catch (error) {
-      console.error(`❌ Error calculating scores: ${error.message}`);
-      return res.status(500).json({
-        detail: 'Failed to calculate scores'
+    // Mark test attempt as completed and queue scoring, interpretation and the
+    // RIASEC report; clients poll GET /test/:test_attempt_id/report-status
+    let reportJob;
+    await sequelize.transaction(async (transaction) => {
+      testAttempt.status = TestStatus.COMPLETED;
+      testAttempt.completed_at = new Date();
+      await testAttempt.save({ transaction });
+      ({ job: reportJob } = await enqueueReportGeneration(testAttemptId, { transaction }));
+    });
+
+    console.log(`✅ Test ${testAttemptId} marked as COMPLETED, report generation queued as job ${reportJob.id}`);
+
+    return res.json({
+      message: 'Test completed successfully',
+      test_attempt_id: testAttemptId,
+      test_id: testAttemptId,
+      status: 'COMPLETED',
+      report_status: JobStatus.PENDING
+    });
+  } catch (error) {
+    console.error(`❌ Error in complete_test: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to complete test'
+    });
+  }
+});
+
+// GET /test/:test_attempt_id/report-status - Progress of scoring, interpretation and RIASEC report jobs
+router.get('/:test_attempt_id/report-status', getCurrentUser, requireResultsView, async (req, res) => {
+  try {
+    const testAttemptId = parseInt(req.params.test_attempt_id, 10);
+    const currentUser = req.user;
+
+    const testAttempt = await TestAttempt.findByPk(testAttemptId);
+    if (!testAttempt) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
       });
     }
 
-    // Mark test attempt as completed
-    testAttempt.status = TestStatus.COMPLETED;
-    testAttempt.completed_at = new Date();
-    await testAttempt.save();
+    if (currentUser.role === UserRole.STUDENT && testAttempt.student_id !== currentUser.id) {
+      return res.status(403).json({
+        detail: 'Access denied'
+      });
+    }
 
-    console.log(`✅ Test ${testAttemptId} marked as COMPLETED`);
+    if (!(await canAccessStudent(req, testAttempt.student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
 
-    // Auto-create interpretation if it doesn't exist
-    try {
-      // Explicitly select only columns that exist in database to avoid "Unknown column" errors
-      let interpretedResult = await InterpretedResult.findOne({
-        where: { test_attempt_id: testAttemptId },
-        attributes: [
-          'id',
-          'test_attempt_id',
-          'interpretation_text',
-          'strengths',
-          'areas_for_improvement',
-          'is_ai_generated',
-          'created_at',
-          'updated_at'
-        ]
-      });
-
-      if (!interpretedResult) {
-        console.log(`🔵 Auto-creating interpretation for test ${testAttemptId}`);
-        // Get score for interpretation
-        const score = await Score.findOne({
-          where: {
-            test_attempt_id: testAttemptId,
-            dimension: 'overall'
-          }
-        });
+    if (testAttempt.status !== TestStatus.COMPLETED) {
+      return res.json({
+        test_attempt_id: testAttemptId,
+        status: 'NOT_STARTED',
+        stages: [],
+        result_available: false,
+        riasec_report_available: false
+      });
+    }
 
-        if (score) {
-          const totalQuestions = expectedTotalQuestions;
-          const percentage = score.score_value;
-          const correctAnswers = percentage <= 100 ? Math.floor((percentage / 100) * totalQuestions) : totalQuestions;
+    const reportStatus = await getReportStatus(testAttemptId);
 
-          // Generate interpretation in background (non-blocking)
-          try {
-            await generateAndSaveInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage);
-            console.log(`✅ Interpretation generated for test ${testAttemptId}`);
-          } catch (error) {
-            console.log(`⚠️ Failed to generate interpretation: ${error.message}`);
-            // Don't fail the completion if interpretation generation fails
-          }
-        }
-      }
-    } catch (error) {
-      console.log(`⚠️ Error during interpretation auto-creation: ${error.message}`);
-      // Don't fail the completion if interpretation creation fails
+    // Job errors are internal; students only see that generation failed
+    if (currentUser.role === UserRole.STUDENT) {
+      reportStatus.stages = reportStatus.stages.map(({ last_error, ...stage }) => stage);
     }
 
     return res.json({
-      message: 'Test completed successfully',
       test_attempt_id: testAttemptId,
-      test_id: testAttemptId,
-      status: 'COMPLETED'
+      ...reportStatus
     });
   } catch (error) {
-    console.error(`❌ Error in complete_test: ${error.message}`);
+    console.error(`❌ Error in get_report_status: ${error.message}`);
     return res.status(500).json({
-      detail: 'Failed to complete test'
+      detail: 'Failed to get report status'
     });
   }
 });
 
 // GET /test/:test_attempt_id/state - Current test state (single source of truth)
-router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/:test_attempt_id/state', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     console.log(`🔵 GET /test/:test_attempt_id/state - Attempt ID: ${req.params.test_attempt_id}`);
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
@@ -694,7 +744,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
           // Update test attempt with current section
           testAttempt.current_section_id = section.id;
           testAttempt.current_question_index = 0;
-          testAttempt.remaining_time_seconds = 420;
+          testAttempt.remaining_time_seconds = getSectionTimeLimit(section);
           await testAttempt.save();
           break;
         }
@@ -702,7 +752,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
     }
 
     // Get section progress for timer calculation
-    let remainingTimeSeconds = testAttempt.remaining_time_seconds || 420;
+    let remainingTimeSeconds = testAttempt.remaining_time_seconds || getSectionTimeLimit(currentSection);
     let isPaused = false;
 
     if (currentSection) {
@@ -721,7 +771,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
           const now = new Date();
           const startTime = new Date(sectionProgress.section_start_time);
           const elapsedSeconds = Math.floor((now - startTime) / 1000) + sectionProgress.total_time_spent;
-          const sectionTimeLimit = 420;
+          const sectionTimeLimit = getSectionTimeLimit(currentSection);
           remainingTimeSeconds = Math.max(0, sectionTimeLimit - elapsedSeconds);
 
           // Update test attempt with calculated remaining time
@@ -729,7 +779,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
           await testAttempt.save();
         } else if (isPaused) {
           // Use stored remaining time if paused
-          remainingTimeSeconds = testAttempt.remaining_time_seconds || 420;
+          remainingTimeSeconds = testAttempt.remaining_time_seconds || getSectionTimeLimit(currentSection);
         }
       }
     }
@@ -741,7 +791,8 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
       current_section: currentSection ? {
         id: currentSection.id,
         order_index: currentSection.order_index,
-        name: currentSection.name
+        name: currentSection.name,
+        time_limit_seconds: getSectionTimeLimit(currentSection)
       } : null,
       current_question_index: testAttempt.current_question_index || 0,
       remaining_time_seconds: remainingTimeSeconds,
@@ -757,7 +808,7 @@ router.get('/:test_attempt_id/state', getCurrentUser, requireStudent, async (req
 });
 
 // GET /test/:test_attempt_id/progress - Full progress snapshot for resume (MUST come before /status)
-router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/:test_attempt_id/progress', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const currentUser = req.user;
@@ -803,7 +854,7 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
 
       // Use remaining_time_seconds from test_attempt if available (persisted on pause)
       // Otherwise calculate from section progress
-      const sectionTimeLimit = 420; // 7 minutes = 420 seconds
+      const sectionTimeLimit = getSectionTimeLimit(currentSection);
 
       // ALWAYS use remaining_time_seconds from test_attempt if available (persisted on pause/resume)
       // Otherwise calculate from section progress
@@ -858,14 +909,8 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
     const answersMap = {};
 
     if (currentSection) {
-      // Get all questions for this section
-      const sectionQuestions = await Question.findAll({
-        where: {
-          section_id: currentSection.id,
-          is_active: true
-        },
-        order: [['order_index', 'ASC']]
-      });
+      // Questions drawn for this attempt, in the order the student sees them
+      const sectionQuestions = await getAttemptSectionQuestions(testAttemptId, currentSection);
 
       // Get all answers for this section
       const sectionAnswers = await Answer.findAll({
@@ -891,7 +936,7 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
       }
 
       // If all questions answered, set to last question
-      if (answeredQuestionIds.size === sectionQuestions.length) {
+      if (sectionQuestions.length > 0 && answeredQuestionIds.size === sectionQuestions.length) {
         currentQuestionIndex = sectionQuestions.length - 1;
       }
     }
@@ -903,7 +948,8 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
       current_section: currentSection ? {
         id: currentSection.id,
         order_index: currentSection.order_index,
-        name: currentSection.name
+        name: currentSection.name,
+        time_limit_seconds: getSectionTimeLimit(currentSection)
       } : null,
       current_question_index: currentQuestionIndex,
       answers: answersMap, // { question_id: selected_option }
@@ -922,7 +968,7 @@ router.get('/:test_attempt_id/progress', getCurrentUser, requireStudent, async (
 });
 
 // GET /test/:test_attempt_id/status
-router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/:test_attempt_id/status', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const currentUser = req.user;
@@ -980,11 +1026,8 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
       }
     }
 
-    // Get total sections from database (should be 5)
-    let totalSections = await Section.count({ where: { is_active: true } });
-    if (totalSections === 0) {
-      totalSections = TOTAL_SECTIONS; // Fallback to constant if no sections found
-    }
+    const totalSections = allSections.length;
+    const mandatorySections = allSections.filter(isSectionMandatory).length;
 
     return res.json({
       test_attempt_id: testAttempt.id,
@@ -995,7 +1038,8 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
       answered_questions: answeredQuestions,
       completed_sections: completedSections,
       current_section: currentSection,
-      total_sections: totalSections
+      total_sections: totalSections,
+      mandatory_sections: mandatorySections
     });
   } catch (error) {
     console.error(`❌ Error in get_test_status: ${error.message}`);
@@ -1005,8 +1049,104 @@ router.get('/:test_attempt_id/status', getCurrentUser, requireStudent, async (re
   }
 });
 
+// GET /test/compare?attempts=a,b - Compare two completed attempts of the same student.
+// The earlier attempt is always reported as "from", regardless of query order.
+router.get('/compare', getCurrentUser, requirePermission('results.compare'), async (req, res) => {
+  try {
+    const attemptIds = String(req.query.attempts || '')
+      .split(',')
+      .map(id => parseInt(id.trim(), 10));
+
+    if (attemptIds.length !== 2 || attemptIds.some(id => isNaN(id))) {
+      return res.status(400).json({
+        detail: 'attempts must be two test attempt IDs, e.g. ?attempts=12,34'
+      });
+    }
+    if (attemptIds[0] === attemptIds[1]) {
+      return res.status(400).json({
+        detail: 'Choose two different attempts to compare'
+      });
+    }
+
+    const testAttempts = await TestAttempt.findAll({
+      where: { id: { [Op.in]: attemptIds } }
+    });
+
+    if (testAttempts.length !== 2 || !(await canAccessStudent(req, testAttempts[0].student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
+    if (testAttempts[0].student_id !== testAttempts[1].student_id) {
+      return res.status(400).json({
+        detail: 'Both attempts must belong to the same student'
+      });
+    }
+    if (testAttempts.some(a => a.status !== TestStatus.COMPLETED)) {
+      return res.status(400).json({
+        detail: 'Both attempts must be completed before they can be compared'
+      });
+    }
+
+    const [fromAttempt, toAttempt] = testAttempts.sort((a, b) =>
+      new Date(a.completed_at || a.started_at) - new Date(b.completed_at || b.started_at) || a.id - b.id
+    );
+
+    const comparison = await compareAttempts(fromAttempt, toAttempt);
+
+    return res.json({
+      student_id: fromAttempt.student_id,
+      ...comparison
+    });
+  } catch (error) {
+    console.error(`❌ Error in compare_attempts: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to compare test attempts'
+    });
+  }
+});
+
+// GET /test/report/:test_attempt_id/pdf - Career report PDF for counsellors and admins
+// (students use /student/result/:test_attempt_id/pdf)
+router.get('/report/:test_attempt_id/pdf', getCurrentUser, requirePermission('reports.download'), async (req, res) => {
+  try {
+    const testAttemptId = parseInt(req.params.test_attempt_id, 10);
+
+    const testAttempt = await TestAttempt.findByPk(testAttemptId);
+    if (!testAttempt || !(await canAccessStudent(req, testAttempt.student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
+
+    if (testAttempt.status !== TestStatus.COMPLETED) {
+      return res.status(400).json({
+        detail: 'Test must be completed before generating the report'
+      });
+    }
+
+    const { pdf, filename, error } = await generateReportPdf(testAttempt);
+    if (error) {
+      return res.status(404).json({
+        detail: error
+      });
+    }
+
+    console.log(`✅ Report PDF for attempt ${testAttemptId} generated by ${req.user.role} ${req.user.id}`);
+    res.setHeader('Content-Type', 'application/pdf');
+    // inline so centers can open it straight into the print dialog
+    res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+    return res.send(pdf);
+  } catch (error) {
+    console.error(`❌ Error in get_report_pdf: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to generate report PDF'
+    });
+  }
+});
+
 // GET /test/interpretation/:test_attempt_id
-router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrCounsellorOrAdmin, async (req, res) => {
+router.get('/interpretation/:test_attempt_id', getCurrentUser, requireResultsView, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const currentUser = req.user;
@@ -1019,12 +1159,17 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       });
     }
 
-    // If student, verify it's their attempt (admin and counsellor can access any)
+    // If student, verify it's their attempt (admins and counsellors: any student of their centers)
     if (currentUser.role === UserRole.STUDENT && testAttempt.student_id !== currentUser.id) {
       return res.status(403).json({
         detail: 'Access denied'
       });
     }
+    if (!(await canAccessStudent(req, testAttempt.student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
 
     if (testAttempt.status !== TestStatus.COMPLETED) {
       return res.status(400).json({
@@ -1112,7 +1257,9 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       
       const sectionScoresArray = sectionScores.map(s => ({
         section: s.dimension,
-        score: s.score_value
+        score: s.score_value,
+        percentile: s.percentile,
+        scoring_method: s.scoring_method || null
       }));
       
       // Get student contact number
@@ -1164,6 +1311,7 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
           return actionPlanItems.length > 0 ? actionPlanItems : ['Action plan is being generated. Please refresh in a moment.'];
         })(),
         overall_percentage: Math.round(percentage * 100) / 100,
+        overall_percentile: score ? score.percentile : null,
         total_questions: totalQuestions,
         correct_answers: correctAnswers,
         is_ai_generated: interpretedResult.is_ai_generated || false,
@@ -1184,7 +1332,7 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
     }
 
     // Get score data
-    let score = await Score.findOne({
+    const score = await Score.findOne({
       where: {
         test_attempt_id: testAttemptId,
         dimension: 'overall'
@@ -1192,45 +1340,33 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
     });
 
     if (!score) {
-      // Auto-create score if missing (shouldn't happen, but handle gracefully)
-      console.log(`⚠️ Score not found for test ${testAttemptId}, attempting to calculate...`);
-      try {
-        await storeScores(testAttemptId);
-        score = await Score.findOne({
-          where: {
-            test_attempt_id: testAttemptId,
-            dimension: 'overall'
-          }
-        });
-      } catch (error) {
-        console.error(`❌ Failed to calculate score: ${error.message}`);
-      }
+      // Scoring runs as a job; make sure one is queued and tell the client to poll
+      console.log(`⚠️ Score not found for test ${testAttemptId}, queueing report generation`);
+      await enqueueMissingReportStage(testAttemptId);
 
-      if (!score) {
-        // Get selected question IDs for default response from junction table
-        const defaultAttemptQuestions = await TestAttemptQuestion.findAll({
-          where: {
-            test_attempt_id: testAttemptId
-          },
-          attributes: ['question_id']
-        });
-        const defaultSelectedIds = defaultAttemptQuestions.map(tq => tq.question_id);
-        // Return a default interpretation instead of 404
-        console.log(`⚠️ Still no score found, returning default interpretation`);
-        return res.json({
-          summary: 'Assessment results are being processed. Please check back in a moment.',
-          strengths: [],
-          weaknesses: [],
-          career_clusters: [],
-          risk_level: 'MEDIUM',
-          readiness_status: 'PROCESSING',
-          action_plan: ['Results are being calculated. Please refresh in a moment.'],
-          overall_percentage: 0.0,
-          total_questions: defaultSelectedIds.length || 7,
-          correct_answers: 0,
-          is_ai_generated: false
-        });
-      }
+      // Get selected question IDs for default response from junction table
+      const defaultAttemptQuestions = await TestAttemptQuestion.findAll({
+        where: {
+          test_attempt_id: testAttemptId
+        },
+        attributes: ['question_id']
+      });
+      const defaultSelectedIds = defaultAttemptQuestions.map(tq => tq.question_id);
+      // Return a default interpretation instead of 404
+      return res.json({
+        summary: 'Assessment results are being processed. Please check back in a moment.',
+        strengths: [],
+        weaknesses: [],
+        career_clusters: [],
+        risk_level: 'MEDIUM',
+        readiness_status: 'PROCESSING',
+        action_plan: ['Results are being calculated. Please refresh in a moment.'],
+        overall_percentage: 0.0,
+        total_questions: defaultSelectedIds.length || 7,
+        correct_answers: 0,
+        is_ai_generated: false,
+        report_status: JobStatus.PENDING
+      });
     }
 
     // Get selected question IDs from junction table
@@ -1304,101 +1440,84 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
     // Calculate correct_answers for display purposes only (not stored, just for API response)
     const correctAnswers = percentage <= 100 ? Math.floor((percentage / 100) * totalQuestions) : totalQuestions;
 
-    // Generate interpretation if not exists
+    // Interpretation is generated by the job worker; queue it if nothing is queued yet
+    // and return a processing response until it is ready
     if (!interpretedResult) {
-      try {
-        console.log(`🔵 Attempting to generate interpretation for test ${testAttemptId}...`);
-        const result = await generateAndSaveInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage);
-        interpretedResult = result.interpretedResult;
-        console.log(`✅ Interpretation generated successfully for test ${testAttemptId}`);
-      } catch (error) {
-        console.error(`❌ Failed to generate interpretation for test ${testAttemptId}:`);
-        console.error(`❌ Error name: ${error.name}`);
-        console.error(`❌ Error message: ${error.message}`);
-        console.error(`❌ Error stack: ${error.stack}`);
-
-        // Check if it's a database column error
-        if (error.name === 'SequelizeDatabaseError' && error.message.includes('Unknown column')) {
-          console.error(`❌ Database column mismatch detected. This indicates the model defines columns that don't exist in the database.`);
-          return res.status(400).json({
-            error_code: 'DATABASE_SCHEMA_MISMATCH',
-            message: 'Interpretation generation failed due to database schema mismatch.',
-            detail: `The database table is missing required columns. Please check the database schema. Error: ${error.message}`
-          });
-        }
+      await enqueueMissingReportStage(testAttemptId);
+      const { status: reportStatus } = await getReportStatus(testAttemptId);
 
-        // Return a processing message instead of 404
-        const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
-        const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
+      // Return a processing message instead of 404
+      const [readinessStatus, readinessExplanation] = calculateReadinessStatus(percentage);
+      const [riskLevel, riskExplanation] = calculateRiskLevel(readinessStatus);
 
-        const sections = {};
-        const sectionObjs = await Section.findAll();
-        for (const section of sectionObjs) {
-          sections[section.order_index] = section.name;
-        }
+      const sections = {};
+      const sectionObjs = await Section.findAll();
+      for (const section of sectionObjs) {
+        sections[section.order_index] = section.name;
+      }
 
-        const sectionScoresDict = {};
-        const scoresQuery = await Score.findAll({
-          where: { test_attempt_id: testAttemptId }
-        });
-        for (const s of scoresQuery) {
-          if (s.dimension.startsWith('section_')) {
-            sectionScoresDict[s.dimension] = s.score_value;
-          }
+      const sectionScoresDict = {};
+      const scoresQuery = await Score.findAll({
+        where: { test_attempt_id: testAttemptId }
+      });
+      for (const s of scoresQuery) {
+        if (s.dimension.startsWith('section_')) {
+          sectionScoresDict[s.dimension] = s.score_value;
         }
+      }
 
-        const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage);
-        const roadmap = generateActionRoadmap(readinessStatus, percentage);
-
-        // Generate new fields for error response
-        const counsellorSummary = generateCounsellorSummary(percentage, readinessStatus, careerDirection, sectionScoresDict);
-        const readinessActionGuidance = generateReadinessActionGuidance(readinessStatus);
-        const [careerConfidenceLevel, careerConfidenceExplanation] = calculateCareerConfidence(percentage, readinessStatus);
-        const { doNow, doLater } = generateDoNowDoLater(readinessStatus, roadmap);
-        const riskExplanationHuman = generateHumanRiskExplanation(riskLevel, readinessStatus);
-
-        // Get section scores for error response too
-        const sectionScoresArray = [];
-        for (const [dim, score] of Object.entries(sectionScoresDict)) {
-          const sectionNum = parseInt(dim.split('_')[1], 10);
-          if (!isNaN(sectionNum)) {
-            const sectionName = sections[sectionNum] || `Section ${sectionNum}`;
-            sectionScoresArray.push({
-              section_number: sectionNum,
-              section_name: sectionName,
-              score: Math.round(score * 100) / 100
-            });
-          }
+      const [careerDirection, careerDirectionReason] = determineCareerDirection(sectionScoresDict, sections, percentage);
+      const roadmap = generateActionRoadmap(readinessStatus, percentage);
+
+      // Generate new fields for error response
+      const counsellorSummary = generateCounsellorSummary(percentage, readinessStatus, careerDirection, sectionScoresDict);
+      const readinessActionGuidance = generateReadinessActionGuidance(readinessStatus);
+      const [careerConfidenceLevel, careerConfidenceExplanation] = calculateCareerConfidence(percentage, readinessStatus);
+      const { doNow, doLater } = generateDoNowDoLater(readinessStatus, roadmap);
+      const riskExplanationHuman = generateHumanRiskExplanation(riskLevel, readinessStatus);
+
+      // Get section scores for error response too
+      const sectionScoresArray = [];
+      for (const [dim, score] of Object.entries(sectionScoresDict)) {
+        const sectionNum = parseInt(dim.split('_')[1], 10);
+        if (!isNaN(sectionNum)) {
+          const sectionName = sections[sectionNum] || `Section ${sectionNum}`;
+          sectionScoresArray.push({
+            section_number: sectionNum,
+            section_name: sectionName,
+            score: Math.round(score * 100) / 100
+          });
         }
-        sectionScoresArray.sort((a, b) => a.section_number - b.section_number);
-
-        return res.json({
-          summary: 'AI interpretation is being generated. Please refresh in a moment.',
-          strengths: [],
-          weaknesses: [],
-          career_clusters: [careerDirection],
-          risk_level: riskLevel,
-          readiness_status: readinessStatus,
-          action_plan: ['Interpretation is being generated. Please refresh in a moment.'],
-          overall_percentage: Math.round(percentage * 100) / 100,
-          total_questions: totalQuestions,
-          correct_answers: correctAnswers,
-          is_ai_generated: false,
-          readiness_explanation: readinessExplanation,
-          risk_explanation: riskExplanation,
-          career_direction: careerDirection,
-          career_direction_reason: careerDirectionReason,
-          roadmap: roadmap,
-          section_scores: sectionScoresArray,
-          counsellor_summary: counsellorSummary,
-          readiness_action_guidance: readinessActionGuidance,
-          career_confidence_level: careerConfidenceLevel,
-          career_confidence_explanation: careerConfidenceExplanation,
-          do_now_actions: doNow,
-          do_later_actions: doLater,
-          risk_explanation_human: riskExplanationHuman
-        });
       }
+      sectionScoresArray.sort((a, b) => a.section_number - b.section_number);
+
+      return res.json({
+        summary: 'AI interpretation is being generated. Please refresh in a moment.',
+        strengths: [],
+        weaknesses: [],
+        career_clusters: [careerDirection],
+        risk_level: riskLevel,
+        readiness_status: readinessStatus,
+        action_plan: ['Interpretation is being generated. Please refresh in a moment.'],
+        overall_percentage: Math.round(percentage * 100) / 100,
+        total_questions: totalQuestions,
+        correct_answers: correctAnswers,
+        is_ai_generated: false,
+        readiness_explanation: readinessExplanation,
+        risk_explanation: riskExplanation,
+        career_direction: careerDirection,
+        career_direction_reason: careerDirectionReason,
+        roadmap: roadmap,
+        section_scores: sectionScoresArray,
+        counsellor_summary: counsellorSummary,
+        readiness_action_guidance: readinessActionGuidance,
+        career_confidence_level: careerConfidenceLevel,
+        career_confidence_explanation: careerConfidenceExplanation,
+        do_now_actions: doNow,
+        do_later_actions: doLater,
+        risk_explanation_human: riskExplanationHuman,
+        report_status: reportStatus
+      });
     }
 
     // Parse existing interpretation - regenerate missing fields if needed
@@ -1445,7 +1564,9 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
             sectionScoresArray.push({
               section_number: sectionNum,
               section_name: sectionName,
-              score: Math.round(scoreValue * 100) / 100
+              score: Math.round(scoreValue * 100) / 100,
+              percentile: scoreItem.percentile,
+              scoring_method: scoreItem.scoring_method || null
             });
           }
         }
@@ -1663,6 +1784,7 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
       readiness_status: interpretationData.readiness_status || 'PARTIALLY READY',
       action_plan: interpretationData.action_plan || [],
       overall_percentage: Math.round(percentage * 100) / 100,
+      overall_percentile: score.percentile,
       total_questions: totalQuestions,
       correct_answers: correctAnswers,
       is_ai_generated: isAiGenerated,
@@ -1708,7 +1830,7 @@ router.get('/interpretation/:test_attempt_id', getCurrentUser, requireStudentOrC
 });
 
 // GET /test/riasec-report/:test_attempt_id
-router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireStudentOrCounsellorOrAdmin, async (req, res) => {
+router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireResultsView, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const currentUser = req.user;
@@ -1721,12 +1843,17 @@ router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireStudentOrCo
       });
     }
 
-    // If student, verify it's their attempt (admin and counsellor can access any)
+    // If student, verify it's their attempt (admins and counsellors: any student of their centers)
     if (currentUser.role === UserRole.STUDENT && testAttempt.student_id !== currentUser.id) {
       return res.status(403).json({
         detail: 'Access denied'
       });
     }
+    if (!(await canAccessStudent(req, testAttempt.student_id))) {
+      return res.status(404).json({
+        detail: 'Test attempt not found'
+      });
+    }
 
     if (testAttempt.status !== TestStatus.COMPLETED) {
       return res.status(400).json({
@@ -1743,9 +1870,11 @@ router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireStudentOrCo
     if (interpretedResult && interpretedResult.riasec_report) {
       console.log(`✅ Using cached RIASEC report from database for attempt ${testAttemptId}`);
       const cachedReport = interpretedResult.riasec_report;
+      const { percentiles } = await lookupPercentiles(testAttempt.student_id, cachedReport.scores || {});
       return res.json({
         test_attempt_id: testAttemptId,
         scores: cachedReport.scores || {},
+        percentiles,
         report: cachedReport.report || cachedReport
       });
     }
@@ -1787,9 +1916,11 @@ router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireStudentOrCo
     }
 
     console.log(`✅ RIASEC report generated successfully for attempt ${testAttemptId}`);
+    const { percentiles } = await lookupPercentiles(testAttempt.student_id, { R, I, A, S, E, C });
     return res.json({
       test_attempt_id: testAttemptId,
       scores: { R, I, A, S, E, C },
+      percentiles,
       report: report
     });
   } catch (error) {
@@ -1806,7 +1937,7 @@ router.get('/riasec-report/:test_attempt_id', getCurrentUser, requireStudentOrCo
 // ========== SECTION-WISE TEST FLOW ENDPOINTS ==========
 
 // POST /test/save-answer - Save individual answer (for real-time persistence)
-router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/save-answer', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const { attempt_id, question_id, selected_option } = req.body;
     const currentUser = req.user;
@@ -1873,22 +2004,15 @@ router.post('/save-answer', getCurrentUser, requireStudent, async (req, res) =>
 });
 
 // GET /test/sections
-router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/sections', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const attemptId = req.query.attempt_id ? parseInt(req.query.attempt_id, 10) : null;
     const currentUser = req.user;
 
-    // Check if student has already completed a test (ONE ATTEMPT ONLY)
-    const completedAttempt = await TestAttempt.findOne({
-      where: {
-        student_id: currentUser.id,
-        status: TestStatus.COMPLETED
-      },
-      order: [['completed_at', 'DESC']]
-    });
-
-    const canAttemptTest = !completedAttempt;
-    const completedTestAttemptId = completedAttempt ? completedAttempt.id : null;
+    // Check whether the student can start a (new) attempt - first attempt or retake entitlement
+    const eligibility = await getRetakeEligibility(currentUser.id);
+    const canAttemptTest = eligibility.canAttempt;
+    const completedTestAttemptId = eligibility.lastCompletedAttempt ? eligibility.lastCompletedAttempt.id : null;
 
     console.log(`🔵 get_sections for user ${currentUser.id}: can_attempt_test=${canAttemptTest}, completed_test_attempt_id=${completedTestAttemptId}`);
 
@@ -2017,152 +2141,53 @@ router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
 
     const sectionsResult = [];
 
+    // Section progress for this attempt, keyed by section id
+    const progressBySectionId = {};
+    let completedSectionIds = new Set();
+    if (testAttempt) {
+      const attemptProgresses = await SectionProgress.findAll({
+        where: { test_attempt_id: testAttempt.id }
+      });
+      for (const progress of attemptProgresses) {
+        progressBySectionId[progress.section_id] = progress;
+      }
+      completedSectionIds = await getCompletedSectionIds(testAttempt.id);
+    }
+
     for (const section of allSections) {
       try {
-        let sectionStatus;
-        // CRITICAL: Section 1 is NEVER locked
-        if (section.order_index === 1) {
-          if (!testAttempt) {
-            sectionStatus = 'available';
-          } else {
-            let section1Id = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : null;
-            let section1Progress = null;
-
-            if (section1Id) {
-              section1Progress = await SectionProgress.findOne({
-                where: {
-                  test_attempt_id: testAttempt.id,
-                  section_id: section1Id
-                }
-              });
-            } else {
-              const dbSection1 = await Section.findOne({ where: { order_index: 1 } });
-              if (dbSection1) {
-                section1Progress = await SectionProgress.findOne({
-                  where: {
-                    test_attempt_id: testAttempt.id,
-                    section_id: dbSection1.id
-                  }
-                });
-              }
-            }
+        // Sections missing from the database are placeholders and cannot be taken
+        const dbSection = dbSectionsMap[section.order_index] || null;
 
-            if (section1Progress && section1Progress.status === SectionStatus.COMPLETED) {
-              sectionStatus = 'completed';
-            } else if (section1Progress && section1Progress.status === SectionStatus.IN_PROGRESS) {
-              sectionStatus = 'IN_PROGRESS';
-            } else {
-              sectionStatus = 'available';
-            }
-          }
+        let sectionStatus;
+        if (!dbSection) {
+          sectionStatus = 'locked';
+        } else if (!testAttempt) {
+          // Before an attempt exists only the first section (or always-unlocked ones) can be opened
+          const isFirstSection = dbSections.length > 0 && dbSections[0].id === dbSection.id;
+          sectionStatus = (isFirstSection || dbSection.unlock_rule === UnlockRule.ALWAYS) ? 'available' : 'locked';
         } else {
-          // Sections 2-5: Apply locking rules
-          if (!testAttempt || currentSectionIndex === 0 || currentSectionIndex === 1) {
-            sectionStatus = 'locked';
+          const progress = progressBySectionId[dbSection.id];
+          if (progress && progress.status === SectionStatus.COMPLETED) {
+            sectionStatus = 'completed';
+          } else if (progress && progress.status === SectionStatus.IN_PROGRESS) {
+            sectionStatus = 'IN_PROGRESS';
           } else {
-            let sectionId = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : null;
-            let progress = null;
-
-            if (sectionId) {
-              progress = await SectionProgress.findOne({
-                where: {
-                  test_attempt_id: testAttempt.id,
-                  section_id: sectionId
-                }
-              });
-            } else {
-              const dbSection = await Section.findOne({ where: { order_index: section.order_index } });
-              if (dbSection) {
-                progress = await SectionProgress.findOne({
-                  where: {
-                    test_attempt_id: testAttempt.id,
-                    section_id: dbSection.id
-                  }
-                });
-              }
-            }
-
-            if (section.order_index < currentSectionIndex) {
-              sectionStatus = 'completed';
-            } else if (section.order_index === currentSectionIndex) {
-              if (progress && progress.status === SectionStatus.COMPLETED) {
-                sectionStatus = 'completed';
-              } else if (progress && progress.status === SectionStatus.IN_PROGRESS) {
-                sectionStatus = 'IN_PROGRESS';
-              } else {
-                sectionStatus = 'available';
-              }
-            } else {
-              // Check if previous sections are completed
-              let prevSectionsCompleted = true;
-              for (const prevSection of allSections) {
-                if (prevSection.order_index < section.order_index) {
-                  let prevSectionId = (prevSection.id && typeof prevSection.id === 'number' && prevSection.id > 0) ? prevSection.id : null;
-                  let prevProgress = null;
-
-                  if (prevSectionId) {
-                    prevProgress = await SectionProgress.findOne({
-                      where: {
-                        test_attempt_id: testAttempt.id,
-                        section_id: prevSectionId,
-                        status: SectionStatus.COMPLETED
-                      }
-                    });
-                  } else {
-                    const dbPrevSection = await Section.findOne({ where: { order_index: prevSection.order_index } });
-                    if (dbPrevSection) {
-                      prevProgress = await SectionProgress.findOne({
-                        where: {
-                          test_attempt_id: testAttempt.id,
-                          section_id: dbPrevSection.id,
-                          status: SectionStatus.COMPLETED
-                        }
-                      });
-                    }
-                  }
-
-                  if (!prevProgress) {
-                    prevSectionsCompleted = false;
-                    break;
-                  }
-                }
-              }
-
-              sectionStatus = prevSectionsCompleted ? 'available' : 'locked';
-            }
+            const { unlocked } = await checkSectionUnlocked(dbSection, testAttempt.id, completedSectionIds);
+            sectionStatus = unlocked ? 'available' : 'locked';
           }
         }
 
-        let questionCount = QUESTIONS_PER_SECTION;
-
-        // Only query question count if section exists in database
-        if (section.id && typeof section.id === 'number' && section.id > 0) {
-          try {
-            const dbSectionCheck = await Section.findByPk(section.id);
-            if (dbSectionCheck) {
-              const actualCount = await Question.count({
-                where: {
-                  section_id: section.id,
-                  is_active: true
-                }
-              });
-              if (actualCount > 0) {
-                questionCount = actualCount;
-              }
-            }
-          } catch (e) {
-            // If query fails, use default
-          }
-        }
-
-        const sectionId = (section.id && typeof section.id === 'number' && section.id > 0) ? section.id : section.order_index;
+        const sectionId = dbSection ? dbSection.id : section.order_index;
 
         sectionsResult.push({
           id: sectionId,
           name: section.name,
           status: sectionStatus,
-          question_count: questionCount,
-          time_limit: 420, // Fixed: 7 minutes per section
+          question_count: getQuestionsToDraw(dbSection),
+          time_limit: getSectionTimeLimit(dbSection),
+          is_mandatory: isSectionMandatory(dbSection),
+          unlock_rule: dbSection ? dbSection.unlock_rule : UnlockRule.SEQUENTIAL,
           order_index: section.order_index
         });
       } catch (error) {
@@ -2174,6 +2199,7 @@ router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
       current_section: currentSectionIndex,
       sections: sectionsResult,
       can_attempt_test: canAttemptTest,
+      retake_available_at: eligibility.availableAt,
       completed_test_attempt_id: completedTestAttemptId,
       test_attempt_id: testAttempt ? testAttempt.id : null // Include in-progress attempt ID
     });
@@ -2186,7 +2212,7 @@ router.get('/sections', getCurrentUser, requireStudent, async (req, res) => {
 });
 
 // GET /test/sections/:section_id/questions
-router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/sections/:section_id/questions', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     const attemptId = parseInt(req.query.attempt_id, 10);
@@ -2263,40 +2289,19 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
 
     console.log(`✅ Section found - id: ${section.id}, order_index: ${section.order_index}, name: ${section.name}`);
 
-    // Check if section is unlocked (previous sections must be completed)
-    if (section.order_index > 1) {
-      // SQL Query 3: Get previous sections
-      // SELECT * FROM sections WHERE order_index < ? AND is_active = true ORDER BY order_index ASC
-      const previousSections = await Section.findAll({
-        where: {
-          order_index: { [Op.lt]: section.order_index },
-          is_active: true
-        },
-        order: [['order_index', 'ASC']]
+    // Check if section is unlocked according to its unlock rule
+    const { unlocked, blockingSection } = await checkSectionUnlocked(section, attemptId);
+    if (!unlocked) {
+      console.log(`❌ Section ${section.order_index} locked by ${blockingSection.order_index} (${blockingSection.name})`);
+      return res.status(403).json({
+        error_code: 'SECTION_LOCKED',
+        message: `Please complete ${blockingSection.name} first.`,
+        detail: `Section ${section.order_index} (${section.name}) is locked. Section ${blockingSection.order_index} (${blockingSection.name}) must be completed first.`
       });
-
-      // SQL Query 4: Check if previous sections are completed
-      // SELECT * FROM section_progress WHERE test_attempt_id = ? AND section_id = ? AND status = 'COMPLETED'
-      for (const prevSection of previousSections) {
-        const prevProgress = await SectionProgress.findOne({
-          where: {
-            test_attempt_id: attemptId,
-            section_id: prevSection.id,
-            status: SectionStatus.COMPLETED
-          }
-        });
-
-        if (!prevProgress) {
-          console.log(`❌ Previous section ${prevSection.order_index} (${prevSection.name}) not completed`);
-          return res.status(403).json({
-            error_code: 'SECTION_LOCKED',
-            message: `Please complete ${prevSection.name} first.`,
-            detail: `Section ${section.order_index} (${section.name}) is locked. Previous section ${prevSection.order_index} (${prevSection.name}) must be completed first.`
-          });
-        }
-      }
     }
 
+    const questionsToDraw = getQuestionsToDraw(section);
+
     // SQL Query 5: Check if questions already exist for this attempt + section
     // SELECT question_id FROM test_attempt_questions WHERE test_attempt_id = ? 
     // AND question_id IN (SELECT id FROM questions WHERE section_id = ? AND is_active = true AND status = 'approved')
@@ -2335,14 +2340,13 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
 
       console.log(`🔵 Found ${eligibleQuestionCount} eligible questions in section ${section.id} (${section.name})`);
 
-      // Validate minimum 7 questions required for this section
-      // NEVER throw error if questions > 7, ONLY if < 7
-      if (eligibleQuestionCount < 7) {
-        console.log(`❌ Insufficient questions in section ${section.id}: ${eligibleQuestionCount} < 7`);
+      // The pool must hold at least as many questions as the section draws
+      if (eligibleQuestionCount < questionsToDraw) {
+        console.log(`❌ Insufficient questions in section ${section.id}: ${eligibleQuestionCount} < ${questionsToDraw}`);
         return res.status(400).json({
           error_code: 'INSUFFICIENT_QUESTIONS',
-          message: `Cannot start section. Minimum 7 questions required in ${section.name}.`,
-          detail: `Section ${section.id} (${section.name}) has only ${eligibleQuestionCount} active and approved questions. At least 7 are required.`
+          message: `Cannot start section. Minimum ${questionsToDraw} questions required in ${section.name}.`,
+          detail: `Section ${section.id} (${section.name}) has only ${eligibleQuestionCount} active and approved questions. At least ${questionsToDraw} are required.`
         });
       }
 
@@ -2389,25 +2393,25 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
       };
 
       // If we have previous questions and enough total questions, exclude them
-      if (previousQuestionIds.length > 0 && eligibleQuestionCount > 7) {
+      if (previousQuestionIds.length > 0 && eligibleQuestionCount > questionsToDraw) {
         candidateWhereClause.id = {
           [Op.notIn]: previousQuestionIds
         };
       }
 
-      // SQL Query 9: Randomly select exactly 7 questions using SQL ORDER BY RAND()
+      // SQL Query 9: Randomly select the configured number of questions
       // SELECT id FROM questions WHERE section_id = ? AND status = 'approved' AND is_active = true 
-      // [AND id NOT IN (...)] ORDER BY RAND() LIMIT 7
+      // [AND id NOT IN (...)] ORDER BY RANDOM() LIMIT ?
       const candidateQuestions = await Question.findAll({
         where: candidateWhereClause,
         attributes: ['id'],
         order: [[sequelize.literal('RANDOM()'), 'ASC']], // SQL RANDOM selection
-        limit: 7,
+        limit: questionsToDraw,
         raw: true
       });
 
       // If we filtered out previous questions but don't have enough, fall back to all questions
-      if (candidateQuestions.length < 7 && previousQuestionIds.length > 0) {
+      if (candidateQuestions.length < questionsToDraw && previousQuestionIds.length > 0) {
         console.log(`⚠️ Not enough unique questions (${candidateQuestions.length}), falling back to all available questions`);
         const allQuestions = await Question.findAll({
           where: {
@@ -2417,7 +2421,7 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
           },
           attributes: ['id'],
           order: [[sequelize.literal('RANDOM()'), 'ASC']], // SQL RANDOM selection
-          limit: 7,
+          limit: questionsToDraw,
           raw: true
         });
         selectedQuestionIds = allQuestions.map(q => q.id);
@@ -2443,30 +2447,14 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
       console.log(`✅ Test attempt ${attemptId} already has ${selectedQuestionIds.length} questions assigned for section ${section.id}: [${selectedQuestionIds.join(', ')}]`);
     }
 
-    // SQL Query 10: Get questions for this section from the junction table
-    // SELECT q.* FROM questions q 
-    // INNER JOIN test_attempt_questions taq ON q.id = taq.question_id 
-    // WHERE taq.test_attempt_id = ? AND q.section_id = ? AND q.is_active = true AND q.status = 'approved'
-    // ORDER BY q.id ASC
-    const questions = await Question.findAll({
-      where: {
-        id: { [Op.in]: selectedQuestionIds },
-        section_id: section.id,
-        is_active: true,
-        status: 'approved'
-      },
-      order: [['id', 'ASC']]
-    });
+    // Get questions for this section from the junction table, in presentation order
+    const questions = await getAttemptSectionQuestions(attemptId, section);
 
     console.log(`✅ Found ${questions.length} questions for section ${section.id} (${section.name}) from junction table`);
 
-    // Return questions (idempotent - same questions returned on refresh)
+    // Return questions (idempotent - same questions and order returned on refresh)
     return res.json(
-      questions.map(q => ({
-        question_id: q.id,
-        question_text: q.question_text,
-        options: parseOptionsToArray(q.options)
-      }))
+      questions.map(q => formatQuestionForAttempt(q, attemptId, section))
     );
   } catch (error) {
     console.error(`❌ Error in get_section_questions: ${error.name}: ${error.message}`);
@@ -2480,7 +2468,7 @@ router.get('/sections/:section_id/questions', getCurrentUser, requireStudent, as
 });
 
 // POST /test/sections/:section_id/start
-router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/sections/:section_id/start', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     // Support both query parameter and body
@@ -2525,51 +2513,12 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
 
     console.log(`✅ Found section: id=${section.id}, order_index=${section.order_index}, name=${section.name}`);
 
-    // Section start validation based on current_section_id
-    if (testAttempt.current_section_id) {
-      const currentSectionFromAttempt = await Section.findByPk(testAttempt.current_section_id);
-      if (currentSectionFromAttempt) {
-        // Allow: section_id == current_section OR section_id < current_section (already done)
-        // Block: section_id > current_section (not unlocked yet)
-        if (section.order_index > currentSectionFromAttempt.order_index) {
-          return res.status(403).json({
-            detail: `Please complete Section ${currentSectionFromAttempt.order_index}: ${currentSectionFromAttempt.name} first`
-          });
-        }
-        // If section_id < current_section, allow (already completed)
-        // If section_id == current_section, allow (current section)
-      }
-    } else {
-      // No current section set - check if section 1 or all previous sections completed
-      if (section.order_index > 1) {
-        const previousSections = await Section.findAll({
-          where: {
-            order_index: { [Op.lt]: section.order_index },
-            is_active: true
-          },
-          order: [['order_index', 'ASC']]
-        });
-
-        for (const prevSection of previousSections) {
-          const prevProgress = await SectionProgress.findOne({
-            where: {
-              test_attempt_id: attemptId,
-              section_id: prevSection.id
-            }
-          });
-
-          const isCompleted = prevProgress && (
-            prevProgress.status === 'COMPLETED' ||
-            prevProgress.status === SectionStatus.COMPLETED
-          );
-
-          if (!isCompleted) {
-            return res.status(403).json({
-              detail: `Please complete ${prevSection.name} first`
-            });
-          }
-        }
-      }
+    // Section start validation based on the section's unlock rule
+    const { unlocked, blockingSection } = await checkSectionUnlocked(section, attemptId);
+    if (!unlocked) {
+      return res.status(403).json({
+        detail: `Please complete ${blockingSection.name} first`
+      });
     }
 
     // Get or create section progress
@@ -2593,7 +2542,7 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
         // Update test attempt with current section state
         testAttempt.current_section_id = section.id;
         testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
+        testAttempt.remaining_time_seconds = getSectionTimeLimit(section);
         await testAttempt.save();
         console.log(`✅ Created section progress: id=${progress.id}`);
       } catch (createError) {
@@ -2629,6 +2578,7 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
       section_name: section.name,
       status: progress.status,
       total_time_spent: progress.total_time_spent,
+      time_limit_seconds: getSectionTimeLimit(section),
       is_paused: progress.paused_at !== null,
       current_time: progress.total_time_spent
     });
@@ -2642,7 +2592,7 @@ router.post('/sections/:section_id/start', getCurrentUser, requireStudent, async
 });
 
 // POST /test/sections/:section_id/pause
-router.post('/sections/:section_id/pause', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/sections/:section_id/pause', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     // Support both query parameter and body
@@ -2696,7 +2646,7 @@ router.post('/sections/:section_id/pause', getCurrentUser, requireStudent, async
     }
 
     // Calculate remaining time and store it
-    const SECTION_TIME_LIMIT = 420;
+    const SECTION_TIME_LIMIT = getSectionTimeLimit(section);
     let remainingTime = SECTION_TIME_LIMIT;
 
     if (progress.section_start_time && !progress.paused_at) {
@@ -2729,7 +2679,7 @@ router.post('/sections/:section_id/pause', getCurrentUser, requireStudent, async
 });
 
 // POST /test/sections/:section_id/resume
-router.post('/sections/:section_id/resume', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/sections/:section_id/resume', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     // Support both query parameter and body
@@ -2777,7 +2727,7 @@ router.post('/sections/:section_id/resume', getCurrentUser, requireStudent, asyn
     }
 
     // Resume timer - continue from remaining_time_seconds stored in test_attempt
-    const SECTION_TIME_LIMIT = 420;
+    const SECTION_TIME_LIMIT = getSectionTimeLimit(section);
     const remainingTime = testAttempt.remaining_time_seconds || (SECTION_TIME_LIMIT - progress.total_time_spent);
 
     // Calculate new total_time_spent based on remaining time
@@ -2802,7 +2752,7 @@ router.post('/sections/:section_id/resume', getCurrentUser, requireStudent, asyn
 });
 
 // GET /test/sections/:section_id/timer
-router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async (req, res) => {
+router.get('/sections/:section_id/timer', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     const attemptId = parseInt(req.query.attempt_id, 10);
@@ -2834,13 +2784,14 @@ router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async
         section_name: section.name,
         status: SectionStatus.NOT_STARTED,
         total_time_spent: 0,
+        time_limit_seconds: getSectionTimeLimit(section),
         is_paused: false,
         current_time: 0
       });
     }
 
     // Calculate current time if running
-    const SECTION_TIME_LIMIT = 420; // 7 minutes in seconds
+    const SECTION_TIME_LIMIT = getSectionTimeLimit(section);
     let currentTime = progress.total_time_spent;
 
     if (progress.section_start_time && !progress.paused_at) {
@@ -2866,6 +2817,7 @@ router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async
       section_name: section.name,
       status: progress.status,
       total_time_spent: progress.total_time_spent,
+      time_limit_seconds: SECTION_TIME_LIMIT,
       is_paused: progress.paused_at !== null,
       current_time: currentTime
     });
@@ -2878,7 +2830,7 @@ router.get('/sections/:section_id/timer', getCurrentUser, requireStudent, async
 });
 
 // POST /test/sections/:section_id/submit
-router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/sections/:section_id/submit', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const sectionId = parseInt(req.params.section_id, 10);
     const { attempt_id, section_id: bodySectionId, answers } = req.body;
@@ -2976,16 +2928,12 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       console.log(`ℹ️ Section ${section.order_index} (${section.name}) already completed, updating current_section_id`);
 
       // Find next section
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
-      const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
+      const nextSection = await findNextIncompleteSection(attempt_id);
 
       if (nextSection) {
         testAttempt.current_section_id = nextSection.id;
         testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
+        testAttempt.remaining_time_seconds = getSectionTimeLimit(nextSection);
         await testAttempt.save();
       }
 
@@ -3031,16 +2979,12 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       }
 
       // Update test attempt with next section
-      const allSections = await Section.findAll({
-        where: { is_active: true },
-        order: [['order_index', 'ASC']]
-      });
-      const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
+      const nextSection = await findNextIncompleteSection(attempt_id);
 
       if (nextSection) {
         testAttempt.current_section_id = nextSection.id;
         testAttempt.current_question_index = 0;
-        testAttempt.remaining_time_seconds = 420;
+        testAttempt.remaining_time_seconds = getSectionTimeLimit(nextSection);
         await testAttempt.save();
       } else {
         testAttempt.status = TestStatus.COMPLETED;
@@ -3079,8 +3023,8 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
       }
     }
 
-    // CRITICAL: Enforce 7-minute (420 seconds) limit per section
-    const SECTION_TIME_LIMIT = 420;
+    // CRITICAL: Enforce the section's configured time limit
+    const SECTION_TIME_LIMIT = getSectionTimeLimit(section);
 
     // Update section progress
     if (!progress) {
@@ -3120,16 +3064,12 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
     }
 
     // Update test attempt with next section
-    const allSections = await Section.findAll({
-      where: { is_active: true },
-      order: [['order_index', 'ASC']]
-    });
-    const nextSection = allSections.find(s => s.order_index === section.order_index + 1);
+    const nextSection = await findNextIncompleteSection(attempt_id);
 
     if (nextSection) {
       testAttempt.current_section_id = nextSection.id;
       testAttempt.current_question_index = 0;
-      testAttempt.remaining_time_seconds = 420;
+      testAttempt.remaining_time_seconds = getSectionTimeLimit(nextSection);
       await testAttempt.save();
       console.log(`✅ Updated test attempt current_section_id to ${nextSection.id} (${nextSection.name})`);
     } else {
@@ -3157,8 +3097,121 @@ router.post('/sections/:section_id/submit', getCurrentUser, requireStudent, asyn
   }
 });
 
+// POST /test/sections/:section_id/skip - Skip an optional section
+router.post('/sections/:section_id/skip', getCurrentUser, requireTestTaker, async (req, res) => {
+  try {
+    const sectionId = parseInt(req.params.section_id, 10);
+    const attemptId = parseInt(req.body.attempt_id || req.query.attempt_id, 10);
+    const currentUser = req.user;
+
+    if (!attemptId || isNaN(attemptId)) {
+      return res.status(400).json({
+        detail: 'attempt_id is required'
+      });
+    }
+
+    const testAttempt = await TestAttempt.findOne({
+      where: {
+        id: attemptId,
+        student_id: currentUser.id,
+        status: TestStatus.IN_PROGRESS
+      }
+    });
+
+    if (!testAttempt) {
+      return res.status(404).json({
+        detail: 'Test attempt not found or not in progress'
+      });
+    }
+
+    let section = await Section.findByPk(sectionId);
+    if (!section && sectionId >= 1 && sectionId <= 10) {
+      section = await Section.findOne({ where: { order_index: sectionId } });
+    }
+
+    if (!section) {
+      return res.status(404).json({
+        detail: `Section not found (ID: ${sectionId})`
+      });
+    }
+
+    if (isSectionMandatory(section)) {
+      return res.status(400).json({
+        detail: `${section.name} is mandatory and cannot be skipped`
+      });
+    }
+
+    let progress = await SectionProgress.findOne({
+      where: {
+        test_attempt_id: attemptId,
+        section_id: section.id
+      }
+    });
+
+    if (progress && progress.status === SectionStatus.COMPLETED) {
+      return res.status(400).json({
+        detail: 'Section already completed'
+      });
+    }
+
+    // Drop anything drawn or answered for the section so it does not count
+    // towards the expected question total or the scores
+    const sectionQuestionIds = (await Question.findAll({
+      where: { section_id: section.id },
+      attributes: ['id']
+    })).map(q => q.id);
+    if (sectionQuestionIds.length > 0) {
+      await TestAttemptQuestion.destroy({
+        where: { test_attempt_id: attemptId, question_id: { [Op.in]: sectionQuestionIds } }
+      });
+      await Answer.destroy({
+        where: { test_attempt_id: attemptId, question_id: { [Op.in]: sectionQuestionIds } }
+      });
+    }
+
+    if (!progress) {
+      progress = await SectionProgress.create({
+        test_attempt_id: attemptId,
+        section_id: section.id,
+        status: SectionStatus.COMPLETED,
+        total_time_spent: 0
+      });
+    } else {
+      progress.status = SectionStatus.COMPLETED;
+      progress.section_start_time = null;
+      progress.paused_at = null;
+      await progress.save();
+    }
+
+    const nextSection = await findNextIncompleteSection(attemptId);
+    if (nextSection) {
+      testAttempt.current_section_id = nextSection.id;
+      testAttempt.current_question_index = 0;
+      testAttempt.remaining_time_seconds = getSectionTimeLimit(nextSection);
+    } else {
+      testAttempt.status = TestStatus.COMPLETED;
+      testAttempt.completed_at = new Date();
+      testAttempt.current_section_id = null;
+    }
+    await testAttempt.save();
+
+    console.log(`✅ Optional section ${section.order_index} (${section.name}) skipped for attempt ${attemptId}`);
+
+    return res.json({
+      status: 'SKIPPED',
+      skipped_section: section.id,
+      current_section: nextSection ? nextSection.order_index : null
+    });
+  } catch (error) {
+    console.error(`❌ Error in skip_section: ${error.message}`);
+    return res.status(500).json({
+      detail: 'Failed to skip section'
+    });
+  }
+});
+
 // POST /test/:test_attempt_id/update-state - Update test state (question index, remaining time)
-router.post('/:test_attempt_id/update-state', getCurrentUser, requireStudent, async (req, res) => {
+router.post('/:test_attempt_id/update-state', getCurrentUser, requireTestTaker, async (req, res) => {
   try {
     const testAttemptId = parseInt(req.params.test_attempt_id, 10);
     const { current_question_index, remaining_time_seconds } = req.body;
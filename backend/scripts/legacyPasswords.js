@@ -0,0 +1,51 @@
+/**
+ * List accounts whose password is still stored as plain text (not bcrypt),
+ * and optionally invalidate those passwords and email each user a reset link.
+ * Usage: node scripts/legacyPasswords.js [--force-reset]
+ */
+
+const { sequelize } = require('../database');
+const { findLegacyPasswordUsers, forcePasswordReset } = require('../services/legacyPasswords');
+
+async function main(forceReset) {
+  try {
+    const users = await findLegacyPasswordUsers();
+    if (users.length === 0) {
+      console.log('✅ No accounts with legacy passwords');
+      return;
+    }
+
+    console.log(`⚠️ ${users.length} account(s) with legacy passwords:`);
+    for (const user of users) {
+      console.log(`   ${user.id}\t${user.role}\t${user.email}`);
+    }
+
+    if (!forceReset) {
+      console.log('\nRun with --force-reset to invalidate these passwords and send reset links.');
+      return;
+    }
+
+    console.log('\n🔵 Forcing password resets...');
+    for (const user of users) {
+      const { sent } = await forcePasswordReset(user);
+      console.log(`   ${sent ? '✅' : '⚠️'} ${user.email}${sent ? '' : ' (password invalidated, reset link not delivered)'}`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+const args = process.argv.slice(2);
+const unknown = args.filter(arg => arg !== '--force-reset');
+if (unknown.length > 0) {
+  console.error(`❌ Unknown argument: ${unknown[0]}`);
+  console.log('Usage: node scripts/legacyPasswords.js [--force-reset]');
+  process.exit(1);
+}
+
+main(args.includes('--force-reset'))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
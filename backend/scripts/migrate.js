@@ -0,0 +1,70 @@
+/**
+ * Schema migration runner (see migrations/README.md)
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+ *   node scripts/migrate.js status
+ */
+
+const { sequelize } = require('../database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../services/migrations');
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = { dryRun: false };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = rest[++i];
+    } else if (arg === '--steps') {
+      options.steps = parseInt(rest[++i], 10);
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+  if (options.steps !== undefined && (!Number.isInteger(options.steps) || options.steps < 1)) {
+    throw new Error('--steps must be a positive integer');
+  }
+  return { command, options };
+}
+
+async function printStatus() {
+  const { migrations, missing } = await getMigrationStatus();
+  for (const migration of migrations) {
+    const appliedAt = migration.applied_at ? new Date(migration.applied_at).toISOString() : '';
+    console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version} ${appliedAt}`);
+  }
+  for (const version of missing) {
+    console.log(`⚠️ ${version} is recorded as applied but its file is missing`);
+  }
+  const pending = migrations.filter(m => !m.applied).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  let exitCode = 0;
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    await sequelize.authenticate();
+
+    if (command === 'up') {
+      await migrateUp(options);
+    } else if (command === 'down') {
+      await migrateDown(options);
+    } else if (command === 'status') {
+      await printStatus();
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status`);
+    }
+  } catch (error) {
+    console.error(`❌ Migration failed: ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+  process.exit(exitCode);
+}
+
+main();
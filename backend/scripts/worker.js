@@ -0,0 +1,35 @@
+/**
+ * Standalone background job worker (scoring, interpretation, RIASEC reports,
+ * appointment notifications and reminders).
+ * Run it alongside API instances started with JOB_WORKER_ENABLED=false.
+ * Usage: node scripts/worker.js
+ */
+
+const { sequelize, testConnection } = require('../database');
+const { startWorker, stopWorker } = require('../services/jobQueue');
+// Registers the report and appointment notification job handlers with the queue
+require('../services/reportJobs');
+require('../services/appointmentNotifications');
+require('../services/institutions');
+
+async function shutdown(signal) {
+  console.log(`${signal} received, stopping job worker...`);
+  await stopWorker();
+  await sequelize.close();
+  process.exit(0);
+}
+
+async function main() {
+  const connected = await testConnection();
+  if (!connected) {
+    console.error('❌ Failed to connect to database. Exiting...');
+    process.exit(1);
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  await startWorker();
+}
+
+main();
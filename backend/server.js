@@ -2,7 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const config = require('./config');
 const { sequelize, testConnection } = require('./database');
-const { User, UserRole, Section, Question, QuestionType, Student } = require('./models');
+const { Op } = require('sequelize');
+const { User, UserRole, Section, ScoringMode, Question, QuestionType, Student } = require('./models');
 const { getPasswordHash } = require('./middleware/password');
 
 // Import routes
@@ -17,12 +18,36 @@ const adminCounsellorsRoutes = require('./routes/adminCounsellors');
 const adminUsersRoutes = require('./routes/adminUsers');
 const counsellorStudentsRoutes = require('./routes/counsellorStudents');
 const changePasswordRoutes = require('./routes/changePassword');
+const otpLoginRoutes = require('./routes/otpLogin');
 const testAccessRoutes = require('./routes/testAccess');
 const careerPathwaysRoutes = require('./routes/careerPathways');
 const appointmentsRoutes = require('./routes/appointments');
+const adminNormsRoutes = require('./routes/adminNorms');
+const adminSectionsRoutes = require('./routes/adminSections');
+const adminJobsRoutes = require('./routes/adminJobs');
+const adminSecurityRoutes = require('./routes/adminSecurity');
+const adminRolesRoutes = require('./routes/adminRoles');
+const adminCentersRoutes = require('./routes/adminCenters');
+const adminAssignmentsRoutes = require('./routes/adminAssignments');
+const availabilityRoutes = require('./routes/availability');
+const studentTimelineRoutes = require('./routes/studentTimeline');
+const guardiansRoutes = require('./routes/guardians');
+const institutionsRoutes = require('./routes/institutions');
+const { startWorker, stopWorker } = require('./services/jobQueue');
+const { getPendingMigrations } = require('./services/migrations');
+const { syncPermissions } = require('./services/permissions');
+// Registers the report and appointment notification job handlers with the queue
+require('./services/reportJobs');
+require('./services/appointmentNotifications');
+require('./services/institutions');
 
 const app = express();
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (login throttling keys on it)
+if (config.app.trustProxy > 0) {
+  app.set('trust proxy', config.app.trustProxy);
+}
+
 // CORS configuration - MUST be before other middleware
 let allowedOrigins;
 if (process.env.FRONTEND_URL) {
@@ -86,18 +111,30 @@ app.use((req, res, next) => {
 // Routes
 app.use('/auth', authRoutes);
 app.use('/auth/change-password', changePasswordRoutes);
+app.use('/auth/otp', otpLoginRoutes);
 app.use('/test', testRoutes);
 app.use('/student/result', studentResultRoutes);
 app.use('/counsellor/notes', counsellorNotesRoutes);
 app.use('/counsellor/students', counsellorStudentsRoutes);
+app.use('/counsellor/availability', availabilityRoutes);
 app.use('/admin/analytics', adminAnalyticsRoutes);
 app.use('/admin/students', adminStudentsRoutes);
 app.use('/admin/questions', adminQuestionsRoutes);
 app.use('/admin/counsellors', adminCounsellorsRoutes);
 app.use('/admin/users', adminUsersRoutes);
+app.use('/admin/norms', adminNormsRoutes);
+app.use('/admin/sections', adminSectionsRoutes);
+app.use('/admin/jobs', adminJobsRoutes);
+app.use('/admin/security', adminSecurityRoutes);
+app.use('/admin/roles', adminRolesRoutes);
+app.use('/admin/centers', adminCentersRoutes);
+app.use('/admin/assignments', adminAssignmentsRoutes);
 app.use('/test', testAccessRoutes);
 app.use('/career-pathways', careerPathwaysRoutes);
 app.use('/appointments', appointmentsRoutes);
+app.use('/students', studentTimelineRoutes);
+app.use('/guardians', guardiansRoutes);
+app.use('/institutions', institutionsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -118,96 +155,38 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Database sync and seeding
-async function initializeDatabase() {
+// Starter items for the ability sections (1-2), scored right/wrong (services/scoring.js)
+const ABILITY_SEED_QUESTIONS = {
+  1: [
+    { question: 'What comes next in the series 2, 6, 12, 20, 30, ?', options: 'A) 36, B) 40, C) 42, D) 44', answer: 'C', difficulty: 'Easy' },
+    { question: 'BOOK is to READ as FORK is to ?', options: 'A) Kitchen, B) Eat, C) Spoon, D) Metal', answer: 'B', difficulty: 'Easy' },
+    { question: 'All roses are flowers. Some flowers fade quickly. Which statement must be true?', options: 'A) All roses fade quickly, B) Some roses fade quickly, C) No rose fades quickly, D) None of these must be true', answer: 'D', difficulty: 'Medium' },
+    { question: 'If 3 pens cost 45 rupees, how much do 7 pens cost?', options: 'A) 95 rupees, B) 100 rupees, C) 105 rupees, D) 115 rupees', answer: 'C', difficulty: 'Easy' },
+    { question: 'Which word does not belong with the others?', options: 'A) Square, B) Triangle, C) Circle, D) Cube', answer: 'D', difficulty: 'Medium' },
+    { question: 'In a code language CAT is written as DBU. How is DOG written?', options: 'A) EPH, B) CNF, C) EOH, D) DPH', answer: 'A', difficulty: 'Medium' },
+    { question: 'Ravi is taller than Amit. Amit is taller than Sunil. Sunil is taller than Kiran. Who is the second shortest?', options: 'A) Ravi, B) Amit, C) Sunil, D) Kiran', answer: 'C', difficulty: 'Hard' }
+  ],
+  2: [
+    { question: 'A shirt priced at 800 rupees is sold at a 25% discount. What is the selling price?', options: 'A) 550 rupees, B) 600 rupees, C) 625 rupees, D) 650 rupees', answer: 'B', difficulty: 'Easy' },
+    { question: 'A train travels 180 km in 3 hours. How long does it take to travel 300 km at the same speed?', options: 'A) 4 hours, B) 4.5 hours, C) 5 hours, D) 6 hours', answer: 'C', difficulty: 'Easy' },
+    { question: 'Choose the word closest in meaning to ABUNDANT.', options: 'A) Scarce, B) Plentiful, C) Hidden, D) Ordinary', answer: 'B', difficulty: 'Easy' },
+    { question: 'A cube is painted on all faces and cut into 27 equal small cubes. How many small cubes have exactly two painted faces?', options: 'A) 6, B) 8, C) 12, D) 18', answer: 'C', difficulty: 'Hard' },
+    { question: 'Gear A turns clockwise and drives gear B, which drives gear C. Which way does gear C turn?', options: 'A) Clockwise, B) Anticlockwise, C) It does not turn, D) It cannot be known', answer: 'A', difficulty: 'Medium' },
+    { question: 'If 5 workers build a wall in 12 days, how many days do 6 workers take at the same rate?', options: 'A) 8 days, B) 9 days, C) 10 days, D) 14 days', answer: 'C', difficulty: 'Medium' },
+    { question: 'Choose the word opposite in meaning to TRANSPARENT.', options: 'A) Clear, B) Opaque, C) Bright, D) Thin', answer: 'B', difficulty: 'Medium' }
+  ]
+};
+
+// Seed reference data (the schema itself is managed by npm run migrate)
+async function seedDatabase() {
   try {
-    console.log('🔵 Creating database tables...');
-    
-    // Sync all models
-    await sequelize.sync({ alter: false }); // Use alter: false to avoid data loss
-    
-    console.log('✅ Database tables created/verified');
-    
-    // Add new columns to test_attempts table if they don't exist
-    try {
-      const queryInterface = sequelize.getQueryInterface();
-      const tableDescription = await queryInterface.describeTable('test_attempts');
-      
-        // Add current_section_id if it doesn't exist
-      if (!tableDescription.current_section_id) {
-        console.log('🔵 Adding current_section_id column to test_attempts...');
-        await queryInterface.addColumn('test_attempts', 'current_section_id', {
-          type: require('sequelize').DataTypes.INTEGER,
-          allowNull: true,
-          references: {
-            model: 'sections',
-            key: 'id'
-          }
-        });
-        console.log('✅ Added current_section_id column');
-      }
-      
-      // Add current_question_index if it doesn't exist
-      if (!tableDescription.current_question_index) {
-        console.log('🔵 Adding current_question_index column to test_attempts...');
-        await queryInterface.addColumn('test_attempts', 'current_question_index', {
-          type: require('sequelize').DataTypes.INTEGER,
-          allowNull: true,
-          defaultValue: 0
-        });
-        console.log('✅ Added current_question_index column');
-      }
-      
-      // Add remaining_time_seconds if it doesn't exist
-      if (!tableDescription.remaining_time_seconds) {
-        console.log('🔵 Adding remaining_time_seconds column to test_attempts...');
-        await queryInterface.addColumn('test_attempts', 'remaining_time_seconds', {
-          type: require('sequelize').DataTypes.INTEGER,
-          allowNull: true,
-          defaultValue: 420
-        });
-        console.log('✅ Added remaining_time_seconds column');
-      }
-
-      // Add is_first_login column to users table if it doesn't exist
-      const usersTableDescription = await queryInterface.describeTable('users');
-      if (!usersTableDescription.is_first_login) {
-        console.log('🔵 Adding is_first_login column to users...');
-        await queryInterface.addColumn('users', 'is_first_login', {
-          type: require('sequelize').DataTypes.BOOLEAN,
-          allowNull: false,
-          defaultValue: false
-        });
-        console.log('✅ Added is_first_login column');
-      }
-
-      // Add center column to users table if it doesn't exist
-      if (!usersTableDescription.center) {
-        console.log('🔵 Adding center column to users...');
-        await queryInterface.addColumn('users', 'center', {
-          type: require('sequelize').DataTypes.ENUM('CG', 'SG', 'Maninagar', 'Surat', 'Rajkot'),
-          allowNull: true,
-          comment: 'Center location for counselors'
-        });
-        console.log('✅ Added center column');
-      }
-
-      // Create test_attempt_questions junction table if it doesn't exist
-      try {
-        const { TestAttemptQuestion } = require('./models');
-        await TestAttemptQuestion.sync({ alter: false });
-        console.log('✅ test_attempt_questions table verified/created');
-      } catch (tableError) {
-        console.warn('⚠️ test_attempt_questions table creation warning:', tableError.message);
-      }
-    } catch (migrationError) {
-      console.warn('⚠️ Migration warning (columns may already exist):', migrationError.message);
-    }
-
     // Verify tables exist
     const tables = await sequelize.getQueryInterface().showAllTables();
     console.log(`📊 Existing tables: ${tables.join(', ')}`);
 
+    // Permission catalog and the ADMIN / COUNSELLOR / STUDENT system roles
+    await syncPermissions();
+
     // Seed (or update) admin user
     // Keep this deterministic so local/dev environments always have known credentials.
     const ADMIN_EMAIL = 'admin@tops.com';
@@ -362,6 +341,20 @@ async function initializeDatabase() {
       }
     }
 
+    // Databases seeded before the ability items above carry Likert statements in
+    // sections 1-2; keep those sections Likert-scored until real items are loaded
+    for (const orderIndex of Object.keys(ABILITY_SEED_QUESTIONS).map(Number)) {
+      const section = await Section.findOne({ where: { order_index: orderIndex, scoring_mode: null } });
+      if (!section) continue;
+      const likertPlaceholders = await Question.count({
+        where: { section_id: section.id, is_active: true, options: { [Op.like]: '%Strongly Disagree%' } }
+      });
+      if (likertPlaceholders > 0) {
+        await section.update({ scoring_mode: ScoringMode.LIKERT });
+        console.log(`⚠️ Section ${orderIndex} has Likert placeholder questions; scoring it as LIKERT until right/wrong items are loaded`);
+      }
+    }
+
     // Seed questions - ensure each section has exactly 7 questions
     const allSections = await Section.findAll({
       order: [['order_index', 'ASC']]
@@ -406,27 +399,7 @@ async function initializeDatabase() {
           
           // Generate question text based on section
           let questionTexts = [];
-          if (section.order_index === 1) {
-            questionTexts = [
-              'I can easily identify patterns in sequences',
-              'I enjoy solving mathematical problems',
-              'I can quickly understand complex instructions',
-              'I am good at logical reasoning',
-              'I can analyze problems from multiple angles',
-              'I enjoy brain teasers and puzzles',
-              'I can think abstractly'
-            ];
-          } else if (section.order_index === 2) {
-            questionTexts = [
-              'I have strong numerical skills',
-              'I am good at spatial reasoning',
-              'I can quickly learn new skills',
-              'I have good mechanical aptitude',
-              'I am skilled at verbal reasoning',
-              'I can work with my hands effectively',
-              'I have good problem-solving abilities'
-            ];
-          } else if (section.order_index === 3) {
+          if (section.order_index === 3) {
             questionTexts = [
               'I maintain a consistent study schedule',
               'I can concentrate for long periods',
@@ -519,6 +492,24 @@ async function initializeDatabase() {
             ];
           }
 
+          const abilityItem = (ABILITY_SEED_QUESTIONS[section.order_index] || [])[questionNum - 1];
+          if (abilityItem) {
+            newQuestions.push({
+              question_text: abilityItem.question,
+              question_type: QuestionType.MULTIPLE_CHOICE,
+              options: abilityItem.options,
+              correct_answer: abilityItem.answer,
+              difficulty_level: abilityItem.difficulty,
+              category: `section_${section.order_index}`,
+              section_id: section.id,
+              status: 'approved',
+              source: 'ADMIN',
+              is_active: true,
+              order_index: questionNum
+            });
+            continue;
+          }
+
           const questionText = questionNum <= questionTexts.length ? questionTexts[questionNum - 1] : `Question ${questionNum} for ${section.name}`;
 
           // Assign RIASEC category for sections 5-10
@@ -568,7 +559,6 @@ async function initializeDatabase() {
 
     // Migration: Update existing active questions to approved status
     // This ensures backward compatibility with existing test attempts
-    const { Op } = require('sequelize');
     const activeQuestions = await Question.findAll({
       where: {
         is_active: true,
@@ -611,8 +601,22 @@ async function startServer() {
       process.exit(1);
     }
 
-    // Initialize database (sync tables and seed data)
-    await initializeDatabase();
+    // The schema is only changed by the migration runner, never at startup
+    const pendingMigrations = await getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      console.error(`❌ Database has ${pendingMigrations.length} pending migration(s): ${pendingMigrations.join(', ')}`);
+      console.error('   Run `npm run migrate` before starting the server.');
+      process.exit(1);
+    }
+
+    await seedDatabase();
+
+    // Run background jobs in this process unless a separate worker handles them
+    if (config.jobs.workerEnabled) {
+      await startWorker();
+    } else {
+      console.log('ℹ️ Job worker disabled in this process (JOB_WORKER_ENABLED=false)');
+    }
 
     // Start listening
     const port = config.app.port;
@@ -631,12 +635,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing database connections...');
+  await stopWorker();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, closing database connections...');
+  await stopWorker();
   await sequelize.close();
   process.exit(0);
 });
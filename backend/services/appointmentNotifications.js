@@ -0,0 +1,247 @@
+const config = require('../config');
+const {
+  Appointment,
+  AppointmentStatus,
+  User,
+  Student,
+  AppointmentNotification,
+  NotificationEvent,
+  NotificationChannel,
+  NotificationStatus
+} = require('../models');
+const { registerHandler, enqueueJob } = require('./jobQueue');
+const { LIVE_STATUSES, appointmentStart } = require('./availability');
+const { appointmentEvent, buildCalendar } = require('./ics');
+const { sendAppointmentEmail } = require('./emailService');
+const { sendAppointmentWhatsApp } = require('./whatsappService');
+
+const MINUTE_MS = 60 * 1000;
+
+const AppointmentJobType = {
+  APPOINTMENT_NOTIFICATION: 'APPOINTMENT_NOTIFICATION',
+  APPOINTMENT_REMINDER: 'APPOINTMENT_REMINDER'
+};
+
+async function loadAppointment(appointmentId) {
+  return Appointment.findByPk(appointmentId, {
+    include: [
+      { model: User, as: 'counsellor', attributes: ['id', 'full_name', 'email'], required: false },
+      {
+        model: User,
+        as: 'student',
+        attributes: ['id', 'full_name', 'email'],
+        include: [{ model: Student, as: 'studentProfile', attributes: ['contact_number'] }]
+      },
+      { model: User, as: 'guardians', attributes: ['id', 'full_name', 'email'], through: { attributes: [] }, required: false }
+    ]
+  });
+}
+
+// e.g. "Tuesday, 20 October 2026 at 09:30 (Asia/Kolkata)"
+function describeStart(appointment) {
+  const start = appointmentStart(appointment);
+  const timeZone = config.appointments.timezone;
+  const date = new Intl.DateTimeFormat('en-IN', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).format(start);
+  const time = new Intl.DateTimeFormat('en-IN', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(start);
+  return `${date} at ${time} (${timeZone})`;
+}
+
+// e.g. "24 hours", "1 hour", "30 minutes"
+function describeLead(minutes) {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Subject, heading and paragraphs for one side of the appointment; `whose`
+// is "your", or the student's name for a guardian attending with them
+function buildMessage(appointment, event, otherName, minutesBefore, whose = 'your') {
+  const when = describeStart(appointment);
+  const withWhom = otherName ? ` with ${otherName}` : '';
+  const session = `${whose} counselling session`;
+  const Session = session.charAt(0).toUpperCase() + session.slice(1);
+
+  switch (event) {
+    case NotificationEvent.CONFIRMED:
+      return {
+        subject: `${Session} is confirmed`,
+        heading: 'Session Confirmed',
+        lines: [`${Session}${withWhom} on ${when} is confirmed.`]
+      };
+    case NotificationEvent.CANCELLED:
+      return {
+        subject: `${Session} was cancelled`,
+        heading: 'Session Cancelled',
+        lines: [
+          `${Session}${withWhom} on ${when} has been cancelled.`,
+          ...(appointment.cancel_reason ? [`Reason: ${appointment.cancel_reason}`] : [])
+        ]
+      };
+    case NotificationEvent.RESCHEDULED:
+      return {
+        subject: `${Session} was rescheduled`,
+        heading: 'Session Rescheduled',
+        lines: [`${Session}${withWhom} has moved to ${when}.`]
+      };
+    default:
+      return {
+        subject: `Reminder: counselling session in ${describeLead(minutesBefore)}`,
+        heading: 'Session Reminder',
+        lines: [`This is a reminder of ${session}${withWhom} on ${when}.`]
+      };
+  }
+}
+
+async function record(appointment, recipientId, channel, status, { job, event, minutesBefore, detail = null }) {
+  await AppointmentNotification.create({
+    appointment_id: appointment.id,
+    recipient_id: recipientId,
+    job_id: job ? job.id : null,
+    event,
+    minutes_before: minutesBefore,
+    channel,
+    status,
+    detail
+  });
+}
+
+/**
+ * Email the student, counsellor and attending guardians (and WhatsApp the
+ * student when enabled) about an appointment event. A retried job skips the
+ * messages it already sent. Delivery problems are logged, not thrown: the
+ * providers do not tell a temporary failure from a missing configuration.
+ */
+async function deliver(appointment, event, { job = null, minutesBefore = null } = {}) {
+  const alreadySent = job
+    ? await AppointmentNotification.findAll({ where: { job_id: job.id, status: NotificationStatus.SENT } })
+    : [];
+  const sentKeys = new Set(alreadySent.map(notification => `${notification.recipient_id}:${notification.channel}`));
+
+  const { student, counsellor } = appointment;
+  const counsellorName = counsellor ? counsellor.full_name : null;
+  const sides = [
+    { user: student, otherName: counsellorName },
+    { user: counsellor, otherName: student ? student.full_name : null },
+    ...(appointment.guardians || []).map(guardian => ({
+      user: guardian,
+      otherName: counsellorName,
+      whose: student ? `${student.full_name}'s` : undefined
+    }))
+  ].filter(side => side.user);
+
+  for (const { user, otherName, whose } of sides) {
+    const message = buildMessage(appointment, event, otherName, minutesBefore, whose);
+    const options = { job, event, minutesBefore };
+
+    // Invitations let mail clients add, move or remove the event
+    let calendar = null;
+    if (event !== NotificationEvent.REMINDER) {
+      const method = event === NotificationEvent.CANCELLED ? 'CANCEL' : 'REQUEST';
+      const summary = `Counselling session${otherName ? ` with ${otherName}` : ''}`;
+      calendar = { method, content: buildCalendar([appointmentEvent(appointment, { summary })], { method }) };
+    }
+
+    if (!sentKeys.has(`${user.id}:${NotificationChannel.EMAIL}`)) {
+      const sent = await sendAppointmentEmail(user.email, user.full_name, { ...message, calendar });
+      await record(appointment, user.id, NotificationChannel.EMAIL, sent ? NotificationStatus.SENT : NotificationStatus.FAILED, options);
+    }
+
+    if (user !== student || !config.appointments.sendWhatsApp || sentKeys.has(`${user.id}:${NotificationChannel.WHATSAPP}`)) {
+      continue;
+    }
+    const phoneNumber = student.studentProfile ? student.studentProfile.contact_number : null;
+    if (!phoneNumber) {
+      await record(appointment, user.id, NotificationChannel.WHATSAPP, NotificationStatus.SKIPPED, { ...options, detail: 'No contact number' });
+      continue;
+    }
+    const sent = await sendAppointmentWhatsApp(phoneNumber, [`Hello ${user.full_name},`, ...message.lines].join('\n'));
+    await record(appointment, user.id, NotificationChannel.WHATSAPP, sent ? NotificationStatus.SENT : NotificationStatus.FAILED, options);
+  }
+}
+
+async function sendNotification({ appointment_id: appointmentId, event }, job) {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment) {
+    console.log(`ℹ️ Appointment ${appointmentId} no longer exists, skipping ${event} notification`);
+    return;
+  }
+  await deliver(appointment, event, { job });
+}
+
+async function sendReminder({ appointment_id: appointmentId, minutes_before: minutesBefore, slot_start: slotStart }, job) {
+  const appointment = await loadAppointment(appointmentId);
+  if (!appointment || !LIVE_STATUSES.includes(appointment.status)) {
+    console.log(`ℹ️ Appointment ${appointmentId} is gone or no longer active, skipping reminder`);
+    return;
+  }
+  // Reminders queued for an earlier slot are left to expire after a reschedule
+  if (!appointment.slot_start || new Date(appointment.slot_start).getTime() !== new Date(slotStart).getTime()) {
+    console.log(`ℹ️ Appointment ${appointmentId} was rescheduled, skipping reminder for ${slotStart}`);
+    return;
+  }
+  await deliver(appointment, NotificationEvent.REMINDER, { job, minutesBefore });
+}
+
+registerHandler(AppointmentJobType.APPOINTMENT_NOTIFICATION, sendNotification);
+registerHandler(AppointmentJobType.APPOINTMENT_REMINDER, sendReminder);
+
+/**
+ * Queue the reminders for an appointment's current slot (config
+ * appointments.reminderMinutes). Reminders already due are skipped. Errors
+ * are logged, not thrown, so a booking never fails over a reminder.
+ */
+async function scheduleReminders(appointment) {
+  if (!appointment.slot_start) return;
+  const start = new Date(appointment.slot_start).getTime();
+
+  try {
+    for (const minutesBefore of config.appointments.reminderMinutes) {
+      const runAt = new Date(start - minutesBefore * MINUTE_MS);
+      if (runAt.getTime() <= Date.now()) continue;
+      await enqueueJob(AppointmentJobType.APPOINTMENT_REMINDER, {
+        appointment_id: appointment.id,
+        minutes_before: minutesBefore,
+        slot_start: new Date(start).toISOString()
+      }, { runAt });
+    }
+  } catch (error) {
+    console.error(`❌ Failed to schedule reminders for appointment ${appointment.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Queue a CONFIRMED, CANCELLED or RESCHEDULED notification. Errors are
+ * logged, not thrown.
+ */
+async function queueAppointmentNotification(appointment, event) {
+  try {
+    await enqueueJob(AppointmentJobType.APPOINTMENT_NOTIFICATION, { appointment_id: appointment.id, event });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${event} notification for appointment ${appointment.id}: ${error.message}`);
+  }
+}
+
+// Notification to send when an appointment's status changes, if any
+function eventForStatus(status) {
+  if (status === AppointmentStatus.CONFIRMED) return NotificationEvent.CONFIRMED;
+  if (status === AppointmentStatus.CANCELLED) return NotificationEvent.CANCELLED;
+  return null;
+}
+
+// Messages sent about an appointment, newest first
+async function listNotifications(appointmentId) {
+  return AppointmentNotification.findAll({
+    where: { appointment_id: appointmentId },
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+module.exports = {
+  AppointmentJobType,
+  scheduleReminders,
+  queueAppointmentNotification,
+  eventForStatus,
+  listNotifications
+};
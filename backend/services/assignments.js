@@ -0,0 +1,244 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../database');
+const { User, UserRole, Student, UserCenter, CounsellorAssignment, AssignmentMethod } = require('../models');
+
+function formatAssignment(assignment) {
+  if (!assignment) return null;
+  return {
+    id: assignment.id,
+    student_id: assignment.student_id,
+    counsellor_id: assignment.counsellor_id,
+    counsellor_name: assignment.counsellor ? assignment.counsellor.full_name : undefined,
+    method: assignment.method,
+    assigned_by: assignment.assigned_by,
+    reason: assignment.reason,
+    assigned_at: assignment.created_at,
+    ended_at: assignment.ended_at,
+    ended_by: assignment.ended_by,
+    end_reason: assignment.end_reason
+  };
+}
+
+async function getActiveAssignment(studentId, { transaction, lock = false } = {}) {
+  return CounsellorAssignment.findOne({
+    where: { student_id: studentId, ended_at: null },
+    include: lock ? [] : [{ model: User, as: 'counsellor', attributes: ['id', 'full_name', 'email'] }],
+    lock: lock ? transaction.LOCK.UPDATE : undefined,
+    transaction
+  });
+}
+
+async function isCounsellorInCenter(counsellorId, centerId, transaction) {
+  if (!centerId) return false;
+  const count = await UserCenter.count({ where: { user_id: counsellorId, center_id: centerId }, transaction });
+  return count > 0;
+}
+
+/**
+ * Counsellor of the given center with the fewest current students (lowest id
+ * on a tie), or null when the center has no counsellors.
+ */
+async function pickCounsellor(centerId, { transaction } = {}) {
+  const [rows] = await sequelize.query(`
+    SELECT u.id
+    FROM users u
+    JOIN user_centers uc ON uc.user_id = u.id AND uc.center_id = :centerId
+    LEFT JOIN counsellor_assignments ca ON ca.counsellor_id = u.id AND ca.ended_at IS NULL
+    WHERE u.role = :role
+    GROUP BY u.id
+    ORDER BY COUNT(ca.id) ASC, u.id ASC
+    LIMIT 1
+  `, { replacements: { centerId, role: UserRole.COUNSELLOR }, transaction });
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+/**
+ * Make a counsellor the student's primary counsellor, ending the current
+ * assignment (kept as history). The counsellor must work at the student's
+ * center unless allowOtherCenter is set.
+ *
+ * Returns { assignment, changed, error }
+ */
+async function assignCounsellor(studentId, counsellorId, {
+  assignedBy = null,
+  method = AssignmentMethod.MANUAL,
+  reason = null,
+  allowOtherCenter = false
+} = {}) {
+  const student = await Student.findOne({
+    where: { user_id: studentId },
+    include: [{ model: User, as: 'user', where: { role: UserRole.STUDENT }, attributes: ['id'] }]
+  });
+  if (!student) {
+    return { assignment: null, changed: false, error: 'Student not found' };
+  }
+
+  const counsellor = await User.findOne({ where: { id: counsellorId, role: UserRole.COUNSELLOR } });
+  if (!counsellor) {
+    return { assignment: null, changed: false, error: 'counsellor_id must reference a counsellor' };
+  }
+  if (!allowOtherCenter && !(await isCounsellorInCenter(counsellorId, student.center_id))) {
+    return { assignment: null, changed: false, error: 'Counsellor does not work at the student\'s center' };
+  }
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const current = await getActiveAssignment(studentId, { transaction, lock: true });
+      if (current && current.counsellor_id === counsellorId) {
+        return { assignment: current, changed: false, error: null };
+      }
+
+      if (current) {
+        await current.update({
+          ended_at: new Date(),
+          ended_by: assignedBy,
+          end_reason: reason || (method === AssignmentMethod.AUTO ? 'Automatically reassigned' : 'Reassigned')
+        }, { transaction });
+      }
+
+      const assignment = await CounsellorAssignment.create({
+        student_id: studentId,
+        counsellor_id: counsellorId,
+        method,
+        assigned_by: assignedBy,
+        reason
+      }, { transaction });
+
+      console.log(`✅ Student ${studentId} assigned to counsellor ${counsellorId} (${method}${current ? `, was ${current.counsellor_id}` : ''})`);
+      return { assignment, changed: true, error: null };
+    });
+  } catch (error) {
+    // Another request assigned the same student at the same moment
+    if (error instanceof UniqueConstraintError) {
+      return { assignment: null, changed: false, error: 'The assignment was changed by someone else; try again' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give a student a counsellor from their center with the lightest caseload.
+ * A manual assignment is always kept, as is an automatic one whose
+ * counsellor works at the student's center; any other automatic assignment
+ * (e.g. after the student moved) is replaced when possible.
+ *
+ * Returns { assignment, changed, error }
+ */
+async function autoAssignStudent(studentId, { assignedBy = null, reason = null } = {}) {
+  const student = await Student.findOne({ where: { user_id: studentId } });
+  if (!student) {
+    return { assignment: null, changed: false, error: 'Student not found' };
+  }
+
+  // Admins override the center rule with manual assignments; only they end those
+  const current = await getActiveAssignment(studentId);
+  if (current && (current.method === AssignmentMethod.MANUAL || await isCounsellorInCenter(current.counsellor_id, student.center_id))) {
+    return { assignment: current, changed: false, error: null };
+  }
+
+  const counsellorId = student.center_id ? await pickCounsellor(student.center_id) : null;
+  if (!counsellorId) {
+    return { assignment: current, changed: false, error: 'No counsellor available at the student\'s center' };
+  }
+
+  return assignCounsellor(studentId, counsellorId, { assignedBy, method: AssignmentMethod.AUTO, reason });
+}
+
+/**
+ * End a student's current assignment without a replacement.
+ * Returns the ended assignment, or null when there was none.
+ */
+async function endAssignment(studentId, { endedBy = null, reason = null } = {}) {
+  return sequelize.transaction(async (transaction) => {
+    const current = await getActiveAssignment(studentId, { transaction, lock: true });
+    if (!current) return null;
+    await current.update({ ended_at: new Date(), ended_by: endedBy, end_reason: reason || 'Unassigned' }, { transaction });
+    return current;
+  });
+}
+
+/**
+ * Auto-assign every student with a center but no counsellor, optionally only
+ * in the given centers. Returns { assigned, unassigned } student id lists.
+ */
+async function autoAssignUnassigned({ centerIds = null, assignedBy = null } = {}) {
+  const centerFilter = centerIds === null ? '' : 'AND s.center_id IN (:centerIds)';
+  if (centerIds !== null && centerIds.length === 0) {
+    return { assigned: [], unassigned: [] };
+  }
+  const [rows] = await sequelize.query(`
+    SELECT s.user_id
+    FROM students s
+    WHERE s.center_id IS NOT NULL ${centerFilter}
+      AND NOT EXISTS (
+        SELECT 1 FROM counsellor_assignments ca WHERE ca.student_id = s.user_id AND ca.ended_at IS NULL
+      )
+    ORDER BY s.user_id
+  `, { replacements: { centerIds } });
+
+  const assigned = [];
+  const unassigned = [];
+  // One at a time so each pick sees the caseloads updated by the previous one
+  for (const { user_id: studentId } of rows) {
+    const { changed } = await autoAssignStudent(studentId, { assignedBy });
+    (changed ? assigned : unassigned).push(studentId);
+  }
+  return { assigned, unassigned };
+}
+
+/**
+ * Counsellors with their number of current students, optionally limited to
+ * counsellors of the given centers.
+ */
+async function getCaseloadSummary({ centerIds = null } = {}) {
+  if (centerIds !== null && centerIds.length === 0) {
+    return [];
+  }
+  const centerFilter = centerIds === null
+    ? ''
+    : 'AND u.id IN (SELECT user_id FROM user_centers WHERE center_id IN (:centerIds))';
+  const [rows] = await sequelize.query(`
+    SELECT u.id, u.full_name, u.email, COUNT(ca.id)::int AS active_students
+    FROM users u
+    LEFT JOIN counsellor_assignments ca ON ca.counsellor_id = u.id AND ca.ended_at IS NULL
+    WHERE u.role = :role ${centerFilter}
+    GROUP BY u.id
+    ORDER BY active_students DESC, u.full_name ASC
+  `, { replacements: { role: UserRole.COUNSELLOR, centerIds } });
+  return rows;
+}
+
+// Current students of a counsellor, newest assignment first
+async function listCaseload(counsellorId) {
+  return CounsellorAssignment.findAll({
+    where: { counsellor_id: counsellorId, ended_at: null },
+    include: [{
+      model: User,
+      as: 'student',
+      attributes: ['id', 'full_name', 'email'],
+      include: [{ model: Student, as: 'studentProfile', attributes: ['contact_number', 'center_id', 'current_education'] }]
+    }],
+    order: [['created_at', 'DESC']]
+  });
+}
+
+// Assignment history of a student, newest first
+async function getAssignmentHistory(studentId) {
+  return CounsellorAssignment.findAll({
+    where: { student_id: studentId },
+    include: [{ model: User, as: 'counsellor', attributes: ['id', 'full_name', 'email'] }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+module.exports = {
+  formatAssignment,
+  getActiveAssignment,
+  assignCounsellor,
+  autoAssignStudent,
+  endAssignment,
+  autoAssignUnassigned,
+  getCaseloadSummary,
+  listCaseload,
+  getAssignmentHistory
+};
@@ -0,0 +1,242 @@
+const { Score, Section, InterpretedResult, Career } = require('../models');
+const { calculateRIASECScores } = require('./riasecScoring');
+const { calculateReadinessStatus, calculateRiskLevel } = require('./geminiInterpreter');
+
+const RIASEC_CODES = ['R', 'I', 'A', 'S', 'E', 'C'];
+const TOP_CAREER_COUNT = 5;
+
+// Changes at or above these are flagged as significant shifts
+const SECTION_SCORE_SHIFT = 0.75; // section scores are on the 1-5 scale
+const RIASEC_SCORE_SHIFT = 15; // RIASEC scores are 0-100
+const OVERALL_PERCENTAGE_SHIFT = 10;
+
+const READINESS_ORDER = ['NOT READY', 'PARTIALLY READY', 'READY'];
+const RISK_ORDER = ['HIGH', 'MEDIUM', 'LOW'];
+
+function round2(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+function diff(from, to) {
+  return from == null || to == null ? null : round2(to - from);
+}
+
+// Direction of a move along an ordered scale (worst first)
+function compareOrder(order, from, to) {
+  const fromIndex = order.indexOf(from);
+  const toIndex = order.indexOf(to);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return 'UNCHANGED';
+  return toIndex > fromIndex ? 'IMPROVED' : 'DECLINED';
+}
+
+// Highest three RIASEC codes, ties broken in R-I-A-S-E-C order
+function hollandTop3(scores) {
+  return RIASEC_CODES
+    .map((code, index) => ({ code, value: Number(scores[code]) || 0, index }))
+    .sort((a, b) => b.value - a.value || a.index - b.index)
+    .slice(0, 3)
+    .map(item => item.code)
+    .join('');
+}
+
+// Everything the comparison needs from one completed attempt
+async function loadAttemptSnapshot(testAttempt) {
+  const scores = await Score.findAll({ where: { test_attempt_id: testAttempt.id } });
+  const sectionScores = {};
+  let overall = null;
+  for (const score of scores) {
+    if (!score.dimension || score.score_value == null) continue;
+    if (score.dimension === 'overall') {
+      overall = Number(score.score_value);
+    } else if (score.dimension.startsWith('section_')) {
+      sectionScores[score.dimension] = Number(score.score_value);
+    }
+  }
+
+  const riasec = await calculateRIASECScores(testAttempt.id);
+  const riasecScores = {};
+  for (const code of RIASEC_CODES) {
+    riasecScores[code] = riasec.error ? null : riasec[code];
+  }
+
+  const interpretedResult = await InterpretedResult.findOne({
+    where: { test_attempt_id: testAttempt.id },
+    attributes: ['id']
+  });
+
+  // Readiness and risk are derived from the overall score the same way the
+  // interpretation endpoint does (the stored columns are not reliable)
+  const readinessStatus = overall != null ? calculateReadinessStatus(overall)[0] : null;
+  const riskLevel = readinessStatus ? calculateRiskLevel(readinessStatus)[0] : null;
+
+  let careers = [];
+  if (interpretedResult) {
+    const careerRows = await Career.findAll({
+      where: { interpreted_result_id: interpretedResult.id },
+      order: [['order_index', 'ASC']],
+      limit: TOP_CAREER_COUNT
+    });
+    careers = careerRows.map(c => ({
+      career_name: c.career_name,
+      category: c.category,
+      match_score: c.match_score
+    }));
+  }
+
+  return {
+    attempt: {
+      test_attempt_id: testAttempt.id,
+      attempt_number: testAttempt.attempt_number,
+      completed_at: testAttempt.completed_at,
+      is_archived: testAttempt.is_archived
+    },
+    overall,
+    sectionScores,
+    riasecScores,
+    riasecError: riasec.error || null,
+    hollandCode: riasec.error ? null : hollandTop3(riasecScores),
+    readinessStatus,
+    riskLevel,
+    careers
+  };
+}
+
+/**
+ * Compare two completed attempts of the same student. `fromAttempt` should
+ * be the earlier one. Returns the per-area differences plus a list of
+ * significant shifts for the counsellor to discuss.
+ */
+async function compareAttempts(fromAttempt, toAttempt) {
+  const from = await loadAttemptSnapshot(fromAttempt);
+  const to = await loadAttemptSnapshot(toAttempt);
+  const shifts = [];
+
+  const sectionNames = {};
+  const sections = await Section.findAll({ attributes: ['order_index', 'name'] });
+  for (const section of sections) {
+    sectionNames[`section_${section.order_index}`] = section.name;
+  }
+
+  const dimensions = [...new Set([...Object.keys(from.sectionScores), ...Object.keys(to.sectionScores)])]
+    .sort((a, b) => parseInt(a.split('_')[1], 10) - parseInt(b.split('_')[1], 10));
+  const sectionDiffs = dimensions.map(dimension => {
+    const change = diff(from.sectionScores[dimension], to.sectionScores[dimension]);
+    const sectionName = sectionNames[dimension] || dimension;
+    if (change != null && Math.abs(change) >= SECTION_SCORE_SHIFT) {
+      shifts.push({
+        type: 'SECTION_SCORE',
+        dimension,
+        message: `${sectionName} score ${change > 0 ? 'rose' : 'fell'} by ${Math.abs(change)}`
+      });
+    }
+    return {
+      dimension,
+      section_number: parseInt(dimension.split('_')[1], 10),
+      section_name: sectionName,
+      from: round2(from.sectionScores[dimension]),
+      to: round2(to.sectionScores[dimension]),
+      change
+    };
+  });
+
+  const overallChange = diff(from.overall, to.overall);
+  if (overallChange != null && Math.abs(overallChange) >= OVERALL_PERCENTAGE_SHIFT) {
+    shifts.push({
+      type: 'OVERALL_SCORE',
+      message: `Overall score ${overallChange > 0 ? 'rose' : 'fell'} by ${Math.abs(overallChange)} points`
+    });
+  }
+
+  const riasecDiffs = {};
+  for (const code of RIASEC_CODES) {
+    const change = diff(from.riasecScores[code], to.riasecScores[code]);
+    riasecDiffs[code] = {
+      from: round2(from.riasecScores[code]),
+      to: round2(to.riasecScores[code]),
+      change
+    };
+    if (change != null && Math.abs(change) >= RIASEC_SCORE_SHIFT) {
+      shifts.push({
+        type: 'RIASEC_SCORE',
+        dimension: code,
+        message: `RIASEC ${code} ${change > 0 ? 'rose' : 'fell'} by ${Math.abs(change)} points`
+      });
+    }
+  }
+
+  if (from.hollandCode && to.hollandCode && from.hollandCode !== to.hollandCode) {
+    const sameSet = from.hollandCode.split('').sort().join('') === to.hollandCode.split('').sort().join('');
+    shifts.push({
+      type: 'HOLLAND_TOP3',
+      message: sameSet
+        ? `Holland code order changed from ${from.hollandCode} to ${to.hollandCode}`
+        : `Holland top-3 changed from ${from.hollandCode} to ${to.hollandCode}`
+    });
+  }
+
+  if (from.readinessStatus && to.readinessStatus && from.readinessStatus !== to.readinessStatus) {
+    shifts.push({
+      type: 'READINESS_BAND',
+      message: `Readiness moved from ${from.readinessStatus} to ${to.readinessStatus}`
+    });
+  }
+
+  if (from.riskLevel && to.riskLevel && from.riskLevel !== to.riskLevel) {
+    shifts.push({
+      type: 'RISK_LEVEL',
+      message: `Risk level moved from ${from.riskLevel} to ${to.riskLevel}`
+    });
+  }
+
+  const fromCareerNames = from.careers.map(c => c.career_name);
+  const toCareerNames = to.careers.map(c => c.career_name);
+  const careersAdded = toCareerNames.filter(name => !fromCareerNames.includes(name));
+  const careersRemoved = fromCareerNames.filter(name => !toCareerNames.includes(name));
+  if (from.careers.length > 0 && to.careers.length > 0 && fromCareerNames[0] !== toCareerNames[0]) {
+    shifts.push({
+      type: 'TOP_CAREER',
+      message: `Top career match changed from ${fromCareerNames[0]} to ${toCareerNames[0]}`
+    });
+  }
+
+  return {
+    from_attempt: from.attempt,
+    to_attempt: to.attempt,
+    overall: {
+      from: round2(from.overall),
+      to: round2(to.overall),
+      change: overallChange
+    },
+    section_scores: sectionDiffs,
+    riasec: {
+      scores: riasecDiffs,
+      holland_code: { from: from.hollandCode, to: to.hollandCode },
+      errors: {
+        from: from.riasecError,
+        to: to.riasecError
+      }
+    },
+    readiness: {
+      from: from.readinessStatus,
+      to: to.readinessStatus,
+      direction: compareOrder(READINESS_ORDER, from.readinessStatus, to.readinessStatus)
+    },
+    risk: {
+      from: from.riskLevel,
+      to: to.riskLevel,
+      direction: compareOrder(RISK_ORDER, from.riskLevel, to.riskLevel)
+    },
+    top_careers: {
+      from: from.careers,
+      to: to.careers,
+      added: careersAdded,
+      removed: careersRemoved
+    },
+    significant_shifts: shifts
+  };
+}
+
+module.exports = {
+  compareAttempts,
+  hollandTop3
+};
@@ -0,0 +1,396 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../database');
+const {
+  Appointment,
+  AppointmentStatus,
+  AppointmentGuardian,
+  AvailabilityTemplate,
+  AvailabilityException
+} = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Namespace for pg_advisory_xact_lock(namespace, counsellor_id) while booking
+const BOOKING_LOCK_NAMESPACE = 4201;
+
+// Statuses that hold a slot
+const LIVE_STATUSES = [AppointmentStatus.PENDING, AppointmentStatus.CONFIRMED];
+
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Offset of the timezone from UTC at the given instant, in ms
+function zoneOffsetMs(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a local date ('YYYY-MM-DD') and time ('HH:MM') in the
+ * appointment timezone.
+ */
+function localToUtc(date, time, timeZone = config.appointments.timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, timeToMinutes(time));
+  const offset = zoneOffsetMs(new Date(guess), timeZone);
+  // Re-check once in case the guess and the result straddle a DST change
+  const corrected = zoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+}
+
+// Local { date, time } of an instant in the appointment timezone
+function toLocalDateTime(instant, timeZone = config.appointments.timezone) {
+  const local = new Date(new Date(instant).getTime() + zoneOffsetMs(new Date(instant), timeZone));
+  return {
+    date: local.toISOString().slice(0, 10),
+    time: local.toISOString().slice(11, 16)
+  };
+}
+
+function todayLocal() {
+  return toLocalDateTime(new Date()).date;
+}
+
+// Start of an appointment, including ones booked before slots existed
+function appointmentStart(appointment) {
+  if (appointment.slot_start) {
+    return new Date(appointment.slot_start);
+  }
+  const date = appointment.appointment_date instanceof Date
+    ? appointment.appointment_date.toISOString().slice(0, 10)
+    : String(appointment.appointment_date).slice(0, 10);
+  return localToUtc(date, String(appointment.appointment_time).slice(0, 5));
+}
+
+/**
+ * Validate weekly template rows ({ weekday, start_time, end_time, slot_minutes? }).
+ * Returns an error message, or null when valid.
+ */
+function validateTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return 'templates must be an array';
+  }
+  const byWeekday = {};
+  for (const template of templates) {
+    const { weekday, start_time, end_time } = template;
+    const slotMinutes = template.slot_minutes ?? config.appointments.defaultSlotMinutes;
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return 'weekday must be 0 (Sunday) to 6 (Saturday)';
+    }
+    if (!TIME.test(start_time || '') || !TIME.test(end_time || '')) {
+      return 'start_time and end_time must be HH:MM';
+    }
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 10 || slotMinutes > 240) {
+      return 'slot_minutes must be between 10 and 240';
+    }
+    const start = timeToMinutes(start_time);
+    const end = timeToMinutes(end_time);
+    if (end - start < slotMinutes) {
+      return `${start_time}-${end_time} is shorter than one ${slotMinutes}-minute slot`;
+    }
+    (byWeekday[weekday] = byWeekday[weekday] || []).push({ start, end });
+  }
+  for (const [weekday, ranges] of Object.entries(byWeekday)) {
+    ranges.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i].start < ranges[i - 1].end) {
+        return `Overlapping availability on weekday ${weekday}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Replace a counsellor's weekly template
+async function setWeeklyTemplate(counsellorId, templates) {
+  return sequelize.transaction(async (transaction) => {
+    await AvailabilityTemplate.destroy({ where: { counsellor_id: counsellorId }, transaction });
+    return AvailabilityTemplate.bulkCreate(templates.map(template => ({
+      counsellor_id: counsellorId,
+      weekday: template.weekday,
+      start_time: template.start_time,
+      end_time: template.end_time,
+      slot_minutes: template.slot_minutes ?? config.appointments.defaultSlotMinutes
+    })), { transaction });
+  });
+}
+
+/**
+ * Validate an exception body ({ date, start_time?, end_time?, type, reason? }).
+ * Returns an error message, or null when valid.
+ */
+function validateException({ date, start_time, end_time }) {
+  if (!DATE.test(date || '')) {
+    return 'date must be YYYY-MM-DD';
+  }
+  if (!start_time && !end_time) {
+    return null;
+  }
+  if (!TIME.test(start_time || '') || !TIME.test(end_time || '')) {
+    return 'start_time and end_time must both be HH:MM, or both omitted for the whole day';
+  }
+  if (timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+    return 'end_time must be after start_time';
+  }
+  return null;
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+/**
+ * Open slots of a counsellor between two local dates (inclusive). Slots
+ * covered by an exception, already booked, or starting within the minimum
+ * notice are left out.
+ *
+ * Returns [{ counsellor_id, start, end, date, time, duration_minutes }]
+ */
+async function getOpenSlots(counsellorId, fromDate, toDate, { excludeAppointmentId = null, transaction } = {}) {
+  const templates = await AvailabilityTemplate.findAll({ where: { counsellor_id: counsellorId }, transaction });
+  if (templates.length === 0) {
+    return [];
+  }
+
+  const exceptions = await AvailabilityException.findAll({
+    where: {
+      date: { [Op.between]: [fromDate, toDate] },
+      [Op.or]: [{ counsellor_id: counsellorId }, { counsellor_id: null }]
+    },
+    transaction
+  });
+
+  const bookedWhere = {
+    counsellor_id: counsellorId,
+    status: LIVE_STATUSES,
+    slot_start: {
+      [Op.gte]: new Date(localToUtc(fromDate, '00:00').getTime() - DAY_MS),
+      [Op.lt]: new Date(localToUtc(toDate, '00:00').getTime() + 2 * DAY_MS)
+    }
+  };
+  if (excludeAppointmentId) {
+    bookedWhere.id = { [Op.ne]: excludeAppointmentId };
+  }
+  const booked = await Appointment.findAll({ where: bookedWhere, attributes: ['slot_start', 'slot_end'], transaction });
+
+  const earliest = Date.now() + config.appointments.minNoticeHours * HOUR_MS;
+  const slots = [];
+
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const dayExceptions = exceptions.filter(exception => exception.date === date);
+    if (dayExceptions.some(exception => !exception.start_time)) {
+      continue;
+    }
+
+    const weekday = weekdayOf(date);
+    const dayTemplates = templates
+      .filter(template => template.weekday === weekday)
+      .sort((a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time));
+
+    for (const template of dayTemplates) {
+      const end = timeToMinutes(template.end_time);
+      for (let minute = timeToMinutes(template.start_time); minute + template.slot_minutes <= end; minute += template.slot_minutes) {
+        const blocked = dayExceptions.some(exception => overlaps(
+          minute, minute + template.slot_minutes,
+          timeToMinutes(exception.start_time), timeToMinutes(exception.end_time)
+        ));
+        if (blocked) continue;
+
+        const start = localToUtc(date, minutesToTime(minute));
+        const slotEnd = new Date(start.getTime() + template.slot_minutes * 60 * 1000);
+        if (start.getTime() < earliest) continue;
+        if (booked.some(appointment => overlaps(start, slotEnd, new Date(appointment.slot_start), new Date(appointment.slot_end)))) {
+          continue;
+        }
+
+        slots.push({
+          counsellor_id: counsellorId,
+          start,
+          end: slotEnd,
+          date,
+          time: minutesToTime(minute),
+          duration_minutes: template.slot_minutes
+        });
+      }
+    }
+  }
+
+  return slots;
+}
+
+// Find the open slot starting at this instant, if any
+async function findOpenSlot(counsellorId, slotStart, options = {}) {
+  const { date } = toLocalDateTime(slotStart);
+  const slots = await getOpenSlots(counsellorId, date, date, options);
+  return slots.find(slot => slot.start.getTime() === new Date(slotStart).getTime()) || null;
+}
+
+function slotOutsideHorizon(slotStart) {
+  return new Date(slotStart).getTime() > Date.now() + config.appointments.bookingHorizonDays * DAY_MS;
+}
+
+// Run fn while holding the counsellor's booking lock
+async function withBookingLock(counsellorId, fn) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(:namespace, :counsellorId)', {
+        replacements: { namespace: BOOKING_LOCK_NAMESPACE, counsellorId },
+        transaction
+      });
+      return fn(transaction);
+    });
+  } catch (error) {
+    // The unique index caught a booking made through another path at the same moment
+    if (error instanceof UniqueConstraintError) {
+      return { appointment: null, error: 'That slot has just been booked; please pick another', conflict: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Book an open slot with a counsellor. bookedBy is set when someone other
+ * than the student (a guardian) makes the booking; guardianId adds that
+ * guardian as an attendee in the same transaction.
+ * Returns { appointment, error, conflict } - conflict is set when the slot is
+ * no longer free.
+ */
+async function bookSlot({ studentId, counsellorId, slotStart, notes = null, bookedBy = null, guardianId = null }) {
+  if (slotOutsideHorizon(slotStart)) {
+    return { appointment: null, error: `Appointments can be booked at most ${config.appointments.bookingHorizonDays} days ahead`, conflict: false };
+  }
+
+  return withBookingLock(counsellorId, async (transaction) => {
+    const slot = await findOpenSlot(counsellorId, slotStart, { transaction });
+    if (!slot) {
+      return { appointment: null, error: 'That slot is not available; please pick another', conflict: true };
+    }
+
+    const appointment = await Appointment.create({
+      student_id: studentId,
+      counsellor_id: counsellorId,
+      appointment_date: slot.date,
+      appointment_time: slot.time,
+      slot_start: slot.start,
+      slot_end: slot.end,
+      status: AppointmentStatus.PENDING,
+      notes,
+      booked_by: bookedBy
+    }, { transaction });
+    if (guardianId) {
+      await AppointmentGuardian.create({ appointment_id: appointment.id, guardian_id: guardianId }, { transaction });
+    }
+
+    return { appointment, error: null, conflict: false };
+  });
+}
+
+/**
+ * Move an appointment to another open slot of the same counsellor. The
+ * appointment goes back to PENDING for the counsellor to confirm.
+ * Returns { appointment, error, conflict }
+ */
+async function rescheduleAppointment(appointment, slotStart) {
+  if (slotOutsideHorizon(slotStart)) {
+    return { appointment: null, error: `Appointments can be booked at most ${config.appointments.bookingHorizonDays} days ahead`, conflict: false };
+  }
+
+  return withBookingLock(appointment.counsellor_id, async (transaction) => {
+    const slot = await findOpenSlot(appointment.counsellor_id, slotStart, {
+      transaction,
+      excludeAppointmentId: appointment.id
+    });
+    if (!slot) {
+      return { appointment: null, error: 'That slot is not available; please pick another', conflict: true };
+    }
+
+    await appointment.update({
+      appointment_date: slot.date,
+      appointment_time: slot.time,
+      slot_start: slot.start,
+      slot_end: slot.end,
+      status: AppointmentStatus.PENDING,
+      reschedule_count: appointment.reschedule_count + 1
+    }, { transaction });
+
+    return { appointment, error: null, conflict: false };
+  });
+}
+
+async function cancelAppointment(appointment, { cancelledBy, reason = null }) {
+  return appointment.update({
+    status: AppointmentStatus.CANCELLED,
+    cancelled_at: new Date(),
+    cancelled_by: cancelledBy,
+    cancel_reason: reason
+  });
+}
+
+/**
+ * Why a student may not cancel or reschedule this appointment now, or null
+ * if they may. Staff are not subject to these windows.
+ */
+function studentChangeError(appointment, action) {
+  if (!LIVE_STATUSES.includes(appointment.status)) {
+    return `Only pending or confirmed appointments can be ${action === 'cancel' ? 'cancelled' : 'rescheduled'}`;
+  }
+  const windowHours = action === 'cancel'
+    ? config.appointments.cancelWindowHours
+    : config.appointments.rescheduleWindowHours;
+  if (appointmentStart(appointment).getTime() - Date.now() < windowHours * HOUR_MS) {
+    return `Appointments can only be ${action === 'cancel' ? 'cancelled' : 'rescheduled'} up to ${windowHours} hours before they start`;
+  }
+  if (action === 'reschedule' && appointment.reschedule_count >= config.appointments.maxReschedules) {
+    return `An appointment can be rescheduled at most ${config.appointments.maxReschedules} times`;
+  }
+  return null;
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  DATE,
+  addDays,
+  todayLocal,
+  localToUtc,
+  toLocalDateTime,
+  appointmentStart,
+  validateTemplates,
+  setWeeklyTemplate,
+  validateException,
+  getOpenSlots,
+  bookSlot,
+  rescheduleAppointment,
+  cancelAppointment,
+  studentChangeError
+};
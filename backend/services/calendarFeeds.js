@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { CalendarFeed } = require('../models');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create or rotate a user's private calendar feed token. The token is only
+ * returned here; any previous feed URL stops working.
+ */
+async function issueCalendarFeed(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const existing = await CalendarFeed.findOne({ where: { user_id: userId } });
+  if (existing) {
+    await existing.update({ token_hash: hashToken(token), last_accessed_at: null });
+  } else {
+    await CalendarFeed.create({ user_id: userId, token_hash: hashToken(token) });
+  }
+  return token;
+}
+
+// Returns whether a feed existed
+async function revokeCalendarFeed(userId) {
+  const removed = await CalendarFeed.destroy({ where: { user_id: userId } });
+  return removed > 0;
+}
+
+// Feed for a token from a feed URL, or null
+async function findCalendarFeed(token) {
+  if (!token) return null;
+  const feed = await CalendarFeed.findOne({ where: { token_hash: hashToken(token) } });
+  if (feed) {
+    await feed.update({ last_accessed_at: new Date() });
+  }
+  return feed;
+}
+
+module.exports = {
+  issueCalendarFeed,
+  revokeCalendarFeed,
+  findCalendarFeed
+};
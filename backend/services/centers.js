@@ -0,0 +1,75 @@
+const { Op } = require('sequelize');
+const { UserRole, Student, Center, UserCenter } = require('../models');
+const { loadPermissions } = require('../middleware/auth');
+
+/**
+ * Centers whose students the current user may see: null when unrestricted
+ * (centers.all permission), otherwise the ids of the user's centers, which
+ * may be empty. Cached on the request. Routes should use
+ * services/studentAccess, which also applies counsellor assignments.
+ */
+async function getCenterScope(req) {
+  if (req.centerScope === undefined) {
+    const permissions = await loadPermissions(req);
+    if (permissions.has('centers.all')) {
+      req.centerScope = null;
+    } else {
+      const memberships = await UserCenter.findAll({ where: { user_id: req.user.id }, attributes: ['center_id'] });
+      req.centerScope = memberships.map(membership => membership.center_id);
+    }
+  }
+  return req.centerScope;
+}
+
+/**
+ * Center codes of a user for API responses: the student's own center, or
+ * the staff member's centers.
+ */
+async function getUserCenterCodes(user) {
+  if (user.role === UserRole.STUDENT) {
+    const student = await Student.findOne({
+      where: { user_id: user.id },
+      attributes: ['center_id'],
+      include: [{ model: Center, as: 'center', attributes: ['code'] }]
+    });
+    return student && student.center ? [student.center.code] : [];
+  }
+  const centers = await Center.findAll({
+    attributes: ['code'],
+    include: [{ association: 'staff', where: { id: user.id }, attributes: [], through: { attributes: [] } }],
+    order: [['id', 'ASC']]
+  });
+  return centers.map(center => center.code);
+}
+
+/**
+ * Look up centers by id or code. Returns { centers, unknown } where unknown
+ * lists the references that matched nothing.
+ */
+async function resolveCenters(refs, { activeOnly = false } = {}) {
+  const ids = refs.filter(ref => Number.isInteger(ref));
+  const codes = refs.filter(ref => typeof ref === 'string');
+  const where = { [Op.or]: [{ id: ids }, { code: codes }] };
+  if (activeOnly) {
+    where.is_active = true;
+  }
+  const centers = await Center.findAll({ where });
+  const unknown = refs.filter(ref => !centers.some(center => center.id === ref || center.code === ref));
+  return { centers, unknown };
+}
+
+// Replace a staff member's center memberships
+async function setUserCenters(userId, centerIds, { transaction } = {}) {
+  await UserCenter.destroy({ where: { user_id: userId }, transaction });
+  await UserCenter.bulkCreate(
+    [...new Set(centerIds)].map(centerId => ({ user_id: userId, center_id: centerId })),
+    { transaction }
+  );
+}
+
+module.exports = {
+  getCenterScope,
+  getUserCenterCodes,
+  resolveCenters,
+  setUserCenters
+};
@@ -0,0 +1,266 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../database');
+const {
+  User,
+  CounsellorNote,
+  NoteCategory,
+  NoteVisibility,
+  CounsellorNoteRevision,
+  NoteAction
+} = require('../models');
+
+const MAX_NOTE_LENGTH = 10000;
+
+/**
+ * Validate note fields. With partial, missing fields are left out (edits);
+ * otherwise notes is required and category/visibility get their defaults.
+ * Returns { values, error }
+ */
+function validateNoteInput(body, { partial = false } = {}) {
+  const values = {};
+
+  if (body.notes !== undefined || !partial) {
+    if (typeof body.notes !== 'string' || !body.notes.trim()) {
+      return { values: null, error: 'notes is required' };
+    }
+    if (body.notes.length > MAX_NOTE_LENGTH) {
+      return { values: null, error: `notes must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    values.notes = body.notes.trim();
+  }
+  if (body.category !== undefined || !partial) {
+    const category = body.category || NoteCategory.OBSERVATION;
+    if (!Object.values(NoteCategory).includes(category)) {
+      return { values: null, error: `category must be one of ${Object.values(NoteCategory).join(', ')}` };
+    }
+    values.category = category;
+  }
+  if (body.visibility !== undefined || !partial) {
+    const visibility = body.visibility || NoteVisibility.INTERNAL;
+    if (!Object.values(NoteVisibility).includes(visibility)) {
+      return { values: null, error: `visibility must be one of ${Object.values(NoteVisibility).join(', ')}` };
+    }
+    values.visibility = visibility;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { values: null, error: 'Nothing to change: send notes, category or visibility' };
+  }
+  return { values, error: null };
+}
+
+function revisionRow(note, action, actorId, reason = null) {
+  return {
+    note_id: note.id,
+    revision: note.revision,
+    action,
+    notes: note.notes,
+    category: note.category,
+    visibility: note.visibility,
+    actor_id: actorId,
+    reason
+  };
+}
+
+/**
+ * Add a note (or a reply when parentNoteId is set) to a test attempt.
+ * Returns { note, error }
+ */
+async function createNote(testAttempt, authorId, values, { parentNoteId = null } = {}) {
+  if (parentNoteId) {
+    const parent = await CounsellorNote.findByPk(parentNoteId);
+    if (!parent || parent.test_attempt_id !== testAttempt.id || parent.deleted_at) {
+      return { note: null, error: 'parent_note_id must be a note on the same test attempt' };
+    }
+  }
+
+  const note = await sequelize.transaction(async (transaction) => {
+    const created = await CounsellorNote.create({
+      ...values,
+      counsellor_id: authorId,
+      student_id: testAttempt.student_id,
+      test_attempt_id: testAttempt.id,
+      parent_note_id: parentNoteId,
+      revision: 1
+    }, { transaction });
+    await CounsellorNoteRevision.create(revisionRow(created, NoteAction.CREATED, authorId), { transaction });
+    return created;
+  });
+  return { note, error: null };
+}
+
+// Apply a change and append it to the history as the next revision
+async function appendRevision(note, changes, action, actorId, { reason = null, expectedRevision = null } = {}) {
+  if (expectedRevision !== null && expectedRevision !== note.revision) {
+    return { note: null, error: 'The note was changed by someone else; reload it and try again', conflict: true };
+  }
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await note.update({ ...changes, revision: note.revision + 1 }, { transaction });
+      await CounsellorNoteRevision.create(revisionRow(note, action, actorId, reason), { transaction });
+    });
+    return { note, error: null, conflict: false };
+  } catch (error) {
+    // Another edit took the same revision number first
+    if (error instanceof UniqueConstraintError) {
+      await note.reload();
+      return { note: null, error: 'The note was changed by someone else; reload it and try again', conflict: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Edit a note's text, category or visibility. The previous version stays in
+ * the history. Pass expectedRevision to refuse the edit when the note has
+ * changed since the caller loaded it.
+ * Returns { note, error, conflict }
+ */
+async function editNote(note, values, actorId, { expectedRevision = null } = {}) {
+  const changed = Object.keys(values).some(key => values[key] !== note[key]);
+  if (!changed) {
+    return { note, error: null, conflict: false };
+  }
+  return appendRevision(note, values, NoteAction.EDITED, actorId, { expectedRevision });
+}
+
+/**
+ * Soft-delete a note. The text is kept in the history for audit and the note
+ * stays in its thread as a tombstone.
+ * Returns { note, error, conflict }
+ */
+async function deleteNote(note, actorId, reason = null) {
+  return appendRevision(note, {
+    deleted_at: new Date(),
+    deleted_by: actorId,
+    delete_reason: reason,
+    is_pinned: false,
+    pinned_at: null,
+    pinned_by: null
+  }, NoteAction.DELETED, actorId, { reason });
+}
+
+async function setPinned(note, pinned, actorId) {
+  await note.update(pinned
+    ? { is_pinned: true, pinned_at: new Date(), pinned_by: actorId }
+    : { is_pinned: false, pinned_at: null, pinned_by: null });
+  return note;
+}
+
+function formatRevision(revision, names) {
+  return {
+    revision: revision.revision,
+    action: revision.action,
+    notes: revision.notes,
+    category: revision.category,
+    visibility: revision.visibility,
+    actor_id: revision.actor_id,
+    actor_name: names[revision.actor_id] || null,
+    reason: revision.reason,
+    created_at: revision.created_at
+  };
+}
+
+/**
+ * API shape of a note. Deleted notes keep their place in the thread but lose
+ * their text; staff get the full revision history, students never do.
+ */
+function formatNote(note, { names = {}, revisions = null } = {}) {
+  const deleted = !!note.deleted_at;
+  const formatted = {
+    id: note.id,
+    parent_note_id: note.parent_note_id,
+    counsellor_id: note.counsellor_id,
+    counsellor_name: names[note.counsellor_id] || 'Unknown',
+    student_id: note.student_id,
+    test_attempt_id: note.test_attempt_id,
+    notes: deleted ? null : note.notes,
+    category: note.category,
+    visibility: note.visibility,
+    revision: note.revision,
+    edited: note.revision > 1 && !deleted,
+    is_pinned: note.is_pinned,
+    pinned_at: note.pinned_at,
+    deleted,
+    created_at: note.created_at,
+    updated_at: note.updated_at
+  };
+  if (revisions) {
+    formatted.pinned_by = note.pinned_by;
+    formatted.deleted_at = note.deleted_at;
+    formatted.deleted_by = note.deleted_by;
+    formatted.delete_reason = note.delete_reason;
+    formatted.history = revisions.map(revision => formatRevision(revision, names));
+  }
+  return formatted;
+}
+
+async function loadNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+  const users = await User.findAll({ where: { id: ids }, attributes: ['id', 'full_name'] });
+  return Object.fromEntries(users.map(user => [user.id, user.full_name]));
+}
+
+/**
+ * Notes on a test attempt as threads: top-level notes (pinned first, then
+ * oldest first) each with their replies nested under `replies`.
+ *
+ * Students only see shared, undeleted notes whose whole thread above them is
+ * visible too; staff see everything, including tombstones and history.
+ */
+async function getNoteThreads(testAttemptId, { forStudent = false } = {}) {
+  const notes = await CounsellorNote.findAll({
+    where: { test_attempt_id: testAttemptId },
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+  const revisions = forStudent
+    ? []
+    : await CounsellorNoteRevision.findAll({
+      where: { note_id: notes.map(note => note.id) },
+      order: [['revision', 'ASC']]
+    });
+
+  const names = await loadNames([
+    ...notes.map(note => note.counsellor_id),
+    ...revisions.map(revision => revision.actor_id)
+  ]);
+
+  const visible = forStudent
+    ? notes.filter(note => note.visibility === NoteVisibility.SHARED && !note.deleted_at)
+    : notes;
+  const byParent = {};
+  for (const note of visible) {
+    const key = note.parent_note_id || 'root';
+    (byParent[key] = byParent[key] || []).push(note);
+  }
+
+  const build = note => ({
+    ...formatNote(note, {
+      names,
+      revisions: forStudent ? null : revisions.filter(revision => revision.note_id === note.id)
+    }),
+    replies: (byParent[note.id] || []).map(build)
+  });
+
+  // Threads are built from the top-level notes down, so replies to a hidden note are hidden with it
+  const roots = visible.filter(note => !note.parent_note_id);
+  roots.sort((a, b) => {
+    if (a.is_pinned !== b.is_pinned) return a.is_pinned ? -1 : 1;
+    if (a.is_pinned) return new Date(b.pinned_at) - new Date(a.pinned_at);
+    return 0;
+  });
+
+  return roots.map(build);
+}
+
+module.exports = {
+  validateNoteInput,
+  createNote,
+  editNote,
+  deleteNote,
+  setPinned,
+  formatNote,
+  loadNames,
+  getNoteThreads
+};
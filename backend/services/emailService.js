@@ -33,21 +33,25 @@ function initializeEmailService() {
   }
 }
 
-async function sendCounsellorCredentials(email, name, tempPassword, loginUrl) {
+// `account` names the kind of account in the message, e.g. "counsellor" or "student"
+async function sendAccountCredentials(email, name, tempPassword, loginUrl, account) {
+  const Account = account.charAt(0).toUpperCase() + account.slice(1);
   const emailTransporter = initializeEmailService();
   
   if (!emailTransporter) {
     console.warn('⚠️ Email service not available. Credentials not sent via email.');
     console.log(`📧 Would send email to: ${email}`);
     console.log(`   Name: ${name}`);
-    console.log(`   Temp Password: ${tempPassword}`);
+    if (config.app.debug) {
+      console.log(`   Temp Password: ${tempPassword}`);
+    }
     return false;
   }
 
   const mailOptions = {
     from: process.env.SMTP_FROM || process.env.SMTP_USER,
     to: email,
-    subject: 'Your Counsellor Account Credentials',
+    subject: `Your ${Account} Account Credentials`,
     html: `
       <!DOCTYPE html>
       <html>
@@ -71,7 +75,7 @@ async function sendCounsellorCredentials(email, name, tempPassword, loginUrl) {
           </div>
           <div class="content">
             <p>Hello <strong>${name}</strong>,</p>
-            <p>Your counsellor account has been created successfully.</p>
+            <p>Your ${account} account has been created successfully.</p>
             
             <div class="credentials">
               <h3>Your Login Credentials:</h3>
@@ -99,7 +103,7 @@ async function sendCounsellorCredentials(email, name, tempPassword, loginUrl) {
     text: `
 Hello ${name},
 
-Your counsellor account has been created successfully.
+Your ${account} account has been created successfully.
 
 Your Login Credentials:
 Email: ${email}
@@ -123,8 +127,256 @@ This is an automated message. Please do not reply.
   }
 }
 
+async function sendCounsellorCredentials(email, name, tempPassword, loginUrl) {
+  return sendAccountCredentials(email, name, tempPassword, loginUrl, 'counsellor');
+}
+
+async function sendPasswordResetEmail(email, name, resetUrl, expiresMinutes) {
+  const emailTransporter = initializeEmailService();
+
+  if (!emailTransporter) {
+    console.warn('⚠️ Email service not available. Password reset link not sent via email.');
+    console.log(`📧 Would send password reset email to: ${email}`);
+    if (config.app.debug) {
+      console.log(`   Reset link: ${resetUrl}`);
+    }
+    return false;
+  }
+
+  const mailOptions = {
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject: 'Reset your password',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #3b82f6; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+          .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Password Reset</h1>
+          </div>
+          <div class="content">
+            <p>Hello <strong>${name}</strong>,</p>
+            <p>We received a request to reset the password for your account.</p>
+
+            <a href="${resetUrl}" class="button">Reset Password</a>
+
+            <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all; color: #3b82f6;">${resetUrl}</p>
+
+            <div class="warning">
+              <p><strong>⚠️ Important:</strong> This link expires in ${expiresMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email; your password will not change.</p>
+            </div>
+          </div>
+          <div class="footer">
+            <p>This is an automated message. Please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hello ${name},
+
+We received a request to reset the password for your account.
+
+Reset your password using this URL: ${resetUrl}
+
+⚠️ Important: This link expires in ${expiresMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email; your password will not change.
+
+This is an automated message. Please do not reply.
+    `
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    console.log(`✅ Password reset email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send password reset email to ${email}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Appointment confirmation, cancellation, reschedule or reminder email.
+ * `lines` are plain-text paragraphs; `calendar` ({ method, content }) attaches
+ * an iCalendar invitation so mail clients can add or update the event.
+ */
+async function sendAppointmentEmail(email, name, { subject, heading, lines, calendar = null }) {
+  const emailTransporter = initializeEmailService();
+
+  if (!emailTransporter) {
+    console.warn(`⚠️ Email service not available. "${subject}" not sent via email.`);
+    console.log(`📧 Would send appointment email to: ${email}`);
+    return false;
+  }
+
+  const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const mailOptions = {
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${escapeHtml(heading)}</h1>
+          </div>
+          <div class="content">
+            <p>Hello <strong>${escapeHtml(name)}</strong>,</p>
+            ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n            ')}
+          </div>
+          <div class="footer">
+            <p>This is an automated message. Please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hello ${name},
+
+${lines.join('\n\n')}
+
+This is an automated message. Please do not reply.
+    `
+  };
+  if (calendar) {
+    mailOptions.icalEvent = { method: calendar.method, content: calendar.content };
+  }
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    console.log(`✅ Appointment email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send appointment email to ${email}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Invitation for a parent or guardian to follow a student's progress. The
+ * recipient has no account yet, so the greeting is generic.
+ */
+async function sendGuardianInviteEmail(email, studentName, inviteUrl, expiresHours) {
+  const emailTransporter = initializeEmailService();
+
+  if (!emailTransporter) {
+    console.warn('⚠️ Email service not available. Guardian invitation not sent via email.');
+    console.log(`📧 Would send guardian invitation to: ${email}`);
+    if (config.app.debug) {
+      console.log(`   Invitation link: ${inviteUrl}`);
+    }
+    return false;
+  }
+
+  const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const mailOptions = {
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to: email,
+    subject: `Follow ${studentName}'s career guidance`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #3b82f6; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+          .button { display: inline-block; padding: 12px 24px; background-color: #3b82f6; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+          .warning { background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Guardian Invitation</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>You have been invited to follow <strong>${escapeHtml(studentName)}</strong>'s career assessment results, counsellor notes and counselling sessions.</p>
+
+            <a href="${inviteUrl}" class="button">Accept Invitation</a>
+
+            <p>If the button doesn't work, copy and paste this URL into your browser:</p>
+            <p style="word-break: break-all; color: #3b82f6;">${inviteUrl}</p>
+
+            <div class="warning">
+              <p><strong>⚠️ Important:</strong> This link expires in ${expiresHours} hours and can only be used once. If you were not expecting it, you can ignore this email.</p>
+            </div>
+          </div>
+          <div class="footer">
+            <p>This is an automated message. Please do not reply.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `
+Hello,
+
+You have been invited to follow ${studentName}'s career assessment results, counsellor notes and counselling sessions.
+
+Accept the invitation using this URL: ${inviteUrl}
+
+⚠️ Important: This link expires in ${expiresHours} hours and can only be used once. If you were not expecting it, you can ignore this email.
+
+This is an automated message. Please do not reply.
+    `
+  };
+
+  try {
+    await emailTransporter.sendMail(mailOptions);
+    console.log(`✅ Guardian invitation sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send guardian invitation to ${email}:`, error.message);
+    return false;
+  }
+}
+
 module.exports = {
+  sendAccountCredentials,
   sendCounsellorCredentials,
+  sendPasswordResetEmail,
+  sendAppointmentEmail,
+  sendGuardianInviteEmail,
   initializeEmailService
 };
-
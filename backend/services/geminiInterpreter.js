@@ -437,8 +437,8 @@ async function generateGeminiInterpretation(totalQuestions, correctAnswers, perc
     category_scores: categoryScores
   };
 
-  const { interpretation, error } = await generateInterpretation(context);
-  return { interpretation, error };
+  const { interpretation, error, validation } = await generateInterpretation(context);
+  return { interpretation, error, validation };
 }
 
 async function generateFallbackInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage, sectionScores) {
@@ -551,11 +551,16 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
     console.log(`🔵 Section scores: ${JSON.stringify(sectionScores)}`);
     console.log(`🔵 Calling Gemini interpretation API...`);
 
-    const { interpretation: interpretationData, error } = await generateGeminiInterpretation(
+    const { interpretation: interpretationData, error, validation } = await generateGeminiInterpretation(
       totalQuestions, correctAnswers, percentage, categoryScores
     );
 
     const isAiUsed = interpretationData !== null && error === null;
+    // Recorded on the InterpretedResult so invalid AI output can be audited
+    const interpretationValidation = {
+      ...(validation || { status: 'PROVIDER_ERROR', errors: error ? [error] : [] }),
+      fallback_used: !isAiUsed
+    };
     
     if (error) {
       console.log(`⚠️ Gemini interpretation error: ${error}`);
@@ -664,7 +669,8 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
         career_confidence_explanation: careerConfidenceExplanation,
         do_now_actions: JSON.stringify(doNow),
         do_later_actions: JSON.stringify(doLater),
-        risk_explanation_human: riskExplanationHuman
+        risk_explanation_human: riskExplanationHuman,
+        interpretation_validation: interpretationValidation
       });
       console.log(`✅ Created interpretation record (id: ${interpretedResult.id})`);
     } else {
@@ -687,7 +693,8 @@ async function generateAndSaveInterpretation(testAttemptId, totalQuestions, corr
         career_confidence_explanation: careerConfidenceExplanation,
         do_now_actions: JSON.stringify(doNow),
         do_later_actions: JSON.stringify(doLater),
-        risk_explanation_human: riskExplanationHuman
+        risk_explanation_human: riskExplanationHuman,
+        interpretation_validation: interpretationValidation
       }, {
         where: { id: interpretedResult.id }
       });
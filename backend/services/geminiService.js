@@ -1,13 +1,7 @@
-const axios = require('axios');
-const config = require('../config');
+const { generateJSON } = require('./llm');
+const { INTERPRETATION_SCHEMA } = require('./llm/schemas');
 
 async function generateInterpretation(context) {
-  const apiKey = config.gemini.apiKey;
-  
-  if (!apiKey || !apiKey.trim()) {
-    return { interpretation: null, error: 'GEMINI_API_KEY environment variable is not set' };
-  }
-
   const totalQuestions = context.total_questions || 0;
   const correctAnswers = context.correct_answers || 0;
   const percentage = context.percentage || 0.0;
@@ -57,66 +51,21 @@ IMPORTANT:
 
 Return the JSON now:`;
 
-  try {
-    // Use Gemini API via REST (Google Generative AI SDK alternative)
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent?key=${apiKey}`,
-      {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
-
-    let responseText = response.data.candidates[0].content.parts[0].text.trim();
-
-    // Remove markdown code blocks if present
-    if (responseText.startsWith('```json')) {
-      responseText = responseText.substring(7);
-    }
-    if (responseText.startsWith('```')) {
-      responseText = responseText.substring(3);
-    }
-    if (responseText.endsWith('```')) {
-      responseText = responseText.substring(0, responseText.length - 3);
-    }
-    responseText = responseText.trim();
-
-    const interpretation = JSON.parse(responseText);
-
-    // Validate required fields
-    const requiredFields = ['summary', 'strengths', 'weaknesses', 'career_clusters',
-      'risk_level', 'readiness_status', 'action_plan'];
-    for (const field of requiredFields) {
-      if (!(field in interpretation)) {
-        return { interpretation: null, error: `Gemini response missing required field: ${field}` };
-      }
-    }
-
-    return { interpretation, error: null };
-  } catch (error) {
-    let errorMsg = error.message;
-    if (error.response) {
-      errorMsg = error.response.data?.error?.message || error.message;
-    }
-    
-    // Sanitize error message
-    if (errorMsg.toLowerCase().includes('api key') || errorMsg.toLowerCase().includes('authentication')) {
-      errorMsg = 'Gemini API authentication failed';
-    } else if (errorMsg.toLowerCase().includes('quota') || errorMsg.toLowerCase().includes('rate limit')) {
-      errorMsg = 'Gemini API rate limit exceeded';
-    }
-    
-    return { interpretation: null, error: `Gemini API error: ${errorMsg}` };
+  // Response is repaired/validated against INTERPRETATION_SCHEMA (one re-prompt on failure)
+  const { data: interpretation, error, provider, validation } = await generateJSON({
+    task: 'interpretation',
+    prompt,
+    context,
+    schema: INTERPRETATION_SCHEMA,
+    timeoutMs: 30000,
+    maxRetries: 0
+  });
+
+  if (error) {
+    return { interpretation: null, error: `AI provider (${provider}) error: ${error}`, validation };
   }
+
+  return { interpretation, error: null, validation };
 }
 
 module.exports = {
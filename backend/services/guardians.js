@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../database');
+const {
+  User,
+  UserRole,
+  Student,
+  TestAttempt,
+  TestStatus,
+  InterpretedResult,
+  Career,
+  CounsellorNote,
+  NoteVisibility,
+  Appointment,
+  AppointmentStatus,
+  AppointmentGuardian,
+  SessionOutcome,
+  GuardianLink,
+  GuardianLinkStatus,
+  GuardianInviteChannel
+} = require('../models');
+const { getPasswordHash, verifyPassword } = require('../middleware/password');
+const { sendGuardianInviteEmail } = require('./emailService');
+const { sendGuardianInviteWhatsApp } = require('./whatsappService');
+const { LIVE_STATUSES, appointmentStart } = require('./availability');
+const { getActiveAssignment } = require('./assignments');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SUMMARY_NOTES = 3;
+
+// Shown before accepting; consent_version records which text the guardian agreed to
+const CONSENT_VERSION = '2026-10';
+const CONSENT_TEXT = 'I am the parent or legal guardian of this student. I agree to receive their completed ' +
+  'assessment results, the counsellor notes shared with them and their counselling appointments, and to ' +
+  'keep this information confidential. The student, their center or I can withdraw this access at any time.';
+
+const INVALID_INVITATION = 'This invitation is invalid or has expired';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildInviteUrl(token) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl}/guardian/accept?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Validate an invitation body { channel, email?, phone?, relationship? }.
+ * WhatsApp invitations default to the student's parent_contact_number.
+ * Returns { values: { channel, contact, relationship }, error }
+ */
+function validateInvite(body, studentProfile) {
+  const channel = body.channel || (body.email ? GuardianInviteChannel.EMAIL : GuardianInviteChannel.WHATSAPP);
+  if (!Object.values(GuardianInviteChannel).includes(channel)) {
+    return { values: null, error: `channel must be one of ${Object.values(GuardianInviteChannel).join(', ')}` };
+  }
+
+  let contact;
+  if (channel === GuardianInviteChannel.EMAIL) {
+    contact = typeof body.email === 'string' ? body.email.trim() : '';
+    if (!EMAIL.test(contact) || contact.length > 255) {
+      return { values: null, error: 'A valid email is required for an email invitation' };
+    }
+  } else {
+    contact = String(body.phone || (studentProfile && studentProfile.parent_contact_number) || '').replace(/\D/g, '');
+    if (contact.length !== 10) {
+      return { values: null, error: 'Phone number must be exactly 10 digits' };
+    }
+  }
+
+  const relationship = typeof body.relationship === 'string' ? body.relationship.trim().slice(0, 50) || null : null;
+  return { values: { channel, contact, relationship }, error: null };
+}
+
+// Pending invitations that can still be accepted
+function openInviteWhere() {
+  return { status: GuardianLinkStatus.PENDING, invite_expires_at: { [Op.gt]: new Date() } };
+}
+
+/**
+ * Invite a guardian to a student and send the link. A newer invitation to the
+ * same contact replaces an older pending one. Returns { link, sent, error }
+ */
+async function inviteGuardian(student, invitedBy, { channel, contact, relationship }) {
+  const pendingToContact = await GuardianLink.findAll({
+    where: { ...openInviteWhere(), student_id: student.id, invite_contact: contact }
+  });
+  for (const previous of pendingToContact) {
+    await previous.update({
+      status: GuardianLinkStatus.REVOKED,
+      invite_token_hash: null,
+      revoked_at: new Date(),
+      revoked_by: invitedBy,
+      revoke_reason: 'Replaced by a newer invitation'
+    });
+  }
+
+  const current = await GuardianLink.count({
+    where: {
+      student_id: student.id,
+      [Op.or]: [{ status: GuardianLinkStatus.ACTIVE }, openInviteWhere()]
+    }
+  });
+  if (current >= config.guardians.maxPerStudent) {
+    return { link: null, sent: false, error: `A student can have at most ${config.guardians.maxPerStudent} guardians, including pending invitations` };
+  }
+
+  const { inviteExpiresHours } = config.guardians;
+  const token = crypto.randomBytes(32).toString('base64url');
+  const link = await GuardianLink.create({
+    student_id: student.id,
+    relationship,
+    status: GuardianLinkStatus.PENDING,
+    invited_by: invitedBy,
+    invite_channel: channel,
+    invite_contact: contact,
+    invite_token_hash: hashToken(token),
+    invite_expires_at: new Date(Date.now() + inviteExpiresHours * HOUR_MS)
+  });
+
+  const inviteUrl = buildInviteUrl(token);
+  const sent = channel === GuardianInviteChannel.EMAIL
+    ? await sendGuardianInviteEmail(contact, student.full_name, inviteUrl, inviteExpiresHours)
+    : await sendGuardianInviteWhatsApp(contact, student.full_name, inviteUrl, inviteExpiresHours);
+
+  console.log(`✅ Guardian invitation ${link.id} for student ${student.id} via ${channel} (sent: ${sent})`);
+  return { link, sent, error: null };
+}
+
+// Invitation for a token that can still be accepted, with the student's name; null otherwise
+async function findInvitation(token) {
+  if (!token) return null;
+  return GuardianLink.findOne({
+    where: { ...openInviteWhere(), invite_token_hash: hashToken(token) },
+    include: [{ model: User, as: 'student', attributes: ['id', 'full_name'] }]
+  });
+}
+
+/**
+ * Accept an invitation with the guardian's consent. A new email creates a
+ * GUARDIAN account; an existing guardian adds the student by signing in with
+ * their password.
+ * Returns { guardian, link, created, error }
+ */
+async function acceptInvitation(token, { email, password, full_name, consent }, consentIp = null) {
+  if (consent !== true) {
+    return { guardian: null, link: null, created: false, error: 'Consent is required to accept the invitation' };
+  }
+  const cleanEmail = typeof email === 'string' ? email.trim() : '';
+  if (!EMAIL.test(cleanEmail) || typeof password !== 'string' || !password) {
+    return { guardian: null, link: null, created: false, error: 'Email and password are required' };
+  }
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const link = await GuardianLink.findOne({
+        where: { ...openInviteWhere(), invite_token_hash: hashToken(token || '') },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!link) {
+        return { guardian: null, link: null, created: false, error: INVALID_INVITATION };
+      }
+
+      let guardian = await User.findOne({ where: { email: cleanEmail }, transaction });
+      let created = false;
+      if (guardian) {
+        if (guardian.role !== UserRole.GUARDIAN) {
+          return { guardian: null, link: null, created: false, error: 'This email belongs to another account; use a different email' };
+        }
+        if (!(await verifyPassword(password, guardian.password_hash))) {
+          return { guardian: null, link: null, created: false, error: 'Incorrect email or password' };
+        }
+        const existing = await GuardianLink.findOne({
+          where: { student_id: link.student_id, guardian_id: guardian.id, status: GuardianLinkStatus.ACTIVE },
+          transaction
+        });
+        if (existing) {
+          return { guardian: null, link: null, created: false, error: 'You already have access to this student' };
+        }
+      } else {
+        const name = typeof full_name === 'string' ? full_name.trim() : '';
+        if (!name) {
+          return { guardian: null, link: null, created: false, error: 'full_name is required for a new account' };
+        }
+        if (password.length < 8) {
+          return { guardian: null, link: null, created: false, error: 'Password must be at least 8 characters long' };
+        }
+        guardian = await User.create({
+          email: cleanEmail,
+          password_hash: await getPasswordHash(password),
+          full_name: name.slice(0, 255),
+          role: UserRole.GUARDIAN
+        }, { transaction });
+        created = true;
+      }
+
+      const now = new Date();
+      await link.update({
+        guardian_id: guardian.id,
+        status: GuardianLinkStatus.ACTIVE,
+        invite_token_hash: null,
+        accepted_at: now,
+        consent_version: CONSENT_VERSION,
+        consent_given_at: now,
+        consent_ip: consentIp
+      }, { transaction });
+
+      return { guardian, link, created, error: null };
+    });
+  } catch (error) {
+    // The same email or link was used by a concurrent request
+    if (error instanceof UniqueConstraintError) {
+      return { guardian: null, link: null, created: false, error: INVALID_INVITATION };
+    }
+    throw error;
+  }
+}
+
+/**
+ * End a guardian's access (or cancel a pending invitation). The guardian
+ * also leaves the student's upcoming appointments.
+ */
+async function revokeLink(link, revokedBy, reason = null) {
+  await sequelize.transaction(async (transaction) => {
+    await link.update({
+      status: GuardianLinkStatus.REVOKED,
+      invite_token_hash: null,
+      revoked_at: new Date(),
+      revoked_by: revokedBy,
+      revoke_reason: reason
+    }, { transaction });
+
+    if (link.guardian_id) {
+      const upcoming = await Appointment.findAll({
+        where: { student_id: link.student_id, status: LIVE_STATUSES },
+        attributes: ['id'],
+        transaction
+      });
+      await AppointmentGuardian.destroy({
+        where: { guardian_id: link.guardian_id, appointment_id: upcoming.map(appointment => appointment.id) },
+        transaction
+      });
+    }
+  });
+  return link;
+}
+
+// The guardian's consented link to a student, or null
+async function findActiveLink(guardianId, studentId) {
+  return GuardianLink.findOne({
+    where: { guardian_id: guardianId, student_id: studentId, status: GuardianLinkStatus.ACTIVE }
+  });
+}
+
+function formatLink(link) {
+  const expired = link.status === GuardianLinkStatus.PENDING && new Date(link.invite_expires_at) <= new Date();
+  return {
+    id: link.id,
+    student_id: link.student_id,
+    guardian: link.guardian
+      ? { id: link.guardian.id, full_name: link.guardian.full_name, email: link.guardian.email }
+      : null,
+    relationship: link.relationship,
+    status: expired ? 'EXPIRED' : link.status,
+    invite_channel: link.invite_channel,
+    invite_contact: link.invite_contact,
+    invite_expires_at: link.invite_expires_at,
+    invited_by: link.invited_by,
+    accepted_at: link.accepted_at,
+    consent_version: link.consent_version,
+    consent_given_at: link.consent_given_at,
+    revoked_at: link.revoked_at,
+    revoke_reason: link.revoke_reason,
+    created_at: link.created_at
+  };
+}
+
+// Every invitation and link of a student, newest first
+async function listLinks(studentId) {
+  return GuardianLink.findAll({
+    where: { student_id: studentId },
+    include: [{ model: User, as: 'guardian', attributes: ['id', 'full_name', 'email'], required: false }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+// Students a guardian is linked to, with their profiles
+async function listLinkedStudents(guardianId) {
+  return GuardianLink.findAll({
+    where: { guardian_id: guardianId, status: GuardianLinkStatus.ACTIVE },
+    include: [{
+      model: User,
+      as: 'student',
+      attributes: ['id', 'full_name'],
+      include: [{ model: Student, as: 'studentProfile', attributes: ['first_name', 'last_name', 'current_education', 'stream', 'school_institute_name'] }]
+    }],
+    order: [['accepted_at', 'ASC']]
+  });
+}
+
+// Result fields a guardian may see: no counsellor summary, risk assessment or validation data
+function formatGuardianResult(testAttempt, interpretedResult, careers) {
+  const riasecReport = interpretedResult && interpretedResult.riasec_report;
+  return {
+    test_attempt_id: testAttempt.id,
+    attempt_number: testAttempt.attempt_number,
+    completed_at: testAttempt.completed_at,
+    result_available: !!interpretedResult,
+    interpretation_text: interpretedResult ? interpretedResult.interpretation_text : null,
+    strengths: interpretedResult ? interpretedResult.strengths : null,
+    areas_for_improvement: interpretedResult ? interpretedResult.areas_for_improvement : null,
+    careers: careers.map(career => ({
+      career_name: career.career_name,
+      description: career.description,
+      category: career.category
+    })),
+    riasec_report: riasecReport
+      ? { scores: riasecReport.scores || {}, report: guardianRiasecReport(riasecReport.report || riasecReport) }
+      : null
+  };
+}
+
+// The parts of a stored RIASEC report a guardian may see: no decision risk or cache metadata
+function guardianRiasecReport(report) {
+  const profile = report.riasecProfile || {};
+  return {
+    riasecProfile: {
+      topTraits: Array.isArray(profile.topTraits) ? profile.topTraits : [],
+      topQualities: Array.isArray(profile.topQualities) ? profile.topQualities : []
+    },
+    dimensions: Array.isArray(report.dimensions) ? report.dimensions : [],
+    careerPathways: Array.isArray(report.careerPathways) ? report.careerPathways : []
+  };
+}
+
+/**
+ * Completed attempts of a student with their results, newest first. Only
+ * stored reports are returned; nothing is generated on a guardian's behalf.
+ */
+async function getGuardianResults(studentId) {
+  const attempts = await TestAttempt.findAll({
+    where: { student_id: studentId, status: TestStatus.COMPLETED },
+    order: [['completed_at', 'DESC'], ['id', 'DESC']]
+  });
+
+  const results = [];
+  for (const attempt of attempts) {
+    const interpretedResult = await InterpretedResult.findOne({ where: { test_attempt_id: attempt.id } });
+    const careers = interpretedResult
+      ? await Career.findAll({ where: { interpreted_result_id: interpretedResult.id }, order: [['order_index', 'ASC']] })
+      : [];
+    results.push(formatGuardianResult(attempt, interpretedResult, careers));
+  }
+  return results;
+}
+
+// Appointment as shown to a guardian; the student's booking note stays private unless the guardian wrote it
+function formatGuardianAppointment(appointment, guardianId) {
+  const guardianIds = (appointment.guardians || []).map(guardian => guardian.id);
+  return {
+    id: appointment.id,
+    status: appointment.status,
+    slot_start: appointmentStart(appointment),
+    slot_end: appointment.slot_end,
+    counsellor_name: appointment.counsellor ? appointment.counsellor.full_name : null,
+    booked_by_me: appointment.booked_by === guardianId,
+    notes: appointment.booked_by === guardianId ? appointment.notes : undefined,
+    joined: guardianIds.includes(guardianId),
+    cancel_reason: appointment.status === AppointmentStatus.CANCELLED ? appointment.cancel_reason : undefined
+  };
+}
+
+const GUARDIAN_APPOINTMENT_INCLUDES = [
+  { model: User, as: 'counsellor', attributes: ['id', 'full_name'], required: false },
+  { model: User, as: 'guardians', attributes: ['id'], through: { attributes: [] }, required: false }
+];
+
+/**
+ * Guardian-friendly overview of a student: profile basics, counsellor,
+ * latest completed result, upcoming sessions, agreed next steps and recent
+ * shared notes. Internal counsellor fields (risk and readiness assessment,
+ * counsellor summary, internal notes, note history) are left out.
+ */
+async function getGuardianSummary(studentId, guardianId) {
+  const [profile, assignment, results, inProgress, upcoming, latestOutcome, notes, sharedNoteCount] = await Promise.all([
+    Student.findOne({ where: { user_id: studentId } }),
+    getActiveAssignment(studentId),
+    getGuardianResults(studentId),
+    TestAttempt.count({ where: { student_id: studentId, status: TestStatus.IN_PROGRESS } }),
+    Appointment.findAll({
+      where: {
+        student_id: studentId,
+        status: LIVE_STATUSES,
+        [Op.or]: [{ slot_start: { [Op.gte]: new Date() } }, { slot_start: null, appointment_date: { [Op.gte]: new Date().toISOString().slice(0, 10) } }]
+      },
+      include: GUARDIAN_APPOINTMENT_INCLUDES,
+      order: [['appointment_date', 'ASC'], ['appointment_time', 'ASC']]
+    }),
+    SessionOutcome.findOne({
+      where: { student_id: studentId },
+      include: [{ model: Appointment, as: 'appointment', attributes: ['id', 'appointment_date', 'appointment_time', 'slot_start'] }],
+      order: [['created_at', 'DESC']]
+    }),
+    CounsellorNote.findAll({
+      where: { student_id: studentId, visibility: NoteVisibility.SHARED, deleted_at: null },
+      include: [{ model: User, as: 'counsellor', attributes: ['full_name'] }],
+      order: [['created_at', 'DESC']],
+      limit: SUMMARY_NOTES
+    }),
+    CounsellorNote.count({ where: { student_id: studentId, visibility: NoteVisibility.SHARED, deleted_at: null } })
+  ]);
+
+  const latest = results.find(result => result.result_available) || null;
+  return {
+    student: profile
+      ? {
+        id: studentId,
+        first_name: profile.first_name,
+        last_name: profile.last_name,
+        current_education: profile.current_education,
+        stream: profile.stream,
+        school_institute_name: profile.school_institute_name
+      }
+      : { id: studentId },
+    counsellor: assignment && assignment.counsellor ? { full_name: assignment.counsellor.full_name } : null,
+    assessment: {
+      attempts_completed: results.length,
+      in_progress: inProgress > 0,
+      latest_result: latest && {
+        test_attempt_id: latest.test_attempt_id,
+        completed_at: latest.completed_at,
+        strengths: latest.strengths,
+        areas_for_improvement: latest.areas_for_improvement,
+        top_careers: latest.careers.slice(0, 5).map(career => career.career_name),
+        riasec_scores: latest.riasec_report ? latest.riasec_report.scores : null
+      }
+    },
+    upcoming_appointments: upcoming.map(appointment => formatGuardianAppointment(appointment, guardianId)),
+    next_steps: latestOutcome
+      ? {
+        session_date: latestOutcome.appointment
+          ? latestOutcome.appointment.slot_start || latestOutcome.appointment.appointment_date
+          : null,
+        recommended_direction: latestOutcome.recommended_direction,
+        next_steps: latestOutcome.next_steps,
+        follow_up_date: latestOutcome.follow_up_date
+      }
+      : null,
+    shared_notes: {
+      count: sharedNoteCount,
+      latest: notes.map(note => ({
+        id: note.id,
+        test_attempt_id: note.test_attempt_id,
+        category: note.category,
+        notes: note.notes,
+        counsellor_name: note.counsellor ? note.counsellor.full_name : null,
+        created_at: note.created_at
+      }))
+    }
+  };
+}
+
+module.exports = {
+  CONSENT_VERSION,
+  CONSENT_TEXT,
+  GUARDIAN_APPOINTMENT_INCLUDES,
+  validateInvite,
+  inviteGuardian,
+  findInvitation,
+  acceptInvitation,
+  revokeLink,
+  findActiveLink,
+  formatLink,
+  listLinks,
+  listLinkedStudents,
+  getGuardianResults,
+  formatGuardianAppointment,
+  getGuardianSummary
+};
@@ -0,0 +1,100 @@
+const config = require('../config');
+const { AppointmentStatus } = require('../models');
+const { appointmentStart } = require('./availability');
+
+const MINUTE_MS = 60 * 1000;
+
+// Domain part of event UIDs; must stay stable so calendars update events instead of duplicating them
+const UID_DOMAIN = 'career-profiling';
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space (RFC 5545 3.1)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventStatus(status) {
+  if (status === AppointmentStatus.CANCELLED) return 'CANCELLED';
+  if (status === AppointmentStatus.PENDING) return 'TENTATIVE';
+  return 'CONFIRMED';
+}
+
+/**
+ * VEVENT lines for an appointment. `summary` is what the calendar shows,
+ * e.g. the other party's name.
+ */
+function appointmentEvent(appointment, { summary, description = null }) {
+  const start = appointmentStart(appointment);
+  const end = appointment.slot_end
+    ? new Date(appointment.slot_end)
+    : new Date(start.getTime() + config.appointments.defaultSlotMinutes * MINUTE_MS);
+  // Calendars only apply an update whose SEQUENCE is higher than the one they hold
+  const sequence = appointment.reschedule_count + (appointment.status === AppointmentStatus.CANCELLED ? 1 : 0);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(appointment.updated_at || new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${eventStatus(appointment.status)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Full iCalendar document from VEVENT line arrays. method is PUBLISH for
+ * downloads and feeds, REQUEST or CANCEL for email invitations.
+ */
+function buildCalendar(events, { name = null, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(config.app.name)}//Appointments//EN`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  lines.push(`X-WR-TIMEZONE:${config.appointments.timezone}`);
+  for (const event of events) {
+    lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  appointmentEvent,
+  buildCalendar
+};
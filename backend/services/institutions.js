@@ -0,0 +1,595 @@
+const crypto = require('crypto');
+const { Op, UniqueConstraintError, ValidationError } = require('sequelize');
+const { sequelize } = require('../database');
+const config = require('../config');
+const {
+  User,
+  UserRole,
+  Student,
+  Institution,
+  InstitutionCoordinator,
+  StudentImport,
+  CredentialChannel,
+  TestStatus
+} = require('../models');
+const { loadPermissions } = require('../middleware/auth');
+const { getPasswordHash, generateTemporaryPassword } = require('../middleware/password');
+const { registerHandler, enqueueJob } = require('./jobQueue');
+const { autoAssignStudent } = require('./assignments');
+const { sendAccountCredentials } = require('./emailService');
+const { sendWhatsAppMessage } = require('./whatsappService');
+
+const InstitutionJobType = {
+  STUDENT_CREDENTIALS: 'STUDENT_CREDENTIALS'
+};
+
+const ImportRowStatus = {
+  VALID: 'VALID',
+  INVALID: 'INVALID',
+  CREATED: 'CREATED',
+  FAILED: 'FAILED'
+};
+
+// Columns of a student import file, in template order; date_of_birth is optional
+const IMPORT_COLUMNS = [
+  'first_name',
+  'last_name',
+  'email',
+  'contact_number',
+  'parent_contact_number',
+  'class',
+  'current_education',
+  'stream',
+  'family_annual_income',
+  'date_of_birth'
+];
+const REQUIRED_IMPORT_COLUMNS = IMPORT_COLUMNS.filter(column => column !== 'date_of_birth');
+
+// Longest value each column's database field takes
+const MAX_LENGTHS = {
+  first_name: 100,
+  last_name: 100,
+  email: 255,
+  class: 50,
+  current_education: 50,
+  stream: 50,
+  family_annual_income: 50
+};
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RIASEC_CODES = ['R', 'I', 'A', 'S', 'E', 'C'];
+
+function loginUrl() {
+  return process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/login`
+    : 'http://localhost:5173/login';
+}
+
+/**
+ * Institutions the current user may see: null when unrestricted
+ * (institutions.all permission), otherwise the ids of the institutions they
+ * coordinate, which may be empty. Cached on the request.
+ */
+async function getInstitutionScope(req) {
+  if (req.institutionScope === undefined) {
+    const permissions = await loadPermissions(req);
+    if (permissions.has('institutions.all')) {
+      req.institutionScope = null;
+    } else {
+      const memberships = await InstitutionCoordinator.findAll({ where: { user_id: req.user.id }, attributes: ['institution_id'] });
+      req.institutionScope = memberships.map(membership => membership.institution_id);
+    }
+  }
+  return req.institutionScope;
+}
+
+// The institution, when it exists and is within the current user's scope
+async function findAccessibleInstitution(req, institutionId) {
+  const id = parseInt(institutionId, 10);
+  if (!id) return null;
+  const scope = await getInstitutionScope(req);
+  if (scope !== null && !scope.includes(id)) return null;
+  return Institution.findByPk(id);
+}
+
+function formatInstitution(institution) {
+  return {
+    id: institution.id,
+    code: institution.code,
+    name: institution.name,
+    center_id: institution.center_id,
+    city: institution.city,
+    contact_email: institution.contact_email,
+    contact_number: institution.contact_number,
+    is_active: institution.is_active,
+    created_at: institution.created_at,
+    updated_at: institution.updated_at
+  };
+}
+
+function formatImport(studentImport, { withReport = false } = {}) {
+  return {
+    id: studentImport.id,
+    institution_id: studentImport.institution_id,
+    uploaded_by: studentImport.uploaded_by,
+    file_name: studentImport.file_name,
+    credential_channel: studentImport.credential_channel,
+    total_rows: studentImport.total_rows,
+    created_count: studentImport.created_count,
+    failed_count: studentImport.failed_count,
+    created_at: studentImport.created_at,
+    ...(withReport ? { report: studentImport.report } : {})
+  };
+}
+
+/**
+ * Add a coordinator to an institution. A new email gets a COORDINATOR
+ * account with a temporary password sent by email (and WhatsApp when a phone
+ * number is given); an existing coordinator is just linked.
+ *
+ * Returns { user, created, notifications, error }
+ */
+async function addCoordinator(institution, { name, email, phone_number: phoneNumber }) {
+  if (!email || !EMAIL_FORMAT.test(email)) {
+    return { error: 'A valid email is required' };
+  }
+
+  const existing = await User.findOne({ where: { email } });
+  if (existing) {
+    if (existing.role !== UserRole.COORDINATOR) {
+      return { error: 'Email is registered to an account that is not a coordinator' };
+    }
+    await InstitutionCoordinator.findOrCreate({ where: { user_id: existing.id, institution_id: institution.id } });
+    return { user: existing, created: false, notifications: null };
+  }
+
+  if (!name || !String(name).trim()) {
+    return { error: 'name is required for a new coordinator' };
+  }
+
+  const tempPassword = generateTemporaryPassword();
+  const passwordHash = await getPasswordHash(tempPassword);
+  const user = await sequelize.transaction(async (transaction) => {
+    const newUser = await User.create({
+      email,
+      password_hash: passwordHash,
+      full_name: String(name).trim(),
+      role: UserRole.COORDINATOR,
+      is_first_login: true
+    }, { transaction });
+    await InstitutionCoordinator.create({ user_id: newUser.id, institution_id: institution.id }, { transaction });
+    return newUser;
+  });
+
+  const emailSent = await sendAccountCredentials(email, user.full_name, tempPassword, loginUrl(), 'institution coordinator');
+  let whatsappSent = false;
+  const cleanPhone = phoneNumber ? String(phoneNumber).replace(/\D/g, '') : '';
+  if (cleanPhone.length >= 10) {
+    whatsappSent = await sendWhatsAppMessage(cleanPhone, user.full_name, email, tempPassword, 'institution coordinator');
+  }
+
+  return { user, created: true, notifications: { email_sent: emailSent, whatsapp_sent: whatsappSent } };
+}
+
+// YYYY-MM-DD or DD/MM/YYYY (also DD-MM-YYYY); null when not a real date
+function parseDate(value) {
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Check one data row; returns the values to save and the problems found
+function validateRow(row, columnMap) {
+  const read = column => {
+    const value = columnMap[column] ? row[columnMap[column]] : null;
+    return value === null || value === undefined ? '' : String(value).trim();
+  };
+  const values = Object.fromEntries(IMPORT_COLUMNS.map(column => [column, read(column)]));
+  const errors = [];
+
+  for (const column of REQUIRED_IMPORT_COLUMNS) {
+    if (!values[column]) {
+      errors.push(`${column} is required`);
+    } else if (MAX_LENGTHS[column] && values[column].length > MAX_LENGTHS[column]) {
+      errors.push(`${column} must be at most ${MAX_LENGTHS[column]} characters`);
+    }
+  }
+
+  values.email = values.email.toLowerCase();
+  if (values.email && !EMAIL_FORMAT.test(values.email)) {
+    errors.push('email is not a valid email address');
+  }
+
+  for (const column of ['contact_number', 'parent_contact_number']) {
+    values[column] = values[column].replace(/\D/g, '');
+    if (read(column) && values[column].length !== 10) {
+      errors.push(`${column} must be exactly 10 digits`);
+    }
+  }
+
+  let dateOfBirth = null;
+  if (values.date_of_birth) {
+    dateOfBirth = parseDate(values.date_of_birth);
+    if (!dateOfBirth) {
+      errors.push('date_of_birth must be YYYY-MM-DD or DD/MM/YYYY');
+    }
+  }
+
+  return { values: { ...values, date_of_birth: dateOfBirth }, errors };
+}
+
+/**
+ * Validate every row of an import file: required fields, formats, and
+ * emails or contact numbers repeated in the file or already registered.
+ * Rows are numbered as in the spreadsheet (header is row 1).
+ */
+async function validateImportRows(rows, columnMap) {
+  const entries = rows.map((row, i) => ({ row: i + 2, ...validateRow(row, columnMap) }));
+
+  const firstRowOf = { email: new Map(), contact_number: new Map() };
+  for (const entry of entries) {
+    for (const column of ['email', 'contact_number']) {
+      const value = entry.values[column];
+      if (!value) continue;
+      if (firstRowOf[column].has(value)) {
+        entry.errors.push(`${column} is repeated (first on row ${firstRowOf[column].get(value)})`);
+      } else {
+        firstRowOf[column].set(value, entry.row);
+      }
+    }
+  }
+
+  const emails = [...firstRowOf.email.keys()];
+  const contacts = [...firstRowOf.contact_number.keys()];
+  const takenEmails = new Set();
+  const takenContacts = new Set();
+  if (emails.length > 0) {
+    const users = await User.findAll({
+      where: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), { [Op.in]: emails }),
+      attributes: ['email']
+    });
+    users.forEach(user => takenEmails.add(user.email.toLowerCase()));
+  }
+  if (contacts.length > 0) {
+    const students = await Student.findAll({ where: { contact_number: { [Op.in]: contacts } }, attributes: ['contact_number'] });
+    students.forEach(student => takenContacts.add(student.contact_number));
+  }
+
+  for (const entry of entries) {
+    if (takenEmails.has(entry.values.email)) entry.errors.push('email is already registered');
+    if (takenContacts.has(entry.values.contact_number)) entry.errors.push('contact_number is already registered');
+  }
+  return entries;
+}
+
+function reportEntry(entry, status) {
+  return {
+    row: entry.row,
+    status,
+    email: entry.values.email || null,
+    student_id: entry.studentId || null,
+    errors: entry.errors
+  };
+}
+
+/**
+ * Queue a job that sets a fresh temporary password on a student who has not
+ * signed in yet and sends it by the given channel.
+ */
+async function queueStudentCredentials(userId, channel, { transaction } = {}) {
+  return enqueueJob(InstitutionJobType.STUDENT_CREDENTIALS, { user_id: userId, channel }, { transaction });
+}
+
+/**
+ * Create student accounts for the valid rows of an import file. Each row is
+ * created on its own, so one bad row does not stop the rest; credentials go
+ * out through the job queue. With dryRun only the validation report is
+ * returned and nothing is saved.
+ *
+ * Returns { studentImport, summary, report, error }
+ */
+async function importStudents(institution, rows, columnMap, { uploadedBy, fileName, channel, dryRun = false }) {
+  if (rows.length > config.institutions.maxImportRows) {
+    return { error: `A file can hold at most ${config.institutions.maxImportRows} students; split it and upload the parts` };
+  }
+  if (!dryRun && !institution.center_id) {
+    return { error: 'The institution has no center; set one before importing students' };
+  }
+
+  const entries = await validateImportRows(rows, columnMap);
+
+  if (dryRun) {
+    const report = entries.map(entry => reportEntry(entry, entry.errors.length === 0 ? ImportRowStatus.VALID : ImportRowStatus.INVALID));
+    const valid = report.filter(entry => entry.status === ImportRowStatus.VALID).length;
+    return {
+      studentImport: null,
+      summary: { total_rows: rows.length, valid, created: 0, failed: rows.length - valid },
+      report
+    };
+  }
+
+  // Placeholder until the credentials job sets a temporary password; the secret is discarded
+  const placeholderHash = await getPasswordHash(crypto.randomBytes(32).toString('hex'));
+  const report = [];
+
+  for (const entry of entries) {
+    if (entry.errors.length > 0) {
+      report.push(reportEntry(entry, ImportRowStatus.FAILED));
+      continue;
+    }
+
+    const { values } = entry;
+    try {
+      entry.studentId = await sequelize.transaction(async (transaction) => {
+        const user = await User.create({
+          email: values.email,
+          password_hash: placeholderHash,
+          full_name: `${values.first_name} ${values.last_name}`.trim(),
+          role: UserRole.STUDENT,
+          is_first_login: true
+        }, { transaction });
+        await Student.create({
+          user_id: user.id,
+          first_name: values.first_name,
+          last_name: values.last_name,
+          contact_number: values.contact_number,
+          parent_contact_number: values.parent_contact_number,
+          school_institute_name: institution.name,
+          current_education: values.current_education,
+          stream: values.stream,
+          family_annual_income: values.family_annual_income,
+          date_of_birth: values.date_of_birth,
+          center_id: institution.center_id,
+          institution_id: institution.id,
+          class_name: values.class
+        }, { transaction });
+        await queueStudentCredentials(user.id, channel, { transaction });
+        return user.id;
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        entry.errors.push('email or contact_number is already registered');
+      } else if (error instanceof ValidationError) {
+        entry.errors.push(error.message);
+      } else {
+        console.error(`❌ Failed to import row ${entry.row} into institution ${institution.id}: ${error.message}`);
+        entry.errors.push('Failed to create the student');
+      }
+      report.push(reportEntry(entry, ImportRowStatus.FAILED));
+      continue;
+    }
+
+    // A missing counsellor must not fail the import; admins can assign one later
+    try {
+      const { error } = await autoAssignStudent(entry.studentId);
+      if (error) {
+        console.warn(`⚠️ No counsellor assigned to imported student ${entry.studentId}: ${error}`);
+      }
+    } catch (assignError) {
+      console.error(`❌ Auto-assignment failed for imported student ${entry.studentId}: ${assignError.message}`);
+    }
+    report.push(reportEntry(entry, ImportRowStatus.CREATED));
+  }
+
+  const created = report.filter(entry => entry.status === ImportRowStatus.CREATED).length;
+  const studentImport = await StudentImport.create({
+    institution_id: institution.id,
+    uploaded_by: uploadedBy,
+    file_name: fileName,
+    credential_channel: channel,
+    total_rows: rows.length,
+    created_count: created,
+    failed_count: rows.length - created,
+    report
+  });
+
+  return {
+    studentImport,
+    summary: { total_rows: rows.length, valid: created, created, failed: rows.length - created },
+    report
+  };
+}
+
+// Job handler: a new temporary password for an imported student, sent by email or WhatsApp
+async function sendStudentCredentials({ user_id: userId, channel }) {
+  const user = await User.findByPk(userId, {
+    include: [{ model: Student, as: 'studentProfile', attributes: ['contact_number'] }]
+  });
+  if (!user || user.role !== UserRole.STUDENT) {
+    console.log(`ℹ️ Student ${userId} no longer exists, skipping credentials`);
+    return;
+  }
+  // A student who has set their own password keeps it
+  if (!user.is_first_login) {
+    console.log(`ℹ️ Student ${userId} has already signed in, skipping credentials`);
+    return;
+  }
+
+  const phoneNumber = user.studentProfile ? user.studentProfile.contact_number : null;
+  if (channel === CredentialChannel.WHATSAPP && !phoneNumber) {
+    // Retrying cannot help, so the job goes straight to DEAD where admins see it
+    const error = new Error(`Student ${userId} has no contact number, credentials not sent`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const tempPassword = generateTemporaryPassword();
+  await user.update({ password_hash: await getPasswordHash(tempPassword) });
+
+  const sent = channel === CredentialChannel.WHATSAPP
+    ? await sendWhatsAppMessage(phoneNumber, user.full_name, user.email, tempPassword, 'student')
+    : await sendAccountCredentials(user.email, user.full_name, tempPassword, loginUrl(), 'student');
+  // Fail the job so it is retried (with a fresh password) and ends up DEAD if delivery keeps failing
+  if (!sent) {
+    throw new Error(`Credentials for student ${userId} were not delivered by ${channel}`);
+  }
+}
+
+registerHandler(InstitutionJobType.STUDENT_CREDENTIALS, sendStudentCredentials);
+
+// Highest of the six RIASEC scores (first in R-I-A-S-E-C order on a tie), or null
+function topRiasecCode(scores) {
+  if (!scores) return null;
+  let top = null;
+  for (const code of RIASEC_CODES) {
+    const value = Number(scores[code]);
+    if (Number.isFinite(value) && (top === null || value > Number(scores[top]))) {
+      top = code;
+    }
+  }
+  return top;
+}
+
+/**
+ * Students of an institution (optionally one class) with their assessment
+ * progress and the headline results of their latest completed attempt.
+ */
+async function loadInstitutionStudents(institutionId, { className } = {}) {
+  const [rows] = await sequelize.query(`
+    SELECT s.user_id, s.class_name, u.full_name, u.email,
+           c.id AS completed_attempt_id, c.completed_at,
+           ir.readiness_status, ir.career_direction, ir.riasec_report -> 'scores' AS riasec_scores,
+           EXISTS (
+             SELECT 1 FROM test_attempts ta
+             WHERE ta.student_id = s.user_id AND ta.status = :inProgress
+           ) AS in_progress
+    FROM students s
+    JOIN users u ON u.id = s.user_id AND u.role = :role
+    LEFT JOIN LATERAL (
+      SELECT ta.id, ta.completed_at
+      FROM test_attempts ta
+      WHERE ta.student_id = s.user_id AND ta.status = :completed
+      ORDER BY ta.completed_at DESC NULLS LAST, ta.id DESC
+      LIMIT 1
+    ) c ON TRUE
+    LEFT JOIN interpreted_results ir ON ir.test_attempt_id = c.id
+    WHERE s.institution_id = :institutionId
+      ${className !== undefined ? 'AND s.class_name = :className' : ''}
+    ORDER BY s.class_name ASC, u.full_name ASC, s.user_id ASC
+  `, {
+    replacements: {
+      institutionId,
+      className: className !== undefined ? className : null,
+      role: UserRole.STUDENT,
+      inProgress: TestStatus.IN_PROGRESS,
+      completed: TestStatus.COMPLETED
+    }
+  });
+  return rows;
+}
+
+// NOT_STARTED, IN_PROGRESS or COMPLETED; a completed student stays completed during a retake
+function progressOf(row) {
+  if (row.completed_attempt_id) return 'COMPLETED';
+  return row.in_progress ? 'IN_PROGRESS' : 'NOT_STARTED';
+}
+
+function emptyGroup() {
+  return {
+    students: 0,
+    not_started: 0,
+    in_progress: 0,
+    completed: 0,
+    results: { readiness: {}, top_riasec: {}, career_directions: {} }
+  };
+}
+
+function addToGroup(group, row) {
+  group.students += 1;
+  group[progressOf(row).toLowerCase()] += 1;
+
+  const { results } = group;
+  if (row.readiness_status) {
+    results.readiness[row.readiness_status] = (results.readiness[row.readiness_status] || 0) + 1;
+  }
+  const topCode = topRiasecCode(row.riasec_scores);
+  if (topCode) {
+    results.top_riasec[topCode] = (results.top_riasec[topCode] || 0) + 1;
+  }
+  if (row.career_direction) {
+    results.career_directions[row.career_direction] = (results.career_directions[row.career_direction] || 0) + 1;
+  }
+}
+
+function formatGroup(group) {
+  const careerDirections = Object.entries(group.results.career_directions)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([careerDirection, count]) => ({ career_direction: careerDirection, count }));
+  return {
+    students: group.students,
+    not_started: group.not_started,
+    in_progress: group.in_progress,
+    completed: group.completed,
+    completion_rate: group.students > 0 ? Math.round((group.completed / group.students) * 1000) / 10 : 0,
+    results: {
+      readiness: group.results.readiness,
+      top_riasec: group.results.top_riasec,
+      top_career_directions: careerDirections
+    }
+  };
+}
+
+/**
+ * Completion and result counts for a whole institution and for each class.
+ * Results only aggregate students' latest completed attempts; no individual
+ * result is returned.
+ */
+async function getInstitutionDashboard(institutionId) {
+  const rows = await loadInstitutionStudents(institutionId);
+  const total = emptyGroup();
+  const classes = new Map();
+
+  for (const row of rows) {
+    addToGroup(total, row);
+    if (!classes.has(row.class_name)) classes.set(row.class_name, emptyGroup());
+    addToGroup(classes.get(row.class_name), row);
+  }
+
+  return {
+    totals: formatGroup(total),
+    classes: [...classes.entries()]
+      .sort(([a], [b]) => String(a || '').localeCompare(String(b || ''), undefined, { numeric: true }))
+      .map(([className, group]) => ({ class_name: className, ...formatGroup(group) }))
+  };
+}
+
+// Students of one class with their assessment progress (no results)
+async function listClassStudents(institutionId, className) {
+  const rows = await loadInstitutionStudents(institutionId, { className });
+  return rows.map(row => ({
+    student_id: row.user_id,
+    full_name: row.full_name,
+    email: row.email,
+    class_name: row.class_name,
+    status: progressOf(row),
+    completed_at: row.completed_at
+  }));
+}
+
+module.exports = {
+  InstitutionJobType,
+  ImportRowStatus,
+  IMPORT_COLUMNS,
+  REQUIRED_IMPORT_COLUMNS,
+  getInstitutionScope,
+  findAccessibleInstitution,
+  formatInstitution,
+  formatImport,
+  addCoordinator,
+  importStudents,
+  queueStudentCredentials,
+  getInstitutionDashboard,
+  listClassStudents
+};
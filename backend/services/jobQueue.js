@@ -0,0 +1,300 @@
+const os = require('os');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../database');
+const { Job, JobStatus } = require('../models');
+const config = require('../config');
+
+// Identifies this process in jobs.locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let pollTimer = null;
+let running = false;
+let currentJob = null;
+
+/**
+ * Register the function that runs jobs of a given type.
+ * The handler receives (payload, job). Throwing fails the attempt; set
+ * error.retryable = false to send the job straight to DEAD.
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * Jobs tied to a test attempt are unique per (test_attempt_id, type): if one is
+ * already pending, running or completed it is returned instead of a new one,
+ * so enqueueing twice (double submit, retried chain step) is harmless.
+ * A DEAD job does not block a new one. The partial unique index
+ * jobs_test_attempt_type_active backs this when two requests race.
+ *
+ * @param {string} type - Registered handler name
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {number} [options.testAttemptId]
+ * @param {number} [options.maxAttempts]
+ * @param {Date} [options.runAt]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+async function enqueueJob(type, payload = {}, options = {}) {
+  const { testAttemptId = null, maxAttempts, runAt, transaction } = options;
+
+  if (testAttemptId) {
+    const existing = await findActiveAttemptJob(type, testAttemptId, transaction);
+    if (existing) {
+      return { job: existing, created: false };
+    }
+  }
+
+  const values = {
+    type,
+    payload,
+    test_attempt_id: testAttemptId,
+    max_attempts: maxAttempts || config.jobs.maxAttempts,
+    run_at: runAt || new Date()
+  };
+  let job;
+  try {
+    // Inside a caller's transaction the insert runs in a savepoint, so losing
+    // the race below does not abort that transaction
+    job = transaction
+      ? await sequelize.transaction({ transaction }, (savepoint) => Job.create(values, { transaction: savepoint }))
+      : await Job.create(values);
+  } catch (error) {
+    if (!testAttemptId || !(error instanceof UniqueConstraintError)) throw error;
+    // Another request enqueued the same job between our check and insert
+    const existing = await findActiveAttemptJob(type, testAttemptId, transaction);
+    if (!existing) throw error;
+    return { job: existing, created: false };
+  }
+
+  console.log(`🔵 Enqueued job ${job.id} (${type})${testAttemptId ? ` for attempt ${testAttemptId}` : ''}`);
+  return { job, created: true };
+}
+
+// The pending, running or completed job of a type for a test attempt, if any
+async function findActiveAttemptJob(type, testAttemptId, transaction) {
+  return Job.findOne({
+    where: {
+      type,
+      test_attempt_id: testAttemptId,
+      status: { [Op.ne]: JobStatus.DEAD }
+    },
+    order: [['created_at', 'DESC']],
+    transaction
+  });
+}
+
+// Atomically take the oldest due PENDING job; SKIP LOCKED lets several workers poll the same table
+async function claimNextJob() {
+  const [rows] = await sequelize.query(
+    `UPDATE jobs
+     SET status = 'RUNNING', locked_at = NOW(), locked_by = :workerId, attempts = attempts + 1, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'PENDING' AND run_at <= NOW()
+       ORDER BY run_at ASC, id ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id`,
+    { replacements: { workerId: WORKER_ID } }
+  );
+
+  if (!rows || rows.length === 0) {
+    return null;
+  }
+  return Job.findByPk(rows[0].id);
+}
+
+// 5s, 10s, 20s, ... with the default JOB_BACKOFF_BASE_MS
+function getBackoffMs(attempts) {
+  return config.jobs.backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+async function markFailed(job, error) {
+  const message = error && error.message ? error.message : String(error);
+  const exhausted = (error && error.retryable === false) || job.attempts >= job.max_attempts;
+
+  if (exhausted) {
+    await job.update({
+      status: JobStatus.DEAD,
+      last_error: message,
+      locked_at: null,
+      locked_by: null
+    });
+    console.error(`❌ Job ${job.id} (${job.type}) moved to DEAD after ${job.attempts} attempt(s): ${message}`);
+    return;
+  }
+
+  const delay = getBackoffMs(job.attempts);
+  await job.update({
+    status: JobStatus.PENDING,
+    last_error: message,
+    run_at: new Date(Date.now() + delay),
+    locked_at: null,
+    locked_by: null
+  });
+  console.warn(`⚠️ Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay}ms: ${message}`);
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    const error = new Error(`No handler registered for job type "${job.type}"`);
+    error.retryable = false;
+    await markFailed(job, error);
+    return;
+  }
+
+  console.log(`⏳ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.max_attempts}`);
+  try {
+    await handler(job.payload || {}, job);
+    await job.update({
+      status: JobStatus.COMPLETED,
+      completed_at: new Date(),
+      last_error: null,
+      locked_at: null,
+      locked_by: null
+    });
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    await markFailed(job, error);
+  }
+}
+
+/**
+ * Put RUNNING jobs whose lock has expired (worker crashed or was killed) back
+ * in the queue, or to DEAD when they have no attempts left.
+ * Returns the number of jobs recovered.
+ */
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - config.jobs.lockTimeoutMs);
+  const stale = await Job.findAll({
+    where: {
+      status: JobStatus.RUNNING,
+      locked_at: { [Op.lt]: staleBefore }
+    }
+  });
+
+  for (const job of stale) {
+    await markFailed(job, new Error(`Worker ${job.locked_by || 'unknown'} stopped before finishing the job`));
+  }
+  return stale.length;
+}
+
+/**
+ * Run due jobs until the queue is empty (or the worker is stopped).
+ * Returns the number of jobs processed.
+ */
+async function processAvailableJobs() {
+  let processed = 0;
+  while (running) {
+    const job = await claimNextJob();
+    if (!job) break;
+    currentJob = job;
+    try {
+      await runJob(job);
+    } finally {
+      currentJob = null;
+    }
+    processed++;
+  }
+  return processed;
+}
+
+function scheduleNextPoll() {
+  if (!running) return;
+  pollTimer = setTimeout(poll, config.jobs.pollIntervalMs);
+}
+
+async function poll() {
+  try {
+    await processAvailableJobs();
+  } catch (error) {
+    console.error(`❌ Job worker poll failed: ${error.message}`);
+  }
+  scheduleNextPoll();
+}
+
+/**
+ * Start polling the jobs table in this process.
+ */
+async function startWorker() {
+  if (running) return;
+  running = true;
+
+  try {
+    const recovered = await recoverStaleJobs();
+    if (recovered > 0) {
+      console.log(`⚠️ Recovered ${recovered} stale job(s)`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to recover stale jobs: ${error.message}`);
+  }
+
+  console.log(`✅ Job worker ${WORKER_ID} started (poll every ${config.jobs.pollIntervalMs}ms)`);
+  poll();
+}
+
+/**
+ * Stop polling and wait for the job in progress, if any, to finish.
+ */
+async function stopWorker() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  while (currentJob) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  console.log(`ℹ️ Job worker ${WORKER_ID} stopped`);
+}
+
+/**
+ * Send a DEAD job back to the queue with a fresh set of attempts.
+ * Returns { job, error }.
+ */
+async function retryDeadJob(jobId) {
+  const job = await Job.findByPk(jobId);
+  if (!job) {
+    return { job: null, error: 'Job not found' };
+  }
+  if (job.status !== JobStatus.DEAD) {
+    return { job, error: `Only DEAD jobs can be retried (current status: ${job.status})` };
+  }
+  if (job.test_attempt_id) {
+    const replacement = await findActiveAttemptJob(job.type, job.test_attempt_id);
+    if (replacement) {
+      return { job, error: `Job ${replacement.id} already replaces this job (status: ${replacement.status})` };
+    }
+  }
+
+  try {
+    await job.update({
+      status: JobStatus.PENDING,
+      attempts: 0,
+      run_at: new Date(),
+      completed_at: null
+    });
+  } catch (error) {
+    if (!(error instanceof UniqueConstraintError)) throw error;
+    return { job, error: 'Another job for this attempt was queued in the meantime' };
+  }
+  console.log(`🔵 Job ${job.id} (${job.type}) re-queued from DEAD`);
+  return { job, error: null };
+}
+
+module.exports = {
+  registerHandler,
+  enqueueJob,
+  recoverStaleJobs,
+  startWorker,
+  stopWorker,
+  retryDeadJob
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { BCRYPT_HASH, getPasswordHash } = require('../middleware/password');
+const { SessionRevokeReason, revokeUserSessions } = require('./sessions');
+const { issuePasswordReset } = require('./passwordReset');
+
+/**
+ * Accounts whose password_hash is not a bcrypt hash (plain text left over
+ * from the old dev mode). They cannot log in unless ALLOW_PLAINTEXT_PASSWORDS
+ * is set, and the stored value is the password itself.
+ */
+async function findLegacyPasswordUsers({ userIds } = {}) {
+  const where = {
+    [Op.or]: [
+      { password_hash: null },
+      { password_hash: { [Op.notRegexp]: BCRYPT_HASH.source } }
+    ]
+  };
+  if (userIds) {
+    where.id = { [Op.in]: userIds };
+  }
+  return User.findAll({
+    where,
+    attributes: ['id', 'email', 'full_name', 'role', 'created_at'],
+    order: [['id', 'ASC']]
+  });
+}
+
+/**
+ * Replace a legacy password with an unusable random hash, end the user's
+ * sessions and send them a reset link.
+ *
+ * Returns { sent } - whether the reset link was delivered
+ */
+async function forcePasswordReset(user) {
+  const unusablePassword = crypto.randomBytes(32).toString('hex');
+  await User.update(
+    { password_hash: await getPasswordHash(unusablePassword) },
+    { where: { id: user.id } }
+  );
+  await revokeUserSessions(user.id, SessionRevokeReason.REVOKED_BY_ADMIN);
+  return issuePasswordReset(user);
+}
+
+module.exports = {
+  findLegacyPasswordUsers,
+  forcePasswordReset
+};
@@ -0,0 +1,63 @@
+const axios = require('axios');
+const config = require('../../config');
+
+const label = 'Gemini API';
+
+function getConfigError() {
+  const apiKey = config.gemini.apiKey;
+  if (!apiKey || !apiKey.trim()) {
+    return 'GEMINI_API_KEY environment variable is not set';
+  }
+  return null;
+}
+
+/**
+ * Send a prompt to the Gemini REST API and return the raw response text.
+ * Throws axios errors unchanged so the provider layer can classify them.
+ */
+async function complete({ prompt, model, timeoutMs }) {
+  const apiUrl = `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent?key=${config.gemini.apiKey}`;
+
+  const response = await axios.post(
+    apiUrl,
+    {
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }]
+    },
+    {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: timeoutMs
+    }
+  );
+
+  // Validate response structure
+  if (!response.data || !Array.isArray(response.data.candidates) || response.data.candidates.length === 0) {
+    console.error('❌ Invalid Gemini API response structure:', JSON.stringify(response.data, null, 2));
+    throw new Error('Invalid response from AI service');
+  }
+
+  const candidate = response.data.candidates[0];
+  if (candidate.safetyRatings && candidate.safetyRatings.some(rating => rating.blocked)) {
+    console.error('❌ Content blocked by safety filters:', JSON.stringify(candidate.safetyRatings, null, 2));
+    throw new Error('Content was blocked by safety filters');
+  }
+  if (!candidate.content || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
+    console.error('❌ Invalid Gemini API response content:', JSON.stringify(candidate, null, 2));
+    throw new Error('AI service returned empty content');
+  }
+
+  return candidate.content.parts[0].text;
+}
+
+module.exports = {
+  name: 'gemini',
+  label,
+  defaultModel: () => config.gemini.model,
+  getConfigError,
+  complete
+};
@@ -0,0 +1,190 @@
+const config = require('../../config');
+const gemini = require('./gemini');
+const openaiCompatible = require('./openaiCompatible');
+const mock = require('./mock');
+const { parseAndValidate } = require('./validation');
+
+// How many validation errors to show the model when re-prompting
+const MAX_REPROMPT_ERRORS = 10;
+
+const PROVIDERS = {
+  [gemini.name]: gemini,
+  [openaiCompatible.name]: openaiCompatible,
+  [mock.name]: mock
+};
+
+function getProvider(name = config.llm.provider) {
+  const provider = PROVIDERS[String(name || '').toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+// Map a failed call to a user-safe message and whether it is worth retrying
+function classifyError(error, provider) {
+  if (error.response) {
+    const status = error.response.status;
+    const apiMessage = error.response.data?.error?.message || '';
+    if (status === 401 || status === 403) {
+      return { retryable: false, message: `${provider.label} authentication failed. Please check your API key.` };
+    }
+    if (status === 429) {
+      return { retryable: true, message: `${provider.label} rate limit exceeded. Please try again in a few minutes.` };
+    }
+    if (status >= 500) {
+      return { retryable: true, message: `${provider.label} server error. Please try again later.` };
+    }
+    return { retryable: false, message: apiMessage || `API error (${status}). Please try again.` };
+  }
+  if (error.code === 'ECONNABORTED' || (error.message || '').toLowerCase().includes('timeout')) {
+    return { retryable: true, message: 'Request timeout: AI service took too long to respond. Please try again.' };
+  }
+  if (error.request) {
+    return { retryable: true, message: 'Network error: Could not reach AI service. Please check your connection and try again.' };
+  }
+
+  const message = (error.message || '').toLowerCase();
+  if (message.includes('api key') || message.includes('authentication')) {
+    return { retryable: false, message: `${provider.label} authentication failed. Please check your API key.` };
+  }
+  if (message.includes('quota') || message.includes('rate limit')) {
+    return { retryable: false, message: `${provider.label} rate limit exceeded. Please try again in a few minutes.` };
+  }
+  return { retryable: false, message: `${error.message}. Please try again.` };
+}
+
+// One provider call with retries for rate limits, server errors and timeouts.
+// Returns { rawText, error }.
+async function completeWithRetries(provider, { task, prompt, context, model, timeoutMs, retries }) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = config.llm.retryBaseDelayMs * Math.pow(2, attempt - 1); // Exponential backoff: 2s, 4s, 8s
+      console.log(`⏳ Retrying ${task} with ${provider.name} (attempt ${attempt + 1}/${retries + 1}) after ${delay}ms delay...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } else {
+      console.log(`🤖 Generating ${task} with ${provider.name}: ${model}`);
+    }
+
+    try {
+      const rawText = await provider.complete({ task, prompt, context, model, timeoutMs });
+      return { rawText, error: null };
+    } catch (error) {
+      const { retryable, message } = classifyError(error, provider);
+      console.error(`❌ ${provider.label} error for ${task} (attempt ${attempt + 1}/${retries + 1}): ${error.message}`);
+      lastError = message;
+      if (!retryable) break;
+    }
+  }
+  return { rawText: null, error: lastError };
+}
+
+function buildRepromptText(prompt, errors) {
+  const listed = errors.slice(0, MAX_REPROMPT_ERRORS).map(e => `- ${e}`).join('\n');
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE FAILED VALIDATION:
+${listed}
+
+Fix these problems and return the complete corrected JSON object only.`;
+}
+
+/**
+ * Ask the configured provider for a JSON object.
+ *
+ * When a schema is given the response is repaired and validated against it;
+ * if it is still invalid the model is re-prompted once with the errors.
+ *
+ * @param {Object} request
+ * @param {string} request.task - Task name ('interpretation', 'riasec_report'); the offline provider builds its answer from it
+ * @param {string} request.prompt - Prompt for remote providers
+ * @param {Object} [request.context] - Structured inputs behind the prompt (used by the offline provider)
+ * @param {Object} [request.schema] - JSON schema from ./schemas
+ * @param {string} [request.model] - Overrides config.llm.model / the provider default
+ * @param {number} [request.timeoutMs]
+ * @param {number} [request.maxRetries] - Retries for rate limits, server errors and timeouts
+ * @returns {Promise<{data: Object|null, provider: string, model: string, error: string|null, validation: Object}>}
+ *   validation.status is VALID, REPAIRED, REPROMPTED, FAILED or PROVIDER_ERROR
+ */
+async function generateJSON({ task, prompt, context, schema, model, timeoutMs, maxRetries }) {
+  const provider = getProvider();
+  const modelName = model || config.llm.model || provider.defaultModel();
+  const request = {
+    task,
+    prompt,
+    context,
+    model: modelName,
+    timeoutMs: timeoutMs || config.llm.timeoutMs,
+    retries: maxRetries !== undefined ? maxRetries : config.llm.maxRetries
+  };
+  const validation = {
+    status: null,
+    schema: schema ? schema.$id : null,
+    provider: provider.name,
+    model: modelName,
+    reprompted: false,
+    repairs: [],
+    errors: [],
+    validated_at: null
+  };
+  const result = { data: null, provider: provider.name, model: modelName, error: null, validation };
+
+  const configError = provider.getConfigError();
+  if (configError) {
+    validation.status = 'PROVIDER_ERROR';
+    validation.errors = [configError];
+    return { ...result, error: configError };
+  }
+
+  let { rawText, error } = await completeWithRetries(provider, request);
+  if (error) {
+    validation.status = 'PROVIDER_ERROR';
+    validation.errors = [error];
+    return { ...result, error };
+  }
+
+  let parsed = parseAndValidate(rawText, schema);
+  if (parsed.errors.length > 0 && schema) {
+    console.warn(`⚠️ ${task} response failed validation (${parsed.errors.length} errors), re-prompting once`);
+    validation.reprompted = true;
+    validation.first_attempt_errors = parsed.errors.slice(0, MAX_REPROMPT_ERRORS);
+
+    ({ rawText, error } = await completeWithRetries(provider, {
+      ...request,
+      prompt: buildRepromptText(prompt, parsed.errors)
+    }));
+    if (error) {
+      validation.status = 'FAILED';
+      validation.errors = [...validation.first_attempt_errors, error];
+      validation.validated_at = new Date().toISOString();
+      return { ...result, error };
+    }
+    parsed = parseAndValidate(rawText, schema);
+  }
+
+  validation.repairs = parsed.repairs;
+  validation.errors = parsed.errors.slice(0, MAX_REPROMPT_ERRORS);
+  validation.validated_at = new Date().toISOString();
+
+  if (parsed.errors.length > 0) {
+    validation.status = 'FAILED';
+    console.error(`❌ ${task} response failed validation: ${parsed.errors.slice(0, 3).join('; ')}`);
+    const message = parsed.data === null
+      ? 'Failed to parse AI response. Please try again.'
+      : 'AI response did not match the expected format. Please try again.';
+    return { ...result, error: message };
+  }
+
+  if (validation.reprompted) {
+    validation.status = 'REPROMPTED';
+  } else {
+    validation.status = parsed.repairs.length > 0 ? 'REPAIRED' : 'VALID';
+  }
+  return { ...result, data: parsed.data };
+}
+
+module.exports = {
+  getProvider,
+  generateJSON
+};
@@ -0,0 +1,150 @@
+// Deterministic offline provider. It never touches the network and builds its
+// answer from the structured context the caller passes alongside the prompt,
+// so the same input always produces the same output (development, tests and
+// air-gapped deployments).
+
+const label = 'Offline provider';
+
+const RIASEC_DIMENSIONS = {
+  R: {
+    title: 'Realistic (Doers)',
+    tagline: 'Practical, hands-on, and action-oriented tasks.',
+    strengths: ['Hands-on problem solving', 'Working with tools and systems', 'Practical decision making'],
+    growth: ['Explaining ideas to others', 'Working with open-ended problems'],
+    workStyle: 'Prefers concrete tasks with visible, tangible results.'
+  },
+  I: {
+    title: 'Investigative (Thinkers)',
+    tagline: 'Analytical, curious, and research-oriented work.',
+    strengths: ['Analytical thinking', 'Curiosity about how things work', 'Independent research'],
+    growth: ['Acting before all data is available', 'Sharing findings simply'],
+    workStyle: 'Prefers problems that reward careful analysis and investigation.'
+  },
+  A: {
+    title: 'Artistic (Creators)',
+    tagline: 'Creative, expressive, and original work.',
+    strengths: ['Original ideas', 'Visual and verbal expression', 'Comfort with ambiguity'],
+    growth: ['Working within fixed structures', 'Finishing long routine tasks'],
+    workStyle: 'Prefers flexible settings that leave room for creativity.'
+  },
+  S: {
+    title: 'Social (Helpers)',
+    tagline: 'Helping, teaching, and working with people.',
+    strengths: ['Empathy and listening', 'Teamwork', 'Explaining and teaching'],
+    growth: ['Setting boundaries', 'Working on solitary technical tasks'],
+    workStyle: 'Prefers collaborative work where helping others is central.'
+  },
+  E: {
+    title: 'Enterprising (Persuaders)',
+    tagline: 'Leading, persuading, and taking initiative.',
+    strengths: ['Initiative', 'Persuasive communication', 'Comfort with responsibility'],
+    growth: ['Attention to fine detail', 'Patience with slow processes'],
+    workStyle: 'Prefers goal-driven roles with room to lead and influence.'
+  },
+  C: {
+    title: 'Conventional (Organizers)',
+    tagline: 'Organized, detail-oriented, and structured work.',
+    strengths: ['Organization', 'Accuracy with details', 'Following clear processes'],
+    growth: ['Adapting to sudden change', 'Working without clear instructions'],
+    workStyle: 'Prefers well-defined tasks with clear procedures and standards.'
+  }
+};
+
+function getMatchLevel(score) {
+  if (score >= 30) return 'HIGH MATCH';
+  if (score >= 15) return 'MODERATE MATCH';
+  return 'LOW MATCH';
+}
+
+function buildInterpretation(context) {
+  const percentage = Number(context.percentage) || 0;
+  const readinessStatus = context.readiness_status || 'PARTIALLY READY';
+  const categories = Object.entries(context.category_scores || {})
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const top = categories.slice(0, 3).map(([name]) => name);
+  const bottom = categories.slice(-2).map(([name]) => name).reverse();
+
+  let riskLevel = 'HIGH';
+  if (percentage >= 70) riskLevel = 'LOW';
+  else if (percentage >= 50) riskLevel = 'MEDIUM';
+
+  return {
+    summary: `The student scored ${Math.round(percentage)}% overall and is currently ${readinessStatus.toLowerCase()} for career decisions. ` +
+      (top.length > 0 ? `The strongest areas are ${top.join(', ')}.` : 'Results should be reviewed with a counsellor.'),
+    strengths: top.length > 0 ? top.map(name => `Relative strength in ${name}`) : ['Completed the full assessment'],
+    weaknesses: bottom.length > 0 ? bottom.map(name => `Further practice in ${name}`) : ['Build consistency across all sections'],
+    career_clusters: top.length > 0 ? top.map(name => `${name} related careers`) : ['General exploration'],
+    risk_level: riskLevel,
+    readiness_status: readinessStatus,
+    action_plan: [
+      'Review these results with a counsellor and explore the strongest areas',
+      'Build skills through short courses or projects in the top areas',
+      'Shortlist career options and prepare for the related courses or exams'
+    ]
+  };
+}
+
+function buildRiasecReport(context) {
+  const scores = context.scores || {};
+  const topTraits = context.topTraits || [];
+  const topLabels = topTraits.map(t => t.label).filter(Boolean);
+
+  return {
+    riasecProfile: {
+      decisionRisk: {
+        level: context.decisionRiskLevel || 'Moderate Risk',
+        stability: context.stability || 'Moderately Stable',
+        insight: topLabels.length > 0
+          ? `The profile is led by ${topLabels.join(', ')} interests.`
+          : 'The profile shows a balanced spread of interests.'
+      },
+      topQualities: topTraits.map(t => `${t.label} orientation`),
+      topTraits
+    },
+    dimensions: Object.keys(RIASEC_DIMENSIONS).map(code => {
+      const dimension = RIASEC_DIMENSIONS[code];
+      const score = Math.round(Number(scores[code]) || 0);
+      const strong = score >= 30;
+      return {
+        code,
+        title: dimension.title,
+        score,
+        matchLevel: getMatchLevel(score),
+        tagline: dimension.tagline,
+        personalizedAnalysis: strong
+          ? `This is a clear interest area with a score of ${score}. Tasks of this type are likely to feel engaging.`
+          : `This is an emerging interest area with a score of ${score}. Early indicators suggest it is a secondary preference.`,
+        coreStrengths: dimension.strengths,
+        growthAreas: dimension.growth,
+        workStylePreferences: dimension.workStyle
+      };
+    })
+  };
+}
+
+const builders = {
+  interpretation: buildInterpretation,
+  riasec_report: buildRiasecReport
+};
+
+function getConfigError() {
+  return null;
+}
+
+async function complete({ task, context }) {
+  const builder = builders[task];
+  if (!builder) {
+    throw new Error(`Offline provider has no output for task "${task}"`);
+  }
+  return JSON.stringify(builder(context || {}));
+}
+
+module.exports = {
+  name: 'mock',
+  label,
+  defaultModel: () => 'mock-deterministic',
+  getConfigError,
+  complete,
+  // Also used as the deterministic RIASEC fallback when a real provider's output fails validation
+  buildRiasecReport
+};
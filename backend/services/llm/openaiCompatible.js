@@ -0,0 +1,60 @@
+const axios = require('axios');
+const config = require('../../config');
+
+const label = 'OpenAI-compatible API';
+
+function getConfigError() {
+  if (!config.llm.openai.baseUrl) {
+    return 'OPENAI_BASE_URL environment variable is not set';
+  }
+  // Local servers (vLLM, Ollama, LM Studio) usually run without a key
+  if (!config.llm.openai.apiKey && config.llm.openai.baseUrl.startsWith('https://api.openai.com')) {
+    return 'OPENAI_API_KEY environment variable is not set';
+  }
+  return null;
+}
+
+/**
+ * Send a prompt to a /chat/completions endpoint and return the raw text.
+ * JSON mode is requested; servers that do not support it ignore the field.
+ */
+async function complete({ prompt, model, timeoutMs }) {
+  const { apiKey, baseUrl } = config.llm.openai;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(
+    `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      response_format: { type: 'json_object' },
+      temperature: 0.4
+    },
+    {
+      headers,
+      timeout: timeoutMs
+    }
+  );
+
+  const choice = response.data && Array.isArray(response.data.choices) ? response.data.choices[0] : null;
+  if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+    console.error('❌ Invalid OpenAI-compatible response structure:', JSON.stringify(response.data, null, 2));
+    throw new Error('Invalid response from AI service');
+  }
+  if (choice.finish_reason === 'content_filter') {
+    throw new Error('Content was blocked by safety filters');
+  }
+
+  return choice.message.content;
+}
+
+module.exports = {
+  name: 'openai',
+  label,
+  defaultModel: () => config.llm.openai.model,
+  getConfigError,
+  complete
+};
@@ -0,0 +1,85 @@
+// JSON Schemas (draft-07 subset understood by ./validation.js) for the
+// payloads we ask the LLM to produce.
+
+const stringList = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+const INTERPRETATION_SCHEMA = {
+  $id: 'interpretation',
+  type: 'object',
+  required: ['summary', 'strengths', 'weaknesses', 'career_clusters', 'risk_level', 'readiness_status', 'action_plan'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    strengths: { ...stringList, minItems: 1 },
+    weaknesses: stringList,
+    career_clusters: stringList,
+    risk_level: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+    readiness_status: { type: 'string', enum: ['READY', 'PARTIALLY READY', 'NOT READY'] },
+    action_plan: { ...stringList, minItems: 1 }
+  }
+};
+
+const RIASEC_CODE = { type: 'string', enum: ['R', 'I', 'A', 'S', 'E', 'C'] };
+
+const RIASEC_REPORT_SCHEMA = {
+  $id: 'riasec_report',
+  type: 'object',
+  required: ['riasecProfile', 'dimensions'],
+  properties: {
+    riasecProfile: {
+      type: 'object',
+      required: ['decisionRisk', 'topQualities', 'topTraits'],
+      properties: {
+        decisionRisk: {
+          type: 'object',
+          required: ['level', 'stability', 'insight'],
+          properties: {
+            level: { type: 'string' },
+            stability: { type: 'string' },
+            insight: { type: 'string' }
+          }
+        },
+        topQualities: stringList,
+        topTraits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['code', 'label', 'score'],
+            properties: {
+              code: RIASEC_CODE,
+              label: { type: 'string' },
+              score: { type: 'number', minimum: 0, maximum: 100 }
+            }
+          }
+        }
+      }
+    },
+    dimensions: {
+      type: 'array',
+      minItems: 6,
+      maxItems: 6,
+      items: {
+        type: 'object',
+        required: ['code', 'title', 'score', 'matchLevel', 'personalizedAnalysis', 'coreStrengths', 'growthAreas'],
+        properties: {
+          code: RIASEC_CODE,
+          title: { type: 'string' },
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          matchLevel: { type: 'string', enum: ['HIGH MATCH', 'MODERATE MATCH', 'LOW MATCH'] },
+          tagline: { type: 'string' },
+          personalizedAnalysis: { type: 'string', minLength: 1 },
+          coreStrengths: stringList,
+          growthAreas: stringList,
+          workStylePreferences: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  INTERPRETATION_SCHEMA,
+  RIASEC_REPORT_SCHEMA
+};
@@ -0,0 +1,197 @@
+// Validation and repair of JSON returned by LLM providers.
+// Only the JSON Schema keywords used in ./schemas.js are supported:
+// type, required, properties, items, enum, minItems, maxItems, minLength,
+// minimum, maximum.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of messages like "dimensions[2].score: must be <= 100"
+ * (empty when valid).
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fix common text-level defects before JSON.parse: markdown code fences,
+ * prose around the object and trailing commas.
+ * Returns { text, repairs }.
+ */
+function repairJSONText(rawText) {
+  const repairs = [];
+  let text = String(rawText || '').trim();
+
+  const fenced = text.match(/^```[a-zA-Z]*\s*([\s\S]*?)\s*```$/);
+  if (fenced) {
+    text = fenced[1].trim();
+    repairs.push('removed code fences');
+  }
+
+  const firstBrace = text.indexOf('{');
+  const lastBrace = text.lastIndexOf('}');
+  if (firstBrace > 0 || (lastBrace !== -1 && lastBrace < text.length - 1)) {
+    if (firstBrace !== -1 && lastBrace > firstBrace) {
+      text = text.substring(firstBrace, lastBrace + 1);
+      repairs.push('removed text around JSON object');
+    }
+  }
+
+  const withoutTrailingCommas = text.replace(/,\s*([}\]])/g, '$1');
+  if (withoutTrailingCommas !== text) {
+    text = withoutTrailingCommas;
+    repairs.push('removed trailing commas');
+  }
+
+  return { text, repairs };
+}
+
+// Split a bullet/line list the model returned as one string
+function stringToList(value) {
+  return value
+    .split(/\r?\n|;\s+/)
+    .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Fix common structural defects in place, guided by the schema: missing
+ * arrays, strings where a list is expected, numbers sent as strings and
+ * enum values with the wrong case. Returns a list of repairs applied.
+ */
+function repairPayload(value, schema, path = '$') {
+  const repairs = [];
+  if (typeOf(value) !== 'object' && typeOf(value) !== 'array') {
+    return repairs;
+  }
+
+  const repairField = (container, key, fieldSchema, fieldPath) => {
+    const current = container[key];
+
+    if (current === undefined || current === null) {
+      if (fieldSchema.type === 'array' && (schema.required || []).includes(key)) {
+        container[key] = [];
+        repairs.push(`${fieldPath}: added missing array`);
+      }
+      return;
+    }
+    if (fieldSchema.type === 'array' && typeof current === 'string') {
+      container[key] = stringToList(current);
+      repairs.push(`${fieldPath}: converted string to array`);
+    } else if (fieldSchema.type === 'number' && typeof current === 'string' && current.trim() !== '' && !isNaN(current)) {
+      container[key] = Number(current);
+      repairs.push(`${fieldPath}: converted string to number`);
+    } else if (fieldSchema.enum && typeof current === 'string' && !fieldSchema.enum.includes(current)) {
+      const normalized = current.trim().toUpperCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+      const match = fieldSchema.enum.find(option => option.toUpperCase() === normalized);
+      if (match) {
+        container[key] = match;
+        repairs.push(`${fieldPath}: normalized "${current}" to "${match}"`);
+      }
+    }
+
+    repairs.push(...repairPayload(container[key], fieldSchema, fieldPath));
+  };
+
+  if (typeOf(value) === 'object') {
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      repairField(value, key, propertySchema, `${path}.${key}`);
+    }
+  } else if (schema.items) {
+    value.forEach((item, index) => {
+      if (typeOf(item) === 'object' || typeOf(item) === 'array') {
+        repairs.push(...repairPayload(item, schema.items, `${path}[${index}]`));
+      }
+    });
+  }
+
+  return repairs;
+}
+
+/**
+ * Parse raw model output, repair what can be repaired and validate.
+ * Returns { data, repairs, errors } - data is null when the text is not JSON.
+ */
+function parseAndValidate(rawText, schema) {
+  const { text, repairs } = repairJSONText(rawText);
+  if (!text) {
+    return { data: null, repairs, errors: ['$: response was empty'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    return { data: null, repairs, errors: [`$: invalid JSON (${parseError.message})`] };
+  }
+
+  if (!schema) {
+    return { data, repairs, errors: [] };
+  }
+
+  repairs.push(...repairPayload(data, schema));
+  return { data, repairs, errors: validateSchema(data, schema) };
+}
+
+module.exports = {
+  validateSchema,
+  repairJSONText,
+  repairPayload,
+  parseAndValidate
+};
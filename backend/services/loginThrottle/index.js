@@ -0,0 +1,175 @@
+const config = require('../../config');
+const { LoginEvent, LoginEventType } = require('../../models');
+const memory = require('./memory');
+const postgres = require('./postgres');
+
+const STORES = {
+  [memory.name]: memory,
+  [postgres.name]: postgres
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const ThrottleScope = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+function getStore(name = config.loginThrottle.store) {
+  const store = STORES[String(name || '').toLowerCase()];
+  if (!store) {
+    throw new Error(`Unknown login throttle store "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return store;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function throttleKeys({ email, ip }) {
+  const keys = [];
+  if (email) keys.push({ scope: ThrottleScope.ACCOUNT, key: `${ThrottleScope.ACCOUNT}:${normalizeEmail(email)}` });
+  if (ip) keys.push({ scope: ThrottleScope.IP, key: `${ThrottleScope.IP}:${ip}` });
+  return keys;
+}
+
+function parseKey(key) {
+  const separator = key.indexOf(':');
+  return { scope: key.slice(0, separator), identifier: key.slice(separator + 1) };
+}
+
+// How long to block after `failures` failures, and whether that is a lockout
+function blockFor(failures, scope) {
+  const { baseDelayMs, maxDelayMs, lockoutMinutes } = config.loginThrottle;
+  const { freeAttempts, lockoutThreshold } = config.loginThrottle[scope];
+  if (failures >= lockoutThreshold) {
+    return { delayMs: lockoutMinutes * MINUTE_MS, locked: true };
+  }
+  if (failures <= freeAttempts) {
+    return { delayMs: 0, locked: false };
+  }
+  return { delayMs: Math.min(baseDelayMs * Math.pow(2, failures - freeAttempts - 1), maxDelayMs), locked: false };
+}
+
+/**
+ * Write a login audit event. Never throws: a failed audit write must not
+ * turn into a failed login.
+ */
+async function recordLoginEvent(event, { userId = null, email = null, ip = null, userAgent = null, reason = null, actorId = null } = {}) {
+  try {
+    await LoginEvent.create({
+      event,
+      user_id: userId,
+      email: email ? String(email).slice(0, 255) : null,
+      ip_address: ip,
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+      reason,
+      actor_id: actorId
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record login event ${event}: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a login attempt may go ahead for this email and IP.
+ * Returns { allowed, retryAfterSeconds, scope, locked }
+ */
+async function checkLoginAllowed({ email, ip }) {
+  const store = getStore();
+  const now = new Date();
+  let blocked = null;
+
+  for (const { scope, key } of throttleKeys({ email, ip })) {
+    const record = await store.get(key);
+    if (record && record.blocked_until && new Date(record.blocked_until) > now) {
+      const retryAfterSeconds = Math.ceil((new Date(record.blocked_until) - now) / 1000);
+      if (!blocked || retryAfterSeconds > blocked.retryAfterSeconds) {
+        blocked = { allowed: false, retryAfterSeconds, scope, locked: record.locked };
+      }
+    }
+  }
+
+  return blocked || { allowed: true, retryAfterSeconds: 0, scope: null, locked: false };
+}
+
+/**
+ * Count a failed login against the account and the IP, applying the next
+ * delay or lockout, and audit it.
+ */
+async function recordLoginFailure({ email, ip, userId = null, userAgent = null, reason }) {
+  const store = getStore();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.loginThrottle.windowMinutes * MINUTE_MS);
+
+  await recordLoginEvent(LoginEventType.FAILURE, { userId, email, ip, userAgent, reason });
+
+  for (const { scope, key } of throttleKeys({ email, ip })) {
+    const record = await store.recordFailure(key, { windowStart, now });
+    const wasLocked = record.locked && record.blocked_until && new Date(record.blocked_until) > now;
+    const { delayMs, locked } = blockFor(record.failures, scope);
+    if (delayMs === 0) continue;
+
+    await store.setBlock(key, new Date(now.getTime() + delayMs), locked);
+    if (locked && !wasLocked) {
+      console.warn(`⚠️ Login locked for ${key} after ${record.failures} failures`);
+      await recordLoginEvent(LoginEventType.LOCKED, { userId, email, ip, userAgent, reason: `${scope}_lockout` });
+    }
+  }
+}
+
+// Successful login: the account's failure counter starts over (the IP's does not,
+// so one valid account can't be used to reset a stuffing run from the same address)
+async function recordLoginSuccess({ email, ip, userId, userAgent = null }) {
+  const [account] = throttleKeys({ email });
+  await getStore().reset(account.key);
+  await recordLoginEvent(LoginEventType.SUCCESS, { userId, email, ip, userAgent });
+}
+
+async function recordLoginBlocked({ email, ip, userAgent = null, scope }) {
+  await recordLoginEvent(LoginEventType.BLOCKED, { email, ip, userAgent, reason: `${scope}_throttled` });
+}
+
+// Active lockouts (not the short progressive delays)
+async function listLockouts() {
+  const records = await getStore().listLocked(new Date());
+  return records.map(record => ({
+    ...parseKey(record.key),
+    failures: record.failures,
+    first_failure_at: record.first_failure_at,
+    last_failure_at: record.last_failure_at,
+    locked_until: record.blocked_until
+  }));
+}
+
+/**
+ * Clear the counters for an email, an IP or both (admin action), auditing
+ * each one cleared.
+ * Returns whether there was anything to clear.
+ */
+async function clearLockout({ email, ip }, actor) {
+  const store = getStore();
+  let clearedAny = false;
+  for (const { scope, key } of throttleKeys({ email, ip })) {
+    if (!(await store.reset(key))) continue;
+    clearedAny = true;
+    await recordLoginEvent(LoginEventType.UNLOCKED, {
+      email: scope === ThrottleScope.ACCOUNT ? email : null,
+      ip: scope === ThrottleScope.IP ? ip : null,
+      actorId: actor ? actor.id : null,
+      reason: `${scope}_cleared_by_admin`
+    });
+  }
+  return clearedAny;
+}
+
+module.exports = {
+  recordLoginEvent,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginBlocked,
+  listLockouts,
+  clearLockout
+};
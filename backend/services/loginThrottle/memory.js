@@ -0,0 +1,54 @@
+// In-process throttle store. Counters are lost on restart and not shared
+// between instances; fine for development and single-instance deployments.
+
+const records = new Map();
+// Expired counters are swept once the map grows past this
+const SWEEP_THRESHOLD = 10000;
+
+function sweep(windowStart, now) {
+  for (const [key, record] of records) {
+    if (record.last_failure_at < windowStart && !(record.blocked_until > now)) {
+      records.delete(key);
+    }
+  }
+}
+
+async function get(key) {
+  return records.get(key) || null;
+}
+
+async function recordFailure(key, { windowStart, now }) {
+  if (records.size > SWEEP_THRESHOLD) {
+    sweep(windowStart, now);
+  }
+  const existing = records.get(key);
+  const record = existing && existing.first_failure_at >= windowStart
+    ? { ...existing, failures: existing.failures + 1, last_failure_at: now }
+    : { key, failures: 1, first_failure_at: now, last_failure_at: now, blocked_until: null, locked: false };
+  records.set(key, record);
+  return record;
+}
+
+async function setBlock(key, blockedUntil, locked) {
+  const record = records.get(key);
+  if (record) {
+    records.set(key, { ...record, blocked_until: blockedUntil, locked });
+  }
+}
+
+async function reset(key) {
+  return records.delete(key);
+}
+
+async function listLocked(now) {
+  return [...records.values()].filter(record => record.locked && record.blocked_until > now);
+}
+
+module.exports = {
+  name: 'memory',
+  get,
+  recordFailure,
+  setBlock,
+  reset,
+  listLocked
+};
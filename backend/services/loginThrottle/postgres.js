@@ -0,0 +1,55 @@
+// Throttle store backed by the login_throttles table, shared by every instance
+const { Op } = require('sequelize');
+const { sequelize } = require('../../database');
+const { LoginThrottle } = require('../../models');
+
+function toRecord(row) {
+  return row ? row.get({ plain: true }) : null;
+}
+
+async function get(key) {
+  return toRecord(await LoginThrottle.findByPk(key));
+}
+
+// Single upsert so concurrent failures for the same key are all counted
+async function recordFailure(key, { windowStart, now }) {
+  const [rows] = await sequelize.query(
+    `INSERT INTO login_throttles (key, failures, first_failure_at, last_failure_at, locked)
+     VALUES (:key, 1, :now, :now, false)
+     ON CONFLICT (key) DO UPDATE SET
+       failures = CASE WHEN login_throttles.first_failure_at < :windowStart THEN 1 ELSE login_throttles.failures + 1 END,
+       first_failure_at = CASE WHEN login_throttles.first_failure_at < :windowStart THEN :now ELSE login_throttles.first_failure_at END,
+       blocked_until = CASE WHEN login_throttles.first_failure_at < :windowStart THEN NULL ELSE login_throttles.blocked_until END,
+       locked = CASE WHEN login_throttles.first_failure_at < :windowStart THEN false ELSE login_throttles.locked END,
+       last_failure_at = :now
+     RETURNING *`,
+    { replacements: { key, now, windowStart } }
+  );
+  return rows[0];
+}
+
+async function setBlock(key, blockedUntil, locked) {
+  await LoginThrottle.update({ blocked_until: blockedUntil, locked }, { where: { key } });
+}
+
+async function reset(key) {
+  const deleted = await LoginThrottle.destroy({ where: { key } });
+  return deleted > 0;
+}
+
+async function listLocked(now) {
+  const rows = await LoginThrottle.findAll({
+    where: { locked: true, blocked_until: { [Op.gt]: now } },
+    order: [['blocked_until', 'DESC']]
+  });
+  return rows.map(toRecord);
+}
+
+module.exports = {
+  name: 'postgres',
+  get,
+  recordFailure,
+  setBlock,
+  reset,
+  listLocked
+};
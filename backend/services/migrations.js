@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// 001_initial_schema.js, 002_add_user_account_columns.js, ...
+const MIGRATION_FILE = /^\d{3}_[a-z0-9_]+\.js$/;
+// Serialises concurrent runners (two deploys starting at once)
+const MIGRATION_LOCK_KEY = 727415;
+
+/**
+ * Migration files on disk, in the order they run.
+ * Returns [{ version, file }] where version is the file name without .js.
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => ({ version: file.replace(/\.js$/, ''), file }));
+}
+
+function loadMigration(migration) {
+  const definition = require(path.join(MIGRATIONS_DIR, migration.file));
+  if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+    throw new Error(`Migration ${migration.version} must export up() and down()`);
+  }
+  return definition;
+}
+
+async function ensureMigrationsTable() {
+  await sequelize.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER
+    )
+  `);
+}
+
+// Applied versions, oldest first; an empty list when the table does not exist yet
+async function getAppliedMigrations(transaction) {
+  const exists = await sequelize.getQueryInterface().tableExists('schema_migrations', { transaction });
+  if (!exists) {
+    return [];
+  }
+  const [rows] = await sequelize.query(
+    'SELECT version, applied_at FROM schema_migrations ORDER BY version ASC',
+    { transaction }
+  );
+  return rows;
+}
+
+/**
+ * Every migration on disk with whether it has been applied, plus versions
+ * recorded in schema_migrations that no longer exist on disk.
+ */
+async function getMigrationStatus() {
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const onDisk = listMigrations();
+  const onDiskVersions = new Set(onDisk.map(m => m.version));
+
+  return {
+    migrations: onDisk.map(m => ({
+      version: m.version,
+      applied: appliedByVersion.has(m.version),
+      applied_at: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).applied_at : null
+    })),
+    missing: applied.filter(row => !onDiskVersions.has(row.version)).map(row => row.version)
+  };
+}
+
+async function getPendingMigrations() {
+  const { migrations } = await getMigrationStatus();
+  return migrations.filter(m => !m.applied).map(m => m.version);
+}
+
+function migrationContext(transaction) {
+  return {
+    queryInterface: sequelize.getQueryInterface(),
+    sequelize,
+    DataTypes,
+    transaction
+  };
+}
+
+// Log every statement while a dry run is in progress
+function withStatementLogging(fn) {
+  const previousLogging = sequelize.options.logging;
+  sequelize.options.logging = sql => console.log(`   ${sql.replace(/^Executing \([^)]*\): /, '')}`);
+  return fn().finally(() => {
+    sequelize.options.logging = previousLogging;
+  });
+}
+
+/**
+ * Run each migration in its own transaction and record it in
+ * schema_migrations. With dryRun every step runs in one transaction that is
+ * rolled back, printing the SQL it would execute.
+ */
+async function runSteps(steps, direction, { dryRun }) {
+  const verb = direction === 'up' ? 'Applying' : 'Reverting';
+  const completed = [];
+
+  if (dryRun) {
+    const transaction = await sequelize.transaction();
+    try {
+      await withStatementLogging(async () => {
+        for (const migration of steps) {
+          console.log(`🔵 [dry run] ${verb} ${migration.version}`);
+          await loadMigration(migration)[direction](migrationContext(transaction));
+          completed.push(migration.version);
+        }
+      });
+    } finally {
+      await transaction.rollback();
+      console.log('ℹ️ Dry run: all changes rolled back');
+    }
+    return completed;
+  }
+
+  await ensureMigrationsTable();
+  for (const migration of steps) {
+    const startedAt = Date.now();
+    const ran = await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+        replacements: { key: MIGRATION_LOCK_KEY },
+        transaction
+      });
+
+      // Another runner may have got here first
+      const [rows] = await sequelize.query(
+        'SELECT 1 FROM schema_migrations WHERE version = :version',
+        { replacements: { version: migration.version }, transaction }
+      );
+      const isApplied = rows.length > 0;
+      if ((direction === 'up') === isApplied) {
+        return false;
+      }
+
+      console.log(`🔵 ${verb} ${migration.version}`);
+      await loadMigration(migration)[direction](migrationContext(transaction));
+
+      if (direction === 'up') {
+        await sequelize.query(
+          'INSERT INTO schema_migrations (version, execution_ms) VALUES (:version, :executionMs)',
+          { replacements: { version: migration.version, executionMs: Date.now() - startedAt }, transaction }
+        );
+      } else {
+        await sequelize.query(
+          'DELETE FROM schema_migrations WHERE version = :version',
+          { replacements: { version: migration.version }, transaction }
+        );
+      }
+      return true;
+    });
+
+    if (ran) {
+      console.log(`✅ ${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.version} (${Date.now() - startedAt}ms)`);
+      completed.push(migration.version);
+    }
+  }
+  return completed;
+}
+
+/**
+ * Apply pending migrations in order.
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<string[]>} Versions applied (or that would be applied)
+ */
+async function migrateUp({ to, dryRun = false } = {}) {
+  const all = listMigrations();
+  if (to && !all.some(m => m.version === to)) {
+    throw new Error(`Unknown migration version "${to}"`);
+  }
+
+  const appliedVersions = new Set((await getAppliedMigrations()).map(row => row.version));
+  const steps = [];
+  for (const migration of all) {
+    if (!appliedVersions.has(migration.version)) {
+      steps.push(migration);
+    }
+    if (migration.version === to) break;
+  }
+
+  if (steps.length === 0) {
+    console.log('ℹ️ No pending migrations');
+    return [];
+  }
+  return runSteps(steps, 'up', { dryRun });
+}
+
+/**
+ * Revert applied migrations, newest first.
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many to revert
+ * @param {string} [options.to] - Revert everything applied after this version (takes precedence over steps)
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<string[]>} Versions reverted (or that would be reverted)
+ */
+async function migrateDown({ steps = 1, to, dryRun = false } = {}) {
+  const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+  if (to && !byVersion.has(to)) {
+    throw new Error(`Unknown migration version "${to}"`);
+  }
+
+  const applied = (await getAppliedMigrations()).map(row => row.version).reverse();
+  const targets = to ? applied.filter(version => version > to) : applied.slice(0, steps);
+
+  const missing = targets.filter(version => !byVersion.has(version));
+  if (missing.length > 0) {
+    throw new Error(`Cannot revert ${missing.join(', ')}: migration file not found`);
+  }
+
+  if (targets.length === 0) {
+    console.log('ℹ️ Nothing to revert');
+    return [];
+  }
+  return runSteps(targets.map(version => byVersion.get(version)), 'down', { dryRun });
+}
+
+module.exports = {
+  listMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,348 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const {
+  Score,
+  TestAttempt,
+  TestStatus,
+  Student,
+  InterpretedResult,
+  NormVersion,
+  NormVersionStatus,
+  NormTable,
+  Section,
+  ScoringMode
+} = require('../models');
+const { getSectionScoringMode } = require('./sectionConfig');
+
+const RIASEC_DIMENSIONS = ['R', 'I', 'A', 'S', 'E', 'C'];
+
+function normalizeSegmentValue(value) {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Build 101 quantile points (percentiles 0..100) from raw values using
+ * linear interpolation between order statistics.
+ */
+function buildQuantiles(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  const quantiles = [];
+  for (let p = 0; p <= 100; p++) {
+    if (n === 1) {
+      quantiles.push(sorted[0]);
+      continue;
+    }
+    const position = (p / 100) * (n - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const fraction = position - lower;
+    quantiles.push(sorted[lower] + (sorted[upper] - sorted[lower]) * fraction);
+  }
+  return quantiles;
+}
+
+/**
+ * Percentile rank of a value within a quantile table. Ties (common with
+ * Likert averages) land in the middle of the tied range.
+ */
+function percentileFromQuantiles(quantiles, value) {
+  if (!Array.isArray(quantiles) || quantiles.length === 0 || value == null || isNaN(value)) {
+    return null;
+  }
+  const last = quantiles.length - 1;
+  if (value < quantiles[0]) return 0;
+  if (value > quantiles[last]) return 100;
+
+  let firstAtOrAbove = quantiles.findIndex(q => q >= value);
+  let lastAtOrBelow = -1;
+  for (let i = last; i >= 0; i--) {
+    if (quantiles[i] <= value) {
+      lastAtOrBelow = i;
+      break;
+    }
+  }
+
+  let rank;
+  if (firstAtOrAbove <= lastAtOrBelow) {
+    rank = (firstAtOrAbove + lastAtOrBelow) / 2;
+  } else {
+    const low = quantiles[lastAtOrBelow];
+    const high = quantiles[firstAtOrAbove];
+    rank = lastAtOrBelow + (high === low ? 0 : (value - low) / (high - low));
+  }
+
+  const percentile = (rank / last) * 100;
+  return Math.round(Math.min(100, Math.max(0, percentile)) * 10) / 10;
+}
+
+// Gather one sample per (completed attempt, dimension) together with the
+// student's segment. Section/overall values come from scores, RIASEC values
+// from the stored RIASEC report so they match what the report shows.
+// Section scores made with a different method than the section uses now
+// (e.g. ability sections Likert-scored before they had right answers) are on
+// another scale, so they and their attempt's overall score are left out.
+async function collectNormSamples() {
+  const attempts = await TestAttempt.findAll({
+    where: { status: TestStatus.COMPLETED },
+    attributes: ['id', 'student_id']
+  });
+  if (attempts.length === 0) {
+    return { samples: [], attemptCount: 0 };
+  }
+
+  const attemptIds = attempts.map(a => a.id);
+  const studentIds = [...new Set(attempts.map(a => a.student_id))];
+
+  const students = await Student.findAll({
+    where: { user_id: { [Op.in]: studentIds } },
+    attributes: ['user_id', 'current_education', 'stream']
+  });
+  const segmentByUser = {};
+  for (const student of students) {
+    segmentByUser[student.user_id] = {
+      education: normalizeSegmentValue(student.current_education),
+      stream: normalizeSegmentValue(student.stream)
+    };
+  }
+  const segmentByAttempt = {};
+  for (const attempt of attempts) {
+    segmentByAttempt[attempt.id] = segmentByUser[attempt.student_id] || { education: null, stream: null };
+  }
+
+  const samples = [];
+
+  // Section scores are stored per order_index (services/scoring.js)
+  const sections = await Section.findAll({ attributes: ['order_index', 'scoring_mode'] });
+  const methodByDimension = {};
+  for (const section of sections) {
+    methodByDimension[`section_${section.order_index}`] = getSectionScoringMode(section);
+  }
+
+  const scores = await Score.findAll({
+    where: {
+      test_attempt_id: { [Op.in]: attemptIds },
+      [Op.or]: [
+        { dimension: 'overall' },
+        { dimension: { [Op.like]: 'section_%' } }
+      ]
+    },
+    attributes: ['test_attempt_id', 'dimension', 'score_value', 'scoring_method']
+  });
+
+  // Scores without a method predate per-section scoring, when every answer was Likert-scored
+  const isOutdated = score => score.dimension in methodByDimension &&
+    (score.scoring_method || ScoringMode.LIKERT) !== methodByDimension[score.dimension];
+  const outdatedAttempts = new Set(scores.filter(isOutdated).map(score => score.test_attempt_id));
+
+  for (const score of scores) {
+    if (score.score_value == null) continue;
+    if (isOutdated(score)) continue;
+    if (score.dimension === 'overall' && outdatedAttempts.has(score.test_attempt_id)) continue;
+    samples.push({
+      dimension: score.dimension,
+      value: Number(score.score_value),
+      ...segmentByAttempt[score.test_attempt_id]
+    });
+  }
+
+  const interpretedResults = await InterpretedResult.findAll({
+    where: {
+      test_attempt_id: { [Op.in]: attemptIds },
+      riasec_report: { [Op.ne]: null }
+    },
+    attributes: ['test_attempt_id', 'riasec_report']
+  });
+  for (const result of interpretedResults) {
+    const riasecScores = result.riasec_report && result.riasec_report.scores;
+    if (!riasecScores) continue;
+    for (const code of RIASEC_DIMENSIONS) {
+      const value = riasecScores[code];
+      if (value == null || isNaN(value)) continue;
+      samples.push({
+        dimension: code,
+        value: Number(value),
+        ...segmentByAttempt[result.test_attempt_id]
+      });
+    }
+  }
+
+  return { samples, attemptCount: attempts.length };
+}
+
+/**
+ * Rebuild all percentile tables for a (non-frozen) norm version from the
+ * currently completed attempts. Tables are written for every dimension at
+ * three levels: everyone, per education level, per education + stream.
+ * Segment tables below the minimum sample size are skipped.
+ */
+async function buildNormTables(normVersion) {
+  if (normVersion.frozen_at) {
+    throw new Error('Frozen norm versions cannot be rebuilt');
+  }
+
+  const { samples, attemptCount } = await collectNormSamples();
+  const minSampleSize = config.norms.minSampleSize;
+
+  const groups = {};
+  const addToGroup = (dimension, education, stream, value) => {
+    const key = `${dimension}|${education || ''}|${stream || ''}`;
+    if (!groups[key]) {
+      groups[key] = { dimension, education, stream, values: [] };
+    }
+    groups[key].values.push(value);
+  };
+
+  for (const sample of samples) {
+    addToGroup(sample.dimension, null, null, sample.value);
+    if (sample.education) {
+      addToGroup(sample.dimension, sample.education, null, sample.value);
+      if (sample.stream) {
+        addToGroup(sample.dimension, sample.education, sample.stream, sample.value);
+      }
+    }
+  }
+
+  const rows = [];
+  for (const group of Object.values(groups)) {
+    const isSegment = group.education !== null;
+    if (isSegment && group.values.length < minSampleSize) continue;
+    rows.push({
+      norm_version_id: normVersion.id,
+      dimension: group.dimension,
+      current_education: group.education,
+      stream: group.stream,
+      sample_size: group.values.length,
+      quantiles: buildQuantiles(group.values)
+    });
+  }
+
+  await NormTable.destroy({ where: { norm_version_id: normVersion.id } });
+  if (rows.length > 0) {
+    await NormTable.bulkCreate(rows);
+  }
+
+  await normVersion.update({
+    sample_size: attemptCount,
+    built_at: new Date()
+  });
+
+  console.log(`✅ Built ${rows.length} norm tables for version ${normVersion.id} from ${attemptCount} attempts`);
+  return rows.length;
+}
+
+async function getActiveNormVersion() {
+  return NormVersion.findOne({
+    where: { status: NormVersionStatus.ACTIVE },
+    order: [['frozen_at', 'DESC']]
+  });
+}
+
+async function getStudentSegment(studentUserId) {
+  const student = await Student.findOne({
+    where: { user_id: studentUserId },
+    attributes: ['current_education', 'stream']
+  });
+  return {
+    education: normalizeSegmentValue(student && student.current_education),
+    stream: normalizeSegmentValue(student && student.stream)
+  };
+}
+
+// Most specific table wins: education + stream, then education, then everyone
+function pickNormTable(tables, dimension, segment) {
+  const candidates = tables.filter(t => t.dimension === dimension);
+  const lower = value => (value ? value.toLowerCase() : null);
+  const education = lower(segment.education);
+  const stream = lower(segment.stream);
+
+  if (education && stream) {
+    const match = candidates.find(t => lower(t.current_education) === education && lower(t.stream) === stream);
+    if (match) return match;
+  }
+  if (education) {
+    const match = candidates.find(t => lower(t.current_education) === education && t.stream === null);
+    if (match) return match;
+  }
+  return candidates.find(t => t.current_education === null && t.stream === null) || null;
+}
+
+/**
+ * Percentiles for a set of { dimension: value } against the active norm
+ * version, using the student's education/stream segment.
+ * Returns { normVersionId, percentiles } - percentiles are null when no
+ * active norm version or table exists for a dimension.
+ */
+async function lookupPercentiles(studentUserId, valuesByDimension) {
+  const percentiles = {};
+  for (const dimension of Object.keys(valuesByDimension)) {
+    percentiles[dimension] = null;
+  }
+
+  const normVersion = await getActiveNormVersion();
+  if (!normVersion) {
+    return { normVersionId: null, percentiles };
+  }
+
+  const tables = await NormTable.findAll({
+    where: {
+      norm_version_id: normVersion.id,
+      dimension: { [Op.in]: Object.keys(valuesByDimension) }
+    }
+  });
+  const segment = await getStudentSegment(studentUserId);
+
+  for (const [dimension, value] of Object.entries(valuesByDimension)) {
+    const table = pickNormTable(tables, dimension, segment);
+    if (table) {
+      percentiles[dimension] = percentileFromQuantiles(table.quantiles, Number(value));
+    }
+  }
+
+  return { normVersionId: normVersion.id, percentiles };
+}
+
+/**
+ * Write Score.percentile for every score of a test attempt against the
+ * active norm version. Never throws - a missing norm must not block scoring.
+ */
+async function applyNormPercentiles(testAttemptId) {
+  try {
+    const testAttempt = await TestAttempt.findByPk(testAttemptId, { attributes: ['id', 'student_id'] });
+    if (!testAttempt) return false;
+
+    const scores = await Score.findAll({ where: { test_attempt_id: testAttemptId } });
+    if (scores.length === 0) return false;
+
+    const valuesByDimension = {};
+    for (const score of scores) {
+      valuesByDimension[score.dimension] = score.score_value;
+    }
+
+    const { normVersionId, percentiles } = await lookupPercentiles(testAttempt.student_id, valuesByDimension);
+    if (!normVersionId) return false;
+
+    for (const score of scores) {
+      await score.update({
+        percentile: percentiles[score.dimension],
+        norm_version_id: normVersionId
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to apply norm percentiles for attempt ${testAttemptId}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  RIASEC_DIMENSIONS,
+  buildQuantiles,
+  percentileFromQuantiles,
+  buildNormTables,
+  getActiveNormVersion,
+  lookupPercentiles,
+  applyNormPercentiles
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../database');
+const { User, UserRole, Student, LoginOtp } = require('../models');
+const { sendLoginCodeWhatsApp } = require('./whatsappService');
+const { sendLoginCodeSms } = require('./smsService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Keyed with the JWT secret so a leaked table can't be brute-forced offline
+function hashCode(contactNumber, code) {
+  return crypto.createHmac('sha256', config.jwt.secretKey).update(`${contactNumber}:${code}`).digest('hex');
+}
+
+function generateCode() {
+  const max = Math.pow(10, config.otp.codeLength);
+  return String(crypto.randomInt(0, max)).padStart(config.otp.codeLength, '0');
+}
+
+function normalizeContactNumber(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 10 ? digits : null;
+}
+
+async function findStudentUser(contactNumber) {
+  const student = await Student.findOne({
+    where: { contact_number: contactNumber },
+    include: [{ model: User, as: 'user' }]
+  });
+  if (!student || !student.user || student.user.role !== UserRole.STUDENT) {
+    return null;
+  }
+  return student.user;
+}
+
+async function deliverCode(contactNumber, code) {
+  const phoneNumber = `${config.otp.countryCode}${contactNumber}`;
+  if (config.otp.channel === 'sms') {
+    return sendLoginCodeSms(phoneNumber, code, config.otp.expiresMinutes);
+  }
+  return sendLoginCodeWhatsApp(phoneNumber, code, config.otp.expiresMinutes);
+}
+
+/**
+ * Send a login code to a registered student's contact number. Unknown numbers
+ * and rate-limited requests are silently ignored; callers must respond the
+ * same way regardless.
+ *
+ * Returns { sent } for logging only.
+ */
+async function requestLoginCode(contactNumber, requestedIp) {
+  const user = await findStudentUser(contactNumber);
+  if (!user) {
+    console.log(`ℹ️ Login code requested for unregistered number ending ${contactNumber.slice(-4)}`);
+    return { sent: false };
+  }
+
+  const { maxRequestsPerWindow, windowMinutes, expiresMinutes, channel } = config.otp;
+  const recentRequests = await LoginOtp.count({
+    where: {
+      contact_number: contactNumber,
+      created_at: { [Op.gt]: new Date(Date.now() - windowMinutes * MINUTE_MS) }
+    }
+  });
+  if (recentRequests >= maxRequestsPerWindow) {
+    console.warn(`⚠️ Login code throttled for user ${user.id} (${recentRequests} requests in ${windowMinutes} minutes)`);
+    return { sent: false };
+  }
+
+  const code = generateCode();
+  await sequelize.transaction(async (transaction) => {
+    // Only the newest code works
+    await LoginOtp.update(
+      { consumed_at: new Date() },
+      { where: { contact_number: contactNumber, consumed_at: null }, transaction }
+    );
+    await LoginOtp.create({
+      user_id: user.id,
+      contact_number: contactNumber,
+      code_hash: hashCode(contactNumber, code),
+      channel,
+      expires_at: new Date(Date.now() + expiresMinutes * MINUTE_MS),
+      requested_ip: requestedIp || null
+    }, { transaction });
+  });
+
+  const sent = await deliverCode(contactNumber, code);
+  console.log(`${sent ? '✅' : '⚠️'} Login code for user ${user.id} ${sent ? 'sent' : 'not delivered'} via ${channel}`);
+  return { sent };
+}
+
+/**
+ * Check a login code. A wrong code counts against the OTP and burns it after
+ * maxVerifyAttempts; a right one is consumed.
+ *
+ * Returns { user, error }, plus userId on a wrong code for auditing
+ */
+async function verifyLoginCode(contactNumber, code) {
+  return sequelize.transaction(async (transaction) => {
+    const otp = await LoginOtp.findOne({
+      where: {
+        contact_number: contactNumber,
+        consumed_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['created_at', 'DESC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!otp) {
+      return { user: null, error: 'Invalid or expired code' };
+    }
+
+    const expected = Buffer.from(otp.code_hash);
+    const given = Buffer.from(hashCode(contactNumber, String(code)));
+    if (!crypto.timingSafeEqual(expected, given)) {
+      const attempts = otp.attempts + 1;
+      await otp.update({
+        attempts,
+        consumed_at: attempts >= config.otp.maxVerifyAttempts ? new Date() : null
+      }, { transaction });
+      return { user: null, userId: otp.user_id, error: 'Invalid or expired code' };
+    }
+
+    await otp.update({ consumed_at: new Date() }, { transaction });
+    const user = await User.findByPk(otp.user_id, { transaction });
+    if (!user) {
+      return { user: null, error: 'Invalid or expired code' };
+    }
+    return { user, error: null };
+  });
+}
+
+module.exports = {
+  normalizeContactNumber,
+  requestLoginCode,
+  verifyLoginCode
+};
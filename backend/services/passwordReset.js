@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../database');
+const { User, Student, PasswordResetToken } = require('../models');
+const { getPasswordHash } = require('../middleware/password');
+const { sendPasswordResetEmail } = require('./emailService');
+const { sendPasswordResetWhatsApp } = require('./whatsappService');
+const { SessionRevokeReason, revokeUserSessions } = require('./sessions');
+
+const MINUTE_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildResetUrl(token) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a reset token for the account with this email and deliver it.
+ * Unknown emails and throttled accounts are silently ignored; callers must
+ * respond identically either way so the endpoint cannot reveal accounts.
+ *
+ * Returns { sent } for logging only.
+ */
+async function requestPasswordReset(email, requestedIp) {
+  const user = await User.findOne({ where: { email } });
+  if (!user) {
+    console.log(`ℹ️ Password reset requested for unknown email: ${email}`);
+    return { sent: false };
+  }
+
+  const { maxRequestsPerWindow, windowMinutes } = config.passwordReset;
+  const recentRequests = await PasswordResetToken.count({
+    where: {
+      user_id: user.id,
+      created_at: { [Op.gt]: new Date(Date.now() - windowMinutes * MINUTE_MS) }
+    }
+  });
+  if (recentRequests >= maxRequestsPerWindow) {
+    console.warn(`⚠️ Password reset throttled for user ${user.id} (${recentRequests} requests in ${windowMinutes} minutes)`);
+    return { sent: false };
+  }
+
+  return issuePasswordReset(user, requestedIp);
+}
+
+/**
+ * Create a fresh reset token for a user (retiring any older one) and send
+ * the link by email, plus WhatsApp when enabled. No throttling; use
+ * requestPasswordReset for anything user-triggered.
+ *
+ * Returns { sent }
+ */
+async function issuePasswordReset(user, requestedIp = null) {
+  const { tokenExpiresMinutes } = config.passwordReset;
+  const token = crypto.randomBytes(32).toString('base64url');
+  await sequelize.transaction(async (transaction) => {
+    // Only the newest link works
+    await PasswordResetToken.update(
+      { used_at: new Date() },
+      { where: { user_id: user.id, used_at: null }, transaction }
+    );
+    await PasswordResetToken.create({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + tokenExpiresMinutes * MINUTE_MS),
+      requested_ip: requestedIp
+    }, { transaction });
+  });
+
+  const resetUrl = buildResetUrl(token);
+  const emailSent = await sendPasswordResetEmail(user.email, user.full_name, resetUrl, tokenExpiresMinutes);
+
+  let whatsappSent = false;
+  if (config.passwordReset.sendWhatsApp) {
+    const student = await Student.findOne({ where: { user_id: user.id } });
+    if (student && student.contact_number) {
+      whatsappSent = await sendPasswordResetWhatsApp(student.contact_number, user.full_name, resetUrl, tokenExpiresMinutes);
+    }
+  }
+
+  console.log(`✅ Password reset issued for user ${user.id} (email: ${emailSent}, WhatsApp: ${whatsappSent})`);
+  return { sent: emailSent || whatsappSent };
+}
+
+/**
+ * Redeem a reset token: set the new password, burn the token and sign the
+ * user out of every session.
+ *
+ * Returns { user, error }
+ */
+async function resetPassword(token, newPassword) {
+  const passwordHash = await getPasswordHash(newPassword);
+
+  return sequelize.transaction(async (transaction) => {
+    const resetToken = await PasswordResetToken.findOne({
+      where: { token_hash: hashToken(token) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at) <= new Date()) {
+      return { user: null, error: 'This reset link is invalid or has expired' };
+    }
+
+    const user = await User.findByPk(resetToken.user_id, { transaction });
+    if (!user) {
+      return { user: null, error: 'This reset link is invalid or has expired' };
+    }
+
+    await user.update({ password_hash: passwordHash, is_first_login: false }, { transaction });
+    await resetToken.update({ used_at: new Date() }, { transaction });
+    await revokeUserSessions(user.id, SessionRevokeReason.PASSWORD_RESET, { transaction });
+
+    return { user, error: null };
+  });
+}
+
+module.exports = {
+  requestPasswordReset,
+  issuePasswordReset,
+  resetPassword
+};
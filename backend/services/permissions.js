@@ -0,0 +1,159 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { UserRole, Permission, Role, RolePermission, UserRoleAssignment } = require('../models');
+
+const { ADMIN, COUNSELLOR, STUDENT, GUARDIAN, COORDINATOR } = UserRole;
+
+// Seeded custom role for staff who run a center: admin-style access limited to their own centers
+const CENTER_ADMIN = 'CENTER_ADMIN';
+
+/**
+ * Every permission the code checks, with the system roles that get it by
+ * default. New keys are inserted and granted to their default roles at
+ * startup; grants an admin removes later are not restored.
+ */
+const PERMISSIONS = {
+  'analytics.view': { description: 'View the admin analytics dashboard', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'users.manage': { description: 'Create, edit and delete staff accounts', defaultRoles: [ADMIN] },
+  'roles.manage': { description: 'Create roles and assign them to users', defaultRoles: [ADMIN] },
+  'security.manage': { description: 'View login audit events and clear lockouts', defaultRoles: [ADMIN] },
+  'centers.manage': { description: 'Create and edit centers and link staff and students to them', defaultRoles: [ADMIN] },
+  'centers.all': { description: 'See students of every center (otherwise limited to the user\'s own centers)', defaultRoles: [ADMIN] },
+  'jobs.manage': { description: 'Inspect and retry background jobs', defaultRoles: [ADMIN] },
+  'norms.manage': { description: 'Build and freeze norm tables', defaultRoles: [ADMIN] },
+  'sections.manage': { description: 'Configure test sections', defaultRoles: [ADMIN] },
+  'questions.view': { description: 'Browse the question bank', defaultRoles: [ADMIN] },
+  'questions.manage': { description: 'Create, edit, import and (de)activate questions', defaultRoles: [ADMIN] },
+  'questions.approve': { description: 'Approve or reject questions', defaultRoles: [ADMIN] },
+  'students.view': { description: 'Browse all students and their results', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'students.view_assigned': { description: 'View the counsellor student list', defaultRoles: [COUNSELLOR, CENTER_ADMIN] },
+  'students.view_unassigned': { description: 'See students assigned to other counsellors (otherwise only the user\'s own caseload)', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'assignments.manage': { description: 'Assign and reassign counsellors and view caseloads', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'students.manage': { description: 'Add admin notes to student records', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'retakes.manage': { description: 'Grant and inspect test retakes', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'notes.write': { description: 'Write counsellor notes on test attempts', defaultRoles: [COUNSELLOR, CENTER_ADMIN] },
+  'notes.moderate': { description: 'Delete other staff members\' counsellor notes', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'results.view': { description: 'View interpretations and RIASEC reports (students only see their own)', defaultRoles: [STUDENT, COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'results.view_own': { description: 'View own results and download own PDF report', defaultRoles: [STUDENT] },
+  'results.compare': { description: 'Compare a student\'s test attempts', defaultRoles: [COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'reports.download': { description: 'Download any student\'s PDF report', defaultRoles: [COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'tests.take': { description: 'Start, answer and submit the test', defaultRoles: [STUDENT] },
+  'appointments.book': { description: 'Book counselling appointments', defaultRoles: [STUDENT] },
+  'appointments.view': { description: 'View all appointments', defaultRoles: [COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'appointments.manage': { description: 'Change appointment status', defaultRoles: [COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'timeline.view': { description: 'View student timelines (students only see their own)', defaultRoles: [STUDENT, COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'sessions.record': { description: 'Record the outcome of completed appointments', defaultRoles: [COUNSELLOR, ADMIN, CENTER_ADMIN] },
+  'appointments.calendar_feed': { description: 'Subscribe to own appointments as a private iCal feed', defaultRoles: [COUNSELLOR] },
+  'availability.manage': { description: 'Set own weekly availability and leave', defaultRoles: [COUNSELLOR] },
+  'availability.manage_all': { description: 'Set any counsellor\'s availability and declare holidays', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'guardians.invite': { description: 'Invite parents or guardians to follow own progress and revoke their access', defaultRoles: [STUDENT] },
+  'guardians.manage': { description: 'Invite, list and revoke guardians of students', defaultRoles: [ADMIN, CENTER_ADMIN] },
+  'guardian.portal': { description: 'View linked students\' completed results, shared notes and appointments', defaultRoles: [GUARDIAN] },
+  'guardian.appointments': { description: 'Book and join appointments for linked students', defaultRoles: [GUARDIAN] },
+  'institutions.manage': { description: 'Create and edit institutions and their coordinators', defaultRoles: [ADMIN] },
+  'institutions.all': { description: 'See every institution (otherwise only the ones the user coordinates)', defaultRoles: [ADMIN] },
+  'institutions.import': { description: 'Bulk-import students into an institution and resend their credentials', defaultRoles: [ADMIN, COORDINATOR] },
+  'institutions.dashboard': { description: 'View class-level completion and result dashboards of an institution', defaultRoles: [ADMIN, COORDINATOR] }
+};
+
+const SYSTEM_ROLES = {
+  [ADMIN]: 'Platform administrators',
+  [COUNSELLOR]: 'Counsellors',
+  [STUDENT]: 'Students taking the assessment',
+  [GUARDIAN]: 'Parents and guardians following a student\'s progress',
+  [COORDINATOR]: 'School and college coordinators; see only the institutions they are linked to'
+};
+
+// Custom (non-system) roles ensured on every start; admins may change their permissions
+const DEFAULT_ROLES = {
+  [CENTER_ADMIN]: 'Runs one or more centers; sees only students of the centers they are linked to'
+};
+
+// Permissions the ADMIN role must keep so roles can still be managed
+const PROTECTED_ADMIN_PERMISSIONS = ['roles.manage'];
+
+function isKnownPermission(key) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, key);
+}
+
+/**
+ * Insert missing system roles, default roles and catalog permissions. A
+ * permission is granted to its default roles when either the permission or
+ * the role is inserted by this call. Safe to run on every start.
+ */
+async function syncPermissions() {
+  await sequelize.transaction(async (transaction) => {
+    const roles = {};
+    const createdRoles = new Set();
+    const seeded = [
+      ...Object.entries(SYSTEM_ROLES).map(([name, description]) => ({ name, description, is_system: true })),
+      ...Object.entries(DEFAULT_ROLES).map(([name, description]) => ({ name, description, is_system: false }))
+    ];
+    for (const { name, description, is_system } of seeded) {
+      const [role, created] = await Role.findOrCreate({
+        where: { name },
+        defaults: { description, is_system },
+        transaction
+      });
+      if (created) {
+        createdRoles.add(name);
+        console.log(`✅ Created ${is_system ? 'system' : 'default'} role ${name}`);
+      }
+      roles[name] = role;
+    }
+
+    for (const [key, { description, defaultRoles }] of Object.entries(PERMISSIONS)) {
+      const [permission, created] = await Permission.findOrCreate({
+        where: { key },
+        defaults: { description },
+        transaction
+      });
+      const grantTo = defaultRoles.filter(roleName => created || createdRoles.has(roleName));
+      if (grantTo.length === 0) continue;
+
+      await RolePermission.bulkCreate(
+        grantTo.map(roleName => ({ role_id: roles[roleName].id, permission_id: permission.id })),
+        { transaction, ignoreDuplicates: true }
+      );
+      console.log(`✅ Granted ${key} to ${grantTo.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Effective permission keys of a user: the system role matching users.role
+ * plus any roles assigned through user_role_assignments.
+ */
+async function getUserPermissions(user) {
+  const assignments = await UserRoleAssignment.findAll({
+    where: { user_id: user.id },
+    attributes: ['role_id']
+  });
+
+  const roles = await Role.findAll({
+    where: {
+      [Op.or]: [
+        { name: user.role, is_system: true },
+        { id: assignments.map(assignment => assignment.role_id) }
+      ]
+    },
+    include: [{ model: Permission, as: 'permissions', attributes: ['key'], through: { attributes: [] } }]
+  });
+
+  const keys = new Set();
+  for (const role of roles) {
+    for (const permission of role.permissions) {
+      keys.add(permission.key);
+    }
+  }
+  return keys;
+}
+
+module.exports = {
+  CENTER_ADMIN,
+  PERMISSIONS,
+  PROTECTED_ADMIN_PERMISSIONS,
+  isKnownPermission,
+  syncPermissions,
+  getUserPermissions
+};
@@ -0,0 +1,208 @@
+const { TestAttempt, TestStatus, Score, InterpretedResult, TestAttemptQuestion, Job, JobStatus } = require('../models');
+const { registerHandler, enqueueJob } = require('./jobQueue');
+const { storeScores } = require('./scoring');
+const { generateAndSaveInterpretation } = require('./geminiInterpreter');
+const { calculateRIASECScores } = require('./riasecScoring');
+const { generateRIASECReport } = require('./riasecReportGenerator');
+
+// Report pipeline, in order; each job enqueues the next one when it succeeds
+const ReportJobType = {
+  SCORE_ATTEMPT: 'SCORE_ATTEMPT',
+  GENERATE_INTERPRETATION: 'GENERATE_INTERPRETATION',
+  GENERATE_RIASEC_REPORT: 'GENERATE_RIASEC_REPORT'
+};
+
+const REPORT_PIPELINE = [
+  ReportJobType.SCORE_ATTEMPT,
+  ReportJobType.GENERATE_INTERPRETATION,
+  ReportJobType.GENERATE_RIASEC_REPORT
+];
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+async function loadCompletedAttempt(testAttemptId) {
+  const testAttempt = await TestAttempt.findByPk(testAttemptId);
+  if (!testAttempt) {
+    throw permanentError(`Test attempt ${testAttemptId} not found`);
+  }
+  if (testAttempt.status !== TestStatus.COMPLETED) {
+    throw permanentError(`Test attempt ${testAttemptId} is not completed (status: ${testAttempt.status})`);
+  }
+  return testAttempt;
+}
+
+async function scoreAttempt({ test_attempt_id: testAttemptId }) {
+  await loadCompletedAttempt(testAttemptId);
+  await storeScores(testAttemptId);
+  await enqueueJob(ReportJobType.GENERATE_INTERPRETATION, { test_attempt_id: testAttemptId }, { testAttemptId });
+}
+
+async function generateInterpretation({ test_attempt_id: testAttemptId }) {
+  await loadCompletedAttempt(testAttemptId);
+
+  const existing = await InterpretedResult.findOne({
+    where: { test_attempt_id: testAttemptId },
+    attributes: ['id']
+  });
+
+  if (!existing) {
+    const score = await Score.findOne({
+      where: {
+        test_attempt_id: testAttemptId,
+        dimension: 'overall'
+      }
+    });
+    if (!score) {
+      throw new Error(`Overall score missing for test attempt ${testAttemptId}`);
+    }
+
+    const totalQuestions = await TestAttemptQuestion.count({
+      where: { test_attempt_id: testAttemptId }
+    });
+    const percentage = score.score_value;
+    const correctAnswers = percentage <= 100 ? Math.floor((percentage / 100) * totalQuestions) : totalQuestions;
+
+    await generateAndSaveInterpretation(testAttemptId, totalQuestions, correctAnswers, percentage);
+  } else {
+    console.log(`ℹ️ Interpretation already exists for attempt ${testAttemptId}, skipping generation`);
+  }
+
+  await enqueueJob(ReportJobType.GENERATE_RIASEC_REPORT, { test_attempt_id: testAttemptId }, { testAttemptId });
+}
+
+async function generateRiasecReport({ test_attempt_id: testAttemptId }) {
+  await loadCompletedAttempt(testAttemptId);
+
+  const interpretedResult = await InterpretedResult.findOne({
+    where: { test_attempt_id: testAttemptId },
+    attributes: ['id', 'riasec_report']
+  });
+  if (!interpretedResult) {
+    throw new Error(`Interpretation missing for test attempt ${testAttemptId}`);
+  }
+  if (interpretedResult.riasec_report) {
+    console.log(`ℹ️ RIASEC report already exists for attempt ${testAttemptId}, skipping generation`);
+    return;
+  }
+
+  const { R, I, A, S, E, C, error: scoringError } = await calculateRIASECScores(testAttemptId);
+  const hasAnyScores = R > 0 || I > 0 || A > 0 || S > 0 || E > 0 || C > 0;
+  if (scoringError && !hasAnyScores) {
+    throw permanentError(scoringError);
+  }
+
+  const { report, error } = await generateRIASECReport({ R, I, A, S, E, C, testAttemptId });
+  if (error || !report) {
+    throw new Error(error || 'Failed to generate RIASEC report');
+  }
+}
+
+registerHandler(ReportJobType.SCORE_ATTEMPT, scoreAttempt);
+registerHandler(ReportJobType.GENERATE_INTERPRETATION, generateInterpretation);
+registerHandler(ReportJobType.GENERATE_RIASEC_REPORT, generateRiasecReport);
+
+/**
+ * Queue scoring, interpretation and RIASEC report generation for a completed
+ * attempt. Safe to call more than once.
+ */
+async function enqueueReportGeneration(testAttemptId, options = {}) {
+  return enqueueJob(ReportJobType.SCORE_ATTEMPT, { test_attempt_id: testAttemptId }, { ...options, testAttemptId });
+}
+
+/**
+ * Queue whatever the attempt is still missing, starting from the earliest
+ * stage without output. Used when a result is requested before the pipeline ran
+ * (attempts completed before the queue existed, or after a DEAD job).
+ */
+async function enqueueMissingReportStage(testAttemptId) {
+  const overallScore = await Score.findOne({
+    where: { test_attempt_id: testAttemptId, dimension: 'overall' },
+    attributes: ['id']
+  });
+  const type = overallScore ? ReportJobType.GENERATE_INTERPRETATION : ReportJobType.SCORE_ATTEMPT;
+  return enqueueJob(type, { test_attempt_id: testAttemptId }, { testAttemptId });
+}
+
+function formatJob(job) {
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    run_at: job.run_at,
+    completed_at: job.completed_at,
+    last_error: job.last_error
+  };
+}
+
+/**
+ * Progress of the report pipeline for one attempt.
+ *
+ * status is NOT_STARTED, PENDING, RUNNING, COMPLETED or FAILED (a stage is
+ * DEAD). Attempts completed before the queue existed have no jobs and report
+ * COMPLETED when their interpretation is present.
+ *
+ * @returns {Promise<{status: string, stages: Object[], result_available: boolean, riasec_report_available: boolean}>}
+ */
+async function getReportStatus(testAttemptId) {
+  const [jobs, interpretedResult] = await Promise.all([
+    Job.findAll({
+      where: { test_attempt_id: testAttemptId, type: REPORT_PIPELINE },
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    }),
+    InterpretedResult.findOne({
+      where: { test_attempt_id: testAttemptId },
+      attributes: ['id', 'riasec_report']
+    })
+  ]);
+
+  const resultAvailable = !!interpretedResult;
+  const riasecReportAvailable = !!(interpretedResult && interpretedResult.riasec_report);
+
+  // Latest job per stage (a DEAD job may have been replaced by a newer one)
+  const latestByType = {};
+  for (const job of jobs) {
+    latestByType[job.type] = job;
+  }
+
+  // Stages before the first queued one were not needed (e.g. scores already existed)
+  const firstQueued = REPORT_PIPELINE.findIndex(type => latestByType[type]);
+  const stages = REPORT_PIPELINE.map((type, index) => {
+    const job = latestByType[type];
+    if (job) return formatJob(job);
+    return { type, status: firstQueued !== -1 && index < firstQueued ? 'SKIPPED' : null };
+  });
+
+  let status;
+  const stageStatuses = stages.map(stage => stage.status);
+  if (jobs.length === 0) {
+    status = resultAvailable ? JobStatus.COMPLETED : 'NOT_STARTED';
+  } else if (stageStatuses.includes(JobStatus.DEAD)) {
+    status = 'FAILED';
+  } else if (stageStatuses.includes(JobStatus.RUNNING)) {
+    status = JobStatus.RUNNING;
+  } else if (stageStatuses.every(stageStatus => stageStatus === JobStatus.COMPLETED || stageStatus === 'SKIPPED')) {
+    status = JobStatus.COMPLETED;
+  } else {
+    status = JobStatus.PENDING;
+  }
+
+  return {
+    status,
+    stages,
+    result_available: resultAvailable,
+    riasec_report_available: riasecReportAvailable
+  };
+}
+
+module.exports = {
+  ReportJobType,
+  enqueueReportGeneration,
+  enqueueMissingReportStage,
+  getReportStatus
+};
@@ -0,0 +1,434 @@
+const { jsPDF } = require('jspdf');
+const config = require('../config');
+const {
+  User,
+  Student,
+  Score,
+  InterpretedResult,
+  Career,
+  CounsellorNote,
+  NoteVisibility
+} = require('../models');
+const { calculateRIASECScores } = require('./riasecScoring');
+const {
+  calculateReadinessStatus,
+  calculateRiskLevel,
+  generateActionRoadmap
+} = require('./geminiInterpreter');
+
+const DISCLAIMER_TEXT = 'This assessment is designed to provide general career guidance and insights. Results are based on your responses and are intended for informational purposes only. They should not be considered as definitive career decisions or professional diagnoses. We recommend consulting with a qualified career counsellor to discuss your results in detail and explore your options further. Individual results may vary, and career success depends on many factors beyond assessment scores.';
+
+const RIASEC_LABELS = {
+  R: 'Realistic',
+  I: 'Investigative',
+  A: 'Artistic',
+  S: 'Social',
+  E: 'Enterprising',
+  C: 'Conventional'
+};
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_HEIGHT = 36;
+
+function parseJsonField(value, fallback) {
+  if (value == null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return [30, 58, 138];
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// The built-in PDF fonts only cover Latin-1; replace typographic characters
+// and drop anything else (emoji etc.) rather than printing garbage.
+function sanitizeText(value) {
+  if (value == null) return '';
+  return String(value)
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/•/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g, '');
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Collect everything shown in the report for a completed attempt.
+ * Returns { data, error } - error is set when no interpretation exists yet.
+ */
+async function loadReportData(testAttempt) {
+  const interpretedResult = await InterpretedResult.findOne({
+    where: { test_attempt_id: testAttempt.id }
+  });
+  if (!interpretedResult) {
+    return { data: null, error: 'Results are not yet available. Please check back later.' };
+  }
+
+  const user = await User.findByPk(testAttempt.student_id, { attributes: ['id', 'full_name', 'email'] });
+  const student = await Student.findOne({
+    where: { user_id: testAttempt.student_id },
+    attributes: ['current_education', 'stream']
+  });
+
+  const overallScore = await Score.findOne({
+    where: { test_attempt_id: testAttempt.id, dimension: 'overall' }
+  });
+  const percentage = overallScore && overallScore.score_value != null ? Number(overallScore.score_value) : null;
+
+  // Same fallbacks as the interpretation endpoint when fields were not stored
+  const readinessStatus = interpretedResult.readiness_status ||
+    (percentage != null ? calculateReadinessStatus(percentage)[0] : null);
+  const riskLevel = interpretedResult.risk_level ||
+    (readinessStatus ? calculateRiskLevel(readinessStatus)[0] : null);
+  let roadmap = parseJsonField(interpretedResult.roadmap, null);
+  if ((!roadmap || Object.keys(roadmap).length === 0) && readinessStatus && percentage != null) {
+    roadmap = generateActionRoadmap(readinessStatus, percentage);
+  }
+
+  // RIASEC: prefer the stored report (it carries the pathways), otherwise
+  // score the answers so the chart is still shown
+  let riasecScores = null;
+  let careerPathways = [];
+  const riasecReport = interpretedResult.riasec_report;
+  if (riasecReport && riasecReport.scores) {
+    riasecScores = riasecReport.scores;
+    const report = riasecReport.report || riasecReport;
+    careerPathways = Array.isArray(report.careerPathways) ? report.careerPathways : [];
+  } else {
+    const { error: riasecError, ...scores } = await calculateRIASECScores(testAttempt.id);
+    if (!riasecError) {
+      riasecScores = scores;
+    }
+  }
+
+  const careers = await Career.findAll({
+    where: { interpreted_result_id: interpretedResult.id },
+    order: [['order_index', 'ASC']]
+  });
+
+  // The report goes to the student, so only notes shared with them are included
+  const notes = await CounsellorNote.findAll({
+    where: { test_attempt_id: testAttempt.id, visibility: NoteVisibility.SHARED, deleted_at: null },
+    order: [['created_at', 'ASC']]
+  });
+  const counsellorIds = [...new Set(notes.map(n => n.counsellor_id))];
+  const counsellors = counsellorIds.length > 0
+    ? await User.findAll({ where: { id: counsellorIds }, attributes: ['id', 'full_name'] })
+    : [];
+  const counsellorNames = {};
+  for (const counsellor of counsellors) {
+    counsellorNames[counsellor.id] = counsellor.full_name;
+  }
+
+  return {
+    data: {
+      studentName: user ? user.full_name : '',
+      studentEmail: user ? user.email : '',
+      education: student ? student.current_education : null,
+      stream: student ? student.stream : null,
+      testAttemptId: testAttempt.id,
+      attemptNumber: testAttempt.attempt_number,
+      completedAt: testAttempt.completed_at,
+      percentage,
+      readinessStatus,
+      readinessExplanation: interpretedResult.readiness_explanation,
+      riskLevel,
+      riskExplanation: interpretedResult.risk_explanation_human || interpretedResult.risk_explanation,
+      careerDirection: interpretedResult.career_direction,
+      careerDirectionReason: interpretedResult.career_direction_reason,
+      interpretationText: interpretedResult.interpretation_text,
+      counsellorSummary: interpretedResult.counsellor_summary,
+      strengths: parseJsonField(interpretedResult.strengths, []),
+      areasForImprovement: parseJsonField(interpretedResult.areas_for_improvement, []),
+      doNowActions: parseJsonField(interpretedResult.do_now_actions, []),
+      doLaterActions: parseJsonField(interpretedResult.do_later_actions, []),
+      roadmap: roadmap || {},
+      riasecScores,
+      careerPathways,
+      careers: careers.map(c => ({ career_name: c.career_name, description: c.description, category: c.category })),
+      counsellorNotes: notes.map(n => ({
+        counsellor_name: counsellorNames[n.counsellor_id] || 'Counsellor',
+        notes: n.notes,
+        created_at: n.updated_at || n.created_at
+      }))
+    },
+    error: null
+  };
+}
+
+// Small layout helper around jsPDF that tracks the cursor and breaks pages
+function createWriter(doc, brandRgb) {
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const paragraph = (text, options = {}) => {
+    const fontSize = options.fontSize || 10;
+    const indent = options.indent || 0;
+    const lineHeight = fontSize * 1.4;
+    doc.setFont('helvetica', options.bold ? 'bold' : 'normal');
+    doc.setFontSize(fontSize);
+    doc.setTextColor(...(options.color || [40, 40, 40]));
+    const lines = doc.splitTextToSize(sanitizeText(text), CONTENT_WIDTH - indent);
+    for (const line of lines) {
+      ensureSpace(lineHeight);
+      doc.text(line, MARGIN + indent, y + fontSize);
+      y += lineHeight;
+    }
+    y += options.spacingAfter !== undefined ? options.spacingAfter : 4;
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 8;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(...brandRgb);
+    doc.text(sanitizeText(text), MARGIN, y + 13);
+    y += 18;
+    doc.setDrawColor(...brandRgb);
+    doc.setLineWidth(0.8);
+    doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y);
+    y += 8;
+  };
+
+  const bullets = (items) => {
+    for (const item of items) {
+      if (!item) continue;
+      const text = typeof item === 'string' ? item : (item.action || item.title || item.text || JSON.stringify(item));
+      paragraph(`- ${text}`, { indent: 8, spacingAfter: 1 });
+    }
+    y += 3;
+  };
+
+  const keyValue = (label, value) => {
+    if (value == null || value === '') return;
+    ensureSpace(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(40, 40, 40);
+    doc.text(sanitizeText(label), MARGIN, y + 10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(sanitizeText(value), MARGIN + 140, y + 10);
+    y += 16;
+  };
+
+  const barChart = (rows, maxValue) => {
+    const labelWidth = 110;
+    const barMaxWidth = CONTENT_WIDTH - labelWidth - 40;
+    const barHeight = 12;
+    ensureSpace(rows.length * (barHeight + 8));
+    for (const row of rows) {
+      const value = Math.max(0, Math.min(maxValue, Number(row.value) || 0));
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.setTextColor(40, 40, 40);
+      doc.text(sanitizeText(row.label), MARGIN, y + 10);
+      doc.setFillColor(229, 231, 235);
+      doc.rect(MARGIN + labelWidth, y, barMaxWidth, barHeight, 'F');
+      doc.setFillColor(...brandRgb);
+      doc.rect(MARGIN + labelWidth, y, barMaxWidth * (value / maxValue), barHeight, 'F');
+      doc.text(String(Math.round(value)), MARGIN + labelWidth + barMaxWidth + 8, y + 10);
+      y += barHeight + 8;
+    }
+    y += 4;
+  };
+
+  return {
+    paragraph,
+    heading,
+    bullets,
+    keyValue,
+    barChart,
+    ensureSpace,
+    getY: () => y,
+    setY: (value) => { y = value; }
+  };
+}
+
+function renderReport(data) {
+  const brandRgb = hexToRgb(config.report.brandColor);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const writer = createWriter(doc, brandRgb);
+
+  // Branded header band
+  doc.setFillColor(...brandRgb);
+  doc.rect(0, 0, PAGE_WIDTH, 96, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.text(sanitizeText(config.report.brandName), MARGIN, 44);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.text('Career Profile Report', MARGIN, 66);
+  doc.setFontSize(9);
+  doc.text(`Generated ${formatDate(new Date())}`, PAGE_WIDTH - MARGIN, 66, { align: 'right' });
+  writer.setY(116);
+
+  writer.keyValue('Student', data.studentName);
+  writer.keyValue('Email', data.studentEmail);
+  writer.keyValue('Education', [data.education, data.stream].filter(Boolean).join(' - '));
+  writer.keyValue('Attempt', data.attemptNumber ? `#${data.attemptNumber} (ID ${data.testAttemptId})` : `ID ${data.testAttemptId}`);
+  writer.keyValue('Completed on', formatDate(data.completedAt));
+
+  writer.heading('Summary');
+  writer.keyValue('Overall score', data.percentage != null ? `${Math.round(data.percentage * 100) / 100}%` : null);
+  writer.keyValue('Readiness', data.readinessStatus);
+  writer.keyValue('Decision risk', data.riskLevel);
+  writer.keyValue('Career direction', data.careerDirection);
+  if (data.readinessExplanation) writer.paragraph(data.readinessExplanation);
+  if (data.careerDirectionReason) writer.paragraph(data.careerDirectionReason);
+  if (data.riskExplanation) writer.paragraph(data.riskExplanation);
+
+  writer.heading('Interpretation');
+  writer.paragraph(data.interpretationText);
+  if (data.counsellorSummary) {
+    writer.paragraph(data.counsellorSummary);
+  }
+
+  if (Array.isArray(data.strengths) && data.strengths.length > 0) {
+    writer.heading('Strengths');
+    writer.bullets(data.strengths);
+  }
+  if (Array.isArray(data.areasForImprovement) && data.areasForImprovement.length > 0) {
+    writer.heading('Areas for Improvement');
+    writer.bullets(data.areasForImprovement);
+  }
+
+  if (data.riasecScores) {
+    writer.heading('RIASEC Interest Profile');
+    writer.barChart(
+      Object.keys(RIASEC_LABELS).map(code => ({
+        label: `${RIASEC_LABELS[code]} (${code})`,
+        value: data.riasecScores[code]
+      })),
+      100
+    );
+  }
+
+  if (data.careerPathways.length > 0) {
+    writer.heading('Career Pathways');
+    for (const pathway of data.careerPathways) {
+      writer.paragraph(`${pathway.careerRole} - ${pathway.degree}`, { bold: true, spacingAfter: 0 });
+      writer.paragraph(`${pathway.professionalPersona || ''} | ${pathway.riasecMix || ''} | ${pathway.confidence || ''}`, {
+        fontSize: 9,
+        color: [100, 100, 100],
+        spacingAfter: 0
+      });
+      if (pathway.coreTasksFocus) writer.paragraph(pathway.coreTasksFocus);
+    }
+  }
+
+  if (data.careers.length > 0) {
+    writer.heading('Recommended Careers');
+    for (const career of data.careers) {
+      writer.paragraph(career.category ? `${career.career_name} (${career.category})` : career.career_name, {
+        bold: true,
+        spacingAfter: 0
+      });
+      if (career.description) writer.paragraph(career.description);
+    }
+  }
+
+  const phases = ['phase1', 'phase2', 'phase3'].map(key => data.roadmap[key]).filter(Boolean);
+  if (phases.length > 0 || data.doNowActions.length > 0) {
+    writer.heading('Action Roadmap');
+    for (const phase of phases) {
+      writer.paragraph(`${phase.title || ''} (${phase.duration || ''})`, { bold: true, spacingAfter: 0 });
+      if (phase.description) writer.paragraph(phase.description);
+      if (Array.isArray(phase.actions)) writer.bullets(phase.actions);
+    }
+    if (Array.isArray(data.doNowActions) && data.doNowActions.length > 0) {
+      writer.paragraph('Do now', { bold: true, spacingAfter: 0 });
+      writer.bullets(data.doNowActions);
+    }
+    if (Array.isArray(data.doLaterActions) && data.doLaterActions.length > 0) {
+      writer.paragraph('Do later', { bold: true, spacingAfter: 0 });
+      writer.bullets(data.doLaterActions);
+    }
+  }
+
+  if (data.counsellorNotes.length > 0) {
+    writer.heading('Counsellor Notes');
+    for (const note of data.counsellorNotes) {
+      writer.paragraph(`${note.counsellor_name} - ${formatDate(note.created_at)}`, {
+        fontSize: 9,
+        color: [100, 100, 100],
+        spacingAfter: 0
+      });
+      writer.paragraph(note.notes);
+    }
+  }
+
+  writer.heading('Disclaimer');
+  writer.paragraph(DISCLAIMER_TEXT, { fontSize: 8, color: [100, 100, 100] });
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(120, 120, 120);
+    doc.text(sanitizeText(config.report.footerText), MARGIN, PAGE_HEIGHT - 24);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 24, { align: 'right' });
+  }
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+// Internal counsellor fields a guardian's copy leaves out (as services/guardians formatGuardianResult does)
+const GUARDIAN_HIDDEN_FIELDS = ['readinessStatus', 'readinessExplanation', 'riskLevel', 'riskExplanation', 'counsellorSummary'];
+
+/**
+ * Render the career report PDF for a completed attempt. With forGuardian the
+ * readiness, decision risk and counsellor summary sections are left out.
+ * Returns { pdf, filename, error } - pdf is a Buffer.
+ */
+async function generateReportPdf(testAttempt, { forGuardian = false } = {}) {
+  const { data, error } = await loadReportData(testAttempt);
+  if (error) {
+    return { pdf: null, filename: null, error };
+  }
+
+  if (forGuardian) {
+    for (const field of GUARDIAN_HIDDEN_FIELDS) {
+      data[field] = null;
+    }
+  }
+
+  const pdf = renderReport(data);
+  const safeName = sanitizeText(data.studentName).replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '') || 'student';
+  return {
+    pdf,
+    filename: `career_report_${safeName}_${testAttempt.id}.pdf`,
+    error: null
+  };
+}
+
+module.exports = {
+  generateReportPdf
+};
@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { TestAttempt, TestStatus, RetakeEntitlement } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getActiveEntitlement(studentId, options = {}) {
+  return RetakeEntitlement.findOne({
+    where: { student_id: studentId, is_active: true },
+    order: [['created_at', 'DESC']],
+    ...options
+  });
+}
+
+/**
+ * Whether a student may start a new test attempt.
+ * The first attempt is always allowed; after a completed attempt the student
+ * needs an active entitlement with retakes left and an elapsed cooldown.
+ *
+ * Returns { canAttempt, reason, entitlement, lastCompletedAttempt, availableAt }
+ */
+async function getRetakeEligibility(studentId) {
+  const lastCompletedAttempt = await TestAttempt.findOne({
+    where: {
+      student_id: studentId,
+      status: TestStatus.COMPLETED
+    },
+    order: [['completed_at', 'DESC']]
+  });
+
+  if (!lastCompletedAttempt) {
+    return { canAttempt: true, reason: null, entitlement: null, lastCompletedAttempt: null, availableAt: null };
+  }
+
+  const entitlement = await getActiveEntitlement(studentId);
+  if (!entitlement || entitlement.retakes_used >= entitlement.retakes_allowed) {
+    return {
+      canAttempt: false,
+      reason: 'You have already completed the test. Please contact your counsellor or admin to request a retake.',
+      entitlement,
+      lastCompletedAttempt,
+      availableAt: null
+    };
+  }
+
+  let availableAt = null;
+  if (entitlement.cooldown_days > 0 && lastCompletedAttempt.completed_at) {
+    availableAt = new Date(new Date(lastCompletedAttempt.completed_at).getTime() + entitlement.cooldown_days * DAY_MS);
+    if (availableAt > new Date()) {
+      return {
+        canAttempt: false,
+        reason: `A retake is available from ${availableAt.toISOString()}.`,
+        entitlement,
+        lastCompletedAttempt,
+        availableAt
+      };
+    }
+  }
+
+  return { canAttempt: true, reason: null, entitlement, lastCompletedAttempt, availableAt };
+}
+
+/**
+ * Create a new IN_PROGRESS attempt. When it is a retake, the entitlement is
+ * consumed and every earlier attempt is archived (never deleted) in the same
+ * transaction.
+ *
+ * Returns { testAttempt, error } - error when a concurrent start used the
+ * last retake first.
+ */
+async function createAttempt(studentId, entitlement, attemptValues) {
+  return sequelize.transaction(async (transaction) => {
+    const previousCount = await TestAttempt.count({
+      where: { student_id: studentId },
+      transaction
+    });
+
+    if (entitlement) {
+      // Re-read under lock so two concurrent starts cannot both use the last retake
+      const lockedEntitlement = await RetakeEntitlement.findByPk(entitlement.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!lockedEntitlement || !lockedEntitlement.is_active ||
+          lockedEntitlement.retakes_used >= lockedEntitlement.retakes_allowed) {
+        return { testAttempt: null, error: 'Your retake has already been used. Please contact your counsellor or admin to request another.' };
+      }
+      lockedEntitlement.retakes_used += 1;
+      await lockedEntitlement.save({ transaction });
+
+      await TestAttempt.update(
+        { is_archived: true, archived_at: new Date() },
+        {
+          where: {
+            student_id: studentId,
+            is_archived: false,
+            status: { [Op.in]: [TestStatus.COMPLETED, TestStatus.ABANDONED] }
+          },
+          transaction
+        }
+      );
+    }
+
+    const testAttempt = await TestAttempt.create({
+      ...attemptValues,
+      student_id: studentId,
+      attempt_number: previousCount + 1,
+      retake_entitlement_id: entitlement ? entitlement.id : null
+    }, { transaction });
+    return { testAttempt, error: null };
+  });
+}
+
+/**
+ * Grant (or update) a student's retake entitlement. An active entitlement
+ * with retakes left is updated in place; otherwise older grants are
+ * deactivated and a new one is created.
+ */
+async function grantRetake(studentId, grantedBy, { retakesAllowed, cooldownDays, notes }) {
+  return sequelize.transaction(async (transaction) => {
+    const current = await getActiveEntitlement(studentId, { transaction });
+
+    if (current && current.retakes_used < current.retakes_allowed) {
+      await current.update({
+        retakes_allowed: current.retakes_used + retakesAllowed,
+        cooldown_days: cooldownDays,
+        notes: notes !== undefined ? notes : current.notes,
+        granted_by: grantedBy
+      }, { transaction });
+      return current;
+    }
+
+    await RetakeEntitlement.update(
+      { is_active: false },
+      { where: { student_id: studentId, is_active: true }, transaction }
+    );
+
+    return RetakeEntitlement.create({
+      student_id: studentId,
+      granted_by: grantedBy,
+      retakes_allowed: retakesAllowed,
+      retakes_used: 0,
+      cooldown_days: cooldownDays,
+      notes: notes || null
+    }, { transaction });
+  });
+}
+
+function formatEntitlement(entitlement) {
+  if (!entitlement) return null;
+  return {
+    id: entitlement.id,
+    retakes_allowed: entitlement.retakes_allowed,
+    retakes_used: entitlement.retakes_used,
+    retakes_remaining: Math.max(0, entitlement.retakes_allowed - entitlement.retakes_used),
+    cooldown_days: entitlement.cooldown_days,
+    notes: entitlement.notes,
+    granted_by: entitlement.granted_by,
+    is_active: entitlement.is_active,
+    created_at: entitlement.created_at,
+    updated_at: entitlement.updated_at
+  };
+}
+
+module.exports = {
+  getActiveEntitlement,
+  getRetakeEligibility,
+  createAttempt,
+  grantRetake,
+  formatEntitlement
+};
@@ -1,9 +1,23 @@
-const axios = require('axios');
-const config = require('../config');
 const { InterpretedResult } = require('../models/InterpretedResult');
+const { generateJSON } = require('./llm');
+const { RIASEC_REPORT_SCHEMA } = require('./llm/schemas');
+const { buildRiasecReport } = require('./llm/mock');
+
+// Store the validation outcome even when no report could be saved
+async function recordReportValidation(testAttemptId, validation) {
+  if (!testAttemptId) return;
+  try {
+    await InterpretedResult.update(
+      { riasec_report_validation: validation },
+      { where: { test_attempt_id: testAttemptId } }
+    );
+  } catch (dbError) {
+    console.warn(`⚠️ Failed to record RIASEC report validation: ${dbError.message}`);
+  }
+}
 
 /**
- * Generate RIASEC career assessment report using Gemini API
+ * Generate RIASEC career assessment report using the configured LLM provider
  * @param {Object} scores - RIASEC scores
  * @param {number} scores.R - Realistic score
  * @param {number} scores.I - Investigative score
@@ -15,12 +29,6 @@ const { InterpretedResult } = require('../models/InterpretedResult');
  * @returns {Promise<{report: Object, error: string|null}>}
  */
 async function generateRIASECReport({ R, I, A, S, E, C, testAttemptId }) {
-  const apiKey = config.gemini.apiKey;
-  
-  if (!apiKey || !apiKey.trim()) {
-    return { report: null, error: 'GEMINI_API_KEY environment variable is not set' };
-  }
-
   // Validate scores
   if (R === undefined || I === undefined || A === undefined || 
       S === undefined || E === undefined || C === undefined) {
@@ -488,237 +496,113 @@ RULES:
 
 Return the JSON now:`;
 
-  // Retry configuration for rate limit errors
-  const maxRetries = 3;
-  const baseDelay = 2000; // 2 seconds
-  let lastError = null;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const modelName = 'gemini-2.5-flash';
-      const apiVersion = 'v1';
-      const apiUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models/${modelName}:generateContent?key=${apiKey}`;
-      
-      if (attempt > 0) {
-        const delay = baseDelay * Math.pow(2, attempt - 1); // Exponential backoff: 2s, 4s, 8s
-        console.log(`⏳ Retrying RIASEC report generation (attempt ${attempt + 1}/${maxRetries + 1}) after ${delay}ms delay...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.log(`🤖 Generating RIASEC report with Gemini API: ${modelName}`);
-      }
-      
-      const response = await axios.post(
-        apiUrl,
-        {
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000 // 60 seconds
-        }
-      );
-
-      // Validate response structure
-      if (!response.data || !response.data.candidates || !Array.isArray(response.data.candidates) || response.data.candidates.length === 0) {
-        console.error('❌ Invalid Gemini API response structure:', JSON.stringify(response.data, null, 2));
-        return { report: null, error: 'Invalid response from AI service. Please try again.' };
-      }
-
-      const candidate = response.data.candidates[0];
-      if (!candidate.content || !candidate.content.parts || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
-        console.error('❌ Invalid Gemini API response content:', JSON.stringify(candidate, null, 2));
-        return { report: null, error: 'AI service returned empty content. Please try again.' };
-      }
-
-      // Check for safety ratings
-      if (candidate.safetyRatings && candidate.safetyRatings.some(rating => rating.blocked)) {
-        console.error('❌ Content blocked by safety filters:', JSON.stringify(candidate.safetyRatings, null, 2));
-        return { report: null, error: 'Content was blocked by safety filters. Please try again.' };
-      }
-
-      let responseText = candidate.content.parts[0].text;
-      if (!responseText || typeof responseText !== 'string') {
-        console.error('❌ Invalid response text:', responseText);
-        return { report: null, error: 'AI service returned invalid response. Please try again.' };
-      }
-
-      responseText = responseText.trim();
-
-      // Remove markdown code blocks if present
-      if (responseText.startsWith('```json')) {
-        responseText = responseText.substring(7);
-      }
-      if (responseText.startsWith('```')) {
-        responseText = responseText.substring(3);
-      }
-      if (responseText.endsWith('```')) {
-        responseText = responseText.substring(0, responseText.length - 3);
-      }
-      responseText = responseText.trim();
-
-      if (!responseText || responseText.length === 0) {
-        console.error('❌ Empty response text after processing');
-        return { report: null, error: 'AI service returned empty response. Please try again.' };
-      }
-
-      let report;
-      try {
-        report = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('❌ JSON parse error:', parseError.message);
-        console.error('❌ Response text (first 500 chars):', responseText.substring(0, 500));
-        return { report: null, error: 'Failed to parse AI response. Please try again.' };
-      }
-
-      // Validate structure
-      if (!report.riasecProfile || !report.dimensions || !Array.isArray(report.dimensions)) {
-        return { report: null, error: 'Invalid report structure from AI service' };
-      }
+  const context = {
+    scores: { R, I, A, S, E, C },
+    topTraits,
+    decisionRiskLevel,
+    stability
+  };
+  // Response is repaired/validated against RIASEC_REPORT_SCHEMA (one re-prompt on failure)
+  const { data, error, validation } = await generateJSON({
+    task: 'riasec_report',
+    prompt,
+    context,
+    schema: RIASEC_REPORT_SCHEMA,
+    timeoutMs: 60000 // 60 seconds
+  });
+  const reportValidation = { ...validation, fallback_used: false };
+
+  let report = data;
+  if (error) {
+    if (validation.status !== 'FAILED') {
+      console.error(`❌ RIASEC report generation failed: ${error}`);
+      await recordReportValidation(testAttemptId, reportValidation);
+      return { report: null, error };
+    }
+    // The provider answered but the output was unusable even after the re-prompt
+    console.warn(`⚠️ Using deterministic RIASEC report after failed validation: ${error}`);
+    report = buildRiasecReport(context);
+    reportValidation.fallback_used = true;
+  }
 
-      // Post-process to remove unwanted phrases
-      const unwantedPhrases = [
-        'lack of highly dominant interests',
-        'broad but not deeply specialized',
-        'may require further refinement',
-        'requires further refinement',
-        'needs further refinement'
-      ];
-      
-      // Clean decisionRisk insight
-      if (report.riasecProfile?.decisionRisk?.insight) {
-        let insight = report.riasecProfile.decisionRisk.insight;
+  // Post-process to remove unwanted phrases
+  const unwantedPhrases = [
+    'lack of highly dominant interests',
+    'broad but not deeply specialized',
+    'may require further refinement',
+    'requires further refinement',
+    'needs further refinement'
+  ];
+  
+  // Clean decisionRisk insight
+  if (report.riasecProfile?.decisionRisk?.insight) {
+    let insight = report.riasecProfile.decisionRisk.insight;
+    unwantedPhrases.forEach(phrase => {
+      const regex = new RegExp(phrase, 'gi');
+      insight = insight.replace(regex, '');
+    });
+    // Clean up extra spaces and punctuation
+    insight = insight.replace(/\s+/g, ' ').replace(/[.,]\s*[.,]/g, '.').trim();
+    report.riasecProfile.decisionRisk.insight = insight;
+  }
+  
+  // Clean dimension personalizedAnalysis
+  if (report.dimensions && Array.isArray(report.dimensions)) {
+    report.dimensions.forEach(dimension => {
+      if (dimension.personalizedAnalysis) {
+        let analysis = dimension.personalizedAnalysis;
         unwantedPhrases.forEach(phrase => {
           const regex = new RegExp(phrase, 'gi');
-          insight = insight.replace(regex, '');
+          analysis = analysis.replace(regex, '');
         });
         // Clean up extra spaces and punctuation
-        insight = insight.replace(/\s+/g, ' ').replace(/[.,]\s*[.,]/g, '.').trim();
-        report.riasecProfile.decisionRisk.insight = insight;
-      }
-      
-      // Clean dimension personalizedAnalysis
-      if (report.dimensions && Array.isArray(report.dimensions)) {
-        report.dimensions.forEach(dimension => {
-          if (dimension.personalizedAnalysis) {
-            let analysis = dimension.personalizedAnalysis;
-            unwantedPhrases.forEach(phrase => {
-              const regex = new RegExp(phrase, 'gi');
-              analysis = analysis.replace(regex, '');
-            });
-            // Clean up extra spaces and punctuation
-            analysis = analysis.replace(/\s+/g, ' ').replace(/[.,]\s*[.,]/g, '.').trim();
-            dimension.personalizedAnalysis = analysis;
-          }
-        });
+        analysis = analysis.replace(/\s+/g, ' ').replace(/[.,]\s*[.,]/g, '.').trim();
+        dimension.personalizedAnalysis = analysis;
       }
+    });
+  }
 
-      // Ensure all 6 dimensions are present
-      const requiredCodes = ['R', 'I', 'A', 'S', 'E', 'C'];
-      const presentCodes = report.dimensions.map(d => d.code);
-      const missingCodes = requiredCodes.filter(code => !presentCodes.includes(code));
-      
-      if (missingCodes.length > 0) {
-        console.warn(`⚠️ Missing dimensions in report: ${missingCodes.join(', ')}`);
-      }
+  // Ensure all 6 dimensions are present
+  const requiredCodes = ['R', 'I', 'A', 'S', 'E', 'C'];
+  const presentCodes = report.dimensions.map(d => d.code);
+  const missingCodes = requiredCodes.filter(code => !presentCodes.includes(code));
+  
+  if (missingCodes.length > 0) {
+    console.warn(`⚠️ Missing dimensions in report: ${missingCodes.join(', ')}`);
+  }
 
-      // Calculate career pathways deterministically
-      const top3Codes = sortedScores.slice(0, 3).map(item => item.code);
-      report.careerPathways = calculateCareerPathways(top3Codes, { R, I, A, S, E, C });
-
-      // Store in database if testAttemptId is provided
-      if (testAttemptId) {
-        try {
-          const interpretedResult = await InterpretedResult.findOne({
-            where: { test_attempt_id: testAttemptId }
-          });
-          
-          if (interpretedResult) {
-            await InterpretedResult.update({
-              riasec_report: {
-                scores: { R, I, A, S, E, C },
-                report: report
-              }
-            }, {
-              where: { id: interpretedResult.id }
-            });
-            console.log(`✅ RIASEC report saved in database for attempt ${testAttemptId}`);
-          } else {
-            console.warn(`⚠️ No interpreted result found for attempt ${testAttemptId}, cannot save RIASEC report`);
-          }
-        } catch (dbError) {
-          console.warn(`⚠️ Failed to save RIASEC report: ${dbError.message}`);
-          // Don't fail the request if saving fails
-        }
-      }
-      
-      return { report, error: null };
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Error in generateRIASECReport (attempt ${attempt + 1}/${maxRetries + 1}):`, error.message);
+  // Calculate career pathways deterministically
+  const top3Codes = sortedScores.slice(0, 3).map(item => item.code);
+  report.careerPathways = calculateCareerPathways(top3Codes, { R, I, A, S, E, C });
+
+  // Store in database if testAttemptId is provided
+  if (testAttemptId) {
+    try {
+      const interpretedResult = await InterpretedResult.findOne({
+        where: { test_attempt_id: testAttemptId }
+      });
       
-      // Handle axios errors
-      if (error.response) {
-        const status = error.response.status;
-        const data = error.response.data;
-        console.error(`❌ Gemini API error (${status}):`, JSON.stringify(data, null, 2));
-        
-        // Retry on rate limit (429) or server errors (5xx)
-        if (status === 429 && attempt < maxRetries) {
-          console.log(`⚠️ Rate limit hit. Will retry after backoff...`);
-          continue; // Retry with exponential backoff
-        } else if (status >= 500 && status < 600 && attempt < maxRetries) {
-          console.log(`⚠️ Server error. Will retry after backoff...`);
-          continue; // Retry on server errors
-        }
-        
-        // Don't retry on other errors
-        const errorMessage = data?.error?.message || '';
-        if (status === 401 || status === 403) {
-          return { report: null, error: 'Gemini API authentication failed. Please check your API key.' };
-        } else if (status === 429) {
-          return { report: null, error: 'Gemini API rate limit exceeded. Please try again in a few minutes.' };
-        } else if (status >= 500) {
-          return { report: null, error: 'Gemini API server error. Please try again later.' };
-        } else {
-          return { report: null, error: errorMessage || `API error (${status}). Please try again.` };
-        }
-      } else if (error.request) {
-        // Network error - retry if not last attempt
-        if (attempt < maxRetries) {
-          console.log(`⚠️ Network error. Will retry after backoff...`);
-          continue;
-        }
-        console.error('❌ No response from Gemini API (timeout or network error)');
-        return { report: null, error: 'Network error: Could not reach AI service. Please check your connection and try again.' };
-      } else if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        // Timeout - retry if not last attempt
-        if (attempt < maxRetries) {
-          console.log(`⚠️ Timeout. Will retry after backoff...`);
-          continue;
-        }
-        return { report: null, error: 'Request timeout: AI service took too long to respond. Please try again.' };
+      if (interpretedResult) {
+        await InterpretedResult.update({
+          riasec_report: {
+            scores: { R, I, A, S, E, C },
+            report: report
+          },
+          riasec_report_validation: reportValidation
+        }, {
+          where: { id: interpretedResult.id }
+        });
+        console.log(`✅ RIASEC report saved in database for attempt ${testAttemptId}`);
       } else {
-        // Other errors - don't retry
-        if (error.message.toLowerCase().includes('api key') || error.message.toLowerCase().includes('authentication')) {
-          return { report: null, error: 'Gemini API authentication failed. Please check your API key.' };
-        } else if (error.message.toLowerCase().includes('quota') || error.message.toLowerCase().includes('rate limit')) {
-          return { report: null, error: 'Gemini API rate limit exceeded. Please try again in a few minutes.' };
-        } else {
-          return { report: null, error: `RIASEC report generation failed: ${error.message}. Please try again.` };
-        }
+        console.warn(`⚠️ No interpreted result found for attempt ${testAttemptId}, cannot save RIASEC report`);
       }
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to save RIASEC report: ${dbError.message}`);
+      // Don't fail the request if saving fails
     }
   }
   
-  // If we get here, all retries failed
-  console.error('❌ All retry attempts failed. Last error:', lastError?.message);
-  return { report: null, error: 'Gemini API rate limit exceeded. Please try again in a few minutes.' };
+  return { report, error: null };
 }
 
 module.exports = {
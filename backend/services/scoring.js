@@ -1,4 +1,65 @@
-const { Answer, Score, TestAttempt, Question, Section } = require('../models');
+const { Answer, Score, TestAttempt, Question, Section, ScoringMode } = require('../models');
+const { applyNormPercentiles } = require('./norms');
+const { getSectionScoringMode } = require('./sectionConfig');
+
+// Harder questions count for more inside an ability section
+const DIFFICULTY_WEIGHTS = { Easy: 1.0, Medium: 1.5, Hard: 2.0 };
+
+const LIKERT_MAP = { A: 1, B: 2, C: 3, D: 4, E: 5 };
+
+/**
+ * Parse Question.correct_answer into { letter: credit }.
+ * "B" -> { B: 1 }; with partial credit "B,D:0.5" -> { B: 1, D: 0.5 }.
+ */
+function parseCorrectAnswer(correctAnswer, allowPartialCredit) {
+  const credits = {};
+  if (!correctAnswer) return credits;
+
+  const parts = String(correctAnswer).split(',').map(p => p.trim()).filter(Boolean);
+  for (let i = 0; i < parts.length; i++) {
+    const [letter, creditText] = parts[i].split(':').map(p => p.trim());
+    if (!letter) continue;
+    if (i === 0) {
+      credits[letter.toUpperCase()] = 1.0;
+      if (!allowPartialCredit) break;
+      continue;
+    }
+    const credit = parseFloat(creditText);
+    if (!isNaN(credit) && credit > 0 && credit < 1) {
+      credits[letter.toUpperCase()] = credit;
+    }
+  }
+  return credits;
+}
+
+// Ability answers are placed on the same 1-5 scale as Likert answers
+// (wrong = 1, fully correct = 5) so section comparisons and the overall
+// percentage formula stay consistent across scoring modes.
+function scoreAbilityAnswer(answerTextUpper, question, section) {
+  const credits = parseCorrectAnswer(question.correct_answer, section && section.partial_credit);
+  const credit = credits[answerTextUpper] || 0;
+  const weight = DIFFICULTY_WEIGHTS[question.difficulty_level] || DIFFICULTY_WEIGHTS.Medium;
+  return { value: 1 + 4 * credit, weight };
+}
+
+function scoreLikertAnswer(answer, answerTextUpper, question) {
+  if (LIKERT_MAP[answerTextUpper] !== undefined) {
+    return parseFloat(LIKERT_MAP[answerTextUpper]);
+  }
+  if (question.question_type === 'LIKERT_SCALE') {
+    console.log(`⚠️ Invalid Likert answer '${answer.answer_text}' for question ${question.id}, defaulting to 3 (C)`);
+    return 3.0;
+  }
+  if (question.question_type === 'MULTIPLE_CHOICE') {
+    const value = parseFloat(answer.answer_text);
+    if (isNaN(value)) {
+      console.log(`⚠️ Invalid MCQ answer '${answer.answer_text}' for question ${question.id}, defaulting to 0`);
+      return 0.0;
+    }
+    return value;
+  }
+  return 0.0;
+}
 
 async function calculateRawScores(testAttemptId) {
   const testAttempt = await TestAttempt.findByPk(testAttemptId);
@@ -17,14 +78,19 @@ async function calculateRawScores(testAttemptId) {
 
   // Group answers by category/dimension
   const dimensionScores = {};
+  const sectionCache = {};
 
   for (const answer of answers) {
     const question = answer.question;
     if (!question) continue;
 
     let dimension;
+    let section = null;
     if (question.section_id) {
-      const section = await Section.findByPk(question.section_id);
+      if (!(question.section_id in sectionCache)) {
+        sectionCache[question.section_id] = await Section.findByPk(question.section_id);
+      }
+      section = sectionCache[question.section_id];
       if (section) {
         dimension = `section_${section.order_index}`;
       } else {
@@ -38,43 +104,36 @@ async function calculateRawScores(testAttemptId) {
       dimension = question.category;
     }
 
+    const scoringMode = getSectionScoringMode(section);
+
+    // Scoring it on the Likert scale would mix two scales in one section score
+    if (scoringMode === ScoringMode.ABILITY && (question.question_type !== 'MULTIPLE_CHOICE' || !question.correct_answer)) {
+      console.warn(`⚠️ Question ${question.id} in ability section ${dimension} has no correct answer, left out of attempt ${testAttemptId}`);
+      continue;
+    }
+
     if (!dimensionScores[dimension]) {
       dimensionScores[dimension] = {
         total: 0,
+        weightTotal: 0,
         count: 0,
-        values: []
+        values: [],
+        scoringMode
       };
     }
 
-    // Parse answer value based on question type
-    // Likert scale mapping: A=1, B=2, C=3, D=4, E=5
     const answerTextUpper = answer.answer_text.trim().toUpperCase();
-    const likertMap = { A: 1, B: 2, C: 3, D: 4, E: 5 };
 
     let value;
-    if (question.question_type === 'LIKERT_SCALE') {
-      if (likertMap[answerTextUpper] !== undefined) {
-        value = parseFloat(likertMap[answerTextUpper]);
-      } else {
-        console.log(`⚠️ Invalid Likert answer '${answer.answer_text}' for question ${question.id}, defaulting to 3 (C)`);
-        value = 3.0;
-      }
-    } else if (question.question_type === 'MULTIPLE_CHOICE') {
-      if (likertMap[answerTextUpper] !== undefined) {
-        value = parseFloat(likertMap[answerTextUpper]);
-      } else {
-        try {
-          value = parseFloat(answer.answer_text);
-        } catch (e) {
-          console.log(`⚠️ Invalid MCQ answer '${answer.answer_text}' for question ${question.id}, defaulting to 0`);
-          value = 0.0;
-        }
-      }
+    let weight = 1.0;
+    if (scoringMode === ScoringMode.ABILITY) {
+      ({ value, weight } = scoreAbilityAnswer(answerTextUpper, question, section));
     } else {
-      value = 0.0;
+      value = scoreLikertAnswer(answer, answerTextUpper, question);
     }
 
-    dimensionScores[dimension].total += value;
+    dimensionScores[dimension].total += value * weight;
+    dimensionScores[dimension].weightTotal += weight;
     dimensionScores[dimension].count += 1;
     dimensionScores[dimension].values.push(value);
   }
@@ -89,22 +148,26 @@ async function calculateRawScores(testAttemptId) {
 
   for (const [dimension, data] of Object.entries(dimensionScores)) {
     if (data.count > 0) {
-      const rawScore = data.total / data.count;
+      const rawScore = data.total / data.weightTotal;
 
       await Score.create({
         test_attempt_id: testAttemptId,
         dimension: dimension,
         score_value: rawScore,
-        percentile: null
+        percentile: null,
+        scoring_method: data.scoringMode
       });
 
       scoresToStore.push({
         dimension: dimension,
         score_value: rawScore,
-        count: data.count
+        count: data.count,
+        scoring_method: data.scoringMode
       });
 
-      totalAllScores += data.total;
+      // Each answer still counts once towards overall; difficulty weighting
+      // only shapes the score inside its own section
+      totalAllScores += rawScore * data.count;
       totalAllCount += data.count;
     }
   }
@@ -125,23 +188,29 @@ async function calculateRawScores(testAttemptId) {
 
     if (existingOverall) {
       existingOverall.score_value = overallScore;
+      existingOverall.scoring_method = 'COMPOSITE';
       await existingOverall.save();
     } else {
       await Score.create({
         test_attempt_id: testAttemptId,
         dimension: 'overall',
         score_value: overallScore,
-        percentile: null
+        percentile: null,
+        scoring_method: 'COMPOSITE'
       });
     }
 
     scoresToStore.push({
       dimension: 'overall',
       score_value: overallScore,
-      count: totalAllCount
+      count: totalAllCount,
+      scoring_method: 'COMPOSITE'
     });
   }
 
+  // Percentiles against the active norm version (no-op when none is frozen yet)
+  await applyNormPercentiles(testAttemptId);
+
   return scoresToStore;
 }
 
@@ -156,6 +225,8 @@ async function storeScores(testAttemptId) {
 
 module.exports = {
   calculateRawScores,
-  storeScores
+  storeScores,
+  getSectionScoringMode,
+  parseCorrectAnswer
 };
 
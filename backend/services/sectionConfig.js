@@ -0,0 +1,125 @@
+const { Op } = require('sequelize');
+const { Section, SectionProgress, SectionStatus, UnlockRule, ScoringMode } = require('../models');
+
+// Fallbacks for sections created before the configuration columns existed
+const DEFAULT_TIME_LIMIT_SECONDS = 420;
+const DEFAULT_QUESTIONS_TO_DRAW = 7;
+
+// Sections 1-2 (Intelligence, Aptitude) have right/wrong answers
+const DEFAULT_ABILITY_SECTIONS = [1, 2];
+
+function getSectionTimeLimit(section) {
+  return (section && section.time_limit_seconds > 0) ? section.time_limit_seconds : DEFAULT_TIME_LIMIT_SECONDS;
+}
+
+function getQuestionsToDraw(section) {
+  return (section && section.questions_to_draw > 0) ? section.questions_to_draw : DEFAULT_QUESTIONS_TO_DRAW;
+}
+
+function getSectionScoringMode(section) {
+  if (!section) return ScoringMode.LIKERT;
+  if (section.scoring_mode) return section.scoring_mode;
+  return DEFAULT_ABILITY_SECTIONS.includes(section.order_index) ? ScoringMode.ABILITY : ScoringMode.LIKERT;
+}
+
+function isSectionMandatory(section) {
+  return !section || section.is_mandatory !== false;
+}
+
+/**
+ * Deterministic shuffle so a student sees the same order on every refresh
+ * of the same attempt (mulberry32 seeded PRNG + Fisher-Yates).
+ */
+function seededShuffle(items, seed) {
+  const result = items.slice();
+  let state = (seed >>> 0) || 1;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+async function getCompletedSectionIds(testAttemptId) {
+  const progresses = await SectionProgress.findAll({
+    where: {
+      test_attempt_id: testAttemptId,
+      status: SectionStatus.COMPLETED
+    },
+    attributes: ['section_id']
+  });
+  return new Set(progresses.map(p => p.section_id));
+}
+
+/**
+ * Apply the section's unlock rule for an attempt.
+ * Returns { unlocked, blockingSection } - blockingSection is the first
+ * section that must be completed before this one becomes available.
+ */
+async function checkSectionUnlocked(section, testAttemptId, completedSectionIds = null) {
+  const rule = section.unlock_rule || UnlockRule.SEQUENTIAL;
+  if (rule === UnlockRule.ALWAYS) {
+    return { unlocked: true, blockingSection: null };
+  }
+
+  const previousSections = await Section.findAll({
+    where: {
+      order_index: { [Op.lt]: section.order_index },
+      is_active: true
+    },
+    order: [['order_index', 'ASC']]
+  });
+  if (previousSections.length === 0) {
+    return { unlocked: true, blockingSection: null };
+  }
+
+  const completed = completedSectionIds || await getCompletedSectionIds(testAttemptId);
+
+  if (rule === UnlockRule.PREVIOUS_SECTION) {
+    const previous = previousSections[previousSections.length - 1];
+    return completed.has(previous.id)
+      ? { unlocked: true, blockingSection: null }
+      : { unlocked: false, blockingSection: previous };
+  }
+
+  // SEQUENTIAL: optional sections never block later ones
+  for (const prevSection of previousSections) {
+    if (isSectionMandatory(prevSection) && !completed.has(prevSection.id)) {
+      return { unlocked: false, blockingSection: prevSection };
+    }
+  }
+  return { unlocked: true, blockingSection: null };
+}
+
+/**
+ * First active section (in order) the attempt has not completed yet,
+ * or null when every active section is done.
+ */
+async function findNextIncompleteSection(testAttemptId) {
+  const completed = await getCompletedSectionIds(testAttemptId);
+  const allSections = await Section.findAll({
+    where: { is_active: true },
+    order: [['order_index', 'ASC']]
+  });
+  return allSections.find(s => !completed.has(s.id)) || null;
+}
+
+module.exports = {
+  DEFAULT_TIME_LIMIT_SECONDS,
+  DEFAULT_QUESTIONS_TO_DRAW,
+  getSectionTimeLimit,
+  getQuestionsToDraw,
+  getSectionScoringMode,
+  isSectionMandatory,
+  seededShuffle,
+  getCompletedSectionIds,
+  checkSectionUnlocked,
+  findNextIncompleteSection
+};
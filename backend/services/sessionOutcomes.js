@@ -0,0 +1,199 @@
+const { sequelize } = require('../database');
+const { User, UserRole, Appointment, SessionOutcome, SessionAttendee, NextStepOwner } = require('../models');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TOPICS = 20;
+const MAX_NEXT_STEPS = 20;
+const MAX_ITEM_LENGTH = 500;
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// A YYYY-MM-DD string naming a day that exists (rejects 2026-02-30)
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a session record body:
+ * { attendees, topics?, summary?, recommended_direction?,
+ *   next_steps?: [{ description, owner?, due_date?, completed? }],
+ *   follow_up_required?, follow_up_date? }
+ *
+ * Returns { values, error }
+ */
+function validateOutcome(body) {
+  const attendees = body.attendees;
+  if (!Array.isArray(attendees) || attendees.length === 0) {
+    return { values: null, error: 'attendees must list at least one attendee' };
+  }
+  if (attendees.some(attendee => !Object.values(SessionAttendee).includes(attendee))) {
+    return { values: null, error: `attendees must be among ${Object.values(SessionAttendee).join(', ')}` };
+  }
+
+  const topics = body.topics === undefined ? [] : body.topics;
+  if (!Array.isArray(topics) || topics.length > MAX_TOPICS || topics.some(topic => !isText(topic) || topic.length > MAX_ITEM_LENGTH)) {
+    return { values: null, error: `topics must be up to ${MAX_TOPICS} non-empty strings` };
+  }
+
+  const steps = body.next_steps === undefined ? [] : body.next_steps;
+  if (!Array.isArray(steps) || steps.length > MAX_NEXT_STEPS) {
+    return { values: null, error: `next_steps must be an array of up to ${MAX_NEXT_STEPS} steps` };
+  }
+  const nextSteps = [];
+  for (const step of steps) {
+    if (!step || !isText(step.description) || step.description.length > MAX_ITEM_LENGTH) {
+      return { values: null, error: 'Each next step needs a description' };
+    }
+    const owner = step.owner || NextStepOwner.STUDENT;
+    if (!Object.values(NextStepOwner).includes(owner)) {
+      return { values: null, error: `next step owner must be one of ${Object.values(NextStepOwner).join(', ')}` };
+    }
+    if (step.due_date !== undefined && step.due_date !== null && !isDate(step.due_date)) {
+      return { values: null, error: 'next step due_date must be YYYY-MM-DD' };
+    }
+    nextSteps.push({
+      description: step.description.trim(),
+      owner,
+      due_date: step.due_date || null,
+      completed: step.completed === true
+    });
+  }
+
+  const followUpRequired = body.follow_up_required === true;
+  const followUpDate = body.follow_up_date || null;
+  if (followUpDate && (!followUpRequired || !isDate(followUpDate))) {
+    return { values: null, error: 'follow_up_date must be YYYY-MM-DD and needs follow_up_required' };
+  }
+
+  return {
+    values: {
+      attendees: [...new Set(attendees)],
+      topics: topics.map(topic => topic.trim()),
+      summary: isText(body.summary) ? body.summary.trim() : null,
+      recommended_direction: isText(body.recommended_direction) ? body.recommended_direction.trim() : null,
+      next_steps: nextSteps,
+      follow_up_required: followUpRequired,
+      follow_up_date: followUpDate
+    },
+    error: null
+  };
+}
+
+function formatOutcome(outcome) {
+  if (!outcome) return null;
+  return {
+    id: outcome.id,
+    appointment_id: outcome.appointment_id,
+    student_id: outcome.student_id,
+    counsellor_id: outcome.counsellor_id,
+    counsellor_name: outcome.counsellor ? outcome.counsellor.full_name : undefined,
+    recorded_by: outcome.recorded_by,
+    attendees: outcome.attendees,
+    topics: outcome.topics,
+    summary: outcome.summary,
+    recommended_direction: outcome.recommended_direction,
+    next_steps: outcome.next_steps,
+    follow_up_required: outcome.follow_up_required,
+    follow_up_date: outcome.follow_up_date,
+    session_date: outcome.appointment ? outcome.appointment.slot_start || outcome.appointment.appointment_date : undefined,
+    created_at: outcome.created_at,
+    updated_at: outcome.updated_at
+  };
+}
+
+/**
+ * Create or replace the session record of a completed appointment. The
+ * session is credited to the appointment's counsellor (or the recorder when
+ * the appointment has none).
+ * Returns { outcome, created }
+ */
+async function saveOutcome(appointment, values, recordedBy) {
+  const existing = await SessionOutcome.findOne({ where: { appointment_id: appointment.id } });
+  if (existing) {
+    await existing.update({ ...values, recorded_by: recordedBy });
+    return { outcome: existing, created: false };
+  }
+  const outcome = await SessionOutcome.create({
+    ...values,
+    appointment_id: appointment.id,
+    student_id: appointment.student_id,
+    counsellor_id: appointment.counsellor_id || recordedBy,
+    recorded_by: recordedBy
+  });
+  return { outcome, created: true };
+}
+
+const OUTCOME_INCLUDES = [
+  { model: Appointment, as: 'appointment', attributes: ['id', 'appointment_date', 'appointment_time', 'slot_start', 'status'] },
+  { model: User, as: 'counsellor', attributes: ['id', 'full_name'], required: false }
+];
+
+/**
+ * Counsellors with their session figures for appointments dated in
+ * [from, to): completed and cancelled appointments, session records written,
+ * follow-ups flagged and next steps agreed. centerIds limits the list to
+ * counsellors of those centers, counsellorId to one counsellor.
+ */
+async function getCounsellorProductivity({ from, to, centerIds = null, counsellorId = null }) {
+  if (centerIds !== null && centerIds.length === 0) {
+    return [];
+  }
+  const filters = [];
+  if (centerIds !== null) {
+    filters.push('AND u.id IN (SELECT user_id FROM user_centers WHERE center_id IN (:centerIds))');
+  }
+  if (counsellorId !== null) {
+    filters.push('AND u.id = :counsellorId');
+  }
+
+  // Separate aggregates so the appointment and outcome joins do not multiply each other
+  const [rows] = await sequelize.query(`
+    SELECT u.id, u.full_name, u.email,
+      COALESCE(a.completed, 0) AS completed_sessions,
+      COALESCE(a.cancelled, 0) AS cancelled_sessions,
+      COALESCE(o.recorded, 0) AS outcomes_recorded,
+      COALESCE(o.follow_ups, 0) AS follow_ups_flagged,
+      COALESCE(o.next_steps, 0) AS next_steps_agreed
+    FROM users u
+    LEFT JOIN (
+      SELECT counsellor_id,
+        (COUNT(*) FILTER (WHERE status = 'COMPLETED'))::int AS completed,
+        (COUNT(*) FILTER (WHERE status = 'CANCELLED'))::int AS cancelled
+      FROM appointments
+      WHERE appointment_date >= :from AND appointment_date < :to
+      GROUP BY counsellor_id
+    ) a ON a.counsellor_id = u.id
+    LEFT JOIN (
+      SELECT so.counsellor_id,
+        COUNT(*)::int AS recorded,
+        (COUNT(*) FILTER (WHERE so.follow_up_required))::int AS follow_ups,
+        SUM(json_array_length(so.next_steps))::int AS next_steps
+      FROM session_outcomes so
+      JOIN appointments ap ON ap.id = so.appointment_id
+      WHERE ap.appointment_date >= :from AND ap.appointment_date < :to
+      GROUP BY so.counsellor_id
+    ) o ON o.counsellor_id = u.id
+    WHERE u.role = :role ${filters.join(' ')}
+    ORDER BY outcomes_recorded DESC, completed_sessions DESC, u.full_name ASC
+  `, { replacements: { from, to, role: UserRole.COUNSELLOR, centerIds, counsellorId } });
+
+  return rows.map(row => ({
+    ...row,
+    // Share of completed sessions that have a session record
+    recording_rate: row.completed_sessions > 0
+      ? Math.round((Math.min(row.outcomes_recorded, row.completed_sessions) / row.completed_sessions) * 100) / 100
+      : null
+  }));
+}
+
+module.exports = {
+  OUTCOME_INCLUDES,
+  validateOutcome,
+  formatOutcome,
+  saveOutcome,
+  getCounsellorProductivity
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { sequelize } = require('../database');
+const { Session } = require('../models');
+const { createAccessToken } = require('../middleware/auth');
+
+const SessionRevokeReason = {
+  LOGOUT: 'LOGOUT',
+  REVOKED_BY_USER: 'REVOKED_BY_USER',
+  REVOKED_BY_ADMIN: 'REVOKED_BY_ADMIN',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  // A refresh token that had already been rotated was presented again
+  TOKEN_REUSE: 'TOKEN_REUSE'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + config.jwt.refreshExpiresIn * 1000);
+}
+
+function requestMetadata(req) {
+  return {
+    user_agent: (req.get('user-agent') || '').slice(0, 500) || null,
+    ip_address: req.ip || null
+  };
+}
+
+// Token pair returned by login, register and refresh
+function tokenResponse(user, session, refreshToken) {
+  return {
+    access_token: createAccessToken({ sub: String(user.id), role: user.role, sid: session.id }),
+    token_type: 'bearer',
+    expires_in: config.jwt.expiresIn,
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at
+  };
+}
+
+function isSessionActive(session) {
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+/**
+ * Start a session for a user who has just authenticated.
+ * Returns the token pair fields to merge into the login/register response.
+ */
+async function createSession(user, req, options = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at: refreshExpiry(),
+    last_used_at: new Date(),
+    ...requestMetadata(req)
+  }, { transaction: options.transaction });
+
+  return { session, tokens: tokenResponse(user, session, refreshToken) };
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * retired; presenting it a second time revokes the whole session, since that
+ * means a copy of it is in someone else's hands.
+ *
+ * Returns { session, tokens, error }
+ */
+async function rotateSession(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.findOne({
+      where: { refresh_token_hash: tokenHash },
+      include: ['user'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!session) {
+      const reused = await Session.findOne({
+        where: { previous_refresh_token_hash: tokenHash, revoked_at: null },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (reused) {
+        await reused.update({ revoked_at: new Date(), revoked_reason: SessionRevokeReason.TOKEN_REUSE }, { transaction });
+        console.warn(`⚠️ Refresh token reuse detected, revoked session ${reused.id} for user ${reused.user_id}`);
+      }
+      return { session: null, tokens: null, error: 'Invalid refresh token' };
+    }
+
+    if (!isSessionActive(session) || !session.user) {
+      return { session: null, tokens: null, error: 'Session has expired or been revoked' };
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    await session.update({
+      previous_refresh_token_hash: session.refresh_token_hash,
+      refresh_token_hash: hashToken(nextRefreshToken),
+      expires_at: refreshExpiry(),
+      last_used_at: new Date(),
+      ...requestMetadata(req)
+    }, { transaction });
+
+    return { session, tokens: tokenResponse(session.user, session, nextRefreshToken), error: null };
+  });
+}
+
+async function revokeSession(session, reason) {
+  if (session.revoked_at) {
+    return session;
+  }
+  return session.update({ revoked_at: new Date(), revoked_reason: reason });
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the caller's own).
+ * Returns the number of sessions revoked.
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId = null, transaction } = {}) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+  const [count] = await Session.update({ revoked_at: new Date(), revoked_reason: reason }, { where, transaction });
+  return count;
+}
+
+async function listActiveSessions(userId) {
+  return Session.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC']]
+  });
+}
+
+module.exports = {
+  SessionRevokeReason,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
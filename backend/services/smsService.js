@@ -0,0 +1,69 @@
+const axios = require('axios');
+const config = require('../config');
+
+// Each provider sends one text message and resolves to true when it was accepted
+const PROVIDERS = {
+  twilio: {
+    label: 'Twilio SMS',
+    isConfigured: () => !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_SMS_FROM),
+    async send(phoneNumber, message) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({
+          From: process.env.TWILIO_SMS_FROM,
+          To: phoneNumber,
+          Body: message
+        }),
+        {
+          auth: {
+            username: accountSid,
+            password: process.env.TWILIO_AUTH_TOKEN
+          }
+        }
+      );
+      return !!response.data.sid;
+    }
+  },
+  // Development: nothing is sent, the message is only logged in debug mode
+  console: {
+    label: 'Console SMS',
+    isConfigured: () => true,
+    async send(phoneNumber, message) {
+      console.log(`📱 [console SMS] to ${phoneNumber}${config.app.debug ? `: ${message}` : ''}`);
+      return true;
+    }
+  }
+};
+
+async function sendSms(phoneNumber, message) {
+  const provider = PROVIDERS[config.otp.smsProvider];
+  if (!provider) {
+    console.error(`❌ Unknown SMS provider "${config.otp.smsProvider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    return false;
+  }
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️ ${provider.label} not configured. SMS to ${phoneNumber} not sent.`);
+    return false;
+  }
+
+  try {
+    const sent = await provider.send(phoneNumber, message);
+    if (sent) {
+      console.log(`✅ SMS sent via ${provider.label} to ${phoneNumber}`);
+    }
+    return sent;
+  } catch (error) {
+    console.error(`❌ Failed to send SMS via ${provider.label}:`, error.message);
+    return false;
+  }
+}
+
+async function sendLoginCodeSms(phoneNumber, code, expiresMinutes) {
+  return sendSms(phoneNumber, `Your login code is ${code}. It expires in ${expiresMinutes} minutes. Do not share it with anyone.`);
+}
+
+module.exports = {
+  sendSms,
+  sendLoginCodeSms
+};
@@ -0,0 +1,118 @@
+const multer = require('multer');
+const XLSX = require('xlsx');
+
+// Multer for .xlsx / .csv uploads, kept in memory (10MB limit)
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept both .xlsx and .csv files
+    const isExcel = file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+                    file.originalname.endsWith('.xlsx');
+    const isCSV = file.mimetype === 'text/csv' ||
+                  file.mimetype === 'application/vnd.ms-excel' ||
+                  file.originalname.endsWith('.csv');
+
+    if (isExcel || isCSV) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .xlsx or .csv files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * Parse an uploaded .xlsx or .csv file (req.file from spreadsheetUpload) into
+ * one object per data row of the first sheet, keyed by the header row. Cells
+ * come back as strings, empty cells as null.
+ * @returns {{ fileType: string, rows?: object[], error?: string, parseError?: string }}
+ */
+function readSpreadsheet(file) {
+  const isCSV = file.originalname.endsWith('.csv') || file.mimetype === 'text/csv';
+  const fileType = isCSV ? 'CSV' : 'Excel';
+
+  // XLSX library can handle both Excel and CSV
+  let workbook;
+  try {
+    if (isCSV) {
+      // Parse CSV file - handle different encodings
+      let csvString;
+      try {
+        csvString = file.buffer.toString('utf8');
+      } catch (encodingError) {
+        // Try with different encoding if UTF-8 fails
+        csvString = file.buffer.toString('latin1');
+      }
+
+      // XLSX.read can parse CSV directly - use CSV parsing options
+      workbook = XLSX.read(csvString, {
+        type: 'string',
+        codepage: 65001, // UTF-8
+        cellDates: false,
+        cellNF: false,
+        cellText: false
+      });
+    } else {
+      // Parse Excel file
+      workbook = XLSX.read(file.buffer, { type: 'buffer' });
+    }
+  } catch (parseError) {
+    console.error(`❌ Error parsing ${fileType} file:`, parseError.message);
+    console.error('❌ Parse error stack:', parseError.stack);
+    return {
+      fileType,
+      error: `Invalid ${fileType} file. Please ensure the file is a valid .${isCSV ? 'csv' : 'xlsx'} format.`,
+      parseError: parseError.message
+    };
+  }
+
+  // Get first sheet
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) {
+    return { fileType, error: `${fileType} file is empty or has no data` };
+  }
+
+  // Convert sheet to JSON
+  const rows = XLSX.utils.sheet_to_json(worksheet, {
+    defval: null, // Use null for empty cells
+    raw: false // Convert all values to strings
+  });
+
+  if (!rows || rows.length === 0) {
+    return { fileType, error: `${fileType} file contains no data rows` };
+  }
+
+  return { fileType, rows };
+}
+
+/**
+ * Match expected column names to the file's headers, ignoring case and
+ * surrounding spaces.
+ * @returns {{ columnMap: Object<string, string>, columnKeys: string[] }}
+ *   columnMap maps each expected column that was found to its header
+ */
+function mapColumns(rows, expectedColumns) {
+  const columnKeys = Object.keys(rows[0]);
+  const columnMap = {};
+  expectedColumns.forEach(expectedCol => {
+    const foundKey = columnKeys.find(key => key.toLowerCase().trim() === expectedCol.toLowerCase());
+    if (foundKey) {
+      columnMap[expectedCol] = foundKey;
+    }
+  });
+  return { columnMap, columnKeys };
+}
+
+// Build a CSV with just a header row, as a template for an upload
+function templateCsv(columns) {
+  return XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([columns]));
+}
+
+module.exports = {
+  spreadsheetUpload,
+  readSpreadsheet,
+  mapColumns,
+  templateCsv
+};
@@ -0,0 +1,92 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { UserRole } = require('../models');
+const { loadPermissions } = require('../middleware/auth');
+const { getCenterScope } = require('./centers');
+
+/**
+ * Which students the current user may see, as { centerIds, counsellorId }:
+ * centerIds is null unless the user is limited to their centers, and
+ * counsellorId is set when they are limited to their own caseload
+ * (no students.view_unassigned permission). Returns null when unrestricted.
+ * Cached on the request.
+ */
+async function getStudentScope(req) {
+  if (req.studentScope === undefined) {
+    const centerIds = await getCenterScope(req);
+    const permissions = await loadPermissions(req);
+    const counsellorId = permissions.has('students.view_unassigned') ? null : req.user.id;
+    req.studentScope = centerIds === null && counsellorId === null ? null : { centerIds, counsellorId };
+  }
+  return req.studentScope;
+}
+
+// SQL subqueries selecting the user ids of students in scope; all must match
+function scopeSubqueries(scope) {
+  const subqueries = [];
+  if (scope.centerIds !== null) {
+    const ids = scope.centerIds.length > 0 ? scope.centerIds.map(id => parseInt(id, 10)).join(', ') : 'NULL';
+    subqueries.push(`SELECT user_id FROM students WHERE center_id IN (${ids})`);
+  }
+  if (scope.counsellorId !== null) {
+    subqueries.push(
+      `SELECT student_id FROM counsellor_assignments WHERE counsellor_id = ${parseInt(scope.counsellorId, 10)} AND ended_at IS NULL`
+    );
+  }
+  return subqueries;
+}
+
+function withFilters(where, filters) {
+  return { ...where, [Op.and]: [...(where[Op.and] || []), ...filters] };
+}
+
+/**
+ * Restrict a where clause to students in scope. `column` is the attribute
+ * holding the student's user id: 'id' on User, 'student_id' on TestAttempt,
+ * Appointment and CounsellorNote. Returns the where clause unchanged when
+ * the scope is unrestricted.
+ */
+function scopeStudentWhere(where, scope, column = 'id') {
+  if (scope === null) {
+    return where;
+  }
+  return withFilters(where, scopeSubqueries(scope).map(sql => ({
+    [column]: { [Op.in]: sequelize.literal(`(${sql})`) }
+  })));
+}
+
+// Same restriction for test_attempt_id columns (Score, InterpretedResult)
+function scopeAttemptWhere(where, scope, column = 'test_attempt_id') {
+  if (scope === null) {
+    return where;
+  }
+  return withFilters(where, scopeSubqueries(scope).map(sql => ({
+    [column]: { [Op.in]: sequelize.literal(`(SELECT id FROM test_attempts WHERE student_id IN (${sql}))`) }
+  })));
+}
+
+/**
+ * Whether the current user may see this student's records. Students only
+ * ever see themselves; staff are limited to their center and caseload scope.
+ */
+async function canAccessStudent(req, studentUserId) {
+  if (req.user.role === UserRole.STUDENT) {
+    return req.user.id === studentUserId;
+  }
+  const scope = await getStudentScope(req);
+  if (scope === null) {
+    return true;
+  }
+  const checks = scopeSubqueries(scope).map(sql => `:studentId IN (${sql})`).join(' AND ');
+  const [rows] = await sequelize.query(`SELECT ${checks} AS allowed`, {
+    replacements: { studentId: studentUserId }
+  });
+  return rows[0].allowed === true;
+}
+
+module.exports = {
+  getStudentScope,
+  scopeStudentWhere,
+  scopeAttemptWhere,
+  canAccessStudent
+};
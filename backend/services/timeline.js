@@ -0,0 +1,175 @@
+const { sequelize } = require('../database');
+
+/**
+ * Timeline event sources by filter category. Each is a SELECT producing
+ * (type, occurred_at, ref_id, test_attempt_id, actor_id, details) for the
+ * student in :studentId, with `types` listing the event types it yields.
+ * `staffOnly` sources are left out of a student's own timeline; `studentSql`
+ * replaces `sql` there when set.
+ */
+const SOURCES = {
+  registration: {
+    types: ['REGISTERED'],
+    sql: `
+      SELECT 'REGISTERED', u.created_at, u.id, NULL::int, NULL::int, json_build_object()
+      FROM users u WHERE u.id = :studentId`
+  },
+  attempt: {
+    types: ['ATTEMPT_STARTED', 'ATTEMPT_COMPLETED'],
+    sql: `
+      SELECT 'ATTEMPT_STARTED', COALESCE(t.started_at, t.created_at), t.id, t.id, NULL::int,
+             json_build_object('attempt_number', t.attempt_number, 'status', t.status)
+      FROM test_attempts t WHERE t.student_id = :studentId
+      UNION ALL
+      SELECT 'ATTEMPT_COMPLETED', t.completed_at, t.id, t.id, NULL::int,
+             json_build_object('attempt_number', t.attempt_number)
+      FROM test_attempts t WHERE t.student_id = :studentId AND t.completed_at IS NOT NULL`
+  },
+  section: {
+    types: ['SECTION_STARTED', 'SECTION_COMPLETED'],
+    sql: `
+      SELECT 'SECTION_STARTED', sp.section_start_time, sp.id, sp.test_attempt_id, NULL::int,
+             json_build_object('section_id', s.id, 'section_name', s.name)
+      FROM section_progresses sp
+      JOIN test_attempts t ON t.id = sp.test_attempt_id
+      JOIN sections s ON s.id = sp.section_id
+      WHERE t.student_id = :studentId AND sp.section_start_time IS NOT NULL
+      UNION ALL
+      SELECT 'SECTION_COMPLETED', COALESCE(sp.updated_at, sp.created_at), sp.id, sp.test_attempt_id, NULL::int,
+             json_build_object('section_id', s.id, 'section_name', s.name, 'time_spent_seconds', sp.total_time_spent)
+      FROM section_progresses sp
+      JOIN test_attempts t ON t.id = sp.test_attempt_id
+      JOIN sections s ON s.id = sp.section_id
+      WHERE t.student_id = :studentId AND sp.status = 'COMPLETED'`
+  },
+  interpretation: {
+    types: ['INTERPRETATION_GENERATED'],
+    sql: `
+      SELECT 'INTERPRETATION_GENERATED', ir.created_at, ir.id, ir.test_attempt_id, NULL::int,
+             json_build_object('readiness_status', ir.readiness_status, 'is_ai_generated', ir.is_ai_generated)
+      FROM interpreted_results ir
+      JOIN test_attempts t ON t.id = ir.test_attempt_id
+      WHERE t.student_id = :studentId`
+  },
+  note: {
+    types: ['NOTE_ADDED'],
+    sql: `
+      SELECT 'NOTE_ADDED', n.created_at, n.id, n.test_attempt_id, n.counsellor_id,
+             json_build_object('notes', n.notes, 'category', n.category, 'visibility', n.visibility,
+                               'parent_note_id', n.parent_note_id, 'is_pinned', n.is_pinned, 'edited', n.revision > 1)
+      FROM counsellor_notes n
+      WHERE n.student_id = :studentId AND n.deleted_at IS NULL`,
+    // Students only see notes shared with them
+    studentSql: `
+      SELECT 'NOTE_ADDED', n.created_at, n.id, n.test_attempt_id, n.counsellor_id,
+             json_build_object('notes', n.notes, 'category', n.category, 'parent_note_id', n.parent_note_id,
+                               'edited', n.revision > 1)
+      FROM counsellor_notes n
+      WHERE n.student_id = :studentId AND n.deleted_at IS NULL AND n.visibility = 'SHARED'`
+  },
+  appointment: {
+    types: ['APPOINTMENT_BOOKED', 'APPOINTMENT_CANCELLED'],
+    sql: `
+      SELECT 'APPOINTMENT_BOOKED', a.created_at, a.id, NULL::int, a.counsellor_id,
+             json_build_object('status', a.status, 'slot_start', a.slot_start,
+                               'appointment_date', a.appointment_date, 'appointment_time', a.appointment_time)
+      FROM appointments a WHERE a.student_id = :studentId
+      UNION ALL
+      SELECT 'APPOINTMENT_CANCELLED', a.cancelled_at, a.id, NULL::int, a.cancelled_by,
+             json_build_object('slot_start', a.slot_start, 'reason', a.cancel_reason)
+      FROM appointments a WHERE a.student_id = :studentId AND a.cancelled_at IS NOT NULL`
+  },
+  session: {
+    types: ['SESSION_RECORDED'],
+    sql: `
+      SELECT 'SESSION_RECORDED', so.created_at, so.id, NULL::int, so.counsellor_id,
+             json_build_object('appointment_id', so.appointment_id, 'attendees', so.attendees, 'topics', so.topics,
+                               'recommended_direction', so.recommended_direction,
+                               'follow_up_required', so.follow_up_required, 'follow_up_date', so.follow_up_date)
+      FROM session_outcomes so WHERE so.student_id = :studentId`
+  },
+  retake: {
+    types: ['RETAKE_GRANTED'],
+    sql: `
+      SELECT 'RETAKE_GRANTED', re.created_at, re.id, NULL::int, re.granted_by,
+             json_build_object('retakes_allowed', re.retakes_allowed, 'cooldown_days', re.cooldown_days, 'notes', re.notes)
+      FROM retake_entitlements re WHERE re.student_id = :studentId`,
+    studentSql: `
+      SELECT 'RETAKE_GRANTED', re.created_at, re.id, NULL::int, re.granted_by,
+             json_build_object('retakes_allowed', re.retakes_allowed, 'cooldown_days', re.cooldown_days)
+      FROM retake_entitlements re WHERE re.student_id = :studentId`
+  },
+  assignment: {
+    types: ['COUNSELLOR_ASSIGNED'],
+    staffOnly: true,
+    sql: `
+      SELECT 'COUNSELLOR_ASSIGNED', ca.created_at, ca.id, NULL::int, ca.assigned_by,
+             json_build_object('counsellor_id', ca.counsellor_id, 'counsellor_name', c.full_name,
+                               'method', ca.method, 'reason', ca.reason)
+      FROM counsellor_assignments ca
+      JOIN users c ON c.id = ca.counsellor_id
+      WHERE ca.student_id = :studentId`
+  }
+};
+
+const TIMELINE_CATEGORIES = Object.keys(SOURCES);
+
+const CATEGORY_BY_TYPE = {};
+for (const [category, source] of Object.entries(SOURCES)) {
+  for (const type of source.types) {
+    CATEGORY_BY_TYPE[type] = category;
+  }
+}
+
+// Categories available to the viewer
+function availableCategories({ forStudent }) {
+  return TIMELINE_CATEGORIES.filter(category => !(forStudent && SOURCES[category].staffOnly));
+}
+
+/**
+ * One page of a student's timeline, newest first unless order is 'asc'.
+ * categories must come from availableCategories().
+ *
+ * Returns { events, total }
+ */
+async function getTimeline(studentId, { categories, forStudent = false, limit = 25, offset = 0, order = 'desc' }) {
+  if (categories.length === 0) {
+    return { events: [], total: 0 };
+  }
+
+  // The column list names the columns whichever source comes first
+  const union = categories
+    .map(category => `SELECT * FROM (${(forStudent && SOURCES[category].studentSql) || SOURCES[category].sql}) AS ${category}_events (type, occurred_at, ref_id, test_attempt_id, actor_id, details)`)
+    .join('\nUNION ALL\n');
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const [countRows] = await sequelize.query(`SELECT COUNT(*)::int AS total FROM (${union}) e`, {
+    replacements: { studentId }
+  });
+  const [rows] = await sequelize.query(`
+    SELECT e.*, actor.full_name AS actor_name
+    FROM (${union}) e
+    LEFT JOIN users actor ON actor.id = e.actor_id
+    ORDER BY e.occurred_at ${direction}, e.type ${direction}, e.ref_id ${direction}
+    LIMIT :limit OFFSET :offset
+  `, { replacements: { studentId, limit, offset } });
+
+  return {
+    events: rows.map(row => ({
+      type: row.type,
+      category: CATEGORY_BY_TYPE[row.type],
+      occurred_at: row.occurred_at,
+      ref_id: row.ref_id,
+      test_attempt_id: row.test_attempt_id,
+      actor: row.actor_id ? { id: row.actor_id, full_name: row.actor_name } : null,
+      details: row.details
+    })),
+    total: countRows[0].total
+  };
+}
+
+module.exports = {
+  TIMELINE_CATEGORIES,
+  availableCategories,
+  getTimeline
+};
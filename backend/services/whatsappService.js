@@ -1,30 +1,71 @@
 const axios = require('axios');
 const config = require('../config');
 
-async function sendWhatsAppMessage(phoneNumber, name, email, tempPassword) {
-  const twilioAccountSid = process.env.TWILIO_ACCOUNT_SID;
-  const twilioAuthToken = process.env.TWILIO_AUTH_TOKEN;
-  const twilioWhatsAppFrom = process.env.TWILIO_WHATSAPP_FROM;
-  
-  const whatsappCloudApiToken = process.env.WHATSAPP_CLOUD_API_TOKEN;
-  const whatsappCloudPhoneNumberId = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
-
+// `account` names the kind of account, as in emailService.sendAccountCredentials
+async function sendWhatsAppMessage(phoneNumber, name, email, tempPassword, account = 'counsellor') {
   const message = `Hello ${name},
-Your counsellor account has been created.
+Your ${account} account has been created.
 
 Login Email: ${email}
 Temporary Password: ${tempPassword}
 
 Please login and change your password immediately.`;
 
+  return sendText(phoneNumber, message, 'Credentials', { logMessage: config.app.debug });
+}
+
+async function sendPasswordResetWhatsApp(phoneNumber, name, resetUrl, expiresMinutes) {
+  const message = `Hello ${name},
+We received a request to reset your password.
+
+Reset it here (valid for ${expiresMinutes} minutes, single use):
+${resetUrl}
+
+If you did not request this, ignore this message.`;
+
+  return sendText(phoneNumber, message, 'Password reset link', { logMessage: config.app.debug });
+}
+
+async function sendLoginCodeWhatsApp(phoneNumber, code, expiresMinutes) {
+  const message = `Your login code is ${code}. It expires in ${expiresMinutes} minutes. Do not share it with anyone.`;
+  return sendText(phoneNumber, message, 'Login code', { logMessage: config.app.debug });
+}
+
+async function sendAppointmentWhatsApp(phoneNumber, message) {
+  return sendText(phoneNumber, message, 'Appointment notification');
+}
+
+async function sendGuardianInviteWhatsApp(phoneNumber, studentName, inviteUrl, expiresHours) {
+  const message = `Hello,
+You have been invited to follow ${studentName}'s career assessment results and counselling sessions.
+
+Accept here (valid for ${expiresHours} hours, single use):
+${inviteUrl}
+
+If you were not expecting this, ignore this message.`;
+
+  return sendText(phoneNumber, message, 'Guardian invitation', { logMessage: config.app.debug });
+}
+
+// Send through whichever provider is configured; `what` names the content in the not-configured warning
+async function sendText(phoneNumber, message, what, { logMessage = true } = {}) {
+  const twilioAccountSid = process.env.TWILIO_ACCOUNT_SID;
+  const twilioAuthToken = process.env.TWILIO_AUTH_TOKEN;
+  const twilioWhatsAppFrom = process.env.TWILIO_WHATSAPP_FROM;
+  
+  const whatsappCloudApiToken = process.env.WHATSAPP_CLOUD_API_TOKEN;
+  const whatsappCloudPhoneNumberId = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+
   if (twilioAccountSid && twilioAuthToken && twilioWhatsAppFrom) {
     return await sendViaTwilio(phoneNumber, message, twilioAccountSid, twilioAuthToken, twilioWhatsAppFrom);
   } else if (whatsappCloudApiToken && whatsappCloudPhoneNumberId) {
     return await sendViaWhatsAppCloud(phoneNumber, message, whatsappCloudApiToken, whatsappCloudPhoneNumberId);
   } else {
-    console.warn('⚠️ WhatsApp service not configured. Credentials not sent via WhatsApp.');
+    console.warn(`⚠️ WhatsApp service not configured. ${what} not sent via WhatsApp.`);
     console.log(`📱 Would send WhatsApp to: ${phoneNumber}`);
-    console.log(`   Message: ${message}`);
+    if (logMessage) {
+      console.log(`   Message: ${message}`);
+    }
     return false;
   }
 }
@@ -89,6 +130,10 @@ async function sendViaWhatsAppCloud(phoneNumber, message, apiToken, phoneNumberI
 }
 
 module.exports = {
-  sendWhatsAppMessage
+  sendWhatsAppMessage,
+  sendPasswordResetWhatsApp,
+  sendLoginCodeWhatsApp,
+  sendAppointmentWhatsApp,
+  sendGuardianInviteWhatsApp
 };
 